@@ -0,0 +1,59 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseCalendarVersion, isCalendarVersion, determineCalverChange, calverJumpMonths } from '../src/calver.js';
+
+describe('CalVer Module', () => {
+  describe('isCalendarVersion', () => {
+    test('should detect versions that start with a year and a month', () => {
+      expect(isCalendarVersion('2024.01')).toBe(true);
+      expect(isCalendarVersion('2024.5.17')).toBe(true);
+      expect(isCalendarVersion('v2023.12.1')).toBe(true);
+      expect(isCalendarVersion('22.04')).toBe(true);
+      expect(isCalendarVersion('24.04.1')).toBe(true);
+    });
+
+    test('should not detect semver versions as calendar versions', () => {
+      expect(isCalendarVersion('18.3.1')).toBe(false);
+      expect(isCalendarVersion('22.10')).toBe(false);
+      expect(isCalendarVersion('24.0')).toBe(false);
+      expect(isCalendarVersion('2024.13')).toBe(false);
+      expect(isCalendarVersion('1234.01')).toBe(false);
+      expect(isCalendarVersion('1.2.3')).toBe(false);
+    });
+  });
+
+  describe('parseCalendarVersion', () => {
+    test('should accept any period after the year for declared dependencies', () => {
+      expect(parseCalendarVersion('24.0')).toBeNull();
+      expect(parseCalendarVersion('24.0', { declared: true })).toEqual({ year: 2024, month: null, parts: [2024, 0, 0] });
+      expect(parseCalendarVersion('2024.05.17')).toEqual({ year: 2024, month: 5, parts: [2024, 5, 17] });
+    });
+  });
+
+  describe('determineCalverChange', () => {
+    test('should classify updates, downgrades and equal versions', () => {
+      expect(determineCalverChange('2023.12', '2024.01')).toBe('calver');
+      expect(determineCalverChange('22.04.3', '22.04.4')).toBe('calver');
+      expect(determineCalverChange('2024.05.17', '2024.05.01')).toBe('downgrade');
+      expect(determineCalverChange('2024.01', '2024.1')).toBe('unknown');
+    });
+
+    test('should return null when a version is not a calendar version', () => {
+      expect(determineCalverChange('1.2.3', '2024.01')).toBeNull();
+      expect(determineCalverChange('23.3', '24.0')).toBeNull();
+      expect(determineCalverChange('23.3', '24.0', { declared: true })).toBe('calver');
+    });
+  });
+
+  describe('calverJumpMonths', () => {
+    test('should count the months between the versions', () => {
+      expect(calverJumpMonths('2024.01', '2024.06')).toBe(5);
+      expect(calverJumpMonths('22.04', '24.04')).toBe(24);
+      expect(calverJumpMonths('2023.11.30', '2024.02.01')).toBe(3);
+    });
+
+    test('should only count years when the part after the year is not a month', () => {
+      expect(calverJumpMonths('23.3', '24.0')).toBe(12);
+      expect(calverJumpMonths('1.2.3', '2024.01')).toBeNull();
+    });
+  });
+});
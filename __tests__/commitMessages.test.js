@@ -0,0 +1,89 @@
+import { describe, test, expect } from '@jest/globals';
+import { TEMPLATE_PLACEHOLDERS, TRAILER_PLACEHOLDERS, findUnknownPlaceholders, isValidTrailer, renderTemplate, buildCommitMessage } from '../src/commitMessages.js';
+
+describe('Commit Messages Module', () => {
+  const pr = { number: 42, title: 'Bump the npm group with 2 updates', ecosystem: 'npm' };
+  const dependencies = [
+    { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch', directory: '/' },
+    { name: 'axios', fromVersion: '1.6.0', toVersion: '1.7.0', semverChange: 'minor', directory: '/' }
+  ];
+  const filterReasons = [
+    { dependency: 'lodash', reason: 'Allowed by rule "patches" (patch change)', rule: 'patches' },
+    { dependency: 'axios', reason: 'Semver change "minor" is allowed' }
+  ];
+
+  describe('findUnknownPlaceholders', () => {
+    test('should report placeholders that are not allowed', () => {
+      expect(findUnknownPlaceholders('Bump {dependencies} to {to} ({version}) #{pr}', TEMPLATE_PLACEHOLDERS)).toEqual(['version', 'pr']);
+      expect(findUnknownPlaceholders('Dependency: {dependency}@{to}', TEMPLATE_PLACEHOLDERS)).toEqual(['dependency']);
+      expect(findUnknownPlaceholders('Dependency: {dependency}@{to}', TRAILER_PLACEHOLDERS)).toEqual([]);
+    });
+  });
+
+  describe('isValidTrailer', () => {
+    test('should require a token, a colon and a value', () => {
+      expect(isValidTrailer('Automerged-By: automerge-dependabot')).toBe(true);
+      expect(isValidTrailer('Dependency:{dependency}')).toBe(true);
+      expect(isValidTrailer('Automerged by automerge-dependabot')).toBe(false);
+      expect(isValidTrailer('Automerged By: automerge-dependabot')).toBe(false);
+      expect(isValidTrailer('Automerged-By:')).toBe(false);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    test('should replace known placeholders and keep the rest', () => {
+      expect(renderTemplate('{a} and {b}', { a: 'x' })).toBe('x and {b}');
+    });
+  });
+
+  describe('buildCommitMessage', () => {
+    test('should render the title and message templates', () => {
+      const commit = buildCommitMessage(pr, dependencies, {
+        commitTitleTemplate: 'Bump {dependencies} (#{number})',
+        commitMessageTemplate: '{semver} updates in {ecosystem}: {from} → {to} ({rule})'
+      }, filterReasons);
+
+      expect(commit).toEqual({
+        commit_title: 'Bump lodash, axios (#42)',
+        commit_message: 'patch, minor updates in npm: 4.17.20, 1.6.0 → 4.17.21, 1.7.0 (patches)'
+      });
+    });
+
+    test('should add trailers, once per dependency for trailers with {dependency}', () => {
+      const commit = buildCommitMessage(pr, dependencies, {
+        commitMessageTemplate: '{title}',
+        commitTrailers: ['Automerged-By: automerge-dependabot', 'Dependency: {dependency}@{to} ({semver})']
+      }, filterReasons);
+
+      expect(commit).toEqual({
+        commit_message: [
+          'Bump the npm group with 2 updates',
+          '',
+          'Automerged-By: automerge-dependabot',
+          'Dependency: lodash@4.17.21 (patch)',
+          'Dependency: axios@1.7.0 (minor)'
+        ].join('\n')
+      });
+    });
+
+    test('should use the rule of the directory of a dependency and describe removed dependencies', () => {
+      const sameName = [
+        { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch', directory: '/frontend' },
+        { name: 'left-pad', fromVersion: null, toVersion: null, semverChange: null, removed: true, directory: '/frontend' }
+      ];
+      const reasons = [
+        { dependency: 'lodash', reason: 'Allowed by rule "backend"', rule: 'backend', directory: '/backend' },
+        { dependency: 'lodash', reason: 'Allowed by rule "frontend"', rule: 'frontend', directory: '/frontend' }
+      ];
+
+      const commit = buildCommitMessage(pr, sameName, { commitTrailers: ['Dependency: {dependency} {semver} {rule}'] }, reasons);
+
+      expect(commit.commit_message).toBe('Dependency: lodash patch frontend\nDependency: left-pad removed ');
+    });
+
+    test('should leave the title and message to GitHub without templates', () => {
+      expect(buildCommitMessage(pr, dependencies)).toEqual({});
+      expect(buildCommitMessage(pr, dependencies, { commitTitleTemplate: '', commitMessageTemplate: '', commitTrailers: [] })).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import * as core from '../__fixtures__/core.js';
+
+jest.unstable_mockModule('@actions/core', () => core);
+
+const {
+  normalizeDependencyType,
+  normalizeUpdateType,
+  parseUpdatedDependencies,
+  collectCommitMetadata
+} = await import('../src/commitMetadata.js');
+
+const groupCommitMessage = `Bump the dev-dependencies group with 2 updates
+
+Bumps the dev-dependencies group with 2 updates: [jest](https://github.com/jestjs/jest) and [@types/node](https://github.com/DefinitelyTyped/DefinitelyTyped).
+
+---
+updated-dependencies:
+- dependency-name: jest
+  dependency-version: 30.0.0
+  dependency-type: direct:development
+  update-type: version-update:semver-major
+  dependency-group: dev-dependencies
+- dependency-name: "@types/node"
+  dependency-version: 20.1.0
+  dependency-type: direct:development
+  update-type: version-update:semver-minor
+  dependency-group: dev-dependencies
+...
+
+Signed-off-by: dependabot[bot] <support@github.com>`;
+
+describe('Commit Metadata Module', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeDependencyType', () => {
+    test('should use short dependency types', () => {
+      expect(normalizeDependencyType('direct:production')).toBe('production');
+      expect(normalizeDependencyType('direct:development')).toBe('development');
+      expect(normalizeDependencyType('indirect')).toBe('indirect');
+      expect(normalizeDependencyType('Development')).toBe('development');
+    });
+
+    test('should return null for unknown types', () => {
+      expect(normalizeDependencyType('optional')).toBeNull();
+      expect(normalizeDependencyType(undefined)).toBeNull();
+    });
+  });
+
+  describe('normalizeUpdateType', () => {
+    test('should convert Dependabot update types to semver levels', () => {
+      expect(normalizeUpdateType('version-update:semver-major')).toBe('major');
+      expect(normalizeUpdateType('version-update:semver-patch')).toBe('patch');
+      expect(normalizeUpdateType('security-update')).toBeNull();
+      expect(normalizeUpdateType(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseUpdatedDependencies', () => {
+    test('should parse the metadata block of a group update', () => {
+      expect(parseUpdatedDependencies(groupCommitMessage)).toEqual([
+        { name: 'jest', version: '30.0.0', dependencyType: 'development', updateType: 'major' },
+        { name: '@types/node', version: '20.1.0', dependencyType: 'development', updateType: 'minor' }
+      ]);
+    });
+
+    test('should return an empty list for messages without metadata', () => {
+      expect(parseUpdatedDependencies('Bump lodash from 4.17.20 to 4.17.21')).toEqual([]);
+      expect(parseUpdatedDependencies(undefined)).toEqual([]);
+    });
+
+    test('should return an empty list for invalid metadata', () => {
+      const message = 'Bump lodash\n\n---\nupdated-dependencies:\n- dependency-name: [unclosed\n...\n';
+
+      expect(parseUpdatedDependencies(message)).toEqual([]);
+      expect(core.debug).toHaveBeenCalledWith(expect.stringContaining('Failed to parse Dependabot commit metadata'));
+    });
+  });
+
+  describe('collectCommitMetadata', () => {
+    test('should collect metadata from all commits, letting later commits win', () => {
+      const rebasedMessage = groupCommitMessage.replace('version-update:semver-major', 'version-update:semver-minor');
+      const metadata = collectCommitMetadata([
+        { commit: { message: groupCommitMessage } },
+        { commit: { message: rebasedMessage } },
+        { sha: 'abc123' }
+      ]);
+
+      expect(metadata.size).toBe(2);
+      expect(metadata.get('jest')).toEqual({ name: 'jest', version: '30.0.0', dependencyType: 'development', updateType: 'minor' });
+    });
+  });
+});
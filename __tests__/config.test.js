@@ -0,0 +1,479 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import * as core from '../__fixtures__/core.js';
+
+jest.unstable_mockModule('@actions/core', () => core);
+
+const {
+  parseList,
+  readInputs,
+  validateInputs,
+  validatePolicy,
+  validateRules,
+  normalizeRules,
+  validateEcosystems,
+  normalizeEcosystems,
+  formatEcosystemSettings,
+  parsePolicy,
+  loadPolicyFile,
+  resolveConfig,
+  buildFilterOptions
+} = await import('../src/config.js');
+
+/**
+ * Build a contents API response for a policy file
+ */
+function contentResponse(text) {
+  return {
+    data: {
+      type: 'file',
+      encoding: 'base64',
+      content: Buffer.from(text, 'utf8').toString('base64')
+    }
+  };
+}
+
+describe('Config Module', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseList', () => {
+    test('should split comma-separated strings and trim entries', () => {
+      expect(parseList('lodash, react ,express')).toEqual(['lodash', 'react', 'express']);
+    });
+
+    test('should accept arrays and drop empty entries', () => {
+      expect(parseList(['patch', ' minor ', ''])).toEqual(['patch', 'minor']);
+      expect(parseList('patch,,minor,')).toEqual(['patch', 'minor']);
+    });
+  });
+
+  describe('readInputs', () => {
+    test('should read every policy-capable setting through getInput', () => {
+      const getInput = jest.fn(name => name === 'semver-filter' ? 'patch' : '');
+      const inputs = readInputs(getInput);
+
+      expect(inputs['semver-filter']).toBe('patch');
+      expect(inputs['merge-method']).toBe('');
+      expect(getInput).toHaveBeenCalledWith('minimum-age-of-pr');
+      expect(getInput).toHaveBeenCalledWith('ignored-versions');
+    });
+  });
+
+  describe('validatePolicy', () => {
+    test('should accept a valid policy', () => {
+      expect(validatePolicy({
+        version: 1,
+        'minimum-age-of-pr': 3,
+        'semver-filter': ['patch', 'minor'],
+        'ignored-dependencies': 'react,react-dom',
+        'merge-method': 'squash'
+      })).toEqual([]);
+    });
+
+    test('should reject a policy that is not a mapping', () => {
+      expect(validatePolicy(null)).toHaveLength(1);
+      expect(validatePolicy(['patch'])).toHaveLength(1);
+      expect(validatePolicy('semver-filter: patch')).toHaveLength(1);
+    });
+
+    test('should report unknown settings and unsupported versions', () => {
+      const errors = validatePolicy({ version: 2, 'semver-filtre': ['patch'] });
+      expect(errors).toEqual([
+        'Unsupported policy version "2" (supported: 1)',
+        'Unknown setting "semver-filtre"'
+      ]);
+    });
+
+    test('should report invalid values', () => {
+      const errors = validatePolicy({
+        'minimum-age-of-pr': '3 days',
+        'semver-filter': ['patch', 'majr'],
+        'merge-method': 'fast-forward',
+        'merge-strategy': 'queue',
+        'merge-order': 'newest-first',
+        'commit-title-template': 'Bump {dependencies} to {version}',
+        'commit-trailers': ['Automerged-By: automerge-dependabot', 'Dependency {dependency}', 'Rule: {rules}'],
+        'matcher-mode': 'loose',
+        'always-allow': { name: 'lodash' }
+      });
+      expect(errors).toContain('"minimum-age-of-pr" must be a non-negative integer');
+      expect(errors).toContain('"semver-filter[1]" contains unknown level "majr" (allowed: major, minor, patch, prerelease, post, dev, calver, digest, variant, pseudo, downgrade, unknown)');
+      expect(errors).toContain('"merge-method" must be one of: merge, squash, rebase');
+      expect(errors).toContain('"merge-strategy" must be one of: direct, auto-merge');
+      expect(errors).toContain('"merge-order" must be one of: oldest-first, lowest-risk-first, groups-first, fewest-overlaps-first');
+      expect(errors).toContain('"commit-title-template" has unknown placeholder "{version}" (allowed: {number}, {title}, {dependencies}, {from}, {to}, {semver}, {ecosystem}, {rule})');
+      expect(errors).toContain('"commit-trailers[1]" must be a trailer like "Token: value"');
+      expect(errors).toContain('"commit-trailers[2]" has unknown placeholder "{rules}" (allowed: {number}, {title}, {dependencies}, {from}, {to}, {semver}, {ecosystem}, {rule}, {dependency})');
+      expect(errors.some(error => error.includes('commit-trailers[0]'))).toBe(false);
+      expect(errors).toContain('"matcher-mode" must be one of: strict, legacy');
+      expect(errors).toContain('"always-allow" must be a list or a comma-separated string');
+    });
+  });
+
+  describe('semver-classification', () => {
+    test('should validate classification rules', () => {
+      expect(validatePolicy({ 'semver-classification': ['prerelease', 'zero-minor-as-major'] })).toEqual([]);
+      expect(validateInputs({ 'semver-classification': 'prerelease, caret' })).toEqual([
+        '"semver-classification[1]" contains unknown rule "caret" (allowed: zero-minor-as-major, zero-patch-as-major, prerelease-as-release, prerelease)'
+      ]);
+    });
+
+    test('should resolve to an empty list by default', () => {
+      expect(resolveConfig({}).semverClassification).toEqual([]);
+      expect(resolveConfig({ 'semver-classification': 'prerelease' }).semverClassification).toEqual(['prerelease']);
+    });
+  });
+
+  describe('calver settings', () => {
+    test('should validate CalVer dependency patterns and the maximum jump', () => {
+      expect(validatePolicy({ 'calver-dependencies': ['pip', 'glob:*-tzdata'], 'calver-max-jump-months': 12 })).toEqual([]);
+      expect(validateInputs({ 'calver-dependencies': 'pip, regex:(', 'calver-max-jump-months': 'a year' })).toEqual([
+        '"calver-dependencies[1]": Invalid regex in pattern "regex:(": Invalid regular expression: /(/: Unterminated group',
+        '"calver-max-jump-months" must be a non-negative integer'
+      ]);
+    });
+
+    test('should resolve to no CalVer dependencies and no maximum jump by default', () => {
+      const config = resolveConfig({});
+      expect(config.calverDependencies).toEqual([]);
+      expect(config.calverMaxJumpMonths).toBe(0);
+      expect(resolveConfig({ 'calver-max-jump-months': '6' }).calverMaxJumpMonths).toBe(6);
+    });
+  });
+
+  describe('range-filter', () => {
+    test('should validate range changes and resolve to widen by default', () => {
+      expect(validateInputs({ 'range-filter': 'widen, shrink' })).toEqual([
+        '"range-filter[1]" contains unknown range change "shrink" (allowed: widen, narrow)'
+      ]);
+      expect(resolveConfig({}).rangeFilter).toEqual(['widen']);
+      expect(resolveConfig({ 'range-filter': 'widen,narrow' }).rangeFilter).toEqual(['widen', 'narrow']);
+    });
+  });
+
+  describe('pseudo-max-delta-days', () => {
+    test('should validate and resolve the maximum delta of pseudo-version updates', () => {
+      expect(validateInputs({ 'pseudo-max-delta-days': 'a month' })).toEqual(['"pseudo-max-delta-days" must be a non-negative integer']);
+      expect(resolveConfig({}).pseudoMaxDeltaDays).toBe(0);
+      expect(resolveConfig({ 'pseudo-max-delta-days': '90' }).pseudoMaxDeltaDays).toBe(90);
+    });
+  });
+
+  describe('validateInputs', () => {
+    test('should accept valid inputs and ignore empty ones', () => {
+      expect(validateInputs({
+        'minimum-age-of-pr': '3',
+        'semver-filter': 'patch, minor',
+        'merge-method': 'squash',
+        'always-allow': 'regex:^@types/, org.springframework:*',
+        'ignored-versions': 'lodash@>=5.0.0',
+        'matcher-mode': '',
+        'retry-delay-ms': '2000'
+      })).toEqual([]);
+    });
+
+    test('should report every invalid input with its position', () => {
+      expect(validateInputs({
+        'minimum-age-of-pr': '3 days',
+        'semver-filter': 'patch, majr, minr',
+        'merge-method': 'fast-forward',
+        'ignored-dependencies': 'lodash, regex:([a-z',
+        'max-update-wait-seconds': '-1'
+      })).toEqual([
+        '"minimum-age-of-pr" must be a non-negative integer',
+        '"ignored-dependencies[1]": Invalid regex in pattern "regex:([a-z": Invalid regular expression: /([a-z/: Unterminated character class',
+        '"semver-filter[1]" contains unknown level "majr" (allowed: major, minor, patch, prerelease, post, dev, calver, digest, variant, pseudo, downgrade, unknown)',
+        '"semver-filter[2]" contains unknown level "minr" (allowed: major, minor, patch, prerelease, post, dev, calver, digest, variant, pseudo, downgrade, unknown)',
+        '"merge-method" must be one of: merge, squash, rebase',
+        '"max-update-wait-seconds" must be a non-negative integer'
+      ]);
+    });
+
+    test('should check the dependency pattern of ignored versions', () => {
+      expect(validateInputs({ 'ignored-versions': 'lodash@4.17.21, regex:(@1.0.0' })).toEqual([
+        '"ignored-versions[1]": Invalid regex in pattern "regex:(": Invalid regular expression: /(/: Unterminated group'
+      ]);
+    });
+  });
+
+  describe('validateRules', () => {
+    test('should accept valid rules', () => {
+      expect(validateRules([
+        { name: 'types-major', dependency: '@types/*', semver: ['major'], action: 'allow' },
+        { ecosystem: ['maven'], directory: '/services/*', label: 'security', action: 'defer' },
+        { 'dependency-type': 'direct:development', semver: 'major', action: 'allow' },
+        { action: 'deny' }
+      ])).toEqual([]);
+    });
+
+    test('should report each invalid rule with its position', () => {
+      expect(validateRules({ action: 'allow' })).toEqual(['"rules" must be a list']);
+      expect(validateRules([
+        'allow everything',
+        { dependency: 'lodash', action: 'merge' },
+        { semver: ['huge'], action: 'allow', when: 'always' },
+        { name: 3, label: { name: 'x' }, action: 'deny' },
+        { 'dependency-type': ['development', 'optional'], action: 'allow' }
+      ])).toEqual([
+        'rules[0] must be a mapping',
+        'rules[1] "action" must be one of: allow, deny, defer',
+        'rules[2] has unknown key "when"',
+        'rules[2] "semver" contains unknown level "huge"',
+        'rules[3] "name" must be a string',
+        'rules[3] "label" must be a list or a comma-separated string',
+        'rules[4] "dependency-type" contains unknown type "optional" (allowed: production, development, indirect)'
+      ]);
+    });
+
+    test('should be applied when validating the policy file', () => {
+      expect(validatePolicy({ rules: [{ action: 'maybe' }] })).toEqual([
+        'rules[0] "action" must be one of: allow, deny, defer'
+      ]);
+    });
+  });
+
+  describe('validateEcosystems', () => {
+    test('should accept per-ecosystem settings', () => {
+      expect(validatePolicy({
+        ecosystems: {
+          npm: { 'semver-filter': ['patch'], 'minimum-age-of-pr': 3, 'always-allow': 'glob:@types/*' },
+          'github-actions': { 'semver-filter': 'patch,minor,major' }
+        }
+      })).toEqual([]);
+    });
+
+    test('should report invalid ecosystem settings', () => {
+      const errors = validateEcosystems({
+        npm: { 'semver-filter': ['majr'], 'minimum-age-of-pr': -1, 'merge-method': 'squash' },
+        docker: ['patch']
+      });
+
+      expect(errors).toEqual([
+        '"ecosystems.npm.semver-filter[0]" contains unknown level "majr" (allowed: major, minor, patch, prerelease, post, dev, calver, digest, variant, pseudo, downgrade, unknown)',
+        '"ecosystems.npm.minimum-age-of-pr" must be a non-negative integer',
+        '"ecosystems.npm" has unknown setting "merge-method" (allowed: semver-filter, minimum-age-of-pr, always-allow, max-merges-per-run, max-merges-per-day)',
+        '"ecosystems.docker" must be a mapping of settings'
+      ]);
+      expect(validateEcosystems(['npm'])).toEqual(['"ecosystems" must be a mapping of ecosystem names to settings']);
+    });
+  });
+
+  describe('normalizeEcosystems', () => {
+    test('should use dependabot.yml ecosystem names and camelCase settings', () => {
+      expect(normalizeEcosystems({
+        npm_and_yarn: { 'semver-filter': 'patch', 'minimum-age-of-pr': 3 },
+        'GitHub-Actions': { 'always-allow': ['*'] }
+      })).toEqual({
+        npm: { semverFilter: ['patch'], minimumAgeInDays: 3 },
+        'github-actions': { alwaysAllow: ['*'] }
+      });
+    });
+
+    test('should be described by formatEcosystemSettings', () => {
+      expect(formatEcosystemSettings({ semverFilter: ['patch', 'minor'], minimumAgeInDays: 3 }))
+        .toBe('minimum-age-of-pr: 3; semver-filter: patch, minor');
+    });
+  });
+
+  describe('normalizeRules', () => {
+    test('should turn criteria into lists and name unnamed rules by position', () => {
+      expect(normalizeRules([
+        { name: 'types-major', dependency: '@types/*', semver: 'major', action: 'allow' },
+        { semver: ['patch', 'minor'], action: 'allow' }
+      ])).toEqual([
+        { name: 'types-major', dependency: ['@types/*'], semver: ['major'], action: 'allow' },
+        { name: 'rule 2', semver: ['patch', 'minor'], action: 'allow' }
+      ]);
+    });
+
+    test('should use canonical ecosystem and dependency type names', () => {
+      expect(normalizeRules([
+        { ecosystem: 'npm_and_yarn', 'dependency-type': 'direct:development', action: 'allow' }
+      ])).toEqual([
+        { name: 'rule 1', ecosystem: ['npm'], 'dependency-type': ['development'], action: 'allow' }
+      ]);
+    });
+  });
+
+  describe('resolveConfig', () => {
+    test('should fall back to defaults when nothing is configured', () => {
+      const config = resolveConfig({});
+
+      expect(config.minimumAgeInDays).toBe(0);
+      expect(config.semverFilter).toEqual(['patch', 'minor']);
+      expect(config.mergeMethod).toBe('merge');
+      expect(config.matcherMode).toBe('legacy');
+      expect(config.ignoredDependencies).toEqual([]);
+      expect(config.sources.semverFilter).toBe('default');
+      expect(config.rules).toEqual([]);
+      expect(config.sources.rules).toBe('default');
+    });
+
+    test('should read rules from the policy file only', () => {
+      const config = resolveConfig(
+        { rules: 'ignored' },
+        { rules: [{ dependency: 'lodash', action: 'deny' }] }
+      );
+
+      expect(config.rules).toEqual([{ name: 'rule 1', dependency: ['lodash'], action: 'deny' }]);
+      expect(config.sources.rules).toBe('policy file');
+    });
+
+    test('should use policy file values when inputs are empty', () => {
+      const config = resolveConfig(
+        { 'semver-filter': '', 'minimum-age-of-pr': '' },
+        { 'semver-filter': ['patch'], 'minimum-age-of-pr': 5, 'ignored-dependencies': 'react, webpack' }
+      );
+
+      expect(config.semverFilter).toEqual(['patch']);
+      expect(config.minimumAgeInDays).toBe(5);
+      expect(config.ignoredDependencies).toEqual(['react', 'webpack']);
+      expect(config.sources).toEqual(expect.objectContaining({
+        semverFilter: 'policy file',
+        minimumAgeInDays: 'policy file',
+        ignoredDependencies: 'policy file',
+        mergeMethod: 'default'
+      }));
+    });
+
+    test('should let action inputs take precedence over the policy file', () => {
+      const config = resolveConfig(
+        { 'semver-filter': 'patch,minor,major', 'merge-method': 'rebase' },
+        { 'semver-filter': ['patch'], 'merge-method': 'squash' }
+      );
+
+      expect(config.semverFilter).toEqual(['patch', 'minor', 'major']);
+      expect(config.mergeMethod).toBe('rebase');
+      expect(config.sources.semverFilter).toBe('input');
+      expect(config.sources.mergeMethod).toBe('input');
+    });
+
+    test('should not share default lists between resolved configs', () => {
+      const first = resolveConfig({});
+      first.semverFilter.push('major');
+
+      expect(resolveConfig({}).semverFilter).toEqual(['patch', 'minor']);
+    });
+  });
+
+  describe('buildFilterOptions', () => {
+    test('should include filter settings, their sources and the policy file path', () => {
+      const config = resolveConfig({ 'always-allow': 'name:aws' });
+      const filterOptions = buildFilterOptions(config, '.github/automerge-dependabot.yml');
+
+      expect(filterOptions).toEqual({
+        ignoredDependencies: [],
+        alwaysAllow: ['name:aws'],
+        alwaysAllowLabels: [],
+        ignoredVersions: [],
+        semverFilter: ['patch', 'minor'],
+        rangeFilter: ['widen'],
+        calverDependencies: [],
+        calverMaxJumpMonths: 0,
+        pseudoMaxDeltaDays: 0,
+        rules: [],
+        ecosystems: {},
+        matcherMode: 'legacy',
+        mergeOrder: 'oldest-first',
+        sources: config.sources,
+        policyFile: '.github/automerge-dependabot.yml'
+      });
+    });
+  });
+
+  describe('parsePolicy', () => {
+    test('should return the policy with its validation errors', () => {
+      expect(parsePolicy('semver-filter: [patch]\nmerge-method: squash', 'policy.yml'))
+        .toEqual({ policy: { 'semver-filter': ['patch'], 'merge-method': 'squash' }, errors: [] });
+      expect(parsePolicy('semver-filter: [majr]', 'policy.yml').errors).toEqual([
+        '"semver-filter[0]" contains unknown level "majr" (allowed: major, minor, patch, prerelease, post, dev, calver, digest, variant, pseudo, downgrade, unknown)'
+      ]);
+    });
+
+    test('should throw when the content cannot be parsed', () => {
+      expect(() => parsePolicy('semver-filter: [patch', 'policy.yml')).toThrow('Failed to parse policy file policy.yml');
+    });
+  });
+
+  describe('loadPolicyFile', () => {
+    let mockOctokit;
+
+    beforeEach(() => {
+      mockOctokit = { rest: { repos: { getContent: jest.fn() } } };
+    });
+
+    test('should load a YAML policy file from the given ref', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(contentResponse([
+        'version: 1',
+        'semver-filter: [patch]',
+        'ignored-dependencies:',
+        '  - react',
+        '  - react-dom'
+      ].join('\n')));
+
+      const policy = await loadPolicyFile(mockOctokit, 'owner', 'repo', '.github/automerge-dependabot.yml', 'main');
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        path: '.github/automerge-dependabot.yml',
+        ref: 'main'
+      });
+      expect(policy).toEqual({
+        version: 1,
+        'semver-filter': ['patch'],
+        'ignored-dependencies': ['react', 'react-dom']
+      });
+    });
+
+    test('should load a JSON policy file', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(contentResponse('{"semver-filter": "patch,minor", "minimum-age-of-pr": 2}'));
+
+      const policy = await loadPolicyFile(mockOctokit, 'owner', 'repo', 'automerge.json', 'main');
+
+      expect(policy).toEqual({ 'semver-filter': 'patch,minor', 'minimum-age-of-pr': 2 });
+    });
+
+    test('should return null when the policy file does not exist', async () => {
+      const notFound = new Error('Not Found');
+      notFound.status = 404;
+      mockOctokit.rest.repos.getContent.mockRejectedValue(notFound);
+
+      const policy = await loadPolicyFile(mockOctokit, 'owner', 'repo', '.github/automerge-dependabot.yml', 'main');
+
+      expect(policy).toBeNull();
+      expect(core.info).toHaveBeenCalledWith(expect.stringContaining('No policy file found'));
+    });
+
+    test('should throw on other API errors', async () => {
+      const forbidden = new Error('Forbidden');
+      forbidden.status = 403;
+      mockOctokit.rest.repos.getContent.mockRejectedValue(forbidden);
+
+      await expect(loadPolicyFile(mockOctokit, 'owner', 'repo', 'policy.yml', 'main'))
+        .rejects.toThrow('Failed to read policy file policy.yml: Forbidden');
+    });
+
+    test('should throw when the path is a directory', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({ data: [] });
+
+      await expect(loadPolicyFile(mockOctokit, 'owner', 'repo', '.github', 'main'))
+        .rejects.toThrow('Policy file .github is not a file');
+    });
+
+    test('should throw when the policy file cannot be parsed', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(contentResponse('semver-filter: [patch'));
+
+      await expect(loadPolicyFile(mockOctokit, 'owner', 'repo', 'policy.yml', 'main'))
+        .rejects.toThrow('Failed to parse policy file policy.yml');
+    });
+
+    test('should throw when the policy file is invalid', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(contentResponse('semver-filter: [patch, everything]'));
+
+      await expect(loadPolicyFile(mockOctokit, 'owner', 'repo', 'policy.yml', 'main'))
+        .rejects.toThrow('Invalid policy file policy.yml: "semver-filter[1]" contains unknown level "everything"');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseDockerTag, determineDockerChange, describeDockerVariantChange } from '../src/dockerTags.js';
+
+describe('Docker Tags Module', () => {
+  describe('parseDockerTag', () => {
+    test('should keep the variant suffix of a tag', () => {
+      expect(parseDockerTag('20.11-alpine')).toEqual({ tag: '20.11-alpine', digest: null, segments: [20, 11], variant: 'alpine' });
+      expect(parseDockerTag('3.12-slim-bookworm').variant).toBe('slim-bookworm');
+      expect(parseDockerTag('1.25.3').variant).toBe('');
+      expect(parseDockerTag('latest')).toEqual({ tag: 'latest', digest: null, segments: null, variant: 'latest' });
+    });
+
+    test('should parse digests with and without a tag', () => {
+      expect(parseDockerTag('20-alpine@sha256:4B3C2A1F')).toEqual({ tag: '20-alpine', digest: '4b3c2a1f', segments: [20], variant: 'alpine' });
+      expect(parseDockerTag('`6a2f5a6`')).toEqual({ tag: null, digest: '6a2f5a6', segments: null, variant: '' });
+      expect(parseDockerTag('sha256:6a2f5a6e')).toEqual({ tag: null, digest: '6a2f5a6e', segments: null, variant: '' });
+      expect(parseDockerTag('1234567').tag).toBe('1234567');
+    });
+
+    test('should return null for empty input', () => {
+      expect(parseDockerTag('')).toBeNull();
+      expect(parseDockerTag(undefined)).toBeNull();
+    });
+  });
+
+  describe('determineDockerChange', () => {
+    test('should compare the numeric part of tags with the same variant', () => {
+      expect(determineDockerChange('20.11-alpine', '20.12-alpine')).toBe('minor');
+      expect(determineDockerChange('20-alpine', '22-alpine')).toBe('major');
+      expect(determineDockerChange('1.25.3', '1.25.4')).toBe('patch');
+      expect(determineDockerChange('21-jre', '17-jre')).toBe('downgrade');
+      expect(determineDockerChange('0.3-slim', '0.4-slim', { classification: ['zero-minor-as-major'] })).toBe('major');
+    });
+
+    test('should classify variant changes', () => {
+      expect(determineDockerChange('20.11-alpine', '20.11-slim')).toBe('variant');
+      expect(determineDockerChange('20.11-alpine', '20.12')).toBe('variant');
+      expect(determineDockerChange('20.11-alpine', '20.12-alpine3.19')).toBe('variant');
+    });
+
+    test('should classify new digests of the same tag as digest changes', () => {
+      expect(determineDockerChange('`6a2f5a6`', '`a4d5ba6`')).toBe('digest');
+      expect(determineDockerChange('20-alpine@sha256:6a2f5a6e', '20-alpine@sha256:a4d5ba6c')).toBe('digest');
+      expect(determineDockerChange('20-alpine@sha256:6a2f5a6e', '20-alpine@sha256:6a2f5a6')).toBe('unknown');
+      expect(determineDockerChange('20-alpine@sha256:6a2f5a6e', '20.12-alpine@sha256:a4d5ba6c')).toBe('minor');
+    });
+
+    test('should return unknown for tags that cannot be compared', () => {
+      expect(determineDockerChange('latest', 'latest')).toBe('unknown');
+      expect(determineDockerChange('`6a2f5a6`', '20-alpine')).toBe('unknown');
+      expect(determineDockerChange('', '20-alpine')).toBe('unknown');
+    });
+  });
+
+  describe('describeDockerVariantChange', () => {
+    test('should describe variant changes only', () => {
+      expect(describeDockerVariantChange('20.11-alpine', '20.11-slim')).toBe('alpine → slim');
+      expect(describeDockerVariantChange('20.11-alpine', '20.12')).toBe('alpine → no variant');
+      expect(describeDockerVariantChange('20.11-alpine', '20.12-alpine')).toBeNull();
+      expect(describeDockerVariantChange('`6a2f5a6`', '`a4d5ba6`')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, test, expect } from '@jest/globals';
+import { canonicalEcosystem, packageManagerName, parseDependabotBranch } from '../src/ecosystems.js';
+
+describe('Ecosystems Module', () => {
+  describe('canonicalEcosystem', () => {
+    test('should map package manager names to dependabot.yml ecosystem names', () => {
+      expect(canonicalEcosystem('npm_and_yarn')).toBe('npm');
+      expect(canonicalEcosystem('github_actions')).toBe('github-actions');
+      expect(canonicalEcosystem('go_modules')).toBe('gomod');
+      expect(canonicalEcosystem('docker_compose')).toBe('docker-compose');
+      expect(canonicalEcosystem('hex')).toBe('mix');
+      expect(canonicalEcosystem('submodules')).toBe('gitsubmodule');
+    });
+
+    test('should keep ecosystem names and ignore case', () => {
+      expect(canonicalEcosystem('maven')).toBe('maven');
+      expect(canonicalEcosystem('Gradle')).toBe('gradle');
+      expect(canonicalEcosystem('github-actions')).toBe('github-actions');
+      expect(canonicalEcosystem(undefined)).toBeNull();
+    });
+  });
+
+  describe('packageManagerName', () => {
+    test('should map dependabot.yml ecosystem names to package manager names', () => {
+      expect(packageManagerName('npm')).toBe('npm_and_yarn');
+      expect(packageManagerName('gomod')).toBe('go_modules');
+      expect(packageManagerName('docker-compose')).toBe('docker_compose');
+      expect(packageManagerName('maven')).toBe('maven');
+      expect(packageManagerName(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseDependabotBranch', () => {
+    test('should parse root directory branches', () => {
+      expect(parseDependabotBranch('dependabot/npm_and_yarn/lodash-4.17.21', ['lodash'])).toEqual({
+        ecosystem: 'npm',
+        packageManager: 'npm_and_yarn',
+        directory: '/'
+      });
+    });
+
+    test('should parse the directory of the update', () => {
+      expect(parseDependabotBranch('dependabot/npm_and_yarn/frontend/lodash-4.17.21', ['lodash']).directory).toBe('/frontend');
+      expect(parseDependabotBranch('dependabot/gradle/services/api/org.slf4j-slf4j-api-2.0.9', ['org.slf4j:slf4j-api']))
+        .toEqual({ ecosystem: 'gradle', packageManager: 'gradle', directory: '/services/api' });
+    });
+
+    test('should not mistake slashes in dependency names for directories', () => {
+      expect(parseDependabotBranch('dependabot/npm_and_yarn/types/node-20.1.0', ['@types/node']).directory).toBe('/');
+      expect(parseDependabotBranch('dependabot/github_actions/actions/checkout-4.1.1', ['actions/checkout']))
+        .toEqual({ ecosystem: 'github-actions', packageManager: 'github_actions', directory: '/' });
+    });
+
+    test('should fall back to the last path segment when dependency names are unknown', () => {
+      expect(parseDependabotBranch('dependabot/docker/deploy/nginx-1.25.3').directory).toBe('/deploy');
+      expect(parseDependabotBranch('dependabot/npm_and_yarn/frontend/dev-dependencies-a1b2c3d4e5', []).directory).toBe('/frontend');
+    });
+
+    test('should return null for other branches', () => {
+      expect(parseDependabotBranch('feature/something')).toBeNull();
+      expect(parseDependabotBranch(undefined)).toBeNull();
+    });
+  });
+});
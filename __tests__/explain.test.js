@@ -0,0 +1,136 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import * as core from '../__fixtures__/core.js';
+
+jest.unstable_mockModule('@actions/core', () => core);
+
+const { explainPullRequest } = await import('../src/explain.js');
+const { setupTestEnvironment, createMockPR } = await import('./helpers/mockSetup.js');
+
+describe('Explain Module', () => {
+  let mockOctokit;
+
+  const filters = {
+    ignoredDependencies: [],
+    alwaysAllow: [],
+    alwaysAllowLabels: [],
+    ignoredVersions: [],
+    semverFilter: ['patch', 'minor'],
+    rules: []
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ({ mockOctokit } = setupTestEnvironment(core, null));
+  });
+
+  test('should report every check of a mergeable pull request', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: createMockPR({ number: 7, mergeable: true, mergeable_state: 'clean' })
+    });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [{ sha: 'abc123def', author: { login: 'dependabot[bot]' }, committer: { login: 'dependabot[bot]' } }]
+    });
+
+    const explanation = await explainPullRequest(mockOctokit, 'owner', 'repo', 7, filters, { minimumAgeInDays: 3, retryDelayMs: 0 });
+
+    expect(explanation.steps.map(s => [s.check, s.status])).toEqual([
+      ['State', 'pass'],
+      ['Author', 'pass'],
+      ['Age', 'pass'],
+      ['Mergeability', 'pass'],
+      ['Commit abc123d', 'pass'],
+      ['Checks', 'pass'],
+      ['Reviews', 'pass']
+    ]);
+    expect(explanation.dependencies).toHaveLength(1);
+    expect(explanation.dependencies[0].dependency.name).toBe('lodash');
+    expect(explanation.dependencies[0].passed).toBe(true);
+    expect(explanation.eligible).toBe(true);
+    expect(explanation.passesFilters).toBe(true);
+  });
+
+  test('should keep checking after the first failure', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: createMockPR({
+        number: 8,
+        title: 'Bump lodash from 4.17.21 to 5.0.0',
+        created_at: new Date().toISOString(),
+        mergeable: false,
+        mergeable_state: 'dirty'
+      })
+    });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [
+        { sha: 'abc123def', author: { login: 'dependabot[bot]' }, committer: { login: 'dependabot[bot]' } },
+        { sha: 'def456abc', author: { login: 'someone' }, committer: { login: 'someone' } }
+      ]
+    });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({
+      data: { state: 'failure', statuses: [{ context: 'ci/legacy', state: 'failure' }] }
+    });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({
+      data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }, { name: 'lint', status: 'in_progress', conclusion: null }] }
+    });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({
+      data: [{ user: { id: 1, login: 'reviewer' }, state: 'REQUEST_CHANGES', submitted_at: '2025-05-01T10:00:00Z' }]
+    });
+
+    const explanation = await explainPullRequest(mockOctokit, 'owner', 'repo', 8, filters, { minimumAgeInDays: 3, retryDelayMs: 0 });
+
+    expect(explanation.steps.map(s => [s.check, s.status])).toEqual([
+      ['State', 'pass'],
+      ['Author', 'pass'],
+      ['Age', 'fail'],
+      ['Mergeability', 'fail'],
+      ['Commit abc123d', 'pass'],
+      ['Commit def456a', 'fail'],
+      ['Status ci/legacy', 'fail'],
+      ['Check run build', 'pass'],
+      ['Check run lint', 'fail'],
+      ['Checks', 'fail'],
+      ['Review by reviewer', 'info'],
+      ['Reviews', 'fail']
+    ]);
+    expect(explanation.steps[2].detail).toContain('needs to be at least 3 days old');
+    expect(explanation.steps[3].detail).toBe('mergeable: false (state: dirty)');
+    expect(explanation.steps[11].detail).toBe('changes requested by reviewer');
+    expect(explanation.dependencies[0].passed).toBe(false);
+    expect(explanation.dependencies[0].steps.find(s => s.check === 'semver-filter').status).toBe('fail');
+    expect(explanation.eligible).toBe(false);
+    expect(explanation.passesFilters).toBe(false);
+  });
+
+  test('should report a label bypass and missing dependency information', async () => {
+    mockOctokit.rest.pulls.get.mockResolvedValue({
+      data: createMockPR({ number: 9, title: 'Update something', labels: [{ name: 'automerge' }], mergeable: true })
+    });
+
+    const explanation = await explainPullRequest(mockOctokit, 'owner', 'repo', 9, { ...filters, alwaysAllowLabels: ['automerge'] }, { retryDelayMs: 0 });
+
+    expect(explanation.filterSteps).toEqual([
+      { check: 'always-allow-labels', status: 'pass', detail: 'has an allowed label (bypasses all filters): automerge' }
+    ]);
+    expect(explanation.dependencies[0].steps[0]).toEqual({
+      check: 'dependency information', status: 'fail', detail: 'missing name, toVersion, semverChange'
+    });
+    expect(explanation.passesFilters).toBe(true);
+  });
+
+  test('should not report a closed, merged or draft pull request as eligible', async () => {
+    const explainState = async overrides => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: createMockPR({ number: 10, mergeable: true, mergeable_state: 'clean', ...overrides }) });
+      return explainPullRequest(mockOctokit, 'owner', 'repo', 10, filters, { retryDelayMs: 0 });
+    };
+
+    for (const [overrides, detail] of [
+      [{ state: 'closed' }, 'closed'],
+      [{ state: 'closed', merged_at: '2026-10-18T12:00:00Z' }, 'merged'],
+      [{ draft: true }, 'open, draft']
+    ]) {
+      const explanation = await explainState(overrides);
+
+      expect(explanation.steps[0]).toEqual({ check: 'State', status: 'fail', detail });
+      expect(explanation.eligible).toBe(false);
+    }
+  });
+});
@@ -3,7 +3,7 @@ import * as core from '../__fixtures__/core.js';
 
 jest.unstable_mockModule('@actions/core', () => core);
 
-const { applyFilters, shouldAlwaysAllow } = await import('../src/filters.js');
+const { applyFilters, shouldAlwaysAllow, validateDependency, explainDependency, findMatchingRule, getFilterReasons } = await import('../src/filters.js');
 
 describe('Filters Module', () => {
   beforeEach(() => {
@@ -47,11 +47,43 @@ describe('Filters Module', () => {
       expect(shouldAlwaysAllow('no.nav.appsec:package-a', ['name:package-a'])).toBe(true);
     });
 
-    test('should match packages based on prefix pattern', () => {
-      expect(shouldAlwaysAllow('no.nav.appsec:contracts', ['no.nav.appsec'])).toBe(true);
-      expect(shouldAlwaysAllow('com.example.core:utils', ['com.example'])).toBe(true);
-      expect(shouldAlwaysAllow('org.apache.maven:core', ['org'])).toBe(true);
-      expect(shouldAlwaysAllow('org.springframework:core', ['org.other'])).toBe(false);
+    test('should match packages based on prefix pattern in legacy mode', () => {
+      expect(shouldAlwaysAllow('no.nav.appsec:contracts', ['no.nav.appsec'], 'legacy')).toBe(true);
+      expect(shouldAlwaysAllow('com.example.core:utils', ['com.example'], 'legacy')).toBe(true);
+      expect(shouldAlwaysAllow('org.apache.maven:core', ['org'], 'legacy')).toBe(true);
+      expect(shouldAlwaysAllow('org.springframework:core', ['org.other'], 'legacy')).toBe(false);
+    });
+
+    test('should only match exact names for unprefixed patterns in strict mode', () => {
+      expect(shouldAlwaysAllow('react-dom', ['react'], 'strict')).toBe(false);
+      expect(shouldAlwaysAllow('react', ['react'], 'strict')).toBe(true);
+      expect(shouldAlwaysAllow('no.nav.appsec:contracts', ['no.nav.appsec'], 'strict')).toBe(false);
+    });
+
+    test('should match unprefixed patterns by prefix by default, with a deprecation warning once per pattern', () => {
+      expect(shouldAlwaysAllow('no.nav.security:contracts', ['no.nav.security'])).toBe(true);
+      expect(shouldAlwaysAllow('no.nav.security:tokens', ['no.nav.security'])).toBe(true);
+
+      expect(core.warning).toHaveBeenCalledTimes(1);
+      expect(core.warning).toHaveBeenCalledWith(
+        'always-allow entry "no.nav.security" allows "no.nav.security:contracts" by prefix. Prefix matching of entries without ' +
+        'an explicit form is deprecated: use "prefix:no.nav.security" to keep it, or set matcher-mode to \'strict\' to match exact names only.'
+      );
+    });
+
+    test('should not warn when a dependency is also allowed without prefix matching', () => {
+      expect(shouldAlwaysAllow('lodash', ['lodash'])).toBe(true);
+      expect(shouldAlwaysAllow('react-dom', ['react', 'react-dom'])).toBe(true);
+      expect(shouldAlwaysAllow('react-dom', ['react'], 'strict')).toBe(false);
+
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    test('should support explicit matcher forms', () => {
+      expect(shouldAlwaysAllow('no.nav.appsec:contracts', ['prefix:no.nav.appsec'])).toBe(true);
+      expect(shouldAlwaysAllow('@types/node', ['glob:@types/*'])).toBe(true);
+      expect(shouldAlwaysAllow('eslint-plugin-react', ['regex:^eslint-plugin-'])).toBe(true);
+      expect(shouldAlwaysAllow('react-dom', ['exact:react'], 'legacy')).toBe(false);
     });
 
     test('should handle non-semver dependencies with always-allow wildcard', () => {
@@ -378,6 +410,110 @@ describe('Filters Module', () => {
     expect(result[0].number).toBe(107);
   });
 
+  test('should not treat downgrades as unknown semver changes', () => {
+    const downgradePR = {
+      number: 110,
+      title: 'Bump some-package from 2.1.0 to 2.0.5',
+      user: { login: 'dependabot[bot]' },
+      dependencyInfo: {
+        name: 'some-package',
+        fromVersion: '2.1.0',
+        toVersion: '2.0.5',
+        semverChange: 'downgrade'
+      }
+    };
+
+    const filters = {
+      ignoredDependencies: [],
+      ignoredVersions: [],
+      alwaysAllow: [],
+      semverFilter: ['patch', 'minor', 'unknown']
+    };
+
+    expect(applyFilters([downgradePR], filters)).toEqual([]);
+    expect(getFilterReasons(110)[0].reason).toBe('Semver change "downgrade" for "some-package" is not in allowed list: patch, minor, unknown');
+
+    expect(applyFilters([downgradePR], { ...filters, semverFilter: ['patch', 'minor', 'downgrade'] })).toEqual([downgradePR]);
+  });
+
+  test('should filter out CalVer updates that jump further than allowed', () => {
+    const calverPR = (number, fromVersion, toVersion) => ({
+      number,
+      title: `Bump ubuntu from ${fromVersion} to ${toVersion}`,
+      user: { login: 'dependabot[bot]' },
+      dependencyInfo: { name: 'ubuntu', fromVersion, toVersion, semverChange: 'calver' }
+    });
+    const filters = {
+      ignoredDependencies: [],
+      ignoredVersions: [],
+      alwaysAllow: [],
+      semverFilter: ['patch', 'minor', 'calver'],
+      calverMaxJumpMonths: 12
+    };
+
+    const result = applyFilters([calverPR(111, '22.04', '22.10'), calverPR(112, '22.04', '24.04')], filters);
+
+    expect(result.map(pr => pr.number)).toEqual([111]);
+    expect(getFilterReasons(112)[0].reason).toBe('CalVer update of "ubuntu" jumps 24 months ahead (maximum: 12)');
+    expect(explainDependency(calverPR(112, '22.04', '24.04').dependencyInfo, filters).find(step => step.check === 'calver-max-jump-months')).toEqual({
+      check: 'calver-max-jump-months',
+      status: 'fail',
+      detail: 'jumps 24 months ahead (maximum: 12)'
+    });
+  });
+
+  test('should filter out requirement updates that narrow the range unless allowed', () => {
+    const requirementPR = (number, fromVersion, toVersion, rangeChange) => ({
+      number,
+      title: `Update rails requirement from ${fromVersion} to ${toVersion}`,
+      user: { login: 'dependabot[bot]' },
+      dependencyInfo: { name: 'rails', fromVersion, toVersion, semverChange: 'minor', rangeChange, requirement: true }
+    });
+    const filters = {
+      ignoredDependencies: [],
+      ignoredVersions: [],
+      alwaysAllow: [],
+      semverFilter: ['patch', 'minor'],
+      rangeFilter: ['widen']
+    };
+    const widened = requirementPR(115, '>= 6.1, < 6.2', '>= 6.1, < 6.3', 'widen');
+    const narrowed = requirementPR(116, '~> 6.1.0', '~> 6.2.0', 'narrow');
+
+    expect(applyFilters([widened, narrowed], filters).map(pr => pr.number)).toEqual([115]);
+    expect(getFilterReasons(116)[0].reason).toBe('Range change "narrow" for "rails" is not in allowed range changes: widen');
+    expect(explainDependency(narrowed.dependencyInfo, { ...filters, rangeFilter: ['widen', 'narrow'] }).find(step => step.check === 'range-filter')).toEqual({
+      check: 'range-filter',
+      status: 'pass',
+      detail: 'Range change "narrow" is in allowed range changes: widen, narrow'
+    });
+  });
+
+  test('should filter out pseudo-version updates that span more days than allowed', () => {
+    const pseudoPR = (number, toVersion) => ({
+      number,
+      title: `Bump golang.org/x/exp from v0.0.0-20231012142233-abcdef123456 to ${toVersion}`,
+      user: { login: 'dependabot[bot]' },
+      dependencyInfo: { name: 'golang.org/x/exp', fromVersion: 'v0.0.0-20231012142233-abcdef123456', toVersion, semverChange: 'pseudo' }
+    });
+    const filters = {
+      ignoredDependencies: [],
+      ignoredVersions: [],
+      alwaysAllow: [],
+      semverFilter: ['patch', 'minor', 'pseudo'],
+      pseudoMaxDeltaDays: 30
+    };
+
+    const result = applyFilters([pseudoPR(113, 'v0.0.0-20231101080000-123456abcdef'), pseudoPR(114, 'v0.0.0-20240101-123456abcdef')], filters);
+
+    expect(result.map(pr => pr.number)).toEqual([113]);
+    expect(getFilterReasons(114)[0].reason).toBe('Pseudo-version update of "golang.org/x/exp" spans 80 days of commits (maximum: 30)');
+    expect(explainDependency(pseudoPR(113, 'v0.0.0-20231101080000-123456abcdef').dependencyInfo, filters).find(step => step.check === 'pseudo-max-delta-days')).toEqual({
+      check: 'pseudo-max-delta-days',
+      status: 'pass',
+      detail: 'within 30 days'
+    });
+  });
+
   test('should properly handle combination of always-allow and semver-filter with unknown', () => {
     const testPRs = [
       {
@@ -562,12 +698,402 @@ describe('Filters Module', () => {
         ignoredDependencies: [],
         ignoredVersions: [],
         alwaysAllow: ['no.nav.appsec'],
-        semverFilter: ['patch', 'minor']
+        semverFilter: ['patch', 'minor'],
+        matcherMode: 'legacy'
       };
 
       const result = applyFilters([multiPR], filters);
       expect(result.length).toBe(1);
       expect(result[0].number).toBe(108);
     });
+
+    test('should filter out group PRs where fewer dependencies were found than the title states', () => {
+      const groupPR = {
+        number: 117,
+        title: 'Bump the npm group with 3 updates',
+        user: { login: 'dependabot[bot]' },
+        expectedDependencyCount: 3,
+        dependencyInfoList: [
+          { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch' },
+          { name: 'axios', fromVersion: '1.6.0', toVersion: '1.6.1', semverChange: 'patch' }
+        ]
+      };
+      const filters = { ignoredDependencies: [], ignoredVersions: [], semverFilter: ['patch'] };
+
+      expect(applyFilters([groupPR], filters)).toHaveLength(0);
+      expect(getFilterReasons(117)).toEqual([
+        { dependency: 'general', reason: 'Found 2 of 3 dependencies stated in the title' }
+      ]);
+      expect(applyFilters([{ ...groupPR, expectedDependencyCount: 2 }], filters)).toHaveLength(1);
+    });
+
+    test('should record the directory of a dependency updated in several directories', () => {
+      const groupPR = {
+        number: 119,
+        title: 'Bump the npm group across 2 directories with 1 update',
+        user: { login: 'dependabot[bot]' },
+        dependencyInfoList: [
+          { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch', directory: '/frontend' },
+          { name: 'lodash', fromVersion: '3.10.1', toVersion: '4.17.21', semverChange: 'major', directory: '/backend' }
+        ]
+      };
+
+      expect(applyFilters([groupPR], { ignoredDependencies: [], ignoredVersions: [], semverFilter: ['patch'] })).toHaveLength(0);
+      expect(getFilterReasons(119)).toEqual([
+        { dependency: 'lodash', reason: 'Semver change "major" for "lodash" is not in allowed list: patch', directory: '/backend' }
+      ]);
+    });
+
+    test('should only check removed dependencies against the ignored dependencies', () => {
+      const groupPR = {
+        number: 118,
+        title: 'Bump the npm group with 2 updates',
+        user: { login: 'dependabot[bot]' },
+        expectedDependencyCount: 2,
+        dependencyInfoList: [
+          { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch' },
+          { name: 'left-pad', fromVersion: null, toVersion: null, semverChange: null, removed: true }
+        ]
+      };
+      const filters = { ignoredDependencies: [], ignoredVersions: [], semverFilter: ['patch'] };
+
+      expect(applyFilters([groupPR], filters)).toHaveLength(1);
+      expect(applyFilters([groupPR], { ...filters, ignoredDependencies: ['left-pad'] })).toHaveLength(0);
+      expect(explainDependency(groupPR.dependencyInfoList[1], filters)).toEqual([
+        { check: 'dependency information', status: 'pass', detail: 'removed by the update' },
+        { check: 'ignored-dependencies', status: 'pass', detail: 'not ignored' }
+      ]);
+    });
+  });
+
+  describe('Matcher syntax in dependency lists', () => {
+    const baseFilters = {
+      ignoredDependencies: [],
+      ignoredVersions: [],
+      alwaysAllow: [],
+      semverFilter: ['patch', 'minor', 'major']
+    };
+
+    const dependency = (name, toVersion = '7.0.0') => ({
+      name,
+      fromVersion: '6.0.0',
+      toVersion,
+      semverChange: 'major'
+    });
+
+    test('should ignore dependencies matching a glob pattern', () => {
+      const filters = { ...baseFilters, ignoredDependencies: ['glob:@aws-sdk/*'] };
+
+      expect(validateDependency(900, dependency('@aws-sdk/client-s3'), filters)).toBe(false);
+      expect(validateDependency(900, dependency('aws-sdk'), filters)).toBe(true);
+      expect(getFilterReasons(900)).toEqual([
+        { dependency: '@aws-sdk/client-s3', reason: 'Dependency "@aws-sdk/client-s3" is in ignored list' }
+      ]);
+    });
+
+    test('should ignore dependencies matching a regex pattern', () => {
+      const filters = { ...baseFilters, ignoredDependencies: ['regex:^eslint(-|$)'] };
+
+      expect(validateDependency(901, dependency('eslint-config-prettier'), filters)).toBe(false);
+      expect(validateDependency(901, dependency('eslint'), filters)).toBe(false);
+      expect(validateDependency(901, dependency('typescript-eslint'), filters)).toBe(true);
+    });
+
+    test('should parse scoped package names in ignored versions', () => {
+      const filters = { ...baseFilters, ignoredVersions: ['@babel/core@7.0.0'] };
+
+      expect(validateDependency(902, dependency('@babel/core', '7.0.0'), filters)).toBe(false);
+      expect(validateDependency(902, dependency('@babel/core', '7.0.1'), filters)).toBe(true);
+      expect(getFilterReasons(902)).toEqual([
+        { dependency: '@babel/core', reason: 'Version "@babel/core@7.0.0" is in ignored list' }
+      ]);
+    });
+
+    test('should ignore all versions of a scoped package without a version', () => {
+      const filters = { ...baseFilters, ignoredVersions: ['@babel/core'] };
+
+      expect(validateDependency(903, dependency('@babel/core', '7.1.0'), filters)).toBe(false);
+    });
+
+    test('should support matcher patterns in ignored versions', () => {
+      const filters = { ...baseFilters, ignoredVersions: ['glob:@types/*@*'] };
+
+      expect(validateDependency(904, dependency('@types/node', '20.0.0'), filters)).toBe(false);
+      expect(validateDependency(904, dependency('typescript', '5.0.0'), filters)).toBe(true);
+    });
+
+    test('should ignore versions matching a semver range', () => {
+      const filters = { ...baseFilters, ignoredVersions: ['lodash@>=5.0.0', 'spring-boot@^3'] };
+
+      expect(validateDependency(906, dependency('lodash', '5.1.0'), filters)).toBe(false);
+      expect(validateDependency(906, dependency('lodash', '4.17.21'), filters)).toBe(true);
+      expect(validateDependency(906, dependency('spring-boot', '3.2.1.RELEASE'), filters)).toBe(false);
+      expect(validateDependency(906, dependency('spring-boot', '4.0.0'), filters)).toBe(true);
+      expect(getFilterReasons(906)).toEqual([
+        { dependency: 'lodash', reason: 'Version "lodash@5.1.0" matches ignored range ">=5.0.0"' },
+        { dependency: 'spring-boot', reason: 'Version "spring-boot@3.2.1.RELEASE" matches ignored range "^3"' }
+      ]);
+    });
+
+    test('should support range unions and prerelease wildcards', () => {
+      const filters = { ...baseFilters, ignoredVersions: ['axios@<1.7.0 || 2.0.0-beta.x'] };
+
+      expect(validateDependency(907, dependency('axios', '1.6.8'), filters)).toBe(false);
+      expect(validateDependency(907, dependency('axios', '2.0.0-beta.3'), filters)).toBe(false);
+      expect(validateDependency(907, dependency('axios', '1.7.2'), filters)).toBe(true);
+      expect(validateDependency(907, dependency('axios', '2.0.0'), filters)).toBe(true);
+    });
+
+    test('should keep matching non-semver versions exactly', () => {
+      const filters = { ...baseFilters, ignoredVersions: ['actions/checkout@abc1234'] };
+
+      expect(validateDependency(908, dependency('actions/checkout', 'abc1234'), filters)).toBe(false);
+      expect(validateDependency(908, dependency('actions/checkout', 'def5678'), filters)).toBe(true);
+      expect(getFilterReasons(908)).toEqual([
+        { dependency: 'actions/checkout', reason: 'Version "actions/checkout@abc1234" is in ignored list' }
+      ]);
+    });
+
+    test('should only allow exact names in strict mode and prefixes in legacy mode', () => {
+      const filters = { ...baseFilters, semverFilter: ['patch'], alwaysAllow: ['react'] };
+
+      expect(validateDependency(905, dependency('react-dom'), { ...filters, matcherMode: 'strict' })).toBe(false);
+      expect(validateDependency(905, dependency('react-dom'), { ...filters, matcherMode: 'legacy' })).toBe(true);
+    });
+  });
+
+  describe('Ecosystem settings', () => {
+    const filters = {
+      ignoredDependencies: [],
+      ignoredVersions: [],
+      alwaysAllow: [],
+      semverFilter: ['patch', 'minor'],
+      ecosystems: {
+        'github-actions': { semverFilter: ['patch', 'minor', 'major'] },
+        docker: { semverFilter: ['patch'] },
+        gradle: { alwaysAllow: ['prefix:no.nav'] }
+      }
+    };
+
+    const dependency = (name, semverChange, ecosystem) => ({
+      name,
+      fromVersion: '1.0.0',
+      toVersion: '2.0.0',
+      semverChange,
+      ecosystem
+    });
+
+    test('should use the semver filter of the dependency ecosystem', () => {
+      expect(validateDependency(950, dependency('actions/checkout', 'major', 'github-actions'), filters)).toBe(true);
+      expect(validateDependency(950, dependency('nginx', 'minor', 'docker'), filters)).toBe(false);
+      expect(getFilterReasons(950)).toEqual([
+        { dependency: 'nginx', reason: 'Semver change "minor" for "nginx" is not in allowed list for docker: patch' }
+      ]);
+    });
+
+    test('should fall back to the global settings for other ecosystems', () => {
+      expect(validateDependency(951, dependency('lodash', 'minor', 'npm'), filters)).toBe(true);
+      expect(validateDependency(951, dependency('lodash', 'major', 'npm'), filters)).toBe(false);
+      expect(validateDependency(951, dependency('lodash', 'major', undefined), filters)).toBe(false);
+    });
+
+    test('should use the always-allow list of the dependency ecosystem', () => {
+      expect(validateDependency(952, dependency('no.nav:lib', 'major', 'gradle'), filters)).toBe(true);
+      expect(validateDependency(952, dependency('no.nav:lib', 'major', 'maven'), filters)).toBe(false);
+    });
+  });
+
+  describe('Policy rules', () => {
+    const baseFilters = {
+      ignoredDependencies: [],
+      ignoredVersions: [],
+      alwaysAllow: [],
+      semverFilter: ['patch']
+    };
+
+    const rules = [
+      { name: 'types-major', dependency: ['@types/*'], semver: ['major'], action: 'allow' },
+      { name: 'spring-minor', dependency: ['org.springframework.boot:*'], semver: ['minor'], action: 'deny' },
+      { name: 'patches', semver: ['patch'], action: 'allow' }
+    ];
+
+    test('should return the first matching rule', () => {
+      expect(findMatchingRule({ name: '@types/node', semverChange: 'major' }, rules).name).toBe('types-major');
+      expect(findMatchingRule({ name: 'org.springframework.boot:spring-boot-starter-web', semverChange: 'minor' }, rules).name).toBe('spring-minor');
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'patch' }, rules).name).toBe('patches');
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'minor' }, rules)).toBeNull();
+    });
+
+    test('should require all criteria of a rule to match', () => {
+      const ecosystemRules = [
+        { name: 'npm-frontend', ecosystem: ['npm'], directory: ['/frontend*'], action: 'allow' }
+      ];
+
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'major', ecosystem: 'npm', directory: '/frontend/app' }, ecosystemRules)).not.toBeNull();
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'major', ecosystem: 'NPM', directory: '/frontend' }, ecosystemRules)).not.toBeNull();
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'major', ecosystem: 'npm', directory: '/backend' }, ecosystemRules)).toBeNull();
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'major', directory: '/frontend' }, ecosystemRules)).toBeNull();
+    });
+
+    test('should match label rules against the PR labels case-insensitively', () => {
+      const labelRules = [{ name: 'security', label: ['Security'], action: 'allow' }];
+
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'major' }, labelRules, [{ name: 'security' }])).not.toBeNull();
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'major' }, labelRules, [{ name: 'dependencies' }])).toBeNull();
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'major' }, labelRules)).toBeNull();
+    });
+
+    test('should match dependency type rules against the commit metadata', () => {
+      const typeRules = [
+        { name: 'dev-majors', 'dependency-type': ['development'], semver: ['major'], action: 'allow' },
+        { name: 'prod-majors', 'dependency-type': ['direct:production'], semver: ['major'], action: 'deny' }
+      ];
+
+      expect(findMatchingRule({ name: 'jest', semverChange: 'major', dependencyType: 'development' }, typeRules).name).toBe('dev-majors');
+      expect(findMatchingRule({ name: 'express', semverChange: 'major', dependencyType: 'production' }, typeRules).name).toBe('prod-majors');
+      expect(findMatchingRule({ name: 'debug', semverChange: 'major', dependencyType: 'indirect' }, typeRules)).toBeNull();
+      expect(findMatchingRule({ name: 'lodash', semverChange: 'major' }, typeRules)).toBeNull();
+    });
+
+    test('should allow a dependency when an allow rule matches, bypassing the semver filter', () => {
+      const dependencyInfo = { name: '@types/node', fromVersion: '18.0.0', toVersion: '20.0.0', semverChange: 'major' };
+
+      expect(validateDependency(301, dependencyInfo, { ...baseFilters, rules })).toBe(true);
+      expect(getFilterReasons(301)).toEqual([
+        { dependency: '@types/node', reason: 'Allowed by rule "types-major" (major change)', rule: 'types-major' }
+      ]);
+    });
+
+    test('should deny a dependency when a deny rule matches, even if the semver filter allows it', () => {
+      const dependencyInfo = { name: 'org.springframework.boot:spring-boot-starter-web', fromVersion: '3.3.0', toVersion: '3.4.0', semverChange: 'minor' };
+
+      expect(validateDependency(302, dependencyInfo, { ...baseFilters, semverFilter: ['patch', 'minor'], rules })).toBe(false);
+      expect(getFilterReasons(302)).toEqual([
+        {
+          dependency: 'org.springframework.boot:spring-boot-starter-web',
+          reason: 'Denied by rule "spring-minor" (minor change)',
+          rule: 'spring-minor'
+        }
+      ]);
+    });
+
+    test('should stop at a defer rule and fall through to the default filters', () => {
+      const deferRules = [
+        { name: 'react-defer', dependency: ['react'], action: 'defer' },
+        { name: 'allow-all', action: 'allow' }
+      ];
+      const majorReact = { name: 'react', fromVersion: '17.0.0', toVersion: '18.0.0', semverChange: 'major' };
+      const patchReact = { name: 'react', fromVersion: '18.0.0', toVersion: '18.0.1', semverChange: 'patch' };
+
+      expect(validateDependency(303, majorReact, { ...baseFilters, rules: deferRules })).toBe(false);
+      expect(getFilterReasons(303)).toEqual([
+        { dependency: 'react', reason: 'Deferred by rule "react-defer" to the default filters', rule: 'react-defer' },
+        { dependency: 'react', reason: 'Semver change "major" for "react" is not in allowed list: patch' }
+      ]);
+
+      expect(validateDependency(304, patchReact, { ...baseFilters, rules: deferRules })).toBe(true);
+    });
+
+    test('should keep ignored dependencies blocked even when an allow rule matches', () => {
+      const dependencyInfo = { name: 'react', fromVersion: '18.0.0', toVersion: '18.0.1', semverChange: 'patch' };
+
+      expect(validateDependency(305, dependencyInfo, { ...baseFilters, ignoredDependencies: ['react'], rules })).toBe(false);
+      expect(getFilterReasons(305)).toEqual([
+        { dependency: 'react', reason: 'Dependency "react" is in ignored list' }
+      ]);
+    });
+
+    test('should apply the CalVer, range and pseudo-version limits before rules and always-allow', () => {
+      const calver = { name: 'ubuntu', fromVersion: '22.04', toVersion: '24.04', semverChange: 'calver' };
+      const narrowed = { name: 'rails', fromVersion: '~> 6.1.0', toVersion: '~> 6.2.0', semverChange: 'minor', rangeChange: 'narrow', requirement: true };
+      const pseudo = { name: 'golang.org/x/exp', fromVersion: 'v0.0.0-20231012142233-abcdef123456', toVersion: 'v0.0.0-20240101-123456abcdef', semverChange: 'pseudo' };
+      const allowAll = [{ name: 'allow-all', action: 'allow' }];
+
+      expect(validateDependency(307, calver, { ...baseFilters, calverMaxJumpMonths: 12, rules: allowAll })).toBe(false);
+      expect(getFilterReasons(307)).toEqual([
+        { dependency: 'ubuntu', reason: 'CalVer update of "ubuntu" jumps 24 months ahead (maximum: 12)' }
+      ]);
+      expect(validateDependency(308, calver, { ...baseFilters, calverMaxJumpMonths: 12, alwaysAllow: ['ubuntu'] })).toBe(false);
+      expect(validateDependency(309, narrowed, { ...baseFilters, rangeFilter: ['widen'], alwaysAllow: ['rails'] })).toBe(false);
+      expect(validateDependency(310, pseudo, { ...baseFilters, pseudoMaxDeltaDays: 30, rules: allowAll })).toBe(false);
+
+      expect(explainDependency(calver, { ...baseFilters, calverMaxJumpMonths: 12, rules: allowAll }).map(step => step.check))
+        .toEqual(['dependency information', 'ignored-dependencies', 'ignored-versions', 'calver-max-jump-months', 'rules', 'always-allow', 'semver-filter']);
+    });
+
+    test('should apply rules to every dependency of a multi-dependency PR', () => {
+      const groupPR = {
+        number: 306,
+        title: 'Bump the npm group with 3 updates',
+        user: { login: 'dependabot[bot]' },
+        labels: [],
+        dependencyInfoList: [
+          { name: '@types/node', fromVersion: '18.0.0', toVersion: '20.0.0', semverChange: 'major' },
+          { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch' },
+          { name: 'org.springframework.boot:spring-boot', fromVersion: '3.3.0', toVersion: '3.4.0', semverChange: 'minor' }
+        ]
+      };
+
+      expect(applyFilters([groupPR], { ...baseFilters, rules })).toHaveLength(0);
+      expect(applyFilters([{ ...groupPR, number: 307, dependencyInfoList: groupPR.dependencyInfoList.slice(0, 2) }], { ...baseFilters, rules })).toHaveLength(1);
+    });
+  });
+
+  describe('explainDependency', () => {
+    const filters = {
+      ignoredDependencies: ['webpack'],
+      alwaysAllow: [],
+      ignoredVersions: ['lodash@>=5.0.0'],
+      semverFilter: ['patch'],
+      rules: [{ name: 'no lodash majors', action: 'deny', dependency: ['lodash'], semver: ['major'] }]
+    };
+
+    test('should mark the filters after a failing filter as not evaluated', () => {
+      const steps = explainDependency({ name: 'lodash', fromVersion: '4.17.21', toVersion: '5.0.0', semverChange: 'major' }, filters);
+
+      expect(steps).toEqual([
+        { check: 'dependency information', status: 'pass', detail: 'complete' },
+        { check: 'ignored-dependencies', status: 'pass', detail: 'not ignored' },
+        { check: 'ignored-versions', status: 'fail', detail: 'Version "lodash@5.0.0" matches ignored range ">=5.0.0"' },
+        { check: 'rules', status: 'info', detail: 'not evaluated (rejected by ignored-versions)' },
+        { check: 'always-allow', status: 'info', detail: 'not evaluated (rejected by ignored-versions)' },
+        { check: 'semver-filter', status: 'info', detail: 'not evaluated (rejected by ignored-versions)' }
+      ]);
+    });
+
+    test('should mark the filters after a deciding rule as not evaluated', () => {
+      const steps = explainDependency({ name: 'lodash', fromVersion: '3.10.1', toVersion: '4.0.0', semverChange: 'major' }, filters);
+
+      expect(steps.slice(3)).toEqual([
+        { check: 'rules', status: 'fail', detail: 'Denied by rule "no lodash majors"' },
+        { check: 'always-allow', status: 'info', detail: 'not evaluated (decided by rule "no lodash majors")' },
+        { check: 'semver-filter', status: 'info', detail: 'not evaluated (decided by rule "no lodash majors")' }
+      ]);
+
+      const allowRules = [{ name: 'types', action: 'allow', dependency: ['@types/*'] }];
+      const allowed = explainDependency({ name: '@types/node', fromVersion: '18.0.0', toVersion: '20.0.0', semverChange: 'major' }, { ...filters, rules: allowRules });
+      expect(allowed.map(s => s.status)).toEqual(['pass', 'pass', 'pass', 'pass', 'info', 'info']);
+      expect(allowed[5].detail).toBe('not evaluated (decided by rule "types")');
+    });
+
+    test('should report passing filters and always-allow matches', () => {
+      const steps = explainDependency(
+        { name: 'react', fromVersion: '18.2.0', toVersion: '18.3.0', semverChange: 'minor' },
+        { ...filters, alwaysAllow: ['react*'], matcherMode: 'strict' }
+      );
+
+      expect(steps.map(s => s.status)).toEqual(['pass', 'pass', 'pass', 'info', 'pass', 'info']);
+      expect(steps[3].detail).toBe('no rule matched');
+      expect(steps[4].detail).toBe('matches "react*" (bypasses the semver filter)');
+      expect(steps[5].detail).toBe('not evaluated (bypassed by always-allow)');
+      expect(validateDependency(1001, { name: 'react', toVersion: '18.3.0', semverChange: 'minor' }, { ...filters, alwaysAllow: ['react*'], matcherMode: 'strict' })).toBe(true);
+    });
+
+    test('should report missing dependency information', () => {
+      const steps = explainDependency({ name: 'webpack', fromVersion: '5.0.0' }, filters);
+
+      expect(steps[0]).toEqual({ check: 'dependency information', status: 'fail', detail: 'missing toVersion, semverChange' });
+      expect(steps[1]).toEqual({ check: 'ignored-dependencies', status: 'info', detail: 'not evaluated (rejected by dependency information)' });
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,91 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseGoVersion,
+  modulePathMajor,
+  determineGoChange,
+  pseudoVersionDeltaDays,
+  describePseudoVersionChange
+} from '../src/goModules.js';
+
+describe('Go Modules Module', () => {
+  describe('parseGoVersion', () => {
+    test('should parse the commit time and revision of pseudo-versions', () => {
+      expect(parseGoVersion('v0.0.0-20231012142233-abcdef123456').pseudo).toEqual({
+        time: new Date('2023-10-12T14:22:33Z'),
+        revision: 'abcdef123456'
+      });
+      expect(parseGoVersion('v1.2.4-0.20231012142233-abcdef123456').pseudo.revision).toBe('abcdef123456');
+      expect(parseGoVersion('v1.3.0-rc.1.0.20231012142233-abcdef123456').pseudo).not.toBeNull();
+      expect(parseGoVersion('v0.0.0-20231012-abcdef123456').pseudo.time).toEqual(new Date('2023-10-12T00:00:00Z'));
+      expect(parseGoVersion('v1.2.3').pseudo).toBeNull();
+      expect(parseGoVersion('v1.2.3-rc.1').pseudo).toBeNull();
+    });
+
+    test('should recognize +incompatible versions', () => {
+      expect(parseGoVersion('v2.3.0+incompatible').incompatible).toBe(true);
+      expect(parseGoVersion('v2.3.0').incompatible).toBe(false);
+    });
+
+    test('should return null for invalid versions', () => {
+      expect(parseGoVersion('v1.2')).toBeNull();
+      expect(parseGoVersion(undefined)).toBeNull();
+    });
+  });
+
+  describe('modulePathMajor', () => {
+    test('should read the major version suffix of module paths', () => {
+      expect(modulePathMajor('github.com/go-chi/chi/v5')).toBe(5);
+      expect(modulePathMajor('gopkg.in/yaml.v3')).toBe(3);
+      expect(modulePathMajor('github.com/stretchr/testify')).toBeNull();
+      expect(modulePathMajor('github.com/foo/v2/bar')).toBeNull();
+    });
+  });
+
+  describe('determineGoChange', () => {
+    test('should classify updates to pseudo-versions as pseudo changes', () => {
+      expect(determineGoChange('v0.0.0-20231012-abcdef123456', 'v0.0.0-20240101-123456abcdef')).toBe('pseudo');
+      expect(determineGoChange('v1.2.3', 'v1.2.4-0.20240101120000-123456abcdef')).toBe('pseudo');
+      expect(determineGoChange('v0.0.0-20240101-123456abcdef', 'v0.0.0-20231012-abcdef123456')).toBe('downgrade');
+    });
+
+    test('should classify updates from a pseudo-version to a release by the version numbers', () => {
+      expect(determineGoChange('v0.0.0-20231012-abcdef123456', 'v0.1.0')).toBe('minor');
+      expect(determineGoChange('v1.2.4-0.20231012142233-abcdef123456', 'v1.2.4')).toBe('patch');
+    });
+
+    test('should compare +incompatible versions as the versions they are', () => {
+      expect(determineGoChange('v2.3.0+incompatible', 'v2.4.0+incompatible')).toBe('minor');
+      expect(determineGoChange('v2.3.0+incompatible', 'v3.0.0+incompatible')).toBe('major');
+      expect(determineGoChange('v2.3.0+incompatible', 'v2.3.0+incompatible')).toBe('unknown');
+    });
+
+    test('should check the versions against the major version suffix of the module path', () => {
+      expect(determineGoChange('v5.0.10', 'v5.1.0', { name: 'github.com/go-chi/chi/v5' })).toBe('minor');
+      expect(determineGoChange('v3.0.1', 'v3.0.2', { name: 'gopkg.in/yaml.v3' })).toBe('patch');
+      expect(determineGoChange('v5.0.10', 'v6.0.0', { name: 'github.com/go-chi/chi/v5' })).toBe('unknown');
+      expect(determineGoChange('v1.9.0', 'v2.0.0', { name: 'github.com/stretchr/testify' })).toBe('unknown');
+      expect(determineGoChange('v2.3.0+incompatible', 'v3.0.0+incompatible', { name: 'github.com/docker/docker' })).toBe('major');
+    });
+
+    test('should apply the classification rules', () => {
+      expect(determineGoChange('v0.3.0', 'v0.4.0', { classification: ['zero-minor-as-major'] })).toBe('major');
+      expect(determineGoChange('v1.2.3', 'v1.3.0-rc.1')).toBe('prerelease');
+      expect(determineGoChange('v1.2.3', 'v1.3.0-rc.1', { classification: ['prerelease-as-release'] })).toBe('minor');
+    });
+  });
+
+  describe('pseudoVersionDeltaDays', () => {
+    test('should count the days between the commits of two pseudo-versions', () => {
+      expect(pseudoVersionDeltaDays('v0.0.0-20231012-abcdef123456', 'v0.0.0-20240101-123456abcdef')).toBe(81);
+      expect(pseudoVersionDeltaDays('v0.0.0-20231012-abcdef123456', 'v0.1.0')).toBeNull();
+    });
+  });
+
+  describe('describePseudoVersionChange', () => {
+    test('should describe the commits of a pseudo-version update', () => {
+      expect(describePseudoVersionChange('v0.0.0-20231012-abcdef123456', 'v0.0.0-20240101-123456abcdef'))
+        .toBe('abcdef123456 → 123456abcdef, 81 days newer');
+      expect(describePseudoVersionChange('v1.2.3', 'v1.2.4')).toBeNull();
+    });
+  });
+});
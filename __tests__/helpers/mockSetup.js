@@ -16,12 +16,15 @@ function createMockOctokit() {
       },
       repos: {
         getCombinedStatusForRef: jest.fn(),
-        get: jest.fn()
+        get: jest.fn(),
+        getContent: jest.fn()
       },
       checks: {
         listForRef: jest.fn()
       }
-    }
+    },
+    // No merge queues, auto-merge or merge queue entries
+    graphql: jest.fn().mockResolvedValue({ repository: { mergeQueue: null } })
   };
 }
 
@@ -102,6 +105,8 @@ function createMockPR(overrides = {}) {
   const defaultPR = {
     number: 1,
     title: 'Bump lodash from 4.17.20 to 4.17.21',
+    state: 'open',
+    draft: false,
     user: { login: 'dependabot[bot]' },
     head: { ref: 'dependabot/npm_and_yarn/lodash-4.17.21', sha: 'abc123' },
     created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
@@ -11,6 +11,7 @@ jest.unstable_mockModule('../src/summary.js', () => ({
 }));
 
 const { run } = await import('../src/index.js');
+const { getFilterReasons } = await import('../src/filters.js');
 
 describe('run', () => {
   const mockOctokit = {
@@ -22,16 +23,26 @@ describe('run', () => {
         listCommits: jest.fn(),
         listReviews: jest.fn(),
         createReview: jest.fn(),
-        updateBranch: jest.fn()
+        updateBranch: jest.fn(),
+        listFiles: jest.fn()
       },
       repos: {
         getCombinedStatusForRef: jest.fn(),
-        get: jest.fn()
+        get: jest.fn(),
+        getContent: jest.fn()
       },
       checks: {
         listForRef: jest.fn()
+      },
+      users: {
+        getAuthenticated: jest.fn()
+      },
+      search: {
+        issuesAndPullRequests: jest.fn()
       }
-    }
+    },
+    graphql: jest.fn(),
+    paginate: jest.fn((method, params) => method(params).then(({ data }) => data.items))
   };
 
   // Default input values
@@ -49,6 +60,8 @@ describe('run', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    // GraphQL (merge queues, auto-merge) returns nothing unless a test sets it up
+    mockOctokit.graphql.mockReset();
 
     // Set up GitHub context and octokit
     github.context.repo = { owner: 'owner', repo: 'repo' };
@@ -373,7 +386,7 @@ describe('run', () => {
     process.env = originalEnv;
   });
   
-  test('should warn when merge queue is required but method is not merge', async () => {
+  test('should report a failed merge without merge-method advice', async () => {
     // Setup mocks to correctly pass through findMergeablePRs
     mockOctokit.rest.pulls.list.mockResolvedValue({
       data: [
@@ -403,15 +416,157 @@ describe('run', () => {
     
     const result = await run();
     
-    // Should detect merge queue error and warn about it
+    // Merge queues are detected before merging, so the error is reported as a failed merge
     expect(mockOctokit.rest.pulls.merge).toHaveBeenCalled();
-    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('may require a merge queue, but merge method is set to'));
-    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('change the \'merge-method\' input to \'merge\''));
+    expect(core.warning).toHaveBeenCalledWith('Failed to merge PR #1: Pull request requires merge queue');
+    expect(core.warning).not.toHaveBeenCalledWith(expect.stringContaining('merge-method'));
 
     expect(result).toBe(0);
     expect(core.setOutput).toHaveBeenCalledWith('merged-pr-count', 0);
   });
   
+  describe('Policy file', () => {
+    const policyResponse = text => ({
+      data: { type: 'file', encoding: 'base64', content: Buffer.from(text, 'utf8').toString('base64') }
+    });
+
+    beforeEach(() => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 1,
+            title: 'Bump lodash from 4.16.0 to 4.17.0',
+            user: { login: 'dependabot[bot]' },
+            created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+            head: { sha: 'abc123' }
+          }
+        ]
+      });
+    });
+
+    test('should not read a policy file when config-file is empty', async () => {
+      await run();
+
+      expect(mockOctokit.rest.repos.getContent).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.merge).toHaveBeenCalled();
+    });
+
+    test('should apply settings from the policy file on the default branch', async () => {
+      core.getInput.mockImplementation(name => ({ ...defaultInputs, 'config-file': '.github/automerge-dependabot.yml' })[name] || '');
+      mockOctokit.rest.repos.getContent.mockResolvedValue(policyResponse('semver-filter: [patch]\nmerge-method: squash\n'));
+
+      const result = await run();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        path: '.github/automerge-dependabot.yml',
+        ref: 'main'
+      });
+      expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+      expect(result).toBe(0);
+
+      const filters = mockAddWorkflowSummary.mock.calls[0][3];
+      expect(filters.semverFilter).toEqual(['patch']);
+      expect(filters.sources.semverFilter).toBe('policy file');
+      expect(filters.policyFile).toBe('.github/automerge-dependabot.yml');
+    });
+
+    test('should let action inputs override the policy file', async () => {
+      core.getInput.mockImplementation(name => ({
+        ...defaultInputs,
+        'config-file': '.github/automerge-dependabot.yml',
+        'semver-filter': 'patch,minor'
+      })[name] || '');
+      mockOctokit.rest.repos.getContent.mockResolvedValue(policyResponse('semver-filter: [patch]\nmerge-method: squash\n'));
+
+      const result = await run();
+
+      expect(result).toBe(1);
+      expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({
+        pull_number: 1,
+        merge_method: 'merge'
+      }));
+
+      const filters = mockAddWorkflowSummary.mock.calls[0][3];
+      expect(filters.sources.semverFilter).toBe('input');
+    });
+
+    test('should use the policy file merge method when the input is not set', async () => {
+      core.getInput.mockImplementation(name => ({
+        ...defaultInputs,
+        'config-file': '.github/automerge-dependabot.yml',
+        'merge-method': ''
+      })[name] || '');
+      mockOctokit.rest.repos.getContent.mockResolvedValue(policyResponse('merge-method: squash\n'));
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({
+        merge_method: 'squash'
+      }));
+    });
+
+    test('should run with inputs only when the policy file does not exist', async () => {
+      core.getInput.mockImplementation(name => ({ ...defaultInputs, 'config-file': '.github/automerge-dependabot.yml' })[name] || '');
+      mockOctokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+      const result = await run();
+
+      expect(result).toBe(1);
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockAddWorkflowSummary.mock.calls[0][3].policyFile).toBeNull();
+    });
+
+    test('should fail the run when the policy file is invalid', async () => {
+      core.getInput.mockImplementation(name => ({ ...defaultInputs, 'config-file': '.github/automerge-dependabot.yml' })[name] || '');
+      mockOctokit.rest.repos.getContent.mockResolvedValue(policyResponse('semver-filter: [patch]\nautomerge-everything: true\n'));
+
+      const result = await run();
+
+      expect(result).toBe(0);
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Unknown setting "automerge-everything"'));
+      expect(mockOctokit.rest.pulls.list).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Config validation', () => {
+    const invalidInputs = { ...defaultInputs, 'blackout-periods': 'Sat, Dec 32-Jan 5', 'semver-filter': 'patch, majr' };
+
+    test('should warn about invalid inputs and continue by default', async () => {
+      core.getInput.mockImplementation(name => invalidInputs[name] || '');
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith('Invalid configuration: "semver-filter[1]" contains unknown level "majr" (allowed: major, minor, patch, prerelease, post, dev, calver, digest, variant, pseudo, downgrade, unknown)');
+      expect(core.warning).toHaveBeenCalledWith('Invalid configuration: blackout-periods[1] "Dec 32-Jan 5": day 32 is not valid for Dec');
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.list).toHaveBeenCalled();
+    });
+
+    test('should fail the run on any invalid input when strict-config is enabled', async () => {
+      core.getInput.mockImplementation(name => ({ ...invalidInputs, 'strict-config': 'true' })[name] || '');
+
+      const result = await run();
+
+      expect(result).toBe(0);
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('blackout-periods[1] "Dec 32-Jan 5": day 32 is not valid for Dec'));
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('"semver-filter[1]" contains unknown level "majr"'));
+      expect(mockOctokit.rest.pulls.list).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    });
+
+    test('should run normally with strict-config when all inputs are valid', async () => {
+      core.getInput.mockImplementation(name => ({ ...defaultInputs, 'strict-config': 'true' })[name] || '');
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.merge).toHaveBeenCalled();
+    });
+  });
+
   describe('Multi-dependency PR handling', () => {
     test('should attempt to merge eligible multi-dependency pull requests', async () => {
       // Setup mock for a multi-dependency PR
@@ -1270,4 +1425,466 @@ describe('run', () => {
       expect(result).toBe(1);
     });
   });
+
+  describe('merge-strategy auto-merge', () => {
+    beforeEach(() => {
+      core.getInput.mockImplementation(name => {
+        if (name === 'merge-strategy') return 'auto-merge';
+        if (name === 'merge-method') return 'squash';
+        return defaultInputs[name] || '';
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{
+          number: 1,
+          node_id: 'PR_node1',
+          title: 'Bump lodash from 4.17.20 to 4.17.21',
+          user: { login: 'dependabot[bot]' },
+          created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+          head: { sha: 'abc123' }
+        }]
+      });
+      mockOctokit.graphql.mockResolvedValue({});
+      // The GITHUB_TOKEN cannot read the authenticated user; the action acts as github-actions[bot]
+      mockOctokit.rest.users.getAuthenticated.mockRejectedValue(new Error('Resource not accessible by integration'));
+    });
+
+    const enabledBy = login => ({ merge_method: 'squash', enabled_by: { login } });
+
+    test('enables auto-merge with the merge method instead of merging, also with pending checks', async () => {
+      mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [{ status: 'in_progress', conclusion: null }] } });
+
+      const result = await run();
+
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(
+        expect.stringContaining('enablePullRequestAutoMerge'),
+        { pullRequestId: 'PR_node1', mergeMethod: 'SQUASH' }
+      );
+      expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+      expect(result).toBe(0);
+      const [, prsToMerge] = mockAddWorkflowSummary.mock.calls[0];
+      expect(prsToMerge[0].autoMergeEnabled).toBe(true);
+    });
+
+    test('merges directly when the PR already meets its merge requirements', async () => {
+      mockOctokit.graphql.mockRejectedValue(new Error('Pull request Pull request is in clean status'));
+
+      const result = await run();
+
+      expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 1, merge_method: 'squash' }));
+      expect(result).toBe(1);
+    });
+
+    test('skips the PR when enabling auto-merge fails', async () => {
+      mockOctokit.graphql.mockRejectedValue(new Error('Auto merge is not allowed for this repository'));
+
+      const result = await run();
+
+      expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+      expect(core.warning).toHaveBeenCalledWith('Failed to enable auto-merge for PR #1: Auto merge is not allowed for this repository');
+      expect(result).toBe(0);
+    });
+
+    test('disables auto-merge on PRs that no longer pass the filters', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{
+          number: 2,
+          node_id: 'PR_node2',
+          title: 'Bump lodash from 4.17.21 to 5.0.0',
+          user: { login: 'dependabot[bot]' },
+          created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+          head: { sha: 'abc123' },
+          auto_merge: enabledBy('github-actions[bot]')
+        }]
+      });
+
+      await run();
+
+      expect(mockOctokit.graphql).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(
+        expect.stringContaining('disablePullRequestAutoMerge'),
+        { pullRequestId: 'PR_node2' }
+      );
+    });
+
+    test('disables auto-merge on PRs that are no longer eligible', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{
+          number: 3,
+          node_id: 'PR_node3',
+          title: 'Bump lodash from 4.17.20 to 4.17.21',
+          user: { login: 'dependabot[bot]' },
+          created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+          head: { sha: 'abc123' },
+          auto_merge: enabledBy('github-actions[bot]')
+        }]
+      });
+      mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [{ status: 'completed', conclusion: 'failure' }] } });
+
+      await run();
+
+      expect(mockOctokit.graphql).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(
+        expect.stringContaining('disablePullRequestAutoMerge'),
+        { pullRequestId: 'PR_node3' }
+      );
+    });
+
+    test('leaves auto-merge enabled by someone else alone', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{
+          number: 2,
+          node_id: 'PR_node2',
+          title: 'Bump lodash from 4.17.21 to 5.0.0',
+          user: { login: 'dependabot[bot]' },
+          created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+          head: { sha: 'abc123' },
+          auto_merge: enabledBy('maintainer')
+        }]
+      });
+
+      await run();
+
+      expect(mockOctokit.graphql).not.toHaveBeenCalledWith(expect.stringContaining('disablePullRequestAutoMerge'), expect.anything());
+    });
+
+    test('disables auto-merge enabled by the authenticated user of a personal token', async () => {
+      mockOctokit.rest.users.getAuthenticated.mockResolvedValue({ data: { login: 'release-bot' } });
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{
+          number: 2,
+          node_id: 'PR_node2',
+          title: 'Bump lodash from 4.17.21 to 5.0.0',
+          user: { login: 'dependabot[bot]' },
+          created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+          head: { sha: 'abc123' },
+          auto_merge: enabledBy('release-bot')
+        }]
+      });
+
+      await run();
+
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('disablePullRequestAutoMerge'), { pullRequestId: 'PR_node2' });
+    });
+
+    test('keeps auto-merge when the mergeable state cannot be determined', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{
+          number: 3,
+          node_id: 'PR_node3',
+          title: 'Bump lodash from 4.17.20 to 4.17.21',
+          user: { login: 'dependabot[bot]' },
+          created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+          head: { sha: 'abc123' },
+          auto_merge: enabledBy('github-actions[bot]')
+        }]
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { mergeable: null } });
+
+      await run();
+
+      expect(mockOctokit.graphql).not.toHaveBeenCalledWith(expect.stringContaining('disablePullRequestAutoMerge'), expect.anything());
+    });
+  });
+
+  describe('merge queue', () => {
+    const queueOf = branch => ({ repository: { mergeQueue: branch === 'main' ? { configuration: { mergeMethod: 'SQUASH' } } : null } });
+
+    beforeEach(() => {
+      core.getInput.mockImplementation(name => defaultInputs[name] || '');
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{
+          number: 1,
+          node_id: 'PR_node1',
+          title: 'Bump lodash from 4.17.20 to 4.17.21',
+          user: { login: 'dependabot[bot]' },
+          created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+          head: { sha: 'abc123' },
+          base: { ref: 'main' }
+        }]
+      });
+      mockOctokit.graphql.mockImplementation(async (query, variables) => {
+        if (query.includes('mergeQueue(branch')) return queueOf(variables.branch);
+        if (query.includes('mergeQueueEntry { position state }') && query.includes('pullRequest(number')) {
+          return { repository: { pullRequest: { mergeQueueEntry: null } } };
+        }
+        if (query.includes('REMOVED_FROM_MERGE_QUEUE_EVENT')) {
+          return { repository: { pullRequest: { timelineItems: { nodes: [] } } } };
+        }
+        return { enqueuePullRequest: { mergeQueueEntry: { position: 2, state: 'QUEUED' } } };
+      });
+    });
+
+    test('adds PRs to the merge queue instead of merging them', async () => {
+      const result = await run();
+
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('mergeQueue(branch'), { owner: 'owner', repo: 'repo', branch: 'main' });
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('enqueuePullRequest'), { pullRequestId: 'PR_node1' });
+      expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+      expect(result).toBe(0);
+      const [, prsToMerge] = mockAddWorkflowSummary.mock.calls[0];
+      expect(prsToMerge[0].mergeQueueEntry).toEqual({ position: 2, state: 'QUEUED' });
+    });
+
+    test('reports PRs that are already in the merge queue without adding them again', async () => {
+      mockOctokit.graphql.mockImplementation(async query => {
+        if (query.includes('mergeQueue(branch')) return queueOf('main');
+        return { repository: { pullRequest: { mergeQueueEntry: { position: 1, state: 'AWAITING_CHECKS' } } } };
+      });
+
+      await run();
+
+      expect(mockOctokit.graphql).not.toHaveBeenCalledWith(expect.stringContaining('enqueuePullRequest'), expect.anything());
+      const [, prsToMerge] = mockAddWorkflowSummary.mock.calls[0];
+      expect(prsToMerge[0].mergeQueueEntry).toEqual({ position: 1, state: 'AWAITING_CHECKS' });
+    });
+
+    test('merges PRs for a base branch without a merge queue', async () => {
+      const { data: [pr] } = await mockOctokit.rest.pulls.list();
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [{ ...pr, base: { ref: 'release' } }] });
+
+      const result = await run();
+
+      expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 1 }));
+      expect(result).toBe(1);
+    });
+
+    test('records a merge reason when adding to the queue fails', async () => {
+      mockOctokit.graphql.mockImplementation(async query => {
+        if (query.includes('mergeQueue(branch')) return queueOf('main');
+        if (query.includes('enqueuePullRequest')) throw new Error('Pull request is not mergeable');
+        return { repository: { pullRequest: { mergeQueueEntry: null } } };
+      });
+
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith('Failed to add PR #1 to the merge queue: Pull request is not mergeable');
+      expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    });
+
+    test('warns when the merge method of the queue differs from merge-method', async () => {
+      await run();
+
+      expect(core.warning).toHaveBeenCalledWith("The merge queue of branch main merges with 'squash', not with the configured merge-method 'merge'");
+    });
+
+    test('merges the PRs directly for a branch whose merge queue cannot be looked up', async () => {
+      mockOctokit.graphql.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+      const result = await run();
+
+      expect(core.warning).toHaveBeenCalledWith('Failed to look up the merge queue of branch main: Resource not accessible by integration. PRs for this branch are merged directly.');
+      expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 1 }));
+      expect(result).toBe(1);
+    });
+
+    test('does not add a PR the queue removed again until it gets a new commit', async () => {
+      const removedAt = commit => async (query, variables) => {
+        if (query.includes('mergeQueue(branch')) return queueOf(variables.branch);
+        if (query.includes('REMOVED_FROM_MERGE_QUEUE_EVENT')) {
+          return {
+            repository: {
+              pullRequest: {
+                timelineItems: { nodes: [{ createdAt: '2026-10-19T08:00:00Z', reason: 'failed checks', beforeCommit: { oid: commit } }] }
+              }
+            }
+          };
+        }
+        if (query.includes('enqueuePullRequest')) return { enqueuePullRequest: { mergeQueueEntry: { position: 1, state: 'QUEUED' } } };
+        return { repository: { pullRequest: { mergeQueueEntry: null } } };
+      };
+
+      mockOctokit.graphql.mockImplementation(removedAt('abc123'));
+      await run();
+
+      const reason = 'Removed from the merge queue (failed checks), not added again until the PR is updated';
+      expect(core.warning).toHaveBeenCalledWith(`Skipping PR #1: ${reason}`);
+      expect(getFilterReasons(1)).toContainEqual({ dependency: 'merge', reason });
+      expect(mockOctokit.graphql).not.toHaveBeenCalledWith(expect.stringContaining('enqueuePullRequest'), expect.anything());
+
+      mockOctokit.graphql.mockImplementation(removedAt('0ld5ha'));
+      await run();
+
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('enqueuePullRequest'), { pullRequestId: 'PR_node1' });
+    });
+  });
+
+  describe('commit templates', () => {
+    test('merges with the commit title and message from the templates and trailers', async () => {
+      const inputs = {
+        ...defaultInputs,
+        'commit-title-template': 'Bump {dependencies} to {to} (#{number})',
+        'commit-message-template': '{semver} update',
+        'commit-trailers': 'Automerged-By: automerge-dependabot, Dependency: {dependency}@{to}'
+      };
+      core.getInput.mockImplementation(name => inputs[name] || '');
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{
+          number: 1,
+          title: 'Bump lodash from 4.17.20 to 4.17.21',
+          user: { login: 'dependabot[bot]' },
+          created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+          head: { sha: 'abc123' }
+        }]
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({
+        pull_number: 1,
+        commit_title: 'Bump lodash to 4.17.21 (#1)',
+        commit_message: 'patch update\n\nAutomerged-By: automerge-dependabot\nDependency: lodash@4.17.21'
+      }));
+    });
+  });
+
+  describe('merge budget', () => {
+    const createPR = number => ({
+      number,
+      title: `Bump lib-${number} from 1.0.0 to 1.0.1`,
+      user: { login: 'dependabot[bot]' },
+      created_at: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString(),
+      head: { sha: 'abc123', ref: `dependabot/npm_and_yarn/lib-${number}-1.0.1` }
+    });
+
+    beforeEach(() => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [createPR(1), createPR(2), createPR(3)] });
+    });
+
+    const useInputs = inputs => {
+      core.getInput.mockImplementation(name => ({ ...defaultInputs, ...inputs })[name] || '');
+    };
+
+    test('merges no more PRs than max-merges-per-run', async () => {
+      useInputs({ 'max-merges-per-run': '2' });
+
+      const result = await run();
+
+      expect(result).toBe(2);
+      expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.search.issuesAndPullRequests).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Skipping PR #3: Merge budget exhausted: 2 merges per run');
+    });
+
+    test('counts the Dependabot PRs merged in the last 24 hours against max-merges-per-day', async () => {
+      useInputs({ 'max-merges-per-day': '4' });
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({ data: { total_count: 3, items: [{ number: 90 }, { number: 91 }, { number: 92 }] } });
+
+      const result = await run();
+
+      expect(result).toBe(1);
+      expect(mockOctokit.rest.search.issuesAndPullRequests).toHaveBeenCalledWith(expect.objectContaining({
+        q: expect.stringMatching(/^repo:owner\/repo is:pr is:merged author:app\/dependabot merged:>=\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/)
+      }));
+      expect(core.info).toHaveBeenCalledWith('Skipping PR #2: Merge budget exhausted: 4 merges in 24 hours');
+    });
+
+    test('counts open PRs with auto-merge enabled against max-merges-per-day', async () => {
+      useInputs({ 'max-merges-per-day': '4' });
+      const autoMergedMajor = { ...createPR(4), title: 'Bump lib-4 from 1.0.0 to 2.0.0', auto_merge: { enabled_by: { login: 'someone' } } };
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [createPR(1), createPR(2), createPR(3), autoMergedMajor] });
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({ data: { total_count: 2, items: [{ number: 90 }, { number: 91 }] } });
+
+      const result = await run();
+
+      expect(result).toBe(1);
+      expect(core.info).toHaveBeenCalledWith('Skipping PR #2: Merge budget exhausted: 4 merges in 24 hours');
+    });
+
+    test('counts PRs in the merge queue against max-merges-per-day', async () => {
+      useInputs({ 'max-merges-per-day': '3' });
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({ data: { total_count: 1, items: [{ number: 90 }] } });
+      mockOctokit.graphql.mockImplementation(query => Promise.resolve(
+        query.includes('mergeQueue(branch: $branch)')
+          ? { repository: { mergeQueue: { configuration: { mergeMethod: 'MERGE' }, entries: { nodes: [{ pullRequest: { number: 95, headRefName: 'dependabot/npm_and_yarn/lib-95-1.0.1' } }] } } } }
+          : query.includes('enqueuePullRequest')
+            ? { enqueuePullRequest: { mergeQueueEntry: { position: 2, state: 'QUEUED' } } }
+            : { repository: { pullRequest: { mergeQueueEntry: null } } }
+      ));
+
+      await run();
+
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('enqueuePullRequest'), expect.anything());
+      expect(core.info).toHaveBeenCalledWith('Skipping PR #2: Merge budget exhausted: 3 merges in 24 hours');
+    });
+
+    test('applies the limits of an ecosystem from the policy file', async () => {
+      useInputs({ 'config-file': '.github/automerge-dependabot.yml' });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('ecosystems:\n  npm:\n    max-merges-per-run: 1\n', 'utf8').toString('base64') }
+      });
+
+      const result = await run();
+
+      expect(result).toBe(1);
+      expect(core.info).toHaveBeenCalledWith('Skipping PR #2: Merge budget exhausted: 1 npm merges per run');
+    });
+
+    test('merges nothing with a daily limit when the recent merges cannot be counted', async () => {
+      useInputs({ 'max-merges-per-day': '10' });
+      mockOctokit.rest.search.issuesAndPullRequests.mockRejectedValue(new Error('API rate limit exceeded'));
+
+      const result = await run();
+
+      expect(result).toBe(0);
+      expect(core.warning).toHaveBeenCalledWith('Failed to search for recently merged pull requests: API rate limit exceeded. PRs are not merged while a daily merge limit is set.');
+      expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('merge-order', () => {
+    const createPR = (number, days, title) => ({
+      number,
+      title,
+      user: { login: 'dependabot[bot]' },
+      created_at: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
+      head: { sha: 'abc123' }
+    });
+
+    beforeEach(() => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          createPR(1, 6, 'Bump react from 18.2.0 to 18.3.0'),
+          createPR(2, 5, 'Bump lodash from 4.17.20 to 4.17.21'),
+          createPR(3, 4, 'Bump axios from 1.6.0 to 1.6.1')
+        ]
+      });
+    });
+
+    const mergedOrder = () => mockOctokit.rest.pulls.merge.mock.calls.map(([params]) => params.pull_number);
+
+    test('merges the oldest PRs first by default', async () => {
+      await run();
+
+      expect(mergedOrder()).toEqual([1, 2, 3]);
+      expect(mockOctokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+    });
+
+    test('merges the lowest-risk PRs first', async () => {
+      core.getInput.mockImplementation(name => ({ ...defaultInputs, 'merge-order': 'lowest-risk-first' })[name] || '');
+
+      await run();
+
+      expect(mergedOrder()).toEqual([2, 3, 1]);
+      expect(core.info).toHaveBeenCalledWith('Merge order (lowest-risk-first): #2, #3, #1');
+      const [, prsToMerge] = mockAddWorkflowSummary.mock.calls[0];
+      expect(prsToMerge.map(pr => pr.mergeOrderReason)).toEqual([
+        'patch change, production dependency',
+        'patch change, production dependency',
+        'minor change, production dependency'
+      ]);
+    });
+
+    test('merges the PRs that share the fewest files first', async () => {
+      core.getInput.mockImplementation(name => ({ ...defaultInputs, 'merge-order': 'fewest-overlaps-first' })[name] || '');
+      const files = { 1: ['package.json', 'package-lock.json'], 2: ['package-lock.json'], 3: ['docs/package.json'] };
+      mockOctokit.rest.pulls.listFiles.mockImplementation(({ pull_number }) => Promise.resolve({
+        data: files[pull_number].map(filename => ({ filename }))
+      }));
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.listFiles).toHaveBeenCalledTimes(3);
+      expect(mergedOrder()).toEqual([3, 1, 2]);
+    });
+  });
 });
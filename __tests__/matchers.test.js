@@ -0,0 +1,118 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import * as core from '../__fixtures__/core.js';
+
+jest.unstable_mockModule('@actions/core', () => core);
+
+const { parseMatcher, compileMatcher, matchesPattern, parseDependencySpec } = await import('../src/matchers.js');
+
+describe('Matchers Module', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseMatcher', () => {
+    test('should parse explicit matcher forms', () => {
+      expect(parseMatcher('exact:lodash')).toEqual({ type: 'exact', value: 'lodash' });
+      expect(parseMatcher('prefix:no.nav')).toEqual({ type: 'prefix', value: 'no.nav' });
+      expect(parseMatcher('glob:@types/*')).toEqual({ type: 'glob', value: '@types/*' });
+      expect(parseMatcher('regex:^a.*b$')).toEqual({ type: 'regex', value: '^a.*b$' });
+      expect(parseMatcher('name:aws')).toEqual({ type: 'name', value: 'aws' });
+    });
+
+    test('should treat unprefixed patterns as exact or glob in strict mode', () => {
+      expect(parseMatcher('lodash')).toEqual({ type: 'exact', value: 'lodash' });
+      expect(parseMatcher('@types/*')).toEqual({ type: 'glob', value: '@types/*' });
+      expect(parseMatcher('*')).toEqual({ type: 'any', value: '*' });
+    });
+
+    test('should use the legacy type for unprefixed patterns in legacy mode', () => {
+      expect(parseMatcher('react', 'legacy', 'prefix')).toEqual({ type: 'prefix', value: 'react' });
+      expect(parseMatcher('react', 'legacy')).toEqual({ type: 'exact', value: 'react' });
+      expect(parseMatcher('exact:react', 'legacy', 'prefix')).toEqual({ type: 'exact', value: 'react' });
+    });
+
+    test('should not treat Maven coordinates as a matcher form', () => {
+      expect(parseMatcher('no.nav.appsec:contracts')).toEqual({ type: 'exact', value: 'no.nav.appsec:contracts' });
+    });
+  });
+
+  describe('matchesPattern', () => {
+    test('should match exact names only', () => {
+      expect(matchesPattern('react', 'exact:react')).toBe(true);
+      expect(matchesPattern('react-dom', 'exact:react')).toBe(false);
+      expect(matchesPattern('react-dom', 'react')).toBe(false);
+    });
+
+    test('should match prefixes', () => {
+      expect(matchesPattern('no.nav.appsec:contracts', 'prefix:no.nav.appsec')).toBe(true);
+      expect(matchesPattern('com.example:core', 'prefix:no.nav.appsec')).toBe(false);
+      expect(matchesPattern('anything', 'prefix:')).toBe(false);
+    });
+
+    test('should match globs against the whole name', () => {
+      expect(matchesPattern('@types/node', 'glob:@types/*')).toBe(true);
+      expect(matchesPattern('@types/node', '@types/*')).toBe(true);
+      expect(matchesPattern('x@types/node', 'glob:@types/*')).toBe(false);
+      expect(matchesPattern('lodash.get', 'glob:lodash?get')).toBe(true);
+      expect(matchesPattern('/services/api', '/services/*')).toBe(true);
+    });
+
+    test('should match regular expressions', () => {
+      expect(matchesPattern('eslint-plugin-react', 'regex:^eslint-plugin-')).toBe(true);
+      expect(matchesPattern('my-eslint-plugin-react', 'regex:^eslint-plugin-')).toBe(false);
+      expect(matchesPattern('my-eslint-plugin-react', 'regex:eslint')).toBe(true);
+    });
+
+    test('should match names containing a string', () => {
+      expect(matchesPattern('aws-sdk', 'name:aws')).toBe(true);
+      expect(matchesPattern('lodash', 'name:aws')).toBe(false);
+      expect(matchesPattern('lodash', 'name:')).toBe(false);
+    });
+
+    test('should match everything with a wildcard', () => {
+      expect(matchesPattern('anything', '*')).toBe(true);
+    });
+
+    test('should warn once and never match for an invalid regex', () => {
+      expect(matchesPattern('abc', 'regex:(unclosed')).toBe(false);
+      expect(matchesPattern('(unclosed', 'regex:(unclosed')).toBe(false);
+      expect(core.warning).toHaveBeenCalledTimes(1);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Invalid regex in pattern "regex:(unclosed"'));
+    });
+
+    test('should not match non-string values', () => {
+      expect(matchesPattern(undefined, '*')).toBe(false);
+      expect(matchesPattern('lodash', undefined)).toBe(false);
+    });
+  });
+
+  describe('compileMatcher', () => {
+    test('should throw for an invalid regex', () => {
+      expect(() => compileMatcher('regex:[')).toThrow('Invalid regex in pattern "regex:["');
+    });
+  });
+
+  describe('parseDependencySpec', () => {
+    test('should split plain names and versions', () => {
+      expect(parseDependencySpec('lodash@4.17.21')).toEqual({ name: 'lodash', version: '4.17.21' });
+      expect(parseDependencySpec('lodash@*')).toEqual({ name: 'lodash', version: '*' });
+      expect(parseDependencySpec('lodash')).toEqual({ name: 'lodash', version: undefined });
+    });
+
+    test('should handle scoped npm packages', () => {
+      expect(parseDependencySpec('@babel/core@7.0.0')).toEqual({ name: '@babel/core', version: '7.0.0' });
+      expect(parseDependencySpec('@babel/core')).toEqual({ name: '@babel/core', version: undefined });
+    });
+
+    test('should keep matcher prefixes in the name', () => {
+      expect(parseDependencySpec('glob:@types/*@1.0.0')).toEqual({ name: 'glob:@types/*', version: '1.0.0' });
+      expect(parseDependencySpec('regex:^@babel/')).toEqual({ name: 'regex:^@babel/', version: undefined });
+      expect(parseDependencySpec('regex:^@babel/@*')).toEqual({ name: 'regex:^@babel/', version: '*' });
+    });
+
+    test('should handle Maven coordinates', () => {
+      expect(parseDependencySpec('org.springframework:spring-core@6.0.0'))
+        .toEqual({ name: 'org.springframework:spring-core', version: '6.0.0' });
+    });
+  });
+});
@@ -9,7 +9,7 @@ jest.unstable_mockModule('@actions/core', () => ({
   info: jest.fn()
 }));
 
-const { extractMultipleDependencyInfo } = await import('../src/pullRequests.js');
+const { extractMultipleDependencyInfo, addDependencyInfo } = await import('../src/pullRequests.js');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -35,7 +35,8 @@ describe('Maven Group PR Dependency Extraction', () => {
       name: 'org.springframework.boot:spring-boot-starter-web',
       fromVersion: '2.8.0',
       toVersion: '3.4.5',
-      semverChange: 'major'
+      semverChange: 'major',
+      directory: '/app'
     });
     
     // Check second dependency
@@ -43,7 +44,8 @@ describe('Maven Group PR Dependency Extraction', () => {
       name: 'org.springframework.boot:spring-boot-starter-test',
       fromVersion: '3.4.0',
       toVersion: '3.4.5',
-      semverChange: 'patch'
+      semverChange: 'patch',
+      directory: '/app'
     });
     
     // Check third dependency
@@ -51,7 +53,8 @@ describe('Maven Group PR Dependency Extraction', () => {
       name: 'org.cyclonedx.bom',
       fromVersion: '1.8.2',
       toVersion: '2.3.0',
-      semverChange: 'major'
+      semverChange: 'major',
+      directory: '/app'
     });
   });
 
@@ -66,4 +69,49 @@ describe('Maven Group PR Dependency Extraction', () => {
     const dependenciesWithBumps = extractMultipleDependencyInfo(alternateTitleWithBumps, pr13Body);
     expect(dependenciesWithBumps).toHaveLength(3);
   });
+
+  test('should classify Maven versions with Maven version ordering', () => {
+    const prData = {
+      number: 13,
+      title: pr13Title,
+      body: pr13Body,
+      head: { ref: 'dependabot/maven/app/maven-3a4b5c6d7e' }
+    };
+
+    addDependencyInfo(prData, []);
+
+    expect(prData.dependencyInfoList.map(dep => [dep.ecosystem, dep.semverChange])).toEqual([
+      ['maven', 'major'],
+      ['maven', 'patch'],
+      ['maven', 'major']
+    ]);
+  });
+
+  test('should classify milestones, release candidates and qualifier changes in Spring and Kotlin groups', () => {
+    const body = [
+      'Bumps the spring group with 4 updates:',
+      '',
+      '| Package | From | To |',
+      '| --- | --- | --- |',
+      '| org.springframework:spring-core | `6.2.0` | `7.0.0-M3` |',
+      '| org.springframework.data:spring-data-jpa | `3.4.0-RC1` | `3.4.0` |',
+      '| org.hibernate.orm:hibernate-core | `6.6.13.Final` | `6.6.14.Final` |',
+      '| org.jetbrains.kotlin:kotlin-stdlib | `2.1.20` | `2.1.20-Beta1` |'
+    ].join('\n');
+    const prData = {
+      number: 15,
+      title: 'Bump the spring group with 4 updates',
+      body,
+      head: { ref: 'dependabot/gradle/spring-0a1b2c3d4e' }
+    };
+
+    addDependencyInfo(prData, [], { semverClassification: ['prerelease'] });
+
+    expect(prData.dependencyInfoList.map(dep => [dep.name, dep.semverChange, dep.qualifierChange])).toEqual([
+      ['org.springframework:spring-core', 'prerelease', 'release → M3'],
+      ['org.springframework.data:spring-data-jpa', 'unknown', 'RC1 → release'],
+      ['org.hibernate.orm:hibernate-core', 'patch', undefined],
+      ['org.jetbrains.kotlin:kotlin-stdlib', 'downgrade', 'release → Beta1']
+    ]);
+  });
 });
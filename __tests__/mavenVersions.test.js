@@ -0,0 +1,97 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  compareMavenVersions,
+  isMavenPrerelease,
+  determineMavenChange,
+  describeMavenQualifierChange
+} from '../src/mavenVersions.js';
+
+describe('Maven Versions Module', () => {
+  describe('compareMavenVersions', () => {
+    test('should treat trailing zeros and release qualifiers as equal', () => {
+      expect(compareMavenVersions('1.0', '1.0.0')).toBe(0);
+      expect(compareMavenVersions('1.0.0.Final', '1.0')).toBe(0);
+      expect(compareMavenVersions('1.2.3.RELEASE', '1.2.3-GA')).toBe(0);
+      expect(compareMavenVersions('1.0-rc1', '1.0-cr1')).toBe(0);
+    });
+
+    test('should order qualifiers like Maven', () => {
+      const ordered = ['1.0-alpha-1', '1.0-beta-1', '1.0-M1', '1.0-RC1', '1.0-SNAPSHOT', '1.0', '1.0-sp1', '1.0-jre', '1.0.1'];
+      for (let i = 1; i < ordered.length; i++) {
+        expect(compareMavenVersions(ordered[i - 1], ordered[i])).toBeLessThan(0);
+        expect(compareMavenVersions(ordered[i], ordered[i - 1])).toBeGreaterThan(0);
+      }
+    });
+
+    test('should compare numbers numerically and support four segments', () => {
+      expect(compareMavenVersions('1.2.3.4', '1.2.3.10')).toBeLessThan(0);
+      expect(compareMavenVersions('2.0.0-M10', '2.0.0-M9')).toBeGreaterThan(0);
+      expect(compareMavenVersions('20240101120000', '20231231235959')).toBeGreaterThan(0);
+    });
+  });
+
+  describe('isMavenPrerelease', () => {
+    test('should recognize prerelease qualifiers', () => {
+      expect(isMavenPrerelease('2.0.0-M3')).toBe(true);
+      expect(isMavenPrerelease('5.0.0.RC1')).toBe(true);
+      expect(isMavenPrerelease('1.0-SNAPSHOT')).toBe(true);
+      expect(isMavenPrerelease('2.1.20-Beta1')).toBe(true);
+    });
+
+    test('should not treat releases and other qualifiers as prereleases', () => {
+      expect(isMavenPrerelease('5.3.30.Final')).toBe(false);
+      expect(isMavenPrerelease('32.1.3-jre')).toBe(false);
+      expect(isMavenPrerelease('1.0-sp1')).toBe(false);
+      expect(isMavenPrerelease('1.2.3')).toBe(false);
+    });
+  });
+
+  describe('determineMavenChange', () => {
+    test('should classify by the first numeric segment that changed', () => {
+      expect(determineMavenChange('32.1.3-jre', '33.0.0-jre')).toBe('major');
+      expect(determineMavenChange('1.2.3.RELEASE', '1.3.0.RELEASE')).toBe('minor');
+      expect(determineMavenChange('5.3.30.Final', '5.3.31.Final')).toBe('patch');
+      expect(determineMavenChange('1.2.3.4', '1.2.3.5')).toBe('patch');
+    });
+
+    test('should not treat a milestone as a release', () => {
+      expect(determineMavenChange('2.0.0-M3', '2.0.0-M2')).toBe('downgrade');
+      expect(determineMavenChange('2.0.0', '2.0.0-RC1')).toBe('downgrade');
+      expect(determineMavenChange('2.0.0-M3', '2.0.0-RC1')).toBe('prerelease');
+      expect(determineMavenChange('1.9.0', '2.0.0-M3')).toBe('prerelease');
+      expect(determineMavenChange('3.2.0', '3.3.0-M1')).toBe('prerelease');
+      expect(determineMavenChange('3.2.0', '3.2.1-SNAPSHOT')).toBe('prerelease');
+    });
+
+    test('should classify prereleases by their version numbers with the prerelease-as-release rule', () => {
+      const classification = ['prerelease-as-release'];
+      expect(determineMavenChange('1.9.0', '2.0.0-M3', { classification })).toBe('major');
+      expect(determineMavenChange('3.2.0', '3.3.0-M1', { classification })).toBe('minor');
+      expect(determineMavenChange('2.0.0-M3', '2.0.0-RC1', { classification })).toBe('unknown');
+    });
+
+    test('should apply the semver classification rules to 0.x versions', () => {
+      expect(determineMavenChange('0.3.0', '0.4.0', { classification: ['zero-minor-as-major'] })).toBe('major');
+      expect(determineMavenChange('0.0.3', '0.0.4', { classification: ['zero-patch-as-major'] })).toBe('major');
+    });
+
+    test('should return unknown for equal or missing versions', () => {
+      expect(determineMavenChange('1.0', '1.0.0.Final')).toBe('unknown');
+      expect(determineMavenChange('', '1.0')).toBe('unknown');
+    });
+  });
+
+  describe('describeMavenQualifierChange', () => {
+    test('should describe qualifier changes', () => {
+      expect(describeMavenQualifierChange('2.0.0-M3', '2.0.0-RC1')).toBe('M3 → RC1');
+      expect(describeMavenQualifierChange('2.0.0-RC1', '2.0.0.Final')).toBe('RC1 → release');
+      expect(describeMavenQualifierChange('1.9.0', '2.0.0-SNAPSHOT')).toBe('release → SNAPSHOT');
+    });
+
+    test('should return null when the qualifier did not change', () => {
+      expect(describeMavenQualifierChange('5.3.30.Final', '5.3.31')).toBeNull();
+      expect(describeMavenQualifierChange('32.1.3-jre', '33.0.0-jre')).toBeNull();
+      expect(describeMavenQualifierChange('1.0-cr1', '1.0-rc1')).toBeNull();
+    });
+  });
+});
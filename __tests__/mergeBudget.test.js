@@ -0,0 +1,91 @@
+import { describe, test, expect } from '@jest/globals';
+import { hasDailyLimit, dayWindowStart, createMergeBudget, addPendingMerges, findExhaustedBudget, spendMergeBudget } from '../src/mergeBudget.js';
+
+describe('Merge Budget Module', () => {
+  const npmPR = { number: 1, ecosystem: 'npm' };
+  const mavenPR = { number: 2, ecosystem: 'maven' };
+
+  test('should detect daily limits, globally or per ecosystem', () => {
+    expect(hasDailyLimit({ maxMergesPerDay: 0, ecosystems: {} })).toBe(false);
+    expect(hasDailyLimit({ maxMergesPerDay: 5, ecosystems: {} })).toBe(true);
+    expect(hasDailyLimit({ maxMergesPerDay: 0, ecosystems: { npm: { maxMergesPerDay: 2 } } })).toBe(true);
+  });
+
+  test('should start the daily window 24 hours ago', () => {
+    expect(dayWindowStart(new Date('2026-10-19T12:00:00Z')).toISOString()).toBe('2026-10-18T12:00:00.000Z');
+  });
+
+  test('should allow any number of merges without limits', () => {
+    const budget = createMergeBudget({ maxMergesPerRun: 0, maxMergesPerDay: 0, ecosystems: {} });
+    for (let i = 0; i < 50; i++) {
+      spendMergeBudget(budget, npmPR);
+    }
+    expect(findExhaustedBudget(budget, npmPR)).toBeNull();
+  });
+
+  test('should hold back PRs once the run limit is reached', () => {
+    const budget = createMergeBudget({ maxMergesPerRun: 2 });
+
+    spendMergeBudget(budget, npmPR);
+    expect(findExhaustedBudget(budget, mavenPR)).toBeNull();
+    spendMergeBudget(budget, mavenPR);
+    expect(findExhaustedBudget(budget, npmPR)).toBe('Merge budget exhausted: 2 merges per run');
+  });
+
+  test('should count the merges of the last 24 hours against the daily limit', () => {
+    const budget = createMergeBudget({ maxMergesPerDay: 10 }, { total: 9, byEcosystem: new Map() });
+
+    expect(findExhaustedBudget(budget, npmPR)).toBeNull();
+    spendMergeBudget(budget, npmPR);
+    expect(findExhaustedBudget(budget, npmPR)).toBe('Merge budget exhausted: 10 merges in 24 hours');
+  });
+
+  test('should apply the limits of an ecosystem to that ecosystem only', () => {
+    const ecosystems = { npm: { maxMergesPerRun: 1, maxMergesPerDay: 3 } };
+    const perRun = createMergeBudget({ ecosystems });
+
+    spendMergeBudget(perRun, npmPR);
+    expect(findExhaustedBudget(perRun, npmPR)).toBe('Merge budget exhausted: 1 npm merges per run');
+    expect(findExhaustedBudget(perRun, mavenPR)).toBeNull();
+    expect(findExhaustedBudget(perRun, { number: 3 })).toBeNull();
+
+    const perDay = createMergeBudget({ ecosystems }, { total: 20, byEcosystem: new Map([['npm', 3], ['maven', 17]]) });
+    expect(findExhaustedBudget(perDay, npmPR)).toBe('Merge budget exhausted: 3 npm merges in 24 hours');
+    expect(findExhaustedBudget(perDay, mavenPR)).toBeNull();
+  });
+
+  test('should count pending merges against the daily limits only, once per PR', () => {
+    const budget = createMergeBudget(
+      { maxMergesPerRun: 3, maxMergesPerDay: 10, ecosystems: { npm: { maxMergesPerDay: 3 } } },
+      { total: 7, byEcosystem: new Map([['npm', 1]]) }
+    );
+    const autoMergePR = { number: 10, head: { ref: 'dependabot/npm_and_yarn/lodash-4.17.21' } };
+    const queuedPR = { number: 11, head: { ref: 'dependabot/maven/org.example-lib-1.2.3' } };
+
+    addPendingMerges(budget, [autoMergePR, queuedPR, { number: 12, head: { ref: 'feature/something' } }]);
+    addPendingMerges(budget, [autoMergePR]);
+
+    expect(budget.pending.size).toBe(2);
+    expect(findExhaustedBudget(budget, npmPR)).toBeNull();
+    spendMergeBudget(budget, { ...autoMergePR, ecosystem: 'npm' });
+    expect(budget.pending.size).toBe(1);
+    expect(budget.pendingByEcosystem.get('npm')).toBe(0);
+    expect(findExhaustedBudget(budget, npmPR)).toBeNull();
+    spendMergeBudget(budget, mavenPR);
+    expect(findExhaustedBudget(budget, mavenPR)).toBe('Merge budget exhausted: 10 merges in 24 hours');
+
+    const perEcosystem = createMergeBudget({ ecosystems: { npm: { maxMergesPerDay: 2 } } }, { total: 1, byEcosystem: new Map([['npm', 1]]) });
+    addPendingMerges(perEcosystem, [autoMergePR]);
+    expect(findExhaustedBudget(perEcosystem, npmPR)).toBe('Merge budget exhausted: 2 npm merges in 24 hours');
+    expect(findExhaustedBudget(perEcosystem, mavenPR)).toBeNull();
+  });
+
+  test('should hold back PRs with a daily limit when the recent merges could not be counted', () => {
+    const global = createMergeBudget({ maxMergesPerDay: 10 }, null);
+    expect(findExhaustedBudget(global, npmPR)).toBe('Merge budget exhausted: could not count the merges in the last 24 hours');
+
+    const perEcosystem = createMergeBudget({ maxMergesPerRun: 5, ecosystems: { npm: { maxMergesPerDay: 3 } } }, null);
+    expect(findExhaustedBudget(perEcosystem, npmPR)).toBe('Merge budget exhausted: could not count the merges in the last 24 hours');
+    expect(findExhaustedBudget(perEcosystem, mavenPR)).toBeNull();
+  });
+});
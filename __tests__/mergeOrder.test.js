@@ -0,0 +1,93 @@
+import { describe, test, expect } from '@jest/globals';
+import { MERGE_ORDERS, assessRisk, countOverlappingFiles, orderPullRequests } from '../src/mergeOrder.js';
+
+describe('Merge Order Module', () => {
+  const dependenciesOf = pr => pr.dependencyInfoList || [pr.dependencyInfo];
+  const createPR = (number, day, dependencies) => ({
+    number,
+    created_at: `2026-10-${String(day).padStart(2, '0')}T10:00:00Z`,
+    ...(dependencies.length > 1 ? { dependencyInfoList: dependencies } : { dependencyInfo: dependencies[0] })
+  });
+
+  const majorProd = createPR(1, 1, [{ name: 'react', semverChange: 'major', dependencyType: 'production' }]);
+  const patchProd = createPR(2, 2, [{ name: 'lodash', semverChange: 'patch', dependencyType: 'production' }]);
+  const patchDev = createPR(3, 3, [{ name: 'jest', semverChange: 'patch', dependencyType: 'development' }]);
+  const group = createPR(4, 4, [
+    { name: 'eslint', semverChange: 'patch', dependencyType: 'development' },
+    { name: 'prettier', semverChange: 'minor', dependencyType: 'development' }
+  ]);
+
+  test('should describe every merge order', () => {
+    expect(Object.keys(MERGE_ORDERS)).toEqual(['oldest-first', 'lowest-risk-first', 'groups-first', 'fewest-overlaps-first']);
+  });
+
+  describe('assessRisk', () => {
+    test('should take the riskiest change and dependency type', () => {
+      expect(assessRisk(dependenciesOf(group))).toEqual({ change: 'minor', dependencyType: 'development', rank: [1, 0] });
+      expect(assessRisk([{ semverChange: 'patch' }, { removed: true, dependencyType: 'indirect' }])).toEqual({
+        change: 'removed', dependencyType: 'production', rank: [1, 2]
+      });
+      expect(assessRisk([])).toEqual({ change: 'unknown', dependencyType: 'production', rank: [3, 2] });
+    });
+  });
+
+  describe('countOverlappingFiles', () => {
+    test('should count the files that other PRs change too', () => {
+      const files = new Map([
+        [1, ['package.json', 'package-lock.json']],
+        [2, ['package-lock.json']],
+        [3, ['pom.xml']]
+      ]);
+
+      expect(countOverlappingFiles([{ number: 1 }, { number: 2 }, { number: 3 }, { number: 4 }], files)).toEqual(new Map([[1, 1], [2, 1], [3, 0], [4, 0]]));
+    });
+  });
+
+  describe('orderPullRequests', () => {
+    const prs = [group, patchDev, majorProd, patchProd];
+
+    test('should merge the oldest PRs first by default', () => {
+      const ordered = orderPullRequests(prs, 'oldest-first', { getDependencies: dependenciesOf });
+
+      expect(ordered.map(pr => pr.number)).toEqual([1, 2, 3, 4]);
+      expect(ordered[0].mergeOrderReason).toBe('Opened 2026-10-01');
+    });
+
+    test('should merge the smallest changes and development dependencies first', () => {
+      const ordered = orderPullRequests(prs, 'lowest-risk-first', { getDependencies: dependenciesOf });
+
+      expect(ordered.map(pr => pr.number)).toEqual([3, 2, 4, 1]);
+      expect(ordered.map(pr => pr.mergeOrderReason)).toEqual([
+        'patch change, development dependency',
+        'patch change, production dependency',
+        'minor change, development dependency',
+        'major change, production dependency'
+      ]);
+    });
+
+    test('should merge group PRs first', () => {
+      const singleGroup = { ...createPR(5, 5, [{ name: 'axios', semverChange: 'patch' }]), dependencyInfoList: [{ name: 'axios', semverChange: 'patch' }] };
+      const ordered = orderPullRequests([...prs, singleGroup], 'groups-first', { getDependencies: dependenciesOf });
+
+      expect(ordered.map(pr => pr.number)).toEqual([4, 5, 1, 2, 3]);
+      expect(ordered[0].mergeOrderReason).toBe('Group update of 2 dependencies');
+      expect(ordered[1].mergeOrderReason).toBe('Group update of 1 dependency');
+      expect(ordered[2].mergeOrderReason).toBe('Single dependency update');
+    });
+
+    test('should merge the PRs that share the fewest files first', () => {
+      const files = new Map([
+        [1, ['package.json', 'package-lock.json']],
+        [2, ['package.json', 'package-lock.json']],
+        [3, ['package-lock.json']],
+        [4, ['tools/pom.xml']]
+      ]);
+
+      const ordered = orderPullRequests(prs, 'fewest-overlaps-first', { getDependencies: dependenciesOf, files });
+
+      expect(ordered.map(pr => pr.number)).toEqual([4, 3, 1, 2]);
+      expect(ordered[0].mergeOrderReason).toBe('Shares no changed files with other PRs');
+      expect(ordered[2].mergeOrderReason).toBe('Shares 2 changed file(s) with other PRs');
+    });
+  });
+});
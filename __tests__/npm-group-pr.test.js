@@ -132,7 +132,7 @@ describe('npm group dependency updates', () => {
         "ignored-dependencies": "", // Don't ignore any dependencies
         "always-allow": "*@*", // Always allow all versions with wildcard
         "ignored-versions": "",
-        "semver-filter": "patch,minor,major,unknown", // Allow all semver changes including unknown
+        "semver-filter": "patch,minor,major,downgrade,unknown", // Allow all semver changes, including the react-scripts downgrade
         "merge-method": "merge",
         "retry-delay-ms": "20"
       };
@@ -170,8 +170,8 @@ describe('npm group dependency updates', () => {
     const semverChangeType = determineSemverChange(fromVersion, toVersion);
     console.log(`Semver change type for downgrade ${fromVersion} -> ${toVersion}: ${semverChangeType}`);
     
-    // Verify the downgrade is detected as 'unknown' semver change
-    expect(semverChangeType).toBe('unknown');
+    // Verify the downgrade is detected as its own semver change level
+    expect(semverChangeType).toBe('downgrade');
     
     // Override the PR list mock with a title indicating an npm group update with proper format
     const downgradeBody = `
@@ -0,0 +1,83 @@
+import { describe, test, expect } from '@jest/globals';
+import { parsePep440, comparePep440, determinePep440Change } from '../src/pep440.js';
+
+describe('PEP 440 Module', () => {
+  describe('parsePep440', () => {
+    test('should parse all parts of a version', () => {
+      expect(parsePep440('1!2.0.0rc1.post2.dev3+ubuntu.1')).toEqual({
+        epoch: 1,
+        release: [2, 0, 0],
+        pre: { label: 'rc', number: 1 },
+        post: 2,
+        dev: 3,
+        local: ['ubuntu', '1']
+      });
+    });
+
+    test('should normalize alternative spellings', () => {
+      expect(parsePep440('2.0-Alpha.1').pre).toEqual({ label: 'a', number: 1 });
+      expect(parsePep440('2.0c2').pre).toEqual({ label: 'rc', number: 2 });
+      expect(parsePep440('1.4-2').post).toBe(2);
+      expect(parsePep440('1.4.rev').post).toBe(0);
+      expect(parsePep440('v1.0_dev').dev).toBe(0);
+    });
+
+    test('should return null for versions that are not PEP 440 versions', () => {
+      expect(parsePep440('abc1234')).toBeNull();
+      expect(parsePep440('1.0-jre')).toBeNull();
+      expect(parsePep440(undefined)).toBeNull();
+    });
+  });
+
+  describe('comparePep440', () => {
+    test('should order versions as described in PEP 440', () => {
+      const ordered = [
+        '1.0.dev456', '1.0a1', '1.0a2.dev456', '1.0a12.dev456', '1.0a12', '1.0b1.dev456', '1.0b2',
+        '1.0b2.post345.dev456', '1.0b2.post345', '1.0rc1.dev456', '1.0rc1', '1.0', '1.0+abc.5', '1.0+abc.7',
+        '1.0+5', '1.0.post456.dev34', '1.0.post456', '1.0.15', '1.1.dev1', '1!0.1'
+      ];
+      for (let i = 1; i < ordered.length; i++) {
+        expect(comparePep440(ordered[i - 1], ordered[i])).toBeLessThan(0);
+        expect(comparePep440(ordered[i], ordered[i - 1])).toBeGreaterThan(0);
+      }
+    });
+
+    test('should treat equivalent versions as equal', () => {
+      expect(comparePep440('1.0', '1.0.0')).toBe(0);
+      expect(comparePep440('1.0-1', '1.0.post1')).toBe(0);
+      expect(comparePep440('2.0.0RC1', '2.0.0rc1')).toBe(0);
+    });
+
+    test('should return null when a version cannot be parsed', () => {
+      expect(comparePep440('1.0', 'latest')).toBeNull();
+    });
+  });
+
+  describe('determinePep440Change', () => {
+    test('should classify release segment changes', () => {
+      expect(determinePep440Change('4.2.7', '5.0')).toBe('major');
+      expect(determinePep440Change('2023.1', '2024.1')).toBe('major');
+      expect(determinePep440Change('1.3', '1.4.post1')).toBe('minor');
+      expect(determinePep440Change('1.2', '1.2.1')).toBe('patch');
+      expect(determinePep440Change('1.0', '1!0.5')).toBe('major');
+    });
+
+    test('should report prereleases, post-releases and development releases as their own levels', () => {
+      expect(determinePep440Change('1.9', '2.0.0rc1')).toBe('prerelease');
+      expect(determinePep440Change('1.4', '1.4.post2')).toBe('post');
+      expect(determinePep440Change('1.4.post1', '1.4.post2')).toBe('post');
+      expect(determinePep440Change('2.0', '2.1.dev3')).toBe('dev');
+    });
+
+    test('should classify downgrades, final releases of prereleases and invalid versions', () => {
+      expect(determinePep440Change('2.0', '2.0rc1')).toBe('downgrade');
+      expect(determinePep440Change('2.0.0rc1', '2.0.0')).toBe('unknown');
+      expect(determinePep440Change('latest', '2.0.0')).toBe('unknown');
+    });
+
+    test('should apply the semver classification rules to 0.x versions', () => {
+      expect(determinePep440Change('0.3', '0.4', { classification: ['zero-minor-as-major'] })).toBe('major');
+      expect(determinePep440Change('0.0.3', '0.0.4', { classification: ['zero-patch-as-major'] })).toBe('major');
+    });
+  });
+});
@@ -3,7 +3,7 @@ import * as core from '../__fixtures__/core.js';
 
 jest.unstable_mockModule('@actions/core', () => core);
 
-const { findMergeablePRs, extractMultipleDependencyInfo, checkPRMergeability, approvePullRequest, updatePRBranch, waitForChecksAfterUpdate, evaluateChecks } = await import('../src/pullRequests.js');
+const { findMergeablePRs, addDependencyInfo, addPinnedVersions, extractDependencyInfo, extractMultipleDependencyInfo, extractDirectoryFromTitle, checkPRMergeability, approvePullRequest, enableAutoMerge, disableAutoMerge, getMergeQueue, getMergeQueueEntry, getMergeQueueRemoval, enqueuePullRequest, findRecentMerges, listPullRequestFiles, updatePRBranch, waitForChecksAfterUpdate, evaluateChecks } = await import('../src/pullRequests.js');
 const { setupTestEnvironment, createMockPR } = await import('./helpers/mockSetup.js');
 
 describe('PullRequests Module', () => {
@@ -211,6 +211,309 @@ describe('PullRequests Module', () => {
     expect(result.eligiblePRs.length).toBe(0);
   });
   
+  test('should add the ecosystem and directory from the branch name', async () => {
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [
+        createMockPR({
+          title: 'Bump @types/node from 20.0.0 to 20.1.0 in /frontend',
+          head: { ref: 'dependabot/npm_and_yarn/frontend/types/node-20.1.0', sha: 'abc123' }
+        })
+      ]
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { number: 1, mergeable: true } });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [{ sha: 'abc123def456', author: { login: 'dependabot[bot]' }, committer: { login: 'dependabot[bot]' } }]
+    });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { state: 'success' } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const result = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0);
+
+    expect(result.eligiblePRs[0].ecosystem).toBe('npm');
+    expect(result.eligiblePRs[0].directory).toBe('/frontend');
+    expect(result.eligiblePRs[0].dependencyInfo).toEqual(expect.objectContaining({
+      name: '@types/node',
+      ecosystem: 'npm',
+      directory: '/frontend'
+    }));
+  });
+
+  test('should add dependency and update types from the commit metadata', async () => {
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [createMockPR({ title: 'Bump jest from 29.7.0 to 30.0.0' })]
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { number: 1, mergeable: true } });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [{
+        sha: 'abc123def456',
+        author: { login: 'dependabot[bot]' },
+        committer: { login: 'dependabot[bot]' },
+        commit: {
+          message: [
+            'Bump jest from 29.7.0 to 30.0.0',
+            '',
+            '---',
+            'updated-dependencies:',
+            '- dependency-name: jest',
+            '  dependency-version: 30.0.0',
+            '  dependency-type: direct:development',
+            '  update-type: version-update:semver-major',
+            '...',
+            ''
+          ].join('\n')
+        }
+      }]
+    });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { state: 'success' } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const result = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0);
+
+    expect(result.eligiblePRs[0].dependencyInfo).toEqual(expect.objectContaining({
+      name: 'jest',
+      semverChange: 'major',
+      dependencyType: 'development',
+      updateType: 'major'
+    }));
+  });
+
+  test('should classify Go pseudo-versions and module paths with a major version suffix', async () => {
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [
+        createMockPR({
+          number: 1,
+          title: 'Bump golang.org/x/exp from 0.0.0-20231012142233-abcdef123456 to 0.0.0-20240101080000-123456abcdef',
+          head: { ref: 'dependabot/go_modules/golang.org/x/exp-0.0.0-20240101080000-123456abcdef', sha: 'abc123' }
+        }),
+        createMockPR({
+          number: 2,
+          title: 'Bump github.com/go-chi/chi/v5 from 5.0.10 to 5.0.11',
+          head: { ref: 'dependabot/go_modules/github.com/go-chi/chi/v5-5.0.11', sha: 'abc124' }
+        })
+      ]
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { number: 1, mergeable: true } });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [{ sha: 'abc123def456', author: { login: 'dependabot[bot]' }, committer: { login: 'dependabot[bot]' } }]
+    });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { state: 'success' } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const result = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0, 0);
+    expect(result.eligiblePRs[0].dependencyInfo).toEqual(expect.objectContaining({
+      ecosystem: 'gomod',
+      semverChange: 'pseudo',
+      qualifierChange: 'abcdef123456 → 123456abcdef, 80 days newer'
+    }));
+    expect(result.eligiblePRs[1].dependencyInfo).toEqual(expect.objectContaining({ ecosystem: 'gomod', semverChange: 'patch' }));
+  });
+
+  test('should classify SHA-pinned actions by the versions in the body and commit metadata', async () => {
+    const pinnedCommit = (version) => ({
+      sha: 'abc123def456',
+      author: { login: 'dependabot[bot]' },
+      committer: { login: 'dependabot[bot]' },
+      commit: {
+        message: [
+          'Bump actions/checkout from 8e5e7e5 to b4ffde6',
+          '',
+          '---',
+          'updated-dependencies:',
+          '- dependency-name: actions/checkout',
+          `  dependency-version: ${version}`,
+          '  dependency-type: direct:production',
+          '...',
+          ''
+        ].join('\n')
+      }
+    });
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [
+        createMockPR({
+          title: 'Bump actions/checkout from 8e5e7e5 to b4ffde6',
+          head: { ref: 'dependabot/github_actions/actions/checkout-b4ffde6', sha: 'abc123' },
+          body: 'Bumps [actions/checkout](https://github.com/actions/checkout) from 8e5e7e5 to b4ffde6.\n' +
+                '<details>\n<summary>Release notes</summary>\nUpdates from v4.1.1 to v4.1.2.\n</details>'
+        })
+      ]
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { number: 1, mergeable: true } });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({ data: [pinnedCommit('4.1.2')] });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { state: 'success' } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const result = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0);
+    expect(result.eligiblePRs[0].dependencyInfo).toEqual(expect.objectContaining({
+      name: 'actions/checkout',
+      fromVersion: 'v4.1.1',
+      toVersion: 'v4.1.2',
+      pinnedFrom: '8e5e7e5',
+      pinnedTo: 'b4ffde6',
+      semverChange: 'patch'
+    }));
+
+    // Versions in the body that do not match the commit metadata are not used
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({ data: [pinnedCommit('5.0.0')] });
+    const mismatch = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0);
+    expect(mismatch.eligiblePRs[0].dependencyInfo).toEqual(expect.objectContaining({
+      toVersion: 'b4ffde6',
+      semverChange: 'unknown'
+    }));
+    expect(mismatch.eligiblePRs[0].dependencyInfo.pinnedTo).toBeUndefined();
+  });
+
+  test('should use the minimum age configured for the ecosystem of the PR', async () => {
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [
+        createMockPR({
+          number: 1,
+          head: { ref: 'dependabot/npm_and_yarn/lodash-4.17.21', sha: 'abc123' },
+          created_at: oneDayAgo
+        }),
+        createMockPR({
+          number: 2,
+          title: 'Bump actions/checkout from 4.1.0 to 4.1.1',
+          head: { ref: 'dependabot/github_actions/actions/checkout-4.1.1', sha: 'def456' },
+          created_at: oneDayAgo
+        })
+      ]
+    });
+    mockOctokit.rest.pulls.get.mockImplementation(({ pull_number }) => Promise.resolve({ data: { number: pull_number, mergeable: true } }));
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [{ sha: 'abc123def456', author: { login: 'dependabot[bot]' }, committer: { login: 'dependabot[bot]' } }]
+    });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { state: 'success' } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const result = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0, 0, {
+      ecosystems: { npm: { minimumAgeInDays: 3 } }
+    });
+
+    expect(result.eligiblePRs.map(pr => pr.number)).toEqual([2]);
+    expect(result.eligiblePRs[0].ecosystem).toBe('github-actions');
+    expect(core.debug).toHaveBeenCalledWith(expect.stringContaining('needs to be at least 3 days old'));
+  });
+
+  test('should classify dependencies with the configured semver classification rules', async () => {
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [
+        createMockPR({
+          number: 1,
+          title: 'Bump the deps group with 2 updates',
+          body: '| Package | From | To |\n| --- | --- | --- |\n| [esbuild](https://github.com/evanw/esbuild) | `0.19.0` | `0.20.0` |\n| [next](https://github.com/vercel/next.js) | `14.2.0` | `15.0.0-rc.1` |',
+          head: { ref: 'dependabot/npm_and_yarn/deps-a1b2c3', sha: 'abc123' },
+          created_at: '2025-05-10T10:00:00Z'
+        })
+      ]
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { number: 1, mergeable: true } });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [{ sha: 'abc123def456', author: { login: 'dependabot[bot]' }, committer: { login: 'dependabot[bot]' } }]
+    });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { state: 'success' } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const defaultResult = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0, 0);
+    expect(defaultResult.eligiblePRs[0].dependencyInfoList.map(dep => dep.semverChange)).toEqual(['minor', 'prerelease']);
+
+    const result = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0, 0, {
+      semverClassification: ['zero-minor-as-major', 'prerelease-as-release']
+    });
+    expect(result.eligiblePRs[0].dependencyInfoList.map(dep => dep.semverChange)).toEqual(['major', 'major']);
+  });
+
+  test('should classify pip dependencies as PEP 440 versions', async () => {
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [
+        createMockPR({
+          title: 'Bump django from 4.2.7 to 4.2.7.post1',
+          head: { ref: 'dependabot/pip/django-4.2.7.post1', sha: 'abc123' },
+          created_at: '2025-05-10T10:00:00Z'
+        })
+      ]
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { number: 1, mergeable: true } });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [{ sha: 'abc123def456', author: { login: 'dependabot[bot]' }, committer: { login: 'dependabot[bot]' } }]
+    });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { state: 'success' } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const result = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0, 0);
+
+    expect(result.eligiblePRs[0].dependencyInfo).toEqual(expect.objectContaining({ ecosystem: 'pip', semverChange: 'post' }));
+  });
+
+  test('should classify dependencies declared as CalVer as calver changes', async () => {
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [
+        createMockPR({
+          title: 'Bump pip from 23.3 to 24.0',
+          head: { ref: 'dependabot/pip/pip-24.0', sha: 'abc123' },
+          created_at: '2025-05-10T10:00:00Z'
+        })
+      ]
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { number: 1, mergeable: true } });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [{ sha: 'abc123def456', author: { login: 'dependabot[bot]' }, committer: { login: 'dependabot[bot]' } }]
+    });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { state: 'success' } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const defaultResult = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0, 0);
+    expect(defaultResult.eligiblePRs[0].dependencyInfo.semverChange).toBe('major');
+
+    const result = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0, 0, { calverDependencies: ['pip'] });
+    expect(result.eligiblePRs[0].dependencyInfo.semverChange).toBe('calver');
+  });
+
+  test('should classify docker image tags and digests', async () => {
+    mockOctokit.rest.pulls.list.mockResolvedValue({
+      data: [
+        createMockPR({
+          number: 1,
+          title: 'Bump node from 20.11-alpine to 20.12-alpine',
+          head: { ref: 'dependabot/docker/node-20.12-alpine', sha: 'abc123' },
+          created_at: '2025-05-10T10:00:00Z'
+        }),
+        createMockPR({
+          number: 2,
+          title: 'Bump node from `6a2f5a6` to `a4d5ba6`',
+          head: { ref: 'dependabot/docker/node-a4d5ba6', sha: 'abc124' },
+          created_at: '2025-05-10T10:00:00Z'
+        }),
+        createMockPR({
+          number: 3,
+          title: 'Bump eclipse-temurin from 21-jre to 21-jdk in /services/api',
+          head: { ref: 'dependabot/docker/services/api/eclipse-temurin-21-jdk', sha: 'abc125' },
+          created_at: '2025-05-10T10:00:00Z'
+        })
+      ]
+    });
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { number: 1, mergeable: true } });
+    mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+      data: [{ sha: 'abc123def456', author: { login: 'dependabot[bot]' }, committer: { login: 'dependabot[bot]' } }]
+    });
+    mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+    mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { state: 'success' } });
+    mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [] } });
+
+    const result = await findMergeablePRs(mockOctokit, 'owner', 'repo', 0, 0);
+    const changes = result.eligiblePRs.map(pr => pr.dependencyInfo.semverChange);
+    expect(changes).toEqual(['minor', 'digest', 'variant']);
+    expect(result.eligiblePRs[2].dependencyInfo.qualifierChange).toBe('jre → jdk');
+  });
+
   test('should filter out PRs that are not mergeable', async () => {
     mockOctokit.rest.pulls.list.mockResolvedValue({
       data: [
@@ -954,6 +1257,84 @@ Updates dependency-B from 2.1.0 to 2.1.1
     expect(result.eligiblePRs[0].dependencyInfoList[1].semverChange).toBe('patch');
   });
 
+  describe('extractDependencyInfo', () => {
+    test('should capture the directory from the title', () => {
+      expect(extractDependencyInfo('Bump stripe from 14.1.0 to 14.2.0 in /services/payments')).toEqual({
+        name: 'stripe',
+        fromVersion: '14.1.0',
+        toVersion: '14.2.0',
+        semverChange: 'minor',
+        directory: '/services/payments'
+      });
+      expect(extractDependencyInfo('chore(deps): bump lodash from 4.17.20 to 4.17.21 in /').directory).toBe('/');
+      expect(extractDependencyInfo('Bump lodash from 4.17.20 to 4.17.21').directory).toBeUndefined();
+    });
+
+    test('should extract requirement updates', () => {
+      expect(extractDependencyInfo('Update rails requirement from ~> 6.1 to ~> 7.0 in /app')).toEqual({
+        name: 'rails',
+        fromVersion: '~> 6.1',
+        toVersion: '~> 7.0',
+        semverChange: 'major',
+        rangeChange: 'narrow',
+        requirement: true,
+        directory: '/app'
+      });
+      expect(extractDependencyInfo('chore(deps): update react requirement from ^17.0.0 to ^17.0.0 || ^18.0.0')).toEqual(expect.objectContaining({
+        name: 'react',
+        toVersion: '^17.0.0 || ^18.0.0',
+        rangeChange: 'widen'
+      }));
+      expect(extractDependencyInfo('Update something unrelated').name).toBeNull();
+    });
+
+    test('should capture the directory of group updates', () => {
+      expect(extractDirectoryFromTitle('Bumps the maven group in /app with 3 updates')).toBe('/app');
+      expect(extractDirectoryFromTitle('Bump the npm group across 2 directories with 4 updates')).toBeNull();
+    });
+  });
+
+  describe('addPinnedVersions', () => {
+    const metadataCommit = entries => ({
+      commit: {
+        message: ['Bump actions', '', '---', 'updated-dependencies:',
+          ...entries.flatMap(([name, version]) => [`- dependency-name: ${name}`, `  dependency-version: ${version}`]), '...', ''].join('\n')
+      }
+    });
+
+    test('should take the versions of each pinned action in a group from its own part of the body', () => {
+      const prData = {
+        number: 1,
+        body: 'Bumps the actions group with 2 updates:\n' +
+              'Updates `actions/checkout` from 8e5e7e5 to b4ffde6\n- Release notes: from v4.1.1 to v4.2.0\n' +
+              'Updates `actions/setup-node` from 1a4442c to 60edb5d\n',
+        dependencyInfoList: [
+          { name: 'actions/checkout', fromVersion: '8e5e7e5', toVersion: 'b4ffde6', ecosystem: 'github-actions' },
+          { name: 'actions/setup-node', fromVersion: '1a4442c', toVersion: '60edb5d', ecosystem: 'github-actions' }
+        ]
+      };
+
+      addPinnedVersions(prData, [metadataCommit([['actions/checkout', '4.2.0'], ['actions/setup-node', '4.0.3']])]);
+
+      expect(prData.dependencyInfoList[0]).toEqual(expect.objectContaining({ fromVersion: 'v4.1.1', toVersion: 'v4.2.0', pinnedTo: 'b4ffde6' }));
+      expect(prData.dependencyInfoList[1]).toEqual(expect.objectContaining({ fromVersion: '1a4442c', toVersion: '60edb5d' }));
+      expect(prData.dependencyInfoList[1].pinnedTo).toBeUndefined();
+    });
+
+    test('should not take versions from the release notes without the version from the commit metadata', () => {
+      const body = 'Bumps [actions/checkout](https://github.com/actions/checkout) from 8e5e7e5 to b4ffde6.\n' +
+        '<details>\n<summary>Release notes</summary>\n<h2>v5.0.0</h2>\n<ul><li>Bump word-wrap from 1.2.3 to 1.2.4</li></ul>\n' +
+        '<p>Updates from v4.3.0 to v5.0.0.</p>\n</details>';
+      const createPR = () => ({ number: 1, title: 'Bump actions/checkout from 8e5e7e5 to b4ffde6', body, head: { ref: 'dependabot/github_actions/actions/checkout-b4ffde6' } });
+
+      const withoutMetadata = addDependencyInfo(createPR(), []);
+      expect(withoutMetadata.dependencyInfo).toEqual(expect.objectContaining({ fromVersion: '8e5e7e5', toVersion: 'b4ffde6', semverChange: 'unknown' }));
+
+      const withMetadata = addDependencyInfo(createPR(), [metadataCommit([['actions/checkout', '5.0.0']])]);
+      expect(withMetadata.dependencyInfo).toEqual(expect.objectContaining({ fromVersion: 'v4.3.0', toVersion: 'v5.0.0', semverChange: 'major' }));
+    });
+  });
+
   describe('extractMultipleDependencyInfo', () => {
     test('should extract information from "Bump A and B in directory" format', () => {
       const title = 'Bump dependency-A and dependency-B in /my-group';
@@ -977,6 +1358,7 @@ Updates dependency-B from 2.1.0 to 3.0.0
       expect(result[1].fromVersion).toBe('2.1.0');
       expect(result[1].toVersion).toBe('3.0.0');
       expect(result[1].semverChange).toBe('major');
+      expect(result.map(dep => dep.directory)).toEqual(['/my-group', '/my-group']);
     });
 
     test('should extract information from "build(deps): bump the X group with 2 updates" format', () => {
@@ -1054,6 +1436,60 @@ Updates dependency-B from 2.1.0 to 2.1.1
       const result = extractMultipleDependencyInfo(title, body);
       expect(result).toEqual([]);
     });
+
+    test('should extract comma lists, versions with letters and removed dependencies', () => {
+      const title = 'deps bump guava, hibernate-core and left-pad in /app';
+      const body = [
+        'Updates `com.google.guava:guava` from 32.1.3-jre to 33.0.0-jre',
+        'Updates `org.hibernate.orm:hibernate-core` from 6.6.13.Final to 6.6.14.Final',
+        'Removes `left-pad`'
+      ].join('\n');
+
+      expect(extractMultipleDependencyInfo(title, body)).toEqual([
+        { name: 'com.google.guava:guava', fromVersion: '32.1.3-jre', toVersion: '33.0.0-jre', semverChange: 'major', directory: '/app' },
+        { name: 'org.hibernate.orm:hibernate-core', fromVersion: '6.6.13.Final', toVersion: '6.6.14.Final', semverChange: 'patch', directory: '/app' },
+        { name: 'left-pad', fromVersion: null, toVersion: null, semverChange: null, removed: true, directory: '/app' }
+      ]);
+    });
+
+    test('should set the number of dependencies stated in the title', () => {
+      const prData = {
+        number: 1,
+        title: 'Bump the npm group with 3 updates',
+        body: 'Updates `lodash` from 4.17.20 to 4.17.21\nUpdates `axios` from 1.6.0 to 1.6.1',
+        head: { ref: 'dependabot/npm_and_yarn/npm-a1b2c3' }
+      };
+
+      addDependencyInfo(prData, []);
+
+      expect(prData.expectedDependencyCount).toBe(3);
+      expect(prData.dependencyInfoList).toHaveLength(2);
+    });
+
+    test('should extract each directory of a group across several directories separately', () => {
+      const prData = {
+        number: 2,
+        title: 'Bump the npm group across 2 directories with 2 updates',
+        body: [
+          'Bumps the npm group with 2 updates in the /frontend directory: [lodash](https://github.com/lodash/lodash) and [axios](https://github.com/axios/axios).',
+          'Bumps the npm group with 1 update in the /backend directory: [lodash](https://github.com/lodash/lodash).',
+          '',
+          'Updates `lodash` from 4.17.20 to 4.17.21',
+          'Updates `axios` from 1.6.0 to 1.7.0',
+          'Updates `lodash` from 3.10.1 to 4.17.21'
+        ].join('\n'),
+        head: { ref: 'dependabot/npm_and_yarn/npm-a1b2c3' }
+      };
+
+      addDependencyInfo(prData, []);
+
+      expect(prData.dependencyInfoList.map(dep => [dep.name, dep.directory, dep.fromVersion, dep.semverChange])).toEqual([
+        ['lodash', '/frontend', '4.17.20', 'patch'],
+        ['axios', '/frontend', '1.6.0', 'minor'],
+        ['lodash', '/backend', '3.10.1', 'major']
+      ]);
+      expect(prData.expectedDependencyCount).toBe(3);
+    });
   });
 
   describe('checkPRMergeability', () => {
@@ -1175,6 +1611,199 @@ Updates dependency-B from 2.1.0 to 2.1.1
     });
   });
 
+  describe('enableAutoMerge', () => {
+    const pr = { number: 12, node_id: 'PR_node12' };
+
+    test('should enable auto-merge with the merge method', async () => {
+      const mockOctokit = { graphql: jest.fn().mockResolvedValue({}) };
+
+      const result = await enableAutoMerge(mockOctokit, pr, 'rebase');
+
+      expect(result).toBe('enabled');
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(
+        expect.stringContaining('enablePullRequestAutoMerge'),
+        { pullRequestId: 'PR_node12', mergeMethod: 'REBASE' }
+      );
+      expect(core.info).toHaveBeenCalledWith('Enabled auto-merge (rebase) for PR #12');
+    });
+
+    test('should report PRs that already meet their merge requirements', async () => {
+      const mockOctokit = { graphql: jest.fn().mockRejectedValue(new Error('Pull request Pull request is in clean status')) };
+
+      expect(await enableAutoMerge(mockOctokit, pr, 'merge')).toBe('clean');
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    test('should handle other failures', async () => {
+      const mockOctokit = { graphql: jest.fn().mockRejectedValue(new Error('Auto merge is not allowed for this repository')) };
+
+      expect(await enableAutoMerge(mockOctokit, pr, 'merge')).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith('Failed to enable auto-merge for PR #12: Auto merge is not allowed for this repository');
+    });
+  });
+
+  describe('disableAutoMerge', () => {
+    test('should disable auto-merge and handle failures', async () => {
+      const mockOctokit = { graphql: jest.fn().mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('Not found')) };
+      const pr = { number: 13, node_id: 'PR_node13' };
+
+      expect(await disableAutoMerge(mockOctokit, pr)).toBe(true);
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('disablePullRequestAutoMerge'), { pullRequestId: 'PR_node13' });
+      expect(await disableAutoMerge(mockOctokit, pr)).toBe(false);
+      expect(core.warning).toHaveBeenCalledWith('Failed to disable auto-merge for PR #13: Not found');
+    });
+  });
+
+  describe('getMergeQueue', () => {
+    test('should return the merge queue of a branch with its merge method', async () => {
+      const mockOctokit = { graphql: jest.fn().mockResolvedValue({ repository: { mergeQueue: { configuration: { mergeMethod: 'SQUASH' } } } }) };
+
+      expect(await getMergeQueue(mockOctokit, 'owner', 'repo', 'main')).toEqual({ mergeMethod: 'squash', pullRequests: [] });
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('mergeQueue(branch: $branch)'), { owner: 'owner', repo: 'repo', branch: 'main' });
+      expect(core.info).toHaveBeenCalledWith('Branch main uses a merge queue (merge method: squash)');
+    });
+
+    test('should return the pull requests in the merge queue', async () => {
+      const mockOctokit = {
+        graphql: jest.fn().mockResolvedValue({
+          repository: {
+            mergeQueue: {
+              configuration: { mergeMethod: 'MERGE' },
+              entries: { nodes: [{ pullRequest: { number: 14, headRefName: 'dependabot/npm_and_yarn/lodash-4.17.21' } }, { pullRequest: null }] }
+            }
+          }
+        })
+      };
+
+      expect((await getMergeQueue(mockOctokit, 'owner', 'repo', 'main')).pullRequests).toEqual([
+        { number: 14, head: { ref: 'dependabot/npm_and_yarn/lodash-4.17.21' } }
+      ]);
+    });
+
+    test('should return null without a merge queue, and report failed lookups', async () => {
+      const mockOctokit = { graphql: jest.fn().mockResolvedValueOnce({ repository: { mergeQueue: null } }).mockRejectedValueOnce(new Error('Resource not accessible by integration')) };
+
+      expect(await getMergeQueue(mockOctokit, 'owner', 'repo', 'main')).toBeNull();
+      await expect(getMergeQueue(mockOctokit, 'owner', 'repo', 'main')).rejects.toThrow('Failed to look up the merge queue of branch main: Resource not accessible by integration');
+    });
+  });
+
+  describe('getMergeQueueEntry', () => {
+    test('should return the entry of a queued pull request', async () => {
+      const mockOctokit = { graphql: jest.fn().mockResolvedValue({ repository: { pullRequest: { mergeQueueEntry: { position: 3, state: 'AWAITING_CHECKS' } } } }) };
+
+      expect(await getMergeQueueEntry(mockOctokit, 'owner', 'repo', 14)).toEqual({ position: 3, state: 'AWAITING_CHECKS' });
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.any(String), { owner: 'owner', repo: 'repo', number: 14 });
+    });
+
+    test('should return null for a pull request that is not queued', async () => {
+      const mockOctokit = { graphql: jest.fn().mockResolvedValue({ repository: { pullRequest: { mergeQueueEntry: null } } }) };
+
+      expect(await getMergeQueueEntry(mockOctokit, 'owner', 'repo', 14)).toBeNull();
+    });
+  });
+
+  describe('getMergeQueueRemoval', () => {
+    test('should return the last removal of a pull request from the merge queue', async () => {
+      const mockOctokit = {
+        graphql: jest.fn().mockResolvedValue({
+          repository: {
+            pullRequest: {
+              timelineItems: { nodes: [{ createdAt: '2026-10-19T08:00:00Z', reason: 'failed checks', beforeCommit: { oid: 'abc123' } }] }
+            }
+          }
+        })
+      };
+
+      expect(await getMergeQueueRemoval(mockOctokit, 'owner', 'repo', 14)).toEqual({ createdAt: '2026-10-19T08:00:00Z', reason: 'failed checks', commit: 'abc123' });
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('REMOVED_FROM_MERGE_QUEUE_EVENT'), { owner: 'owner', repo: 'repo', number: 14 });
+    });
+
+    test('should return null for a pull request that was never removed, or when the lookup fails', async () => {
+      const mockOctokit = {
+        graphql: jest.fn()
+          .mockResolvedValueOnce({ repository: { pullRequest: { timelineItems: { nodes: [] } } } })
+          .mockRejectedValueOnce(new Error('Resource not accessible by integration'))
+      };
+
+      expect(await getMergeQueueRemoval(mockOctokit, 'owner', 'repo', 14)).toBeNull();
+      expect(await getMergeQueueRemoval(mockOctokit, 'owner', 'repo', 14)).toBeNull();
+    });
+  });
+
+  describe('enqueuePullRequest', () => {
+    const pr = { number: 15, node_id: 'PR_node15' };
+
+    test('should add the pull request to the merge queue', async () => {
+      const mockOctokit = { graphql: jest.fn().mockResolvedValue({ enqueuePullRequest: { mergeQueueEntry: { position: 2, state: 'QUEUED' } } }) };
+
+      expect(await enqueuePullRequest(mockOctokit, pr)).toEqual({ position: 2, state: 'QUEUED' });
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('enqueuePullRequest'), { pullRequestId: 'PR_node15' });
+      expect(core.info).toHaveBeenCalledWith('Added PR #15 to the merge queue at position 2');
+    });
+
+    test('should handle failures', async () => {
+      const mockOctokit = { graphql: jest.fn().mockRejectedValue(new Error('Pull request is not mergeable')) };
+
+      expect(await enqueuePullRequest(mockOctokit, pr)).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith('Failed to add PR #15 to the merge queue: Pull request is not mergeable');
+    });
+  });
+
+  describe('findRecentMerges', () => {
+    const since = new Date('2026-10-18T12:00:00Z');
+
+    const query = 'repo:owner/repo is:pr is:merged author:app/dependabot merged:>=2026-10-18T12:00:00Z';
+    const numbers = count => Array.from({ length: count }, (_, i) => ({ number: i + 1 }));
+
+    test('should count the merged Dependabot PRs through all pages, per ecosystem from their branches', async () => {
+      const search = jest.fn();
+      const mockOctokit = {
+        rest: { search: { issuesAndPullRequests: search } },
+        paginate: jest.fn().mockImplementation((method, { q }) => Promise.resolve(
+          q.endsWith('head:dependabot/npm_and_yarn/') ? numbers(120) : q.endsWith('head:dependabot/go_modules/') ? numbers(3) : numbers(150)
+        ))
+      };
+
+      const result = await findRecentMerges(mockOctokit, 'owner', 'repo', since, { ecosystems: ['npm', 'gomod'] });
+
+      expect(result.total).toBe(150);
+      expect(result.byEcosystem).toEqual(new Map([['npm', 120], ['gomod', 3]]));
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(search, { q: query, per_page: 100 });
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(search, { q: `${query} head:dependabot/npm_and_yarn/`, per_page: 100 });
+      expect(mockOctokit.paginate).toHaveBeenCalledTimes(3);
+    });
+
+    test('should only count the total without ecosystems, and report failed searches', async () => {
+      const paginate = jest.fn()
+        .mockResolvedValueOnce(numbers(120))
+        .mockRejectedValueOnce(new Error('Validation Failed'));
+      const mockOctokit = { rest: { search: { issuesAndPullRequests: jest.fn() } }, paginate };
+
+      expect(await findRecentMerges(mockOctokit, 'owner', 'repo', since)).toEqual({ total: 120, byEcosystem: new Map() });
+      expect(paginate).toHaveBeenCalledTimes(1);
+      await expect(findRecentMerges(mockOctokit, 'owner', 'repo', since)).rejects.toThrow('Failed to search for recently merged pull requests: Validation Failed');
+    });
+  });
+
+  describe('listPullRequestFiles', () => {
+    test('should list the names of the changed files', async () => {
+      const mockOctokit = {
+        rest: { pulls: { listFiles: jest.fn().mockResolvedValue({ data: [{ filename: 'package.json' }, { filename: 'package-lock.json' }] }) } }
+      };
+
+      expect(await listPullRequestFiles(mockOctokit, 'owner', 'repo', 16)).toEqual(['package.json', 'package-lock.json']);
+      expect(mockOctokit.rest.pulls.listFiles).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', pull_number: 16, per_page: 100 });
+    });
+
+    test('should return no files when listing fails', async () => {
+      const mockOctokit = { rest: { pulls: { listFiles: jest.fn().mockRejectedValue(new Error('Not Found')) } } };
+
+      expect(await listPullRequestFiles(mockOctokit, 'owner', 'repo', 16)).toEqual([]);
+      expect(core.warning).toHaveBeenCalledWith('Failed to list the files of PR #16: Not Found');
+    });
+  });
+
   describe('updatePRBranch', () => {
 
     test('should successfully update a PR branch', async () => {
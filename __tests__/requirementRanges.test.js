@@ -0,0 +1,63 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseRequirement, rangeBounds, determineRequirementChange, determineRangeChange } from '../src/requirementRanges.js';
+
+describe('Requirement Ranges Module', () => {
+  describe('parseRequirement', () => {
+    test('should convert requirements of different ecosystems to semver ranges', () => {
+      expect(parseRequirement('~> 6.1').range).toBe('>=6.1.0 <7.0.0');
+      expect(parseRequirement('~> 6.1.2').range).toBe('>=6.1.2 <6.2.0');
+      expect(parseRequirement('~=2.2').range).toBe('>=2.2.0 <3.0.0');
+      expect(parseRequirement('>=2.28,!=2.29.1,<2.32').range).toBe('>=2.28.0 <2.32.0-0');
+      expect(parseRequirement('5.4.*').range).toBe('>=5.4.0 <5.5.0-0');
+      expect(parseRequirement('1.0.100', 'cargo').range).toBe('>=1.0.100 <2.0.0-0');
+      expect(parseRequirement('1.0.100', 'npm').range).toBe('1.0.100');
+    });
+
+    test('should return null for requirements that are not ranges', () => {
+      expect(parseRequirement('~> main')).toBeNull();
+      expect(parseRequirement('latest')).toBeNull();
+      expect(parseRequirement('')).toBeNull();
+    });
+  });
+
+  describe('rangeBounds', () => {
+    test('should find the lowest and highest accepted versions', () => {
+      expect(rangeBounds(parseRequirement('^17.0.0 || ^18.0.0'))).toEqual({ lower: [17, 0, 0], upper: [18, Infinity, Infinity] });
+      expect(rangeBounds(parseRequirement('>=2.28,<2.32'))).toEqual({ lower: [2, 28, 0], upper: [2, 31, Infinity] });
+      expect(rangeBounds(parseRequirement('<=1.4.2'))).toEqual({ lower: [0, 0, 0], upper: [1, 4, 2] });
+      expect(rangeBounds(parseRequirement('>= 1.2'))).toEqual({ lower: [1, 2, 0], upper: null });
+    });
+  });
+
+  describe('determineRequirementChange', () => {
+    test('should compare the highest accepted versions', () => {
+      expect(determineRequirementChange('~> 6.1', '~> 7.0')).toBe('major');
+      expect(determineRequirementChange('^17.0.0', '^17.0.0 || ^18.0.0')).toBe('major');
+      expect(determineRequirementChange('>=2.28,<2.29', '>=2.28,<2.32')).toBe('minor');
+      expect(determineRequirementChange('5.4.*', '5.*')).toBe('minor');
+      expect(determineRequirementChange('~> 6.1.2', '~> 6.1.4')).toBe('patch');
+      expect(determineRequirementChange('>=1.0,<3.0', '>=1.0,<2.0')).toBe('downgrade');
+    });
+
+    test('should compare the lowest accepted versions when the highest did not change', () => {
+      expect(determineRequirementChange('>= 1.2', '>= 1.4')).toBe('minor');
+      expect(determineRequirementChange('1.0.100', '1.0.150', { ecosystem: 'cargo' })).toBe('patch');
+      expect(determineRequirementChange('^0.3.1', '^0.3.4', { classification: ['zero-patch-as-major'] })).toBe('patch');
+    });
+
+    test('should return unknown for requirements that cannot be compared', () => {
+      expect(determineRequirementChange('~> main', '~> 7.0')).toBe('unknown');
+      expect(determineRequirementChange('^1.2.0', '^1.2.0')).toBe('unknown');
+    });
+  });
+
+  describe('determineRangeChange', () => {
+    test('should detect widened and narrowed ranges', () => {
+      expect(determineRangeChange('^17.0.0', '^17.0.0 || ^18.0.0')).toBe('widen');
+      expect(determineRangeChange('>=2.28,<2.29', '>=2.28,<2.32')).toBe('widen');
+      expect(determineRangeChange('~> 6.1', '~> 7.0')).toBe('narrow');
+      expect(determineRangeChange('>= 1.2', '>= 1.4')).toBe('narrow');
+      expect(determineRangeChange('~> main', '~> 7.0')).toBeNull();
+    });
+  });
+});
@@ -25,7 +25,7 @@ describe('Semver Handling', () => {
     expect(result.name).toBe('express');
     expect(result.fromVersion).toBe('4.17.1-beta.0');
     expect(result.toVersion).toBe('4.18.0-rc.1');
-    expect(result.semverChange).toBe('minor');
+    expect(result.semverChange).toBe('prerelease');
   });
   
   test('should handle versions with build metadata', () => {
@@ -68,6 +68,6 @@ describe('Semver Handling', () => {
   });
 
   test('should not allow downgrades', () => {
-    expect(determineSemverChange('2.0.0', '1.0.0')).toBe('unknown');
+    expect(determineSemverChange('2.0.0', '1.0.0')).toBe('downgrade');
   });
 });
@@ -469,4 +469,406 @@ describe('addWorkflowSummary', () => {
 
     expect(mockSummary.write).toHaveBeenCalled();
   });
+
+  test('should show where each filter setting came from', async () => {
+    const filters = {
+      ignoredDependencies: ['react'],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch'],
+      ecosystems: {
+        npm: { semverFilter: ['patch'], minimumAgeInDays: 3 },
+        'github-actions': { semverFilter: ['patch', 'minor', 'major'] }
+      },
+      sources: {
+        ignoredDependencies: 'input',
+        alwaysAllow: 'default',
+        alwaysAllowLabels: 'default',
+        ignoredVersions: 'default',
+        semverFilter: 'policy file',
+        ecosystems: 'policy file'
+      },
+      policyFile: '.github/automerge-dependabot.yml'
+    };
+
+    await addWorkflowSummary([], [], new Set(), filters, []);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('| Filter Type | Value | Source |');
+    expect(summaryContent).toContain('| Semver Filter | patch | Policy file |');
+    expect(summaryContent).toContain('| Ignored Dependencies | react | Action input |');
+    expect(summaryContent).toContain('| Always Allow | None | Default |');
+    expect(summaryContent).toContain('| Ecosystems | npm (minimum-age-of-pr: 3; semver-filter: patch), github-actions (semver-filter: patch, minor, major) | Policy file |');
+    expect(summaryContent).toContain('Policy file: `.github/automerge-dependabot.yml`');
+  });
+
+  test('should list rules and show which rule allowed each merged dependency', async () => {
+    getFilterReasons.mockImplementation(prNumber => prNumber === 1
+      ? [{ dependency: '@types/node', reason: 'Allowed by rule "types-major" (major change)', rule: 'types-major' }]
+      : null);
+
+    const prs = [
+      {
+        number: 1,
+        html_url: 'https://github.com/owner/repo/pull/1',
+        labels: [],
+        dependencyInfo: { name: '@types/node', fromVersion: '18.0.0', toVersion: '20.0.0', semverChange: 'major' }
+      },
+      {
+        number: 2,
+        html_url: 'https://github.com/owner/repo/pull/2',
+        labels: [],
+        dependencyInfo: { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch' }
+      }
+    ];
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch'],
+      rules: [
+        { name: 'types-major', dependency: ['@types/*'], semver: ['major'], action: 'allow' },
+        { name: 'spring-minor', dependency: ['org.springframework.boot:*'], semver: ['minor'], action: 'deny' }
+      ],
+      sources: { rules: 'policy file' }
+    };
+
+    await addWorkflowSummary(prs, prs, new Set([1, 2]), filters, prs);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('| Rules | 1. types-major (allow), 2. spring-minor (deny) | Policy file |');
+    expect(summaryContent).toContain('| PR | Dependency | Version | Reason |');
+    expect(summaryContent).toContain('| [#1](https://github.com/owner/repo/pull/1) | @types/node | 20.0.0 | Allowed by rule "types-major" (major change) |');
+    expect(summaryContent).toContain('| [#2](https://github.com/owner/repo/pull/2) | lodash | 4.17.21 | Passed filters |');
+  });
+
+  test('should show which ignored version range filtered a dependency', async () => {
+    getFilterReasons.mockImplementation(prNumber => prNumber === 3
+      ? [{ dependency: 'axios', reason: 'Version "axios@1.6.0" matches ignored range "<1.7.0 || 2.0.0-beta.x"' }]
+      : null);
+
+    const pr = {
+      number: 3,
+      html_url: 'https://github.com/owner/repo/pull/3',
+      labels: [],
+      dependencyInfo: { name: 'axios', fromVersion: '1.5.0', toVersion: '1.6.0', semverChange: 'minor' }
+    };
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: ['axios@<1.7.0 || 2.0.0-beta.x'],
+      semverFilter: ['patch', 'minor']
+    };
+
+    await addWorkflowSummary([pr], [], new Set(), filters, [pr]);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('| Ignored Versions | axios@<1.7.0 \\|\\| 2.0.0-beta.x |');
+    expect(summaryContent).toContain('| [#3](https://github.com/owner/repo/pull/3) | axios | 1.6.0 | Version "axios@1.6.0" matches ignored range "<1.7.0 \\|\\| 2.0.0-beta.x" |');
+  });
+
+  test('should flag dependencies where the Dependabot update type differs from the detected change', async () => {
+    getFilterReasons.mockImplementation(() => null);
+
+    const pr = {
+      number: 4,
+      html_url: 'https://github.com/owner/repo/pull/4',
+      labels: [],
+      dependencyInfoList: [
+        { name: 'guava', fromVersion: '32.1.2-jre', toVersion: '33.0.0-jre', semverChange: 'major', updateType: 'major' },
+        { name: 'calver-lib', fromVersion: '2023.12', toVersion: '2024.01', semverChange: 'major', updateType: 'minor' }
+      ]
+    };
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch', 'minor']
+    };
+
+    await addWorkflowSummary([pr], [], new Set(), filters, [pr]);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('## Update Type Mismatches');
+    expect(summaryContent).toContain('| [#4](https://github.com/owner/repo/pull/4) | calver-lib | 2023.12 → 2024.01 | minor | major |');
+    expect(summaryContent).not.toContain('| guava | 32.1.2-jre → 33.0.0-jre |');
+  });
+
+  test('should add a directory column when dependencies are outside the repository root', async () => {
+    getFilterReasons.mockImplementation(prNumber => prNumber === 6
+      ? [{ dependency: 'stripe', reason: 'Semver change "major" for "stripe" is not in allowed list: patch' }]
+      : null);
+
+    const prs = [
+      {
+        number: 5,
+        html_url: 'https://github.com/owner/repo/pull/5',
+        labels: [],
+        directory: '/tools',
+        dependencyInfo: { name: 'eslint', fromVersion: '9.0.0', toVersion: '9.1.0', semverChange: 'minor', directory: '/tools' }
+      },
+      {
+        number: 6,
+        html_url: 'https://github.com/owner/repo/pull/6',
+        labels: [],
+        directory: '/services/payments',
+        dependencyInfo: { name: 'stripe', fromVersion: '14.0.0', toVersion: '15.0.0', semverChange: 'major', directory: '/services/payments' }
+      }
+    ];
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch', 'minor']
+    };
+
+    await addWorkflowSummary(prs, [prs[0]], new Set([5]), filters, prs);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('| PR | Dependency | Directory | Version |');
+    expect(summaryContent).toContain('| [#5](https://github.com/owner/repo/pull/5) | eslint | /tools | 9.1.0 |');
+    expect(summaryContent).toContain('| PR | Dependency | Directory | Version | Reason for Filtering |');
+    expect(summaryContent).toContain('| [#6](https://github.com/owner/repo/pull/6) | stripe | /services/payments | 15.0.0 | Semver change "major" for "stripe" is not in allowed list: patch |');
+  });
+
+  test('should mark downgrades in the version column and the mismatch table', async () => {
+    getFilterReasons.mockImplementation(() => [
+      { dependency: 'react-scripts', reason: 'Semver change "downgrade" for "react-scripts" is not in allowed list: patch, minor, unknown' }
+    ]);
+
+    const pr = {
+      number: 7,
+      html_url: 'https://github.com/owner/repo/pull/7',
+      labels: [],
+      dependencyInfo: { name: 'react-scripts', fromVersion: '5.0.1', toVersion: '4.0.0', semverChange: 'downgrade', updateType: 'major' }
+    };
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch', 'minor', 'unknown']
+    };
+
+    await addWorkflowSummary([pr], [], new Set(), filters, [pr]);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('| [#7](https://github.com/owner/repo/pull/7) | react-scripts | 4.0.0 (⬇️ downgrade from 5.0.1) | Semver change "downgrade" for "react-scripts" is not in allowed list: patch, minor, unknown |');
+    expect(summaryContent).toContain('| [#7](https://github.com/owner/repo/pull/7) | react-scripts | 5.0.1 → 4.0.0 | major | ⬇️ downgrade |');
+  });
+
+  test('should show the commit SHA of pinned actions next to the version', async () => {
+    getFilterReasons.mockImplementation(() => [
+      { dependency: 'actions/checkout', reason: 'Semver change "minor" for "actions/checkout" is not in allowed list: patch' }
+    ]);
+
+    const pr = {
+      number: 8,
+      html_url: 'https://github.com/owner/repo/pull/8',
+      labels: [],
+      dependencyInfo: { name: 'actions/checkout', fromVersion: 'v4.1.1', toVersion: 'v4.2.0', pinnedFrom: '8e5e7e5', pinnedTo: 'b4ffde6', semverChange: 'minor' }
+    };
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch']
+    };
+
+    await addWorkflowSummary([pr], [], new Set(), filters, [pr]);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('| [#8](https://github.com/owner/repo/pull/8) | actions/checkout | v4.2.0 (pinned to b4ffde6) | Semver change "minor" for "actions/checkout" is not in allowed list: patch |');
+  });
+
+  test('should show dependencies removed by a group update as removed', async () => {
+    const pr = {
+      number: 9,
+      html_url: 'https://github.com/owner/repo/pull/9',
+      labels: [],
+      dependencyInfoList: [
+        { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch' },
+        { name: 'left-pad', fromVersion: null, toVersion: null, semverChange: null, removed: true }
+      ]
+    };
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch']
+    };
+
+    await addWorkflowSummary([pr], [pr], new Set([9]), filters, [pr]);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('| [#9](https://github.com/owner/repo/pull/9) | lodash | 4.17.21 |');
+    expect(summaryContent).toContain('| [#9](https://github.com/owner/repo/pull/9) | left-pad | removed |');
+  });
+
+  test('should report the same dependency in several directories separately', async () => {
+    getFilterReasons.mockImplementation(() => [
+      { dependency: 'lodash', reason: 'Semver change "major" for "lodash" is not in allowed list: patch', directory: '/backend' }
+    ]);
+
+    const pr = {
+      number: 10,
+      html_url: 'https://github.com/owner/repo/pull/10',
+      labels: [],
+      dependencyInfoList: [
+        { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch', directory: '/frontend' },
+        { name: 'lodash', fromVersion: '3.10.1', toVersion: '4.0.0', semverChange: 'major', directory: '/backend' }
+      ]
+    };
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch']
+    };
+
+    await addWorkflowSummary([pr], [], new Set(), filters, [pr]);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('| [#10](https://github.com/owner/repo/pull/10) | lodash | /backend | 4.0.0 | Semver change "major" for "lodash" is not in allowed list: patch |');
+  });
+
+  test('should list PRs with auto-merge enabled separately', async () => {
+    const pr = {
+      number: 11,
+      html_url: 'https://github.com/owner/repo/pull/11',
+      labels: [],
+      autoMergeEnabled: true,
+      dependencyInfoList: [{ name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch' }]
+    };
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch']
+    };
+
+    await addWorkflowSummary([pr], [pr], new Set(), filters, [pr]);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain(', 0 merged, auto-merge enabled for 1.');
+    expect(summaryContent).toContain('Auto-merge Enabled');
+    expect(summaryContent).not.toContain('Skipped During Merge');
+  });
+
+  test('should list PRs in the merge queue with their position and state', async () => {
+    const queued = {
+      number: 12,
+      html_url: 'https://github.com/owner/repo/pull/12',
+      labels: [],
+      mergeQueueEntry: { position: 2, state: 'AWAITING_CHECKS' },
+      dependencyInfoList: [{ name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21', semverChange: 'patch' }]
+    };
+    const unmergeable = {
+      number: 13,
+      html_url: 'https://github.com/owner/repo/pull/13',
+      labels: [],
+      mergeQueueEntry: { position: null, state: 'UNMERGEABLE' },
+      dependencyInfoList: [{ name: 'axios', fromVersion: '1.6.0', toVersion: '1.6.1', semverChange: 'patch' }]
+    };
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch']
+    };
+
+    await addWorkflowSummary([queued, unmergeable], [queued, unmergeable], new Set(), filters, [queued, unmergeable]);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain(', 0 merged, 2 in the merge queue.');
+    expect(summaryContent).toContain('| PR | Dependency | Version | Queue |');
+    expect(summaryContent).toContain('| [#12](https://github.com/owner/repo/pull/12) | lodash | 4.17.21 | Position 2, awaiting checks |');
+    expect(summaryContent).toContain('| [#13](https://github.com/owner/repo/pull/13) | axios | 1.6.1 | Unmergeable |');
+    expect(summaryContent).not.toContain('Skipped During Merge');
+  });
+
+  test('should show the merge order and the reason of each place', async () => {
+    const createPR = (number, mergeOrderReason) => ({
+      number,
+      html_url: `https://github.com/owner/repo/pull/${number}`,
+      labels: [],
+      mergeOrderReason,
+      dependencyInfo: { name: `lib-${number}`, fromVersion: '1.0.0', toVersion: '1.0.1', semverChange: 'patch' }
+    });
+    const prs = [createPR(14, 'patch change, development dependency'), createPR(15, 'patch change, production dependency')];
+
+    const filters = {
+      ignoredDependencies: [],
+      alwaysAllow: [],
+      alwaysAllowLabels: [],
+      ignoredVersions: [],
+      semverFilter: ['patch'],
+      mergeOrder: 'lowest-risk-first',
+      sources: { mergeOrder: 'input' }
+    };
+
+    await addWorkflowSummary(prs, prs, new Set([14, 15]), filters, prs);
+
+    const summaryContent = mockSummary.addRaw.mock.calls
+      .map(call => call[0])
+      .join('');
+
+    expect(summaryContent).toContain('Merge order `lowest-risk-first` (Action input): smallest changes first');
+    expect(summaryContent).toContain('| # | PR | Reason |');
+    expect(summaryContent).toContain('| 1 | [#14](https://github.com/owner/repo/pull/14) | patch change, development dependency |');
+    expect(summaryContent).toContain('| 2 | [#15](https://github.com/owner/repo/pull/15) | patch change, production dependency |');
+  });
 });
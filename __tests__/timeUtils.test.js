@@ -478,4 +478,45 @@ describe('TimeUtils Module', () => {
     const result3 = timeUtils.shouldRunAtCurrentTime('May 17');
     expect(result3).toBe(false);
   });
+
+  describe('validateBlackoutPeriods', () => {
+    test('should accept every supported format', () => {
+      const periods = [
+        'Sat', 'Mon 9:00-17:00', '2024-12-24/2025-01-05', 'Dec 24-Jan 5',
+        '9:00-10:30', 'T09:00:00/T17:00:00', 'Feb 29', 'May 1'
+      ].join(', ');
+
+      expect(timeUtils.validateBlackoutPeriods(periods)).toEqual([]);
+      expect(timeUtils.validateBlackoutPeriods('')).toEqual([]);
+    });
+
+    test('should report each invalid period with its position', () => {
+      expect(timeUtils.validateBlackoutPeriods('Sat, Dec 32-Jan 5, Dex 24-Jan 5, Holidays')).toEqual([
+        'blackout-periods[1] "Dec 32-Jan 5": day 32 is not valid for Dec',
+        'blackout-periods[2] "Dex 24-Jan 5": unknown month "Dex"',
+        'blackout-periods[3] "Holidays": unrecognized format'
+      ]);
+    });
+
+    test('should report invalid times and dates', () => {
+      expect(timeUtils.validateBlackoutPeriods('Mon 9:00-25:00')).toEqual([
+        'blackout-periods[0] "Mon 9:00-25:00": invalid time in range "9:00-25:00" (expected H:MM or HH:MM:SS between 0:00 and 23:59:59)'
+      ]);
+      expect(timeUtils.validateBlackoutPeriods('2024-13-01/2025-01-05')).toEqual([
+        'blackout-periods[0] "2024-13-01/2025-01-05": invalid date in ISO 8601 date range'
+      ]);
+      expect(timeUtils.validateBlackoutPeriods('Apr 31')).toEqual([
+        'blackout-periods[0] "Apr 31": day 31 is not valid for Apr'
+      ]);
+    });
+
+    test('should report ranges that can never match', () => {
+      expect(timeUtils.validateBlackoutPeriods('22:00-6:00')).toEqual([
+        'blackout-periods[0] "22:00-6:00": time range "22:00-6:00" ends before it starts (ranges cannot span midnight)'
+      ]);
+      expect(timeUtils.validateBlackoutPeriods('2025-01-05/2024-12-24')).toEqual([
+        'blackout-periods[0] "2025-01-05/2024-12-24": date range ends before it starts'
+      ]);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,172 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseUpdateTitle, parseBodyUpdates, parseBodyTable, parseBodyDirectories } from '../src/updateGrammar.js';
+
+describe('Update Grammar Module', () => {
+  describe('parseUpdateTitle', () => {
+    test('should parse single dependency titles with any version string', () => {
+      expect(parseUpdateTitle('Bump com.google.guava:guava from 32.1.3-jre to 33.0.0-jre in /app')).toEqual({
+        type: 'single',
+        names: ['com.google.guava:guava'],
+        group: null,
+        fromVersion: '32.1.3-jre',
+        toVersion: '33.0.0-jre',
+        directory: '/app',
+        count: 1
+      });
+      expect(parseUpdateTitle('Bump actions/checkout from v2.0.0 to v3.0.0').toVersion).toBe('v3.0.0');
+    });
+
+    test('should accept the "Update" verb and commit-message prefixes with or without a colon', () => {
+      const titles = [
+        'Update lodash from 4.17.20 to 4.17.21',
+        'build(deps): bump lodash from 4.17.20 to 4.17.21',
+        'chore(deps-dev): Bumps lodash from 4.17.20 to 4.17.21',
+        'deps bump lodash from 4.17.20 to 4.17.21',
+        '[security] Bump lodash from 4.17.20 to 4.17.21'
+      ];
+
+      for (const title of titles) {
+        expect(parseUpdateTitle(title)).toEqual(expect.objectContaining({ type: 'single', names: ['lodash'] }));
+      }
+    });
+
+    test('should parse requirement titles', () => {
+      expect(parseUpdateTitle('chore(deps): update react requirement from ^17.0.0 to ^17.0.0 || ^18.0.0 in /web')).toEqual(expect.objectContaining({
+        type: 'requirement',
+        names: ['react'],
+        fromVersion: '^17.0.0',
+        toVersion: '^17.0.0 || ^18.0.0',
+        directory: '/web',
+        count: 1
+      }));
+    });
+
+    test('should parse lists of dependencies', () => {
+      expect(parseUpdateTitle('Bump cookie and express')).toEqual(expect.objectContaining({
+        type: 'list', names: ['cookie', 'express'], directory: null, count: 2
+      }));
+      expect(parseUpdateTitle('build(deps): bump react, react-dom and @types/react in /web')).toEqual(expect.objectContaining({
+        type: 'list', names: ['react', 'react-dom', '@types/react'], directory: '/web', count: 3
+      }));
+      expect(parseUpdateTitle('Bump a, b, c and d').count).toBe(4);
+    });
+
+    test('should parse group titles and the number of updates they state', () => {
+      expect(parseUpdateTitle('Bumps the maven group in /app with 3 updates')).toEqual(expect.objectContaining({
+        type: 'group', group: 'maven', directory: '/app', count: 3
+      }));
+      expect(parseUpdateTitle('Bump the npm group across 2 directories with 1 update')).toEqual(expect.objectContaining({
+        type: 'group', group: 'npm', directory: null, count: 1
+      }));
+      expect(parseUpdateTitle('build(deps): bump the all-minor-updates with 2 updates')).toEqual(expect.objectContaining({
+        type: 'group', group: 'all-minor-updates', count: 2
+      }));
+      expect(parseUpdateTitle('Bump the actions group').count).toBeNull();
+    });
+
+    test('should return null for titles that are not updates', () => {
+      expect(parseUpdateTitle('Update README')).toBeNull();
+      expect(parseUpdateTitle('Fix the build')).toBeNull();
+      expect(parseUpdateTitle('')).toBeNull();
+      expect(parseUpdateTitle(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseBodyUpdates', () => {
+    test('should parse updates with any version string and removed dependencies', () => {
+      const body = [
+        'Bumps the spring group with 4 updates.',
+        'Updates `org.hibernate.orm:hibernate-core` from 6.6.13.Final to 6.6.14.Final',
+        '- [Release notes](https://github.com/hibernate/hibernate-orm/releases)',
+        'Updates com.google.guava:guava from 32.1.3-jre to 33.0.0-jre',
+        'Updates `actions/checkout` from `v2.0.0` to `v3.0.0`.',
+        'Removes `left-pad`',
+        '<details>Updates from v4.1.1 to v4.1.2.</details>'
+      ].join('\n');
+
+      expect(parseBodyUpdates(body)).toEqual([
+        { name: 'org.hibernate.orm:hibernate-core', fromVersion: '6.6.13.Final', toVersion: '6.6.14.Final' },
+        { name: 'com.google.guava:guava', fromVersion: '32.1.3-jre', toVersion: '33.0.0-jre' },
+        { name: 'actions/checkout', fromVersion: 'v2.0.0', toVersion: 'v3.0.0' },
+        { name: 'left-pad', removed: true }
+      ]);
+    });
+
+    test('should return an empty array without a body', () => {
+      expect(parseBodyUpdates(null)).toEqual([]);
+    });
+  });
+
+  describe('parseBodyTable', () => {
+    test('should parse the rows of the table without links and backticks', () => {
+      const body = [
+        '| Package | From | To |',
+        '| --- | --- | --- |',
+        '| [react](https://github.com/facebook/react) | `18.3.1` | `19.1.0` |',
+        '| org.jetbrains.kotlin:kotlin-stdlib | `2.1.20` | `2.1.20-Beta1` |'
+      ].join('\n');
+
+      expect(parseBodyTable(body)).toEqual([
+        { name: 'react', fromVersion: '18.3.1', toVersion: '19.1.0' },
+        { name: 'org.jetbrains.kotlin:kotlin-stdlib', fromVersion: '2.1.20', toVersion: '2.1.20-Beta1' }
+      ]);
+      expect(parseBodyTable('No table here')).toEqual([]);
+    });
+  });
+
+  describe('parseBodyDirectories', () => {
+    test('should give each directory its own updates, also for the same dependency', () => {
+      const body = [
+        'Bumps the npm group with 2 updates in the /frontend directory: [lodash](https://github.com/lodash/lodash) and [axios](https://github.com/axios/axios).',
+        'Bumps the npm group with 1 update in the /backend directory: [lodash](https://github.com/lodash/lodash).',
+        '',
+        'Updates `lodash` from 4.17.20 to 4.17.21',
+        '<details><summary>Commits</summary></details>',
+        '',
+        'Updates `axios` from 1.6.0 to 1.7.0',
+        '',
+        'Updates `lodash` from 4.17.15 to 4.17.21'
+      ].join('\n');
+
+      expect(parseBodyDirectories(body)).toEqual([
+        {
+          directory: '/frontend',
+          count: 2,
+          dependencies: [
+            { name: 'lodash', fromVersion: '4.17.20', toVersion: '4.17.21' },
+            { name: 'axios', fromVersion: '1.6.0', toVersion: '1.7.0' }
+          ]
+        },
+        {
+          directory: '/backend',
+          count: 1,
+          dependencies: [{ name: 'lodash', fromVersion: '4.17.15', toVersion: '4.17.21' }]
+        }
+      ]);
+    });
+
+    test('should use the table of a directory', () => {
+      const body = [
+        'Bumps the maven group with 2 updates in the / directory:',
+        '',
+        '| Package | From | To |',
+        '| --- | --- | --- |',
+        '| org.jetbrains.kotlin:kotlin-stdlib | `2.1.20` | `2.1.21` |',
+        '| org.jetbrains.kotlin:kotlin-test | `2.1.20` | `2.1.21` |',
+        'Bumps the maven group with 1 update in the /plugin directory: org.jetbrains.kotlin:kotlin-stdlib.',
+        '',
+        'Updates `org.jetbrains.kotlin:kotlin-stdlib` from 2.1.20 to 2.1.21',
+        'Updates `org.jetbrains.kotlin:kotlin-stdlib` from 2.0.0 to 2.1.21'
+      ].join('\n');
+
+      const sections = parseBodyDirectories(body);
+      expect(sections.map(section => [section.directory, section.dependencies.length])).toEqual([['/', 2], ['/plugin', 1]]);
+      expect(sections[1].dependencies[0].fromVersion).toBe('2.0.0');
+    });
+
+    test('should return an empty array for bodies without directory sections', () => {
+      expect(parseBodyDirectories('Bumps the maven group in /app with 3 updates: a, b and c.')).toEqual([]);
+      expect(parseBodyDirectories(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { jest, describe, test, expect } from '@jest/globals';
+import * as core from '../__fixtures__/core.js';
+
+jest.unstable_mockModule('@actions/core', () => core);
+
+const { coerceVersion, isValidRange, satisfiesRange, isPrerelease, determineSemverChange, describeQualifierChange, formatSemverChange } = await import('../src/versions.js');
+
+describe('Versions Module', () => {
+  describe('coerceVersion', () => {
+    test('should coerce non-standard version formats', () => {
+      expect(coerceVersion('1.2.3')).toBe('1.2.3');
+      expect(coerceVersion('v1.2')).toBe('1.2.0');
+      expect(coerceVersion('3.2.1.RELEASE')).toBe('3.2.1');
+      expect(coerceVersion('2.0.0-beta.3')).toBe('2.0.0');
+    });
+
+    test('should return null for values without a version', () => {
+      expect(coerceVersion('latest')).toBeNull();
+      expect(coerceVersion('')).toBeNull();
+      expect(coerceVersion(undefined)).toBeNull();
+    });
+  });
+
+  describe('isValidRange', () => {
+    test('should accept semver ranges', () => {
+      expect(isValidRange('>=5.0.0')).toBe(true);
+      expect(isValidRange('^3')).toBe(true);
+      expect(isValidRange('<1.7.0 || 2.0.0-beta.x')).toBe(true);
+      expect(isValidRange('4.17.21')).toBe(true);
+    });
+
+    test('should reject values that are not ranges', () => {
+      expect(isValidRange('abc123')).toBe(false);
+      expect(isValidRange('')).toBe(false);
+      expect(isValidRange(undefined)).toBe(false);
+    });
+  });
+
+  describe('satisfiesRange', () => {
+    test('should evaluate ranges against the coerced version', () => {
+      expect(satisfiesRange('5.1.0', '>=5.0.0')).toBe(true);
+      expect(satisfiesRange('4.9.9', '>=5.0.0')).toBe(false);
+      expect(satisfiesRange('3.2.1.RELEASE', '^3')).toBe(true);
+      expect(satisfiesRange('v3.0', '^3')).toBe(true);
+      expect(satisfiesRange('4.0.0', '^3')).toBe(false);
+    });
+
+    test('should evaluate each alternative of a range union', () => {
+      expect(satisfiesRange('1.6.0', '<1.7.0 || >=3.0.0')).toBe(true);
+      expect(satisfiesRange('3.1.0', '<1.7.0 || >=3.0.0')).toBe(true);
+      expect(satisfiesRange('2.0.0', '<1.7.0 || >=3.0.0')).toBe(false);
+    });
+
+    test('should match prerelease wildcards against the raw version', () => {
+      expect(satisfiesRange('2.0.0-beta.3', '2.0.0-beta.x')).toBe(true);
+      expect(satisfiesRange('v2.0.0-beta.10', '2.0.0-beta.*')).toBe(true);
+      expect(satisfiesRange('2.0.0-rc.1', '2.0.0-beta.x')).toBe(false);
+      expect(satisfiesRange('2.0.0', '2.0.0-beta.x')).toBe(false);
+    });
+
+    test('should not match versions that cannot be coerced or invalid ranges', () => {
+      expect(satisfiesRange('latest', '>=1.0.0')).toBe(false);
+      expect(satisfiesRange('1.0.0', 'abc123')).toBe(false);
+    });
+  });
+
+  describe('isPrerelease', () => {
+    test('should recognize prerelease qualifiers', () => {
+      for (const version of ['2.0.0-rc.1', '2.0.0-RC1', '5.0.0-M1', '1.0.0.Beta2', '2.0.0-alpha.3', '6.0.0-SNAPSHOT', '1.0.0-next.4']) {
+        expect(isPrerelease(version)).toBe(true);
+      }
+    });
+
+    test('should not treat other suffixes as prereleases', () => {
+      for (const version of ['1.2.3', '31.1-jre', '3.2.1.RELEASE', '1.0.0-devtools', '2.7.0-M']) {
+        expect(isPrerelease(version)).toBe(false);
+      }
+    });
+  });
+
+  describe('determineSemverChange', () => {
+    const classification = ['zero-minor-as-major', 'zero-patch-as-major', 'prerelease'];
+
+    test('should classify 0.x updates like plain version numbers by default', () => {
+      expect(determineSemverChange('0.3.0', '0.4.0')).toBe('minor');
+      expect(determineSemverChange('0.0.3', '0.0.4')).toBe('patch');
+    });
+
+    test('should apply caret semantics to 0.x versions when enabled', () => {
+      expect(determineSemverChange('0.3.0', '0.4.0', { classification })).toBe('major');
+      expect(determineSemverChange('0.3.0', '0.3.1', { classification })).toBe('patch');
+      expect(determineSemverChange('0.0.3', '0.0.4', { classification })).toBe('major');
+      expect(determineSemverChange('0.0.3', '0.0.4', { classification: ['zero-minor-as-major'] })).toBe('patch');
+      expect(determineSemverChange('1.3.0', '1.4.0', { classification })).toBe('minor');
+    });
+
+    test('should classify updates to prereleases by default', () => {
+      expect(determineSemverChange('1.2.3', '1.2.4-rc.1')).toBe('prerelease');
+      expect(determineSemverChange('1.9.0', '2.0.0-rc.1', { classification })).toBe('prerelease');
+      expect(determineSemverChange('5.0.0-M1', '5.0.0-M2')).toBe('prerelease');
+      expect(determineSemverChange('2.0.0-rc.2', '2.0.0')).toBe('unknown');
+      expect(determineSemverChange('31.0-jre', '31.1-jre')).toBe('minor');
+    });
+
+    test('should classify updates to prereleases by their version numbers when opted out', () => {
+      const prereleaseAsRelease = ['prerelease-as-release'];
+      expect(determineSemverChange('1.9.0', '2.0.0-rc.1', { classification: prereleaseAsRelease })).toBe('major');
+      expect(determineSemverChange('1.2.3', '1.2.4-rc.1', { classification: prereleaseAsRelease })).toBe('patch');
+      expect(determineSemverChange('2.0.0-beta.1', '2.0.0-beta.2', { classification: prereleaseAsRelease })).toBe('unknown');
+    });
+
+    test('should classify downgrades as their own level', () => {
+      expect(determineSemverChange('2.1.0', '2.0.5')).toBe('downgrade');
+      expect(determineSemverChange('v3', 'v2')).toBe('downgrade');
+      expect(determineSemverChange('2.0.0', '1.9.0-rc.1', { classification })).toBe('downgrade');
+      expect(determineSemverChange('2.0.0', '2.0.0-rc.1')).toBe('downgrade');
+      expect(determineSemverChange('v2.0.0-rc.2', 'v2.0.0-rc.1', { classification: ['prerelease-as-release'] })).toBe('downgrade');
+      expect(determineSemverChange('abc1234', 'def5678')).toBe('unknown');
+    });
+
+    test('should use Maven version ordering for maven and gradle dependencies', () => {
+      expect(determineSemverChange('1.2.3.4', '1.2.3.5')).toBe('unknown');
+      expect(determineSemverChange('1.2.3.4', '1.2.3.5', { ecosystem: 'maven' })).toBe('patch');
+      expect(determineSemverChange('2.0.0', '2.0.0-RC1', { ecosystem: 'gradle' })).toBe('downgrade');
+    });
+
+    test('should classify calendar versions as calver changes', () => {
+      expect(determineSemverChange('2023.12', '2024.01')).toBe('calver');
+      expect(determineSemverChange('22.04', '24.04')).toBe('calver');
+      expect(determineSemverChange('2024.05.17', '2024.05.01')).toBe('downgrade');
+      expect(determineSemverChange('18.3.1', '19.1.0')).toBe('major');
+      expect(determineSemverChange('23.3', '24.0')).toBe('major');
+      expect(determineSemverChange('23.3', '24.0', { calver: true })).toBe('calver');
+      expect(determineSemverChange('2023.1', '2024.1', { ecosystem: 'pip' })).toBe('calver');
+    });
+
+    test('should use PEP 440 versions for pip and uv dependencies', () => {
+      expect(determineSemverChange('1.4', '1.4.post2')).toBe('unknown');
+      expect(determineSemverChange('1.4', '1.4.post2', { ecosystem: 'pip' })).toBe('post');
+      expect(determineSemverChange('1.9', '2.0.0rc1', { ecosystem: 'uv' })).toBe('prerelease');
+    });
+
+    test('should use Docker tags for docker and docker-compose dependencies', () => {
+      expect(determineSemverChange('20.11-alpine', '20.12-alpine', { ecosystem: 'docker' })).toBe('minor');
+      expect(determineSemverChange('20.11-alpine', '20.11-slim', { ecosystem: 'docker-compose' })).toBe('variant');
+      expect(determineSemverChange('`6a2f5a6`', '`a4d5ba6`', { ecosystem: 'docker' })).toBe('digest');
+      expect(determineSemverChange('22.04', '24.04', { ecosystem: 'docker' })).toBe('calver');
+    });
+
+    test('should use Go module versions for gomod dependencies', () => {
+      expect(determineSemverChange('v0.0.0-20231012-abcdef123456', 'v0.0.0-20240101-123456abcdef', { ecosystem: 'gomod' })).toBe('pseudo');
+      expect(determineSemverChange('v2.3.0+incompatible', 'v3.0.0+incompatible', { ecosystem: 'gomod' })).toBe('major');
+      expect(determineSemverChange('v5.0.10', 'v5.0.11', { ecosystem: 'gomod', name: 'github.com/go-chi/chi/v5' })).toBe('patch');
+      expect(determineSemverChange('v5.0.10', 'v6.0.0', { ecosystem: 'gomod', name: 'github.com/go-chi/chi/v5' })).toBe('unknown');
+    });
+  });
+
+  describe('describeQualifierChange', () => {
+    test('should only describe qualifier changes for ecosystems with qualifiers', () => {
+      expect(describeQualifierChange('2.0.0-M3', '2.0.0-RC1', 'maven')).toBe('M3 → RC1');
+      expect(describeQualifierChange('2.0.0-M3', '2.0.0-RC1', 'npm')).toBeNull();
+      expect(describeQualifierChange('2.0rc1', '2.0', 'pip')).toBeNull();
+      expect(describeQualifierChange('20.11-alpine', '20.11-slim', 'docker')).toBe('alpine → slim');
+    });
+  });
+
+  describe('formatSemverChange', () => {
+    test('should mark downgrades and leave other levels unchanged', () => {
+      expect(formatSemverChange('downgrade')).toBe('⬇️ downgrade');
+      expect(formatSemverChange('minor')).toBe('minor');
+      expect(formatSemverChange('unknown')).toBe('unknown');
+    });
+  });
+});
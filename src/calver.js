@@ -0,0 +1,108 @@
+/**
+ * Calendar versioning (CalVer), e.g. "2024.01", "22.04.3" or "2024.05.17".
+ *
+ * Versions are detected as CalVer when they start with a year followed by a month: a four-digit year
+ * (YYYY.MM, YYYY.MM.DD, YYYY.MM.micro), or a two-digit year with a zero-padded month (YY.0M.micro, as
+ * Ubuntu's "22.04") so that semver versions such as "18.3.1" are not mistaken for dates. Dependencies
+ * declared as CalVer (e.g. pip's "24.0") only need to start with a year.
+ */
+const CALVER_VERSION = /^v?(\d{2}|\d{4})\.(\d{1,2})(?:\.(\d+))?$/i;
+
+/**
+ * Range of four-digit years accepted when detecting CalVer
+ */
+const MIN_YEAR = 1990;
+const MAX_YEAR = 2100;
+
+/**
+ * Parse a calendar version
+ *
+ * @param {string} version - The version (e.g. "2024.01.2")
+ * @param {Object} options - Parse options
+ * @param {boolean} options.declared - Whether the dependency is declared as CalVer; the part after the
+ *        year then does not need to be a month
+ * @returns {{year: number, month: number|null, parts: Array<number>}|null} The year, the month (null if the
+ *          second part is not a month), and all parts for ordering, or null if the version is not CalVer
+ */
+function parseCalendarVersion(version, { declared = false } = {}) {
+  const match = typeof version === 'string' ? CALVER_VERSION.exec(version.trim()) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [, yearPart, periodPart, microPart] = match;
+  const year = yearPart.length === 2 ? 2000 + Number(yearPart) : Number(yearPart);
+  const period = Number(periodPart);
+  const month = period >= 1 && period <= 12 ? period : null;
+
+  if (!declared) {
+    if (month === null || year < MIN_YEAR || year > MAX_YEAR) {
+      return null;
+    }
+    if (yearPart.length === 2 && !/^0\d$/.test(periodPart)) {
+      return null;
+    }
+  }
+
+  return { year, month, parts: [year, period, Number(microPart ?? 0)] };
+}
+
+/**
+ * Check if a version looks like a calendar version
+ *
+ * @param {string} version - The version
+ * @returns {boolean} Whether the version is detected as CalVer
+ */
+function isCalendarVersion(version) {
+  return parseCalendarVersion(version) !== null;
+}
+
+/**
+ * Determine the change level between two calendar versions
+ *
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @param {Object} options - Options
+ * @param {boolean} options.declared - Whether the dependency is declared as CalVer
+ * @returns {string|null} 'calver' for an update, 'downgrade' or 'unknown' (same version), or null if
+ *          either version is not a calendar version
+ */
+function determineCalverChange(fromVersion, toVersion, { declared = false } = {}) {
+  const from = parseCalendarVersion(fromVersion, { declared });
+  const to = parseCalendarVersion(toVersion, { declared });
+  if (!from || !to) {
+    return null;
+  }
+
+  const index = from.parts.findIndex((part, i) => part !== to.parts[i]);
+  if (index === -1) {
+    return 'unknown';
+  }
+  return to.parts[index] < from.parts[index] ? 'downgrade' : 'calver';
+}
+
+/**
+ * Get the number of months between the dates of two calendar versions. When the part after
+ * the year is not a month (e.g. pip's "24.0"), only the years are counted.
+ *
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @returns {number|null} Number of months, or null if either version is not a calendar version
+ */
+function calverJumpMonths(fromVersion, toVersion) {
+  const from = parseCalendarVersion(fromVersion, { declared: true });
+  const to = parseCalendarVersion(toVersion, { declared: true });
+  if (!from || !to) {
+    return null;
+  }
+
+  const years = (to.year - from.year) * 12;
+  return from.month !== null && to.month !== null ? years + to.month - from.month : years;
+}
+
+export {
+  parseCalendarVersion,
+  isCalendarVersion,
+  determineCalverChange,
+  calverJumpMonths
+};
@@ -1,9 +1,16 @@
 import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
 import * as github from '@actions/github';
 import { fileURLToPath } from 'node:url';
-import { findMergeablePRs, approvePullRequest, updatePRBranch, waitForChecksAfterUpdate } from './pullRequests.js';
-import { shouldRunAtCurrentTime } from './timeUtils.js';
-import { applyFilters, getAllFilterReasons } from './filters.js';
+import { findMergeablePRs, getDependencyList, approvePullRequest, updatePRBranch, waitForChecksAfterUpdate, enableAutoMerge, disableAutoMerge, getActionLogin, findAutoMergesToDisable, getMergeQueue, getMergeQueueEntry, getMergeQueueRemoval, enqueuePullRequest, findRecentMerges, listPullRequestFiles } from './pullRequests.js';
+import { shouldRunAtCurrentTime, validateBlackoutPeriods } from './timeUtils.js';
+import { applyFilters, getAllFilterReasons, getFilterReasons } from './filters.js';
+import { buildCommitMessage } from './commitMessages.js';
+import { orderPullRequests } from './mergeOrder.js';
+import { hasDailyLimit, dayWindowStart, createMergeBudget, addPendingMerges, findExhaustedBudget, spendMergeBudget } from './mergeBudget.js';
+import { explainPullRequest } from './explain.js';
+import { formatSemverChange } from './versions.js';
+import { validateInputs, resolveConfig, buildFilterOptions, parsePolicy, loadPolicyFile, formatEcosystemSettings } from './config.js';
 
 /**
  * Parse owner/repo string
@@ -65,6 +72,26 @@ function createMockCore(verbose = false) {
   };
 }
 
+/**
+ * Format the change level of a dependency, with its qualifier change (e.g. "minor, M3 → RC1")
+ * and the commit SHA of a pinned action (e.g. "patch, pinned to b4ffde6")
+ * @param {Object} dependency - Dependency information
+ * @returns {string} Change level for CLI output
+ */
+function formatChange(dependency) {
+  const notes = [dependency.qualifierChange, dependency.pinnedTo && `pinned to ${dependency.pinnedTo}`].filter(Boolean);
+  return [formatSemverChange(dependency.semverChange), ...notes].join(', ');
+}
+
+/**
+ * Format the update of a dependency (e.g. "1.2.3 → 1.3.0 (minor)", or "removed" for a dependency the update removes)
+ * @param {Object} dependency - Dependency information
+ * @returns {string} The update for CLI output
+ */
+function formatUpdate(dependency) {
+  return dependency.removed ? 'removed' : `${dependency.fromVersion} → ${dependency.toVersion} (${formatChange(dependency)})`;
+}
+
 /**
  * Format PR information for CLI output
  * @param {Array} pullRequests - Array of pull requests
@@ -84,17 +111,127 @@ function formatPRList(pullRequests, title) {
     console.log(`    🔗 ${pr.html_url || `https://github.com/${pr.base?.repo?.owner?.login || 'owner'}/${pr.base?.repo?.name || 'repo'}/pull/${pr.number}`}`);
 
     if (pr.dependencyInfo) {
-      console.log(`    📦 ${pr.dependencyInfo.name}: ${pr.dependencyInfo.fromVersion} → ${pr.dependencyInfo.toVersion} (${pr.dependencyInfo.semverChange})`);
+      console.log(`    📦 ${pr.dependencyInfo.name}: ${formatUpdate(pr.dependencyInfo)}`);
     } else if (pr.dependencyInfoList && pr.dependencyInfoList.length > 0) {
       console.log('    📦 Multiple dependencies:');
       pr.dependencyInfoList.forEach(dep => {
-        console.log(`       - ${dep.name}: ${dep.fromVersion} → ${dep.toVersion} (${dep.semverChange})`);
+        console.log(`       - ${dep.name}: ${formatUpdate(dep)}`);
       });
     }
     console.log();
   });
 }
 
+/**
+ * Get the GitHub token from the --token option or the GITHUB_TOKEN environment variable
+ * @param {Object} options - CLI options
+ * @returns {string} GitHub token
+ * @throws {Error} If no token is available
+ */
+function getToken(options) {
+  const token = options.token || process.env.GITHUB_TOKEN;
+
+  if (!token) {
+    throw new Error('GitHub token not provided. Options:\n' +
+      '  1. Use --token option with a personal access token\n' +
+      '  2. Set GITHUB_TOKEN environment variable\n' +
+      '  3. Use GitHub CLI: --token "$(gh auth token)"\n' +
+      '  4. Use GitHub CLI with environment: export GITHUB_TOKEN=$(gh auth token)\n' +
+      '\n' +
+      '💡 For secure token management, consider using GitHub CLI (gh):\n' +
+      '   • Install: https://cli.github.com/\n' +
+      '   • Login: gh auth login\n' +
+      '   • Usage: automerge-dependabot run <repo-url> --token "$(gh auth token)"');
+  }
+
+  return token;
+}
+
+/**
+ * Resolve the configuration from the command line options and the policy file on the default branch
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - CLI options
+ * @param {Object} mockCore - Mock core module used for warnings
+ * @returns {Promise<Object>} Resolved config and filter options
+ */
+async function resolveCliConfig(octokit, owner, repo, options, mockCore) {
+  // Settings given on the command line take precedence over the policy file
+  const inputs = {
+    'minimum-age-of-pr':      options.minimumAge,
+    'ignored-dependencies':   options.ignoredDependencies,
+    'always-allow':           options.alwaysAllow,
+    'always-allow-labels':    options.alwaysAllowLabels,
+    'ignored-versions':       options.ignoredVersions,
+    'semver-filter':          options.semverFilter,
+    'merge-method':           options.mergeMethod,
+    'merge-strategy':         options.mergeStrategy,
+    'merge-order':            options.mergeOrder,
+    'max-merges-per-run':     options.maxMergesPerRun,
+    'max-merges-per-day':     options.maxMergesPerDay,
+    'commit-title-template':  options.commitTitleTemplate,
+    'commit-message-template': options.commitMessageTemplate,
+    'commit-trailers':        options.commitTrailers,
+    'matcher-mode':           options.matcherMode,
+    'semver-classification':  options.semverClassification,
+    'range-filter':           options.rangeFilter,
+    'calver-dependencies':    options.calverDependencies,
+    'calver-max-jump-months': options.calverMaxJumpMonths,
+    'pseudo-max-delta-days':  options.pseudoMaxDeltaDays
+  };
+
+  // Get repository info for default branch check and policy file lookup
+  let defaultBranch = null;
+  try {
+    const { data: repoData } = await octokit.rest.repos.get({
+      owner,
+      repo
+    });
+    console.log(`\n🏛️  Repository: ${repoData.full_name}`);
+    console.log(`   • Default branch: ${repoData.default_branch}`);
+    console.log(`   • Private: ${repoData.private}`);
+    defaultBranch = repoData.default_branch;
+  } catch (error) {
+    mockCore.warning(`Failed to get repository information: ${error.message}`);
+  }
+
+  let policy = null;
+  if (options.configFile) {
+    if (defaultBranch) {
+      policy = await loadPolicyFile(octokit, owner, repo, options.configFile, defaultBranch);
+    } else {
+      mockCore.warning(`Skipping policy file ${options.configFile}: default branch is unknown`);
+    }
+  }
+
+  const config = resolveConfig(inputs, policy);
+  const filterOptions = buildFilterOptions(config, policy ? options.configFile : null);
+
+  return { config, filterOptions };
+}
+
+/**
+ * Create the merge budget, counting the recent merges if a daily limit is set
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<Object>} Merge budget from createMergeBudget
+ */
+async function createCliMergeBudget(octokit, owner, repo, config) {
+  if (!hasDailyLimit(config)) {
+    return createMergeBudget(config);
+  }
+  try {
+    const ecosystems = Object.keys(config.ecosystems).filter(ecosystem => config.ecosystems[ecosystem].maxMergesPerDay > 0);
+    return createMergeBudget(config, await findRecentMerges(octokit, owner, repo, dayWindowStart(), { ecosystems }));
+  } catch (error) {
+    console.warn(`⚠️  ${error.message}. PRs are not merged while a daily merge limit is set.`);
+    return createMergeBudget(config, null);
+  }
+}
+
 /**
  * Main CLI runner function
  * @param {Object} options - CLI options
@@ -106,20 +243,7 @@ async function runCli(options) {
     console.log(`🔍 Analyzing repository: ${owner}/${repo}`);
 
     // Setup authentication
-    const token = options.token || process.env.GITHUB_TOKEN;
-
-    if (!token) {
-      throw new Error('GitHub token not provided. Options:\n' +
-        '  1. Use --token option with a personal access token\n' +
-        '  2. Set GITHUB_TOKEN environment variable\n' +
-        '  3. Use GitHub CLI: --token "$(gh auth token)"\n' +
-        '  4. Use GitHub CLI with environment: export GITHUB_TOKEN=$(gh auth token)\n' +
-        '\n' +
-        '💡 For secure token management, consider using GitHub CLI (gh):\n' +
-        '   • Install: https://cli.github.com/\n' +
-        '   • Login: gh auth login\n' +
-        '   • Usage: automerge-dependabot run <repo-url> --token "$(gh auth token)"');
-    }
+    const token = getToken(options);
 
     // Setup mock modules for CLI usage
     const mockCore = createMockCore(options.verbose);
@@ -127,33 +251,52 @@ async function runCli(options) {
     // Create Octokit client
     const octokit = github.getOctokit(token);
 
-    // Prepare filter options
-    const filterOptions = {
-      ignoredDependencies: options.ignoredDependencies ? options.ignoredDependencies.split(',').map(d => d.trim()) : [],
-      alwaysAllow: options.alwaysAllow ? options.alwaysAllow.split(',').map(d => d.trim()) : [],
-      alwaysAllowLabels: options.alwaysAllowLabels ? options.alwaysAllowLabels.split(',').map(l => l.trim()) : [],
-      ignoredVersions: options.ignoredVersions ? options.ignoredVersions.split(',').map(v => v.trim()) : [],
-      semverFilter: options.semverFilter ? options.semverFilter.split(',').map(s => s.trim()) : ['patch', 'minor']
-    };
+    const { config, filterOptions } = await resolveCliConfig(octokit, owner, repo, options, mockCore);
 
     console.log('\n⚙️  Configuration:');
-    console.log(`   • Minimum PR age: ${options.minimumAge} days`);
-    console.log(`   • Merge method: ${options.mergeMethod}`);
+    console.log(`   • Policy file: ${filterOptions.policyFile || 'None'}`);
+    console.log(`   • Minimum PR age: ${config.minimumAgeInDays} days`);
+    console.log(`   • Merge method: ${config.mergeMethod}`);
+    console.log(`   • Merge strategy: ${config.mergeStrategy} (${config.sources.mergeStrategy})`);
+    console.log(`   • Merge order: ${config.mergeOrder} (${config.sources.mergeOrder})`);
+    console.log(`   • Max merges: ${config.maxMergesPerRun || 'no limit'} per run, ${config.maxMergesPerDay || 'no limit'} per day`);
+    if (config.commitTitleTemplate || config.commitMessageTemplate || config.commitTrailers.length > 0) {
+      console.log(`   • Commit title template: ${config.commitTitleTemplate || 'GitHub default'}`);
+      console.log(`   • Commit message template: ${config.commitMessageTemplate ? JSON.stringify(config.commitMessageTemplate) : 'GitHub default'}`);
+      console.log(`   • Commit trailers: ${config.commitTrailers.length > 0 ? config.commitTrailers.join(', ') : 'None'}`);
+    }
+    console.log(`   • Matcher mode: ${config.matcherMode} (${config.sources.matcherMode})`);
     console.log(`   • Dry run: ${options.dryRun}`);
-    console.log(`   • Semver filter: ${filterOptions.semverFilter.join(', ')}`);
+    console.log(`   • Semver filter: ${filterOptions.semverFilter.join(', ')} (${config.sources.semverFilter})`);
+    if (config.semverClassification.length > 0) {
+      console.log(`   • Semver classification: ${config.semverClassification.join(', ')} (${config.sources.semverClassification})`);
+    }
+    console.log(`   • Range filter: ${filterOptions.rangeFilter.join(', ')} (${config.sources.rangeFilter})`);
+    if (config.calverDependencies.length > 0) {
+      console.log(`   • CalVer dependencies: ${config.calverDependencies.join(', ')} (${config.sources.calverDependencies})`);
+    }
+    if (config.calverMaxJumpMonths > 0) {
+      console.log(`   • CalVer max jump: ${config.calverMaxJumpMonths} months (${config.sources.calverMaxJumpMonths})`);
+    }
+    if (config.pseudoMaxDeltaDays > 0) {
+      console.log(`   • Pseudo-version max delta: ${config.pseudoMaxDeltaDays} days (${config.sources.pseudoMaxDeltaDays})`);
+    }
     console.log(`   • Auto-approve: ${options.autoApprove}`);
     console.log(`   • Update branch before merge: ${options.updateBranchBeforeMerge}`);
     if (filterOptions.ignoredDependencies.length > 0) {
-      console.log(`   • Ignored dependencies: ${filterOptions.ignoredDependencies.join(', ')}`);
+      console.log(`   • Ignored dependencies: ${filterOptions.ignoredDependencies.join(', ')} (${config.sources.ignoredDependencies})`);
     }
     if (filterOptions.alwaysAllowLabels.length > 0) {
-      console.log(`   • Always allow labels: ${filterOptions.alwaysAllowLabels.join(', ')}`);
+      console.log(`   • Always allow labels: ${filterOptions.alwaysAllowLabels.join(', ')} (${config.sources.alwaysAllowLabels})`);
     }
     if (filterOptions.alwaysAllow.length > 0) {
-      console.log(`   • Always allow: ${filterOptions.alwaysAllow.join(', ')}`);
+      console.log(`   • Always allow: ${filterOptions.alwaysAllow.join(', ')} (${config.sources.alwaysAllow})`);
     }
     if (filterOptions.ignoredVersions.length > 0) {
-      console.log(`   • Ignored versions: ${filterOptions.ignoredVersions.join(', ')}`);
+      console.log(`   • Ignored versions: ${filterOptions.ignoredVersions.join(', ')} (${config.sources.ignoredVersions})`);
+    }
+    for (const [ecosystem, settings] of Object.entries(filterOptions.ecosystems)) {
+      console.log(`   • Ecosystem ${ecosystem}: ${formatEcosystemSettings(settings)}`);
     }
 
     // Check blackout periods
@@ -162,27 +305,20 @@ async function runCli(options) {
       return;
     }
 
-    // Get repository info for default branch check
-    try {
-      const { data: repoData } = await octokit.rest.repos.get({
-        owner,
-        repo
-      });
-      console.log(`\n🏛️  Repository: ${repoData.full_name}`);
-      console.log(`   • Default branch: ${repoData.default_branch}`);
-      console.log(`   • Private: ${repoData.private}`);
-    } catch (error) {
-      mockCore.warning(`Failed to get repository information: ${error.message}`);
-    }
-
     // Find mergeable PRs
     console.log('\n🔎 Finding mergeable Dependabot PRs...');
     const result = await findMergeablePRs(
       octokit,
       owner,
       repo,
-      options.minimumAge,
-      options.retryDelayMs
+      config.minimumAgeInDays,
+      options.retryDelayMs,
+      {
+        ecosystems: config.ecosystems,
+        semverClassification: config.semverClassification,
+        calverDependencies: config.calverDependencies,
+        allowPendingChecks: config.mergeStrategy === 'auto-merge'
+      }
     );
 
     const pullRequests = result.eligiblePRs;
@@ -220,7 +356,16 @@ async function runCli(options) {
 
     // Apply filters
     console.log('\n🔍 Applying filters...');
-    const filteredPRs = applyFilters(pullRequests, filterOptions, mockCore);
+    let filteredPRs = applyFilters(pullRequests, filterOptions, mockCore);
+
+    // Merge in the configured order; fewest-overlaps-first needs the changed files of each PR
+    const files = new Map();
+    if (config.mergeOrder === 'fewest-overlaps-first' && filteredPRs.length > 1) {
+      for (const pr of filteredPRs) {
+        files.set(pr.number, await listPullRequestFiles(octokit, owner, repo, pr.number));
+      }
+    }
+    filteredPRs = orderPullRequests(filteredPRs, config.mergeOrder, { getDependencies: getDependencyList, files });
 
     // Display results
     console.log('\n' + '='.repeat(60));
@@ -270,25 +415,131 @@ async function runCli(options) {
     console.log(`   • PRs that pass user filters: ${filteredPRs.length}`);
     console.log(`   • PRs filtered out (user filters): ${filteredOutPRs.length}`);
 
+    // GitHub must not merge a PR the action enabled auto-merge on that is no longer eligible or no longer passes the filters
+    const disabledAutoMerges = new Set();
+    if (config.mergeStrategy === 'auto-merge' && initialPRs.some(pr => pr.auto_merge)) {
+      const login = await getActionLogin(octokit);
+      const autoMergedPRs = findAutoMergesToDisable(initialPRs, filteredPRs, { login, mergeabilitySkipped: result.mergeabilitySkipped });
+      for (const pr of autoMergedPRs) {
+        if (options.dryRun) {
+          console.log(`\n🔍 DRY RUN: Would disable auto-merge for PR #${pr.number}: no longer eligible or no longer passes the filters`);
+        } else if (await disableAutoMerge(octokit, pr)) {
+          disabledAutoMerges.add(pr.number);
+          console.log(`\n🛑 Disabled auto-merge for PR #${pr.number}: no longer eligible or no longer passes the filters`);
+        }
+      }
+    }
+
     // Merge or dry run
     if (filteredPRs.length === 0) {
       console.log('\n✅ No pull requests to merge.');
       return;
     }
 
+    const mergeBudget = await createCliMergeBudget(octokit, owner, repo, config);
+    // PRs with auto-merge enabled merge soon, so they count against the daily limits
+    addPendingMerges(mergeBudget, initialPRs.filter(pr => pr.auto_merge && !disabledAutoMerges.has(pr.number)));
+
+    if (filteredPRs.length > 1) {
+      console.log(`\n🔢 Merge order (${config.mergeOrder}):`);
+      filteredPRs.forEach((pr, index) => {
+        console.log(`   ${index + 1}. PR #${pr.number}: ${pr.mergeOrderReason}`);
+      });
+    }
+
     if (options.dryRun) {
       console.log(`\n🔍 DRY RUN: Would merge ${filteredPRs.length} PR(s):`);
       filteredPRs.forEach(pr => {
+        const exhausted = findExhaustedBudget(mergeBudget, pr);
+        if (exhausted) {
+          console.log(`   • PR #${pr.number}: ${pr.title} (held back: ${exhausted})`);
+          return;
+        }
+        spendMergeBudget(mergeBudget, pr);
         console.log(`   • PR #${pr.number}: ${pr.title}`);
       });
       console.log('\n💡 Use --no-dry-run to actually merge these PRs.');
+    } else if (config.mergeStrategy === 'auto-merge') {
+      console.log(`\n🚀 Enabling auto-merge for ${filteredPRs.length} PR(s)...`);
+
+      for (const pr of filteredPRs) {
+        const exhausted = !pr.auto_merge && findExhaustedBudget(mergeBudget, pr);
+        if (exhausted) {
+          console.warn(`⚠️  Skipping PR #${pr.number}: ${exhausted}`);
+          continue;
+        }
+
+        const commit = buildCommitMessage(pr, getDependencyList(pr), config, getFilterReasons(pr.number) || []);
+        const autoMerge = await enableAutoMerge(octokit, pr, config.mergeMethod, commit);
+        if (autoMerge === 'clean') {
+          try {
+            await octokit.rest.pulls.merge({ owner, repo, pull_number: pr.number, merge_method: config.mergeMethod, ...commit });
+            spendMergeBudget(mergeBudget, pr);
+            console.log(`✅ Successfully merged PR #${pr.number} (already met its merge requirements)`);
+          } catch (error) {
+            console.error(`❌ Failed to merge PR #${pr.number}: ${error.message}`);
+          }
+          continue;
+        }
+        if (!autoMerge) {
+          console.error(`❌ Failed to enable auto-merge for PR #${pr.number}`);
+          continue;
+        }
+        if (!pr.auto_merge) {
+          spendMergeBudget(mergeBudget, pr);
+        }
+        console.log(`✅ Enabled auto-merge for PR #${pr.number}`);
+        if (options.autoApprove) {
+          await approvePullRequest(octokit, owner, repo, pr.number);
+        }
+      }
+
+      console.log('\n🎉 Auto-merge operation completed!');
     } else {
       console.log(`\n🚀 Merging ${filteredPRs.length} PR(s)...`);
 
+      // PRs for a base branch with a merge queue are added to the queue instead
+      const mergeQueues = new Map();
+      for (const branch of new Set(filteredPRs.map(pr => pr.base?.ref).filter(Boolean))) {
+        try {
+          const mergeQueue = await getMergeQueue(octokit, owner, repo, branch);
+          mergeQueues.set(branch, mergeQueue);
+          if (mergeQueue?.mergeMethod && mergeQueue.mergeMethod !== config.mergeMethod) {
+            console.warn(`⚠️  The merge queue of branch ${branch} merges with '${mergeQueue.mergeMethod}', not with the configured merge-method '${config.mergeMethod}'`);
+          }
+        } catch (error) {
+          console.warn(`⚠️  ${error.message}. PRs for this branch are merged directly.`);
+        }
+      }
+      // PRs in a merge queue merge soon, so they count against the daily limits
+      addPendingMerges(mergeBudget, [...mergeQueues.values()].flatMap(mergeQueue => mergeQueue?.pullRequests || []));
+
       for (const pr of filteredPRs) {
         console.log(`\n⏳ Merging PR #${pr.number}: ${pr.title}`);
 
-        if (options.updateBranchBeforeMerge && pr.prDetails && pr.prDetails.mergeable_state === 'behind') {
+        const mergeQueue = mergeQueues.get(pr.base?.ref);
+        if (mergeQueue) {
+          const queuedEntry = await getMergeQueueEntry(octokit, owner, repo, pr.number);
+          if (queuedEntry) {
+            console.log(`📥 PR #${pr.number} is already in the merge queue (position ${queuedEntry.position}, ${queuedEntry.state})`);
+            addPendingMerges(mergeBudget, [pr]);
+            continue;
+          }
+
+          const removal = await getMergeQueueRemoval(octokit, owner, repo, pr.number);
+          if (removal && removal.commit === pr.head?.sha) {
+            console.warn(`⚠️  Skipping PR #${pr.number}: removed from the merge queue${removal.reason ? ` (${removal.reason})` : ''}, not added again until the PR is updated`);
+            continue;
+          }
+        }
+
+        const exhausted = findExhaustedBudget(mergeBudget, pr);
+        if (exhausted) {
+          console.warn(`⚠️  Skipping PR #${pr.number}: ${exhausted}`);
+          continue;
+        }
+
+        if (options.updateBranchBeforeMerge && !mergeQueue && pr.prDetails && pr.prDetails.mergeable_state === 'behind') {
           console.log(`   Updating branch for PR #${pr.number}...`);
           const updateSuccess = await updatePRBranch(octokit, owner, repo, pr.number);
           if (!updateSuccess) {
@@ -310,13 +561,26 @@ async function runCli(options) {
           }
         }
 
+        if (mergeQueue) {
+          const entry = await enqueuePullRequest(octokit, pr);
+          if (entry) {
+            spendMergeBudget(mergeBudget, pr);
+            console.log(`📥 Added PR #${pr.number} to the merge queue${entry.position ? ` at position ${entry.position}` : ''}`);
+          } else {
+            console.error(`❌ Failed to add PR #${pr.number} to the merge queue`);
+          }
+          continue;
+        }
+
         try {
           await octokit.rest.pulls.merge({
             owner,
             repo,
             pull_number: pr.number,
-            merge_method: options.mergeMethod
+            merge_method: config.mergeMethod,
+            ...buildCommitMessage(pr, getDependencyList(pr), config, getFilterReasons(pr.number) || [])
           });
+          spendMergeBudget(mergeBudget, pr);
           console.log(`✅ Successfully merged PR #${pr.number}`);
         } catch (error) {
           console.error(`❌ Failed to merge PR #${pr.number}: ${error.message}`);
@@ -332,6 +596,125 @@ async function runCli(options) {
   }
 }
 
+/**
+ * Print trace steps with a pass/fail/info marker
+ * @param {Array} steps - Steps from explainPullRequest
+ * @param {string} indent - Indentation
+ */
+function printSteps(steps, indent) {
+  const markers = { pass: '✅', fail: '❌', info: 'ℹ️ ' };
+  steps.forEach(({ check, status, detail }) => {
+    console.log(`${indent}${markers[status]} ${check}: ${detail}`);
+  });
+}
+
+/**
+ * Explain why a single pull request would or would not be merged
+ * @param {Object} options - CLI options
+ */
+async function explainCli(options) {
+  try {
+    const { owner, repo } = parseRepository(options.url);
+    const pullNumber = Number(options.pullNumber);
+    if (!Number.isInteger(pullNumber) || pullNumber <= 0) {
+      throw new Error(`Invalid pull request number: ${options.pullNumber}`);
+    }
+
+    const token = getToken(options);
+    const mockCore = createMockCore(options.verbose);
+    const octokit = github.getOctokit(token);
+    const { config, filterOptions } = await resolveCliConfig(octokit, owner, repo, options, mockCore);
+
+    const explanation = await explainPullRequest(octokit, owner, repo, pullNumber, filterOptions, {
+      minimumAgeInDays: config.minimumAgeInDays,
+      ecosystems: config.ecosystems,
+      semverClassification: config.semverClassification,
+      calverDependencies: config.calverDependencies,
+      retryDelayMs: options.retryDelayMs
+    });
+    const { pr } = explanation;
+
+    console.log(`\n🔍 PR #${pr.number}: ${pr.title}`);
+    console.log('\n📋 Basic criteria:');
+    printSteps(explanation.steps, '  ');
+
+    console.log('\n🔍 Filters:');
+    printSteps(explanation.filterSteps, '  ');
+    explanation.dependencies.forEach(({ dependency, steps, passed }) => {
+      console.log(`  ${passed ? '✅' : '❌'} ${dependency.name}: ${formatUpdate(dependency)}`);
+      printSteps(steps, '     ');
+    });
+
+    const failed = [...explanation.steps, ...explanation.filterSteps]
+      .filter(s => s.status === 'fail')
+      .map(s => s.check);
+    if (explanation.eligible && explanation.passesFilters) {
+      console.log(`\n✅ PR #${pr.number} would be merged.`);
+    } else {
+      const failedDependencies = explanation.dependencies.filter(d => !d.passed).map(d => d.dependency.name);
+      const reasons = [...failed, ...failedDependencies];
+      console.log(`\n❌ PR #${pr.number} would not be merged (failed: ${reasons.join(', ')}).`);
+    }
+  } catch (error) {
+    console.error(`❌ CLI failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Validate all options and the local policy file, without contacting GitHub
+ * @param {Object} values - Raw option values from parseArgs
+ * @returns {Array<string>} List of problems, each with its position
+ */
+async function validateConfig(values) {
+  const problems = [
+    ...validateInputs({
+      'minimum-age-of-pr':       values['minimum-age'],
+      'ignored-dependencies':    values['ignored-dependencies'],
+      'always-allow':            values['always-allow'],
+      'always-allow-labels':     values['always-allow-labels'],
+      'ignored-versions':        values['ignored-versions'],
+      'semver-filter':           values['semver-filter'],
+      'merge-method':            values['merge-method'],
+      'merge-strategy':          values['merge-strategy'],
+      'merge-order':             values['merge-order'],
+      'max-merges-per-run':      values['max-merges-per-run'],
+      'max-merges-per-day':      values['max-merges-per-day'],
+      'commit-title-template':   values['commit-title-template'],
+      'commit-message-template': values['commit-message-template'],
+      'commit-trailers':         values['commit-trailers'],
+      'matcher-mode':            values['matcher-mode'],
+      'semver-classification':   values['semver-classification'],
+      'range-filter':            values['range-filter'],
+      'calver-dependencies':     values['calver-dependencies'],
+      'calver-max-jump-months':  values['calver-max-jump-months'],
+      'pseudo-max-delta-days':   values['pseudo-max-delta-days'],
+      'retry-delay-ms':          values['retry-delay-ms'],
+      'max-update-wait-seconds': values['max-update-wait-seconds']
+    }),
+    ...validateBlackoutPeriods(values['blackout-periods'])
+  ];
+
+  const configFile = values['config-file'];
+  if (configFile) {
+    try {
+      const { errors } = parsePolicy(await readFile(configFile, 'utf8'), configFile);
+      problems.push(...errors.map(error => `${configFile}: ${error}`));
+    } catch (error) {
+      problems.push(error.code === 'ENOENT' ? `${configFile}: file not found` : error.message);
+    }
+  }
+
+  if (problems.length === 0) {
+    console.log('✅ Configuration is valid.');
+  } else {
+    console.error(`❌ Found ${problems.length} configuration problem(s):`);
+    problems.forEach(problem => console.error(`  • ${problem}`));
+  }
+
+  return problems;
+}
+
 /**
  * Print CLI usage information
  */
@@ -341,9 +724,19 @@ function printHelp() {
 Commands:
   run <repository>      Analyze and optionally merge Dependabot pull requests (e.g., owner/repo)
   auth-status    Check authentication status and show secure setup options
+  explain <repository> <pr>  Show every check for a single pull request and why it would (not) be merged
+  validate-config       Check all options and a local policy file, and report every problem
+
+Options for 'explain':
+  Accepts the same options as 'run'. Every check is shown with its result; checks do not stop at the first failure.
+
+Options for 'validate-config':
+  Accepts the same settings as 'run'. --config-file is read from the local file system,
+  so a policy file can be checked before it is committed. Exits with code 1 on any problem.
 
 Options for 'run':
   -t, --token <token>                GitHub token (or use GITHUB_TOKEN env var)
+  --config-file <path>               Policy file to load from the default branch (e.g., .github/automerge-dependabot.yml)
   --minimum-age <days>               Minimum age of PR in days before merging (default: 0)
   --blackout-periods <periods>       Blackout periods when action should not run
   --ignored-dependencies <deps>      Comma-separated list of dependencies to ignore
@@ -352,6 +745,20 @@ Options for 'run':
   --ignored-versions <versions>      Comma-separated list of specific versions to ignore
   --semver-filter <levels>           Semver levels to allow (default: patch,minor)
   --merge-method <method>            Merge method: merge, squash, rebase (default: merge)
+  --merge-strategy <strategy>        How to merge: direct, auto-merge (GitHub native auto-merge) (default: direct)
+  --merge-order <order>              Order to merge in: oldest-first, lowest-risk-first, groups-first,
+                                     fewest-overlaps-first (default: oldest-first)
+  --max-merges-per-run <count>       Max PRs to merge in one run (default: 0, no limit)
+  --max-merges-per-day <count>       Max Dependabot PRs merged in the last 24 hours (default: 0, no limit)
+  --commit-title-template <text>     Commit title, with placeholders like {number} and {dependencies}
+  --commit-message-template <text>   Commit message, with the same placeholders as the title
+  --commit-trailers <trailers>       Trailers added to the commit message (e.g. "Dependency: {dependency}@{to}")
+  --matcher-mode <mode>              Pattern matching mode: legacy, strict (default: legacy)
+  --semver-classification <rules>    Classification rules: zero-minor-as-major, zero-patch-as-major, prerelease-as-release
+  --range-filter <changes>           Requirement range changes to allow: widen, narrow (default: widen)
+  --calver-dependencies <patterns>   Comma-separated list of dependencies that use calendar versioning
+  --calver-max-jump-months <months>  Max months a CalVer update may jump ahead (default: 0, no limit)
+  --pseudo-max-delta-days <days>     Max days of commits a Go pseudo-version update may span (default: 0, no limit)
   --retry-delay-ms <ms>              Delay in ms between retries (default: 2000)
   --auto-approve                     Automatically approve PRs before merging
   --update-branch-before-merge       Update PR branches behind the base branch before merging
@@ -425,27 +832,41 @@ async function main() {
     return;
   }
 
-  const validCommands = ['run', 'auth-status', '--help', '-h'];
+  const validCommands = ['run', 'explain', 'validate-config', 'auth-status', '--help', '-h'];
   if (command !== 'run' && !validCommands.includes(command)) {
     console.error(`❌ Unknown command: '${command}'\n`);
     printHelp();
     process.exit(1);
   }
 
-  const runArgs = command === 'run' ? args.slice(1) : args;
+  const runArgs = ['run', 'explain', 'validate-config'].includes(command) ? args.slice(1) : args;
 
   const { values, positionals } = parseArgs({
     args: runArgs,
     options: {
       token:                  { type: 'string', short: 't' },
-      'minimum-age':          { type: 'string', default: '0' },
+      'config-file':          { type: 'string' },
+      'minimum-age':          { type: 'string' },
       'blackout-periods':     { type: 'string' },
       'ignored-dependencies': { type: 'string' },
       'always-allow':         { type: 'string' },
       'always-allow-labels':  { type: 'string' },
       'ignored-versions':     { type: 'string' },
-      'semver-filter':        { type: 'string', default: 'patch,minor' },
-      'merge-method':         { type: 'string', default: 'merge' },
+      'semver-filter':        { type: 'string' },
+      'merge-method':         { type: 'string' },
+      'merge-strategy':       { type: 'string' },
+      'merge-order':          { type: 'string' },
+      'max-merges-per-run':   { type: 'string' },
+      'max-merges-per-day':   { type: 'string' },
+      'commit-title-template': { type: 'string' },
+      'commit-message-template': { type: 'string' },
+      'commit-trailers':      { type: 'string' },
+      'matcher-mode':         { type: 'string' },
+      'semver-classification': { type: 'string' },
+      'range-filter':         { type: 'string' },
+      'calver-dependencies':  { type: 'string' },
+      'calver-max-jump-months': { type: 'string' },
+      'pseudo-max-delta-days': { type: 'string' },
       'retry-delay-ms':       { type: 'string', default: '2000' },
       'no-dry-run':                   { type: 'boolean', default: false },
       'auto-approve':                 { type: 'boolean', default: false },
@@ -456,6 +877,11 @@ async function main() {
     allowPositionals: true,
   });
 
+  if (command === 'validate-config') {
+    const problems = await validateConfig(values);
+    process.exit(problems.length > 0 ? 1 : 0);
+  }
+
   const url = positionals[0];
 
   if (!url) {
@@ -464,10 +890,18 @@ async function main() {
     process.exit(1);
   }
 
-  await runCli({
+  if (command === 'explain' && !positionals[1]) {
+    console.error('❌ Missing required argument: pull request number (e.g., owner/repo 123)\n');
+    printHelp();
+    process.exit(1);
+  }
+
+  await (command === 'explain' ? explainCli : runCli)({
     url,
+    pullNumber:           positionals[1],
     token:                values['token'],
-    minimumAge:           parseInt(values['minimum-age'], 10),
+    configFile:           values['config-file'],
+    minimumAge:           values['minimum-age'],
     blackoutPeriods:      values['blackout-periods'],
     ignoredDependencies:  values['ignored-dependencies'],
     alwaysAllow:          values['always-allow'],
@@ -475,6 +909,19 @@ async function main() {
     ignoredVersions:      values['ignored-versions'],
     semverFilter:         values['semver-filter'],
     mergeMethod:          values['merge-method'],
+    mergeStrategy:        values['merge-strategy'],
+    mergeOrder:           values['merge-order'],
+    maxMergesPerRun:      values['max-merges-per-run'],
+    maxMergesPerDay:      values['max-merges-per-day'],
+    commitTitleTemplate:  values['commit-title-template'],
+    commitMessageTemplate: values['commit-message-template'],
+    commitTrailers:       values['commit-trailers'],
+    matcherMode:          values['matcher-mode'],
+    semverClassification: values['semver-classification'],
+    rangeFilter:          values['range-filter'],
+    calverDependencies:   values['calver-dependencies'],
+    calverMaxJumpMonths:  values['calver-max-jump-months'],
+    pseudoMaxDeltaDays:   values['pseudo-max-delta-days'],
     retryDelayMs:                parseInt(values['retry-delay-ms'], 10) || 2000,
     dryRun:                      !values['no-dry-run'],
     autoApprove:                 values['auto-approve'],
@@ -494,6 +941,8 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
 
 export {
   runCli,
+  explainCli,
+  validateConfig,
   parseRepository,
   createMockContext,
   createMockCore,
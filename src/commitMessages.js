@@ -0,0 +1,138 @@
+/**
+ * Placeholders in the commit title and message templates (the `commit-title-template` and
+ * `commit-message-template` settings):
+ *   {number}        pull request number
+ *   {title}         pull request title
+ *   {dependencies}  names of the updated dependencies, comma-separated
+ *   {from}, {to}    versions before and after the update (comma-separated for several dependencies)
+ *   {semver}        semver change levels (e.g. "patch" or "patch, minor")
+ *   {ecosystem}     ecosystem of the update, as named in dependabot.yml (e.g. "npm")
+ *   {rule}          names of the policy rules that matched the dependencies
+ */
+const TEMPLATE_PLACEHOLDERS = ['number', 'title', 'dependencies', 'from', 'to', 'semver', 'ecosystem', 'rule'];
+
+/**
+ * Trailers (the `commit-trailers` setting) may also use {dependency}. A trailer with {dependency} is
+ * added once per dependency, and its {from}, {to}, {semver} and {rule} are those of that dependency:
+ * "Dependency: {dependency}@{to}" gives "Dependency: lodash@4.17.21" and "Dependency: axios@1.7.0".
+ */
+const TRAILER_PLACEHOLDERS = [...TEMPLATE_PLACEHOLDERS, 'dependency'];
+
+const PLACEHOLDER = /\{([\w-]+)\}/g;
+const TRAILER = /^[A-Za-z0-9][A-Za-z0-9-]*:\s*\S/;
+
+/**
+ * Find the placeholders in a template that are not allowed
+ *
+ * @param {string} template - Template text
+ * @param {Array<string>} allowed - Allowed placeholder names
+ * @returns {Array<string>} The unknown placeholder names, in order of the template
+ */
+function findUnknownPlaceholders(template, allowed) {
+  return [...String(template).matchAll(PLACEHOLDER)]
+    .map(([, name]) => name)
+    .filter(name => !allowed.includes(name));
+}
+
+/**
+ * Check a trailer template, e.g. "Automerged-By: automerge-dependabot"
+ *
+ * @param {string} trailer - Trailer template
+ * @returns {boolean} Whether the trailer has a token, a colon and a value
+ */
+function isValidTrailer(trailer) {
+  return TRAILER.test(trailer);
+}
+
+/**
+ * Replace the placeholders in a template
+ *
+ * @param {string} template - Template text
+ * @param {Object} values - Values keyed by placeholder name
+ * @returns {string} The text, with unknown placeholders left as they are
+ */
+function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+/**
+ * Join the distinct, non-empty values of the dependencies of a pull request
+ *
+ * @param {Array<*>} values - One value per dependency
+ * @returns {string} The values, comma-separated
+ */
+function joinDistinct(values) {
+  return [...new Set(values.filter(value => value !== null && value !== undefined && value !== ''))].join(', ');
+}
+
+/**
+ * Get the placeholder values of a single dependency
+ *
+ * @param {Object} dependency - Dependency information (name, fromVersion, toVersion, semverChange, directory)
+ * @param {Array<Object>} filterReasons - Filter reasons recorded for the pull request
+ * @returns {Object} Values for {dependency}, {from}, {to}, {semver} and {rule}
+ */
+function dependencyValues(dependency, filterReasons) {
+  const ruleReason = filterReasons.find(reason => reason.rule && reason.dependency === dependency.name
+    && (!reason.directory || reason.directory === dependency.directory));
+  return {
+    dependency: dependency.name,
+    from: dependency.fromVersion || '',
+    to: dependency.toVersion || '',
+    semver: dependency.removed ? 'removed' : (dependency.semverChange || ''),
+    rule: ruleReason ? ruleReason.rule : ''
+  };
+}
+
+/**
+ * Build the commit title and message for merging a pull request from the templates and trailers.
+ * The merge API can only replace GitHub's default commit message, so trailers without a message
+ * template make up the whole message.
+ *
+ * @param {Object} pr - Pull request with extracted dependency information
+ * @param {Array<Object>} dependencies - The dependencies of the pull request (see getDependencyList)
+ * @param {Object} options - Commit settings
+ * @param {string} options.commitTitleTemplate - Template of the commit title ('' for GitHub's default)
+ * @param {string} options.commitMessageTemplate - Template of the commit message ('' for GitHub's default)
+ * @param {Array<string>} options.commitTrailers - Trailer templates appended to the commit message
+ * @param {Array<Object>} filterReasons - Filter reasons recorded for the pull request (for {rule})
+ * @returns {Object} The commit_title and commit_message parameters of pulls.merge, each only when set
+ */
+function buildCommitMessage(pr, dependencies, { commitTitleTemplate = '', commitMessageTemplate = '', commitTrailers = [] } = {}, filterReasons = []) {
+  const perDependency = dependencies.map(dependency => dependencyValues(dependency, filterReasons));
+  const values = {
+    number: String(pr.number),
+    title: pr.title || '',
+    dependencies: joinDistinct(perDependency.map(value => value.dependency)),
+    from: joinDistinct(perDependency.map(value => value.from)),
+    to: joinDistinct(perDependency.map(value => value.to)),
+    semver: joinDistinct(perDependency.map(value => value.semver)),
+    ecosystem: joinDistinct([pr.ecosystem, ...dependencies.map(dependency => dependency.ecosystem)]),
+    rule: joinDistinct(perDependency.map(value => value.rule))
+  };
+
+  const trailers = commitTrailers.flatMap(trailer => (trailer.includes('{dependency}')
+    ? perDependency.map(dependency => renderTemplate(trailer, { ...values, ...dependency }))
+    : [renderTemplate(trailer, values)]));
+
+  const params = {};
+  if (commitTitleTemplate) {
+    params.commit_title = renderTemplate(commitTitleTemplate, values);
+  }
+  const message = [commitMessageTemplate ? renderTemplate(commitMessageTemplate, values) : '', trailers.join('\n')]
+    .filter(Boolean)
+    .join('\n\n');
+  if (message) {
+    params.commit_message = message;
+  }
+  return params;
+}
+
+export {
+  TEMPLATE_PLACEHOLDERS,
+  TRAILER_PLACEHOLDERS,
+  findUnknownPlaceholders,
+  isValidTrailer,
+  renderTemplate,
+  buildCommitMessage
+};
@@ -0,0 +1,103 @@
+import * as core from '@actions/core';
+import { parse as parseYaml } from 'yaml';
+
+const DEPENDENCY_TYPES = ['production', 'development', 'indirect'];
+
+/**
+ * Convert a Dependabot dependency type to the short form used in policies
+ * ("direct:production" → "production", "direct:development" → "development", "indirect" → "indirect")
+ *
+ * @param {string} type - Dependency type from commit metadata or a policy file
+ * @returns {string|null} Short dependency type, or null if the type is not known
+ */
+function normalizeDependencyType(type) {
+  if (!type || typeof type !== 'string') {
+    return null;
+  }
+  const normalized = type.trim().toLowerCase().replace(/^direct:/, '');
+  return DEPENDENCY_TYPES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Convert a Dependabot update type to a semver change level
+ * ("version-update:semver-minor" → "minor")
+ *
+ * @param {string} type - Update type from commit metadata
+ * @returns {string|null} Semver change level ('major', 'minor' or 'patch'), or null if not known
+ */
+function normalizeUpdateType(type) {
+  const match = typeof type === 'string' && type.match(/semver-(major|minor|patch)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse the "updated-dependencies" metadata block from a Dependabot commit message.
+ *
+ * Dependabot ends its commit messages with a YAML document like:
+ *   ---
+ *   updated-dependencies:
+ *   - dependency-name: lodash
+ *     dependency-version: 4.17.21
+ *     dependency-type: direct:production
+ *     update-type: version-update:semver-patch
+ *   ...
+ *
+ * @param {string} message - Commit message
+ * @returns {Array<{name: string, version: (string|null), dependencyType: (string|null), updateType: (string|null)}>}
+ *          Updated dependencies, or an empty array if the message has no (valid) metadata block
+ */
+function parseUpdatedDependencies(message) {
+  if (!message || typeof message !== 'string') {
+    return [];
+  }
+
+  const block = message.match(/^---\r?\n(updated-dependencies:[\s\S]*?)^\.\.\.\s*$/m);
+  if (!block) {
+    return [];
+  }
+
+  let metadata;
+  try {
+    metadata = parseYaml(block[1]);
+  } catch (error) {
+    core.debug(`Failed to parse Dependabot commit metadata: ${error.message}`);
+    return [];
+  }
+
+  const entries = metadata && Array.isArray(metadata['updated-dependencies']) ? metadata['updated-dependencies'] : [];
+  return entries
+    .filter(entry => entry && entry['dependency-name'])
+    .map(entry => ({
+      name: String(entry['dependency-name']),
+      version: entry['dependency-version'] !== undefined && entry['dependency-version'] !== null
+        ? String(entry['dependency-version'])
+        : null,
+      dependencyType: normalizeDependencyType(entry['dependency-type']),
+      updateType: normalizeUpdateType(entry['update-type'])
+    }));
+}
+
+/**
+ * Collect the updated-dependencies metadata from all commits of a pull request.
+ * If a dependency appears in several commits, the latest commit wins.
+ *
+ * @param {Array} commits - Commits from pulls.listCommits
+ * @returns {Map<string, Object>} Metadata keyed by dependency name
+ */
+function collectCommitMetadata(commits) {
+  const metadata = new Map();
+  for (const commit of commits || []) {
+    for (const entry of parseUpdatedDependencies(commit.commit?.message)) {
+      metadata.set(entry.name, entry);
+    }
+  }
+  return metadata;
+}
+
+export {
+  DEPENDENCY_TYPES,
+  normalizeDependencyType,
+  normalizeUpdateType,
+  parseUpdatedDependencies,
+  collectCommitMetadata
+};
@@ -0,0 +1,568 @@
+import * as core from '@actions/core';
+import { parse as parseYaml } from 'yaml';
+import { MATCHER_MODES, compileMatcher, parseDependencySpec } from './matchers.js';
+import { canonicalEcosystem } from './ecosystems.js';
+import { DEPENDENCY_TYPES, normalizeDependencyType } from './commitMetadata.js';
+import { SEMVER_CLASSIFICATIONS } from './versions.js';
+import { RANGE_CHANGES } from './requirementRanges.js';
+import { MERGE_ORDERS } from './mergeOrder.js';
+import { TEMPLATE_PLACEHOLDERS, TRAILER_PLACEHOLDERS, findUnknownPlaceholders, isValidTrailer } from './commitMessages.js';
+
+const POLICY_VERSION = 1;
+const MERGE_METHODS = ['merge', 'squash', 'rebase'];
+const MERGE_STRATEGIES = ['direct', 'auto-merge'];
+const SEMVER_LEVELS = ['major', 'minor', 'patch', 'prerelease', 'post', 'dev', 'calver', 'digest', 'variant', 'pseudo', 'downgrade', 'unknown'];
+const RULE_ACTIONS = ['allow', 'deny', 'defer'];
+const RULE_CRITERIA = ['dependency', 'semver', 'ecosystem', 'directory', 'label', 'dependency-type'];
+const ECOSYSTEM_SETTINGS = ['semver-filter', 'minimum-age-of-pr', 'always-allow', 'max-merges-per-run', 'max-merges-per-day'];
+const PATTERN_SETTINGS = ['ignored-dependencies', 'always-allow', 'ignored-versions', 'calver-dependencies'];
+
+/**
+ * Numeric action inputs that are not policy settings, checked by validateInputs when present
+ */
+const NUMBER_INPUTS = ['retry-delay-ms', 'max-update-wait-seconds'];
+
+/**
+ * Settings that can be provided both as action inputs and in the policy file.
+ * The policy file uses the same (kebab-case) names as the action inputs.
+ *
+ * Precedence when resolving a setting:
+ *   1. Action input (or CLI option), when set to a non-empty value
+ *   2. Policy file from the default branch
+ *   3. Built-in default
+ */
+const SETTINGS = {
+  'minimum-age-of-pr': { key: 'minimumAgeInDays', type: 'number', default: 0 },
+  'ignored-dependencies': { key: 'ignoredDependencies', type: 'list', default: [] },
+  'always-allow': { key: 'alwaysAllow', type: 'list', default: [] },
+  'always-allow-labels': { key: 'alwaysAllowLabels', type: 'list', default: [] },
+  'ignored-versions': { key: 'ignoredVersions', type: 'list', default: [] },
+  'semver-filter': { key: 'semverFilter', type: 'list', default: ['patch', 'minor'] },
+  'semver-classification': { key: 'semverClassification', type: 'list', default: [] },
+  'range-filter': { key: 'rangeFilter', type: 'list', default: ['widen'] },
+  'calver-dependencies': { key: 'calverDependencies', type: 'list', default: [] },
+  'calver-max-jump-months': { key: 'calverMaxJumpMonths', type: 'number', default: 0 },
+  'pseudo-max-delta-days': { key: 'pseudoMaxDeltaDays', type: 'number', default: 0 },
+  'merge-method': { key: 'mergeMethod', type: 'string', default: 'merge' },
+  'merge-strategy': { key: 'mergeStrategy', type: 'string', default: 'direct' },
+  'merge-order': { key: 'mergeOrder', type: 'string', default: 'oldest-first' },
+  'max-merges-per-run': { key: 'maxMergesPerRun', type: 'number', default: 0 },
+  'max-merges-per-day': { key: 'maxMergesPerDay', type: 'number', default: 0 },
+  'commit-title-template': { key: 'commitTitleTemplate', type: 'string', default: '' },
+  'commit-message-template': { key: 'commitMessageTemplate', type: 'string', default: '' },
+  'commit-trailers': { key: 'commitTrailers', type: 'list', default: [] },
+  'matcher-mode': { key: 'matcherMode', type: 'string', default: 'legacy' }
+};
+
+/**
+ * Structured settings that can only be provided in the policy file
+ */
+const POLICY_SETTINGS = {
+  'rules': { key: 'rules', default: [], validate: validateRules, parse: normalizeRules },
+  'ecosystems': { key: 'ecosystems', default: {}, validate: validateEcosystems, parse: normalizeEcosystems }
+};
+
+/**
+ * Parse a list setting, given either as a comma-separated string or as an array
+ *
+ * @param {string|Array} value - Raw list value
+ * @returns {Array<string>} Trimmed, non-empty list entries
+ */
+function parseList(value) {
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  return entries.map(entry => String(entry).trim()).filter(entry => entry.length > 0);
+}
+
+/**
+ * Check whether a raw setting value was actually provided
+ *
+ * @param {*} value - Raw setting value
+ * @returns {boolean} True if the value is set
+ */
+function isSet(value) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (typeof value === 'string') {
+    return value.trim().length > 0;
+  }
+  return true;
+}
+
+/**
+ * Convert a raw setting value to the type declared for the setting
+ *
+ * @param {Object} definition - Setting definition from SETTINGS
+ * @param {*} value - Raw setting value
+ * @returns {*} Parsed value
+ */
+function parseSettingValue(definition, value) {
+  if (definition.type === 'number') {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? definition.default : parsed;
+  }
+  if (definition.type === 'list') {
+    return parseList(value);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Read all policy-capable settings from action inputs
+ *
+ * @param {Function} getInput - Function returning the raw value of an input (e.g. core.getInput)
+ * @returns {Object} Raw input values keyed by input name
+ */
+function readInputs(getInput) {
+  return Object.fromEntries(Object.keys(SETTINGS).map(name => [name, getInput(name)]));
+}
+
+/**
+ * Validate a parsed policy file
+ *
+ * @param {*} policy - Parsed policy file content
+ * @returns {Array<string>} List of validation errors (empty if the policy is valid)
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['Policy file must contain a mapping of settings'];
+  }
+
+  const errors = [];
+
+  if (policy.version !== undefined && policy.version !== POLICY_VERSION) {
+    errors.push(`Unsupported policy version "${policy.version}" (supported: ${POLICY_VERSION})`);
+  }
+
+  for (const [name, value] of Object.entries(policy)) {
+    if (name === 'version') {
+      continue;
+    }
+
+    if (POLICY_SETTINGS[name]) {
+      errors.push(...POLICY_SETTINGS[name].validate(value));
+      continue;
+    }
+
+    if (!SETTINGS[name]) {
+      errors.push(`Unknown setting "${name}"`);
+      continue;
+    }
+
+    errors.push(...validateSetting(name, name, value));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the value of a single setting from SETTINGS
+ *
+ * @param {string} name - Setting name (key in SETTINGS)
+ * @param {string} label - Name used in error messages (e.g. "ecosystems.npm.semver-filter")
+ * @param {*} value - Raw setting value
+ * @returns {Array<string>} List of validation errors
+ */
+function validateSetting(name, label, value) {
+  const definition = SETTINGS[name];
+
+  if (definition.type === 'number' && !(Number.isInteger(value) && value >= 0)) {
+    return [`"${label}" must be a non-negative integer`];
+  }
+  if (definition.type === 'list' && !Array.isArray(value) && typeof value !== 'string') {
+    return [`"${label}" must be a list or a comma-separated string`];
+  }
+  if (definition.type === 'string' && typeof value !== 'string') {
+    return [`"${label}" must be a string`];
+  }
+
+  if (name === 'merge-method' && !MERGE_METHODS.includes(value)) {
+    return [`"${label}" must be one of: ${MERGE_METHODS.join(', ')}`];
+  }
+  if (name === 'merge-strategy' && !MERGE_STRATEGIES.includes(value)) {
+    return [`"${label}" must be one of: ${MERGE_STRATEGIES.join(', ')}`];
+  }
+  if (name === 'merge-order' && !MERGE_ORDERS[value]) {
+    return [`"${label}" must be one of: ${Object.keys(MERGE_ORDERS).join(', ')}`];
+  }
+  if (name === 'commit-title-template' || name === 'commit-message-template') {
+    return findUnknownPlaceholders(value, TEMPLATE_PLACEHOLDERS)
+      .map(placeholder => `"${label}" has unknown placeholder "{${placeholder}}" (allowed: ${TEMPLATE_PLACEHOLDERS.map(allowed => `{${allowed}}`).join(', ')})`);
+  }
+  if (name === 'commit-trailers') {
+    return parseList(value).flatMap((trailer, index) => [
+      ...(isValidTrailer(trailer) ? [] : [`"${label}[${index}]" must be a trailer like "Token: value"`]),
+      ...findUnknownPlaceholders(trailer, TRAILER_PLACEHOLDERS)
+        .map(placeholder => `"${label}[${index}]" has unknown placeholder "{${placeholder}}" (allowed: ${TRAILER_PLACEHOLDERS.map(allowed => `{${allowed}}`).join(', ')})`)
+    ]);
+  }
+  if (name === 'matcher-mode' && !MATCHER_MODES.includes(value)) {
+    return [`"${label}" must be one of: ${MATCHER_MODES.join(', ')}`];
+  }
+  if (name === 'semver-filter') {
+    return parseList(value)
+      .map((level, index) => SEMVER_LEVELS.includes(level)
+        ? null
+        : `"${label}[${index}]" contains unknown level "${level}" (allowed: ${SEMVER_LEVELS.join(', ')})`)
+      .filter(Boolean);
+  }
+  if (name === 'range-filter') {
+    return parseList(value)
+      .map((change, index) => RANGE_CHANGES.includes(change)
+        ? null
+        : `"${label}[${index}]" contains unknown range change "${change}" (allowed: ${RANGE_CHANGES.join(', ')})`)
+      .filter(Boolean);
+  }
+  if (name === 'semver-classification') {
+    return parseList(value)
+      .map((rule, index) => SEMVER_CLASSIFICATIONS.includes(rule)
+        ? null
+        : `"${label}[${index}]" contains unknown rule "${rule}" (allowed: ${SEMVER_CLASSIFICATIONS.join(', ')})`)
+      .filter(Boolean);
+  }
+  if (PATTERN_SETTINGS.includes(name)) {
+    return parseList(value)
+      .map((entry, index) => {
+        const pattern = name === 'ignored-versions' ? parseDependencySpec(entry).name : entry;
+        try {
+          compileMatcher(pattern);
+          return null;
+        } catch (error) {
+          return `"${label}[${index}]": ${error.message}`;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  return [];
+}
+
+/**
+ * Validate the settings given as action inputs (or CLI options). Unlike the policy file, inputs
+ * are always strings, so numbers are checked in their string form.
+ *
+ * @param {Object} inputs - Raw input values keyed by input name
+ * @returns {Array<string>} List of validation errors (empty if all inputs are valid)
+ */
+function validateInputs(inputs) {
+  const errors = [];
+  const isNonNegativeInteger = value => /^\d+$/.test(String(value).trim());
+
+  for (const [name, definition] of Object.entries(SETTINGS)) {
+    const value = inputs[name];
+    if (!isSet(value)) {
+      continue;
+    }
+
+    if (definition.type === 'number') {
+      if (!isNonNegativeInteger(value)) {
+        errors.push(`"${name}" must be a non-negative integer`);
+      }
+      continue;
+    }
+
+    errors.push(...validateSetting(name, name, definition.type === 'string' ? String(value).trim() : value));
+  }
+
+  for (const name of NUMBER_INPUTS) {
+    if (isSet(inputs[name]) && !isNonNegativeInteger(inputs[name])) {
+      errors.push(`"${name}" must be a non-negative integer`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the per-ecosystem settings from the policy file
+ *
+ * @param {*} ecosystems - Raw `ecosystems` value from the policy file
+ * @returns {Array<string>} List of validation errors
+ */
+function validateEcosystems(ecosystems) {
+  if (!ecosystems || typeof ecosystems !== 'object' || Array.isArray(ecosystems)) {
+    return ['"ecosystems" must be a mapping of ecosystem names to settings'];
+  }
+
+  const errors = [];
+  for (const [ecosystem, settings] of Object.entries(ecosystems)) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`"ecosystems.${ecosystem}" must be a mapping of settings`);
+      continue;
+    }
+
+    for (const [name, value] of Object.entries(settings)) {
+      if (!ECOSYSTEM_SETTINGS.includes(name)) {
+        errors.push(`"ecosystems.${ecosystem}" has unknown setting "${name}" (allowed: ${ECOSYSTEM_SETTINGS.join(', ')})`);
+        continue;
+      }
+      errors.push(...validateSetting(name, `ecosystems.${ecosystem}.${name}`, value));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize the per-ecosystem settings from the policy file. Ecosystem names are converted to
+ * the names used in dependabot.yml, and settings to the camelCase keys used by resolveConfig.
+ *
+ * @param {Object} ecosystems - Validated `ecosystems` value from the policy file
+ * @returns {Object} Settings keyed by canonical ecosystem name
+ */
+function normalizeEcosystems(ecosystems) {
+  const normalized = {};
+  for (const [ecosystem, settings] of Object.entries(ecosystems)) {
+    const resolved = {};
+    for (const [name, value] of Object.entries(settings)) {
+      resolved[SETTINGS[name].key] = parseSettingValue(SETTINGS[name], value);
+    }
+    normalized[canonicalEcosystem(ecosystem)] = resolved;
+  }
+  return normalized;
+}
+
+/**
+ * Describe the settings of one ecosystem for logs and the workflow summary
+ *
+ * @param {Object} settings - Normalized settings of one ecosystem (from normalizeEcosystems)
+ * @returns {string} Settings using their policy file names, e.g. "semver-filter: patch; minimum-age-of-pr: 3"
+ */
+function formatEcosystemSettings(settings) {
+  return Object.entries(SETTINGS)
+    .filter(([, definition]) => settings[definition.key] !== undefined)
+    .map(([name, definition]) => {
+      const value = settings[definition.key];
+      return `${name}: ${Array.isArray(value) ? value.join(', ') : value}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Validate the ordered rule list from the policy file
+ *
+ * @param {*} rules - Raw `rules` value from the policy file
+ * @returns {Array<string>} List of validation errors
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return ['"rules" must be a list'];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const position = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${position} must be a mapping`);
+      return;
+    }
+
+    for (const key of Object.keys(rule)) {
+      if (key !== 'name' && key !== 'action' && !RULE_CRITERIA.includes(key)) {
+        errors.push(`${position} has unknown key "${key}"`);
+      }
+    }
+
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      errors.push(`${position} "action" must be one of: ${RULE_ACTIONS.join(', ')}`);
+    }
+
+    if (rule.name !== undefined && typeof rule.name !== 'string') {
+      errors.push(`${position} "name" must be a string`);
+    }
+
+    for (const criterion of RULE_CRITERIA) {
+      const value = rule[criterion];
+      if (value !== undefined && !Array.isArray(value) && typeof value !== 'string') {
+        errors.push(`${position} "${criterion}" must be a list or a comma-separated string`);
+      }
+    }
+
+    if (Array.isArray(rule.semver) || typeof rule.semver === 'string') {
+      for (const level of parseList(rule.semver)) {
+        if (!SEMVER_LEVELS.includes(level)) {
+          errors.push(`${position} "semver" contains unknown level "${level}"`);
+        }
+      }
+    }
+
+    const dependencyTypes = rule['dependency-type'];
+    if (Array.isArray(dependencyTypes) || typeof dependencyTypes === 'string') {
+      for (const type of parseList(dependencyTypes)) {
+        if (!normalizeDependencyType(type)) {
+          errors.push(`${position} "dependency-type" contains unknown type "${type}" (allowed: ${DEPENDENCY_TYPES.join(', ')})`);
+        }
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Normalize the rule list from the policy file. Every match criterion becomes a list,
+ * and rules without a name are named after their position.
+ *
+ * @param {Array} rules - Validated `rules` value from the policy file
+ * @returns {Array<Object>} Normalized rules, in evaluation order
+ */
+function normalizeRules(rules) {
+  return rules.map((rule, index) => {
+    const normalized = {
+      name: rule.name || `rule ${index + 1}`,
+      action: rule.action
+    };
+    for (const criterion of RULE_CRITERIA) {
+      if (rule[criterion] !== undefined) {
+        normalized[criterion] = parseList(rule[criterion]);
+      }
+    }
+    if (normalized.ecosystem) {
+      normalized.ecosystem = normalized.ecosystem.map(canonicalEcosystem);
+    }
+    if (normalized['dependency-type']) {
+      normalized['dependency-type'] = normalized['dependency-type'].map(normalizeDependencyType);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Parse and validate the content of a policy file
+ *
+ * @param {string} content - Policy file content (YAML or JSON)
+ * @param {string} path - Path of the policy file, used in error messages
+ * @returns {{policy: *, errors: Array<string>}} Parsed policy and its validation errors
+ * @throws {Error} If the content cannot be parsed
+ */
+function parsePolicy(content, path) {
+  let policy;
+  try {
+    policy = parseYaml(content);
+  } catch (error) {
+    throw new Error(`Failed to parse policy file ${path}: ${error.message}`, { cause: error });
+  }
+  return { policy, errors: validatePolicy(policy) };
+}
+
+/**
+ * Load and validate the policy file from the repository.
+ * The file may be written in YAML or JSON (JSON is valid YAML).
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - Path to the policy file in the repository
+ * @param {string} ref - Git ref to read the policy file from (the default branch)
+ * @returns {Object|null} Parsed policy, or null if the file does not exist
+ * @throws {Error} If the policy file cannot be parsed or is invalid
+ */
+async function loadPolicyFile(octokit, owner, repo, path, ref) {
+  let data;
+  try {
+    ({ data } = await octokit.rest.repos.getContent({ owner, repo, path, ref }));
+  } catch (error) {
+    if (error.status === 404) {
+      core.info(`No policy file found at ${path} on ${ref}. Using action inputs only.`);
+      return null;
+    }
+    throw new Error(`Failed to read policy file ${path}: ${error.message}`, { cause: error });
+  }
+
+  if (Array.isArray(data) || typeof data.content !== 'string') {
+    throw new Error(`Policy file ${path} is not a file`);
+  }
+
+  const { policy, errors } = parsePolicy(Buffer.from(data.content, data.encoding || 'base64').toString('utf8'), path);
+  if (errors.length > 0) {
+    throw new Error(`Invalid policy file ${path}: ${errors.join('; ')}`);
+  }
+
+  core.info(`Loaded policy file ${path} from ${ref}`);
+  return policy;
+}
+
+/**
+ * Resolve the effective configuration from action inputs and the policy file
+ *
+ * @param {Object} inputs - Raw input values keyed by input name
+ * @param {Object|null} policy - Parsed policy file, or null if none was loaded
+ * @returns {Object} Resolved settings keyed by camelCase name, plus a `sources` map
+ *                   describing where each setting came from ('input', 'policy file' or 'default')
+ */
+function resolveConfig(inputs, policy = null) {
+  const config = { sources: {} };
+
+  for (const [name, definition] of Object.entries(SETTINGS)) {
+    if (isSet(inputs[name])) {
+      config[definition.key] = parseSettingValue(definition, inputs[name]);
+      config.sources[definition.key] = 'input';
+    } else if (policy && isSet(policy[name])) {
+      config[definition.key] = parseSettingValue(definition, policy[name]);
+      config.sources[definition.key] = 'policy file';
+    } else {
+      config[definition.key] = Array.isArray(definition.default) ? [...definition.default] : definition.default;
+      config.sources[definition.key] = 'default';
+    }
+  }
+
+  for (const [name, definition] of Object.entries(POLICY_SETTINGS)) {
+    if (policy && policy[name] !== undefined) {
+      config[definition.key] = definition.parse(policy[name]);
+      config.sources[definition.key] = 'policy file';
+    } else {
+      config[definition.key] = structuredClone(definition.default);
+      config.sources[definition.key] = 'default';
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Build the filter options passed to applyFilters and the workflow summary
+ *
+ * @param {Object} config - Resolved configuration from resolveConfig
+ * @param {string|null} policyFile - Path of the loaded policy file, or null if none was loaded
+ * @returns {Object} Filter options
+ */
+function buildFilterOptions(config, policyFile = null) {
+  return {
+    ignoredDependencies: config.ignoredDependencies,
+    alwaysAllow: config.alwaysAllow,
+    alwaysAllowLabels: config.alwaysAllowLabels,
+    ignoredVersions: config.ignoredVersions,
+    semverFilter: config.semverFilter,
+    rangeFilter: config.rangeFilter,
+    calverDependencies: config.calverDependencies,
+    calverMaxJumpMonths: config.calverMaxJumpMonths,
+    pseudoMaxDeltaDays: config.pseudoMaxDeltaDays,
+    rules: config.rules,
+    ecosystems: config.ecosystems,
+    matcherMode: config.matcherMode,
+    mergeOrder: config.mergeOrder,
+    sources: config.sources,
+    policyFile
+  };
+}
+
+export {
+  SETTINGS,
+  MERGE_METHODS,
+  MERGE_STRATEGIES,
+  SEMVER_LEVELS,
+  RULE_ACTIONS,
+  parseList,
+  readInputs,
+  validateInputs,
+  validatePolicy,
+  validateRules,
+  normalizeRules,
+  validateEcosystems,
+  normalizeEcosystems,
+  formatEcosystemSettings,
+  parsePolicy,
+  loadPolicyFile,
+  resolveConfig,
+  buildFilterOptions
+};
@@ -0,0 +1,143 @@
+/**
+ * Docker image tags and digests, as they appear in Dependabot pull requests for the docker and
+ * docker-compose ecosystems:
+ *   "20.11-alpine"                       tag with a variant
+ *   "20.11-alpine@sha256:4b3c..."         tag pinned to a digest
+ *   "sha256:4b3c..." or "`4b3c2a1`"        digest only (Dependabot shortens digests in titles)
+ */
+const DIGEST = /^(?:sha256:)?([a-f0-9]{7,64})$/i;
+const NUMERIC_TAG = /^v?(\d+(?:\.\d+)*)(?:-(.+))?$/i;
+
+/**
+ * Parse a Docker image tag, with an optional digest
+ *
+ * @param {string} version - Tag and/or digest (e.g. "20.11-alpine@sha256:4b3c...")
+ * @returns {{tag: string|null, digest: string|null, segments: Array<number>|null, variant: string}|null}
+ *          The tag, the digest, the numeric segments of the tag (null for tags such as "latest") and the
+ *          variant suffix (e.g. "alpine", empty if none), or null if the version is empty
+ */
+function parseDockerTag(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+
+  const value = version.trim().replace(/^`|`$/g, '');
+  if (!value) {
+    return null;
+  }
+
+  const [tagPart, digestPart] = value.includes('@') ? value.split('@', 2) : [value, null];
+
+  // A digest on its own
+  const digestOnly = digestPart === null ? DIGEST.exec(tagPart) : null;
+  if (digestOnly && !NUMERIC_TAG.test(tagPart)) {
+    return { tag: null, digest: digestOnly[1].toLowerCase(), segments: null, variant: '' };
+  }
+
+  const digest = digestPart ? (DIGEST.exec(digestPart)?.[1] || digestPart).toLowerCase() : null;
+  const numeric = NUMERIC_TAG.exec(tagPart);
+  if (!numeric) {
+    return { tag: tagPart, digest, segments: null, variant: tagPart.toLowerCase() };
+  }
+
+  return {
+    tag: tagPart,
+    digest,
+    segments: numeric[1].split('.').map(Number),
+    variant: (numeric[2] || '').toLowerCase()
+  };
+}
+
+/**
+ * Check if one digest is an abbreviation of the other (or the same digest)
+ *
+ * @param {string|null} a - First digest
+ * @param {string|null} b - Second digest
+ * @returns {boolean} Whether the digests are the same
+ */
+function sameDigest(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+  return a.startsWith(b) || b.startsWith(a);
+}
+
+/**
+ * Determine the change level between two Docker image tags.
+ *
+ * A change of the variant (e.g. "alpine" to "slim") is a 'variant' change, a new digest for the same
+ * tag is a 'digest' change, and otherwise the numeric part of the tag is compared: the first segment
+ * that changed decides between major, minor and patch.
+ *
+ * @param {string} fromVersion - The original tag and/or digest
+ * @param {string} toVersion - The new tag and/or digest
+ * @param {Object} options - Classification options
+ * @param {Array<string>} options.classification - Enabled semver classification rules
+ * @returns {string} The change level ('major', 'minor', 'patch', 'digest', 'variant', 'downgrade' or 'unknown')
+ */
+function determineDockerChange(fromVersion, toVersion, { classification = [] } = {}) {
+  const from = parseDockerTag(fromVersion);
+  const to = parseDockerTag(toVersion);
+  if (!from || !to) {
+    return 'unknown';
+  }
+
+  // Digest-only updates (no tags in the title), or the same tag with a new digest
+  const sameTag = from.tag === null || to.tag === null
+    ? from.tag === to.tag
+    : from.tag.toLowerCase() === to.tag.toLowerCase();
+  if (sameTag) {
+    return sameDigest(from.digest, to.digest) ? 'unknown' : 'digest';
+  }
+
+  if (from.tag === null || to.tag === null) {
+    return 'unknown';
+  }
+  if (from.variant !== to.variant) {
+    return 'variant';
+  }
+  if (!from.segments || !to.segments) {
+    return 'unknown';
+  }
+
+  const length = Math.max(from.segments.length, to.segments.length);
+  const index = Array.from({ length }, (_, i) => i).find(i => (from.segments[i] ?? 0) !== (to.segments[i] ?? 0));
+  if (index === undefined) {
+    // e.g. "20" and "20.0"
+    return sameDigest(from.digest, to.digest) ? 'unknown' : 'digest';
+  }
+  if ((to.segments[index] ?? 0) < (from.segments[index] ?? 0)) {
+    return 'downgrade';
+  }
+
+  if (index === 0) {
+    return 'major';
+  }
+  if (index === 1) {
+    return from.segments[0] === 0 && classification.includes('zero-minor-as-major') ? 'major' : 'minor';
+  }
+  const isZeroZero = from.segments[0] === 0 && (from.segments[1] ?? 0) === 0;
+  return isZeroZero && classification.includes('zero-patch-as-major') ? 'major' : 'patch';
+}
+
+/**
+ * Describe a change of the variant of a Docker image tag (e.g. "alpine → slim")
+ *
+ * @param {string} fromVersion - The original tag
+ * @param {string} toVersion - The new tag
+ * @returns {string|null} The variant change, or null if the variant did not change
+ */
+function describeDockerVariantChange(fromVersion, toVersion) {
+  const from = parseDockerTag(fromVersion);
+  const to = parseDockerTag(toVersion);
+  if (!from?.tag || !to?.tag || from.variant === to.variant) {
+    return null;
+  }
+  return `${from.variant || 'no variant'} → ${to.variant || 'no variant'}`;
+}
+
+export {
+  parseDockerTag,
+  determineDockerChange,
+  describeDockerVariantChange
+};
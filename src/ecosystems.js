@@ -0,0 +1,111 @@
+/**
+ * Dependabot branch names use package manager names (e.g. "npm_and_yarn"), while dependabot.yml
+ * uses package ecosystem names (e.g. "npm"). Ecosystems are always reported and configured
+ * using the dependabot.yml names.
+ */
+const PACKAGE_MANAGER_ECOSYSTEMS = {
+  'npm_and_yarn': 'npm',
+  'go_modules': 'gomod',
+  'github_actions': 'github-actions',
+  'hex': 'mix',
+  'submodules': 'gitsubmodule',
+  'docker_compose': 'docker-compose',
+  'dev_containers': 'devcontainers'
+};
+
+/**
+ * Convert a package manager or ecosystem name to the ecosystem name used in dependabot.yml
+ *
+ * @param {string} name - Package manager name from a branch (e.g. "npm_and_yarn") or ecosystem name
+ * @returns {string|null} Canonical ecosystem name (e.g. "npm"), or null if no name was given
+ */
+function canonicalEcosystem(name) {
+  if (!name || typeof name !== 'string') {
+    return null;
+  }
+  const normalized = name.trim().toLowerCase();
+  return PACKAGE_MANAGER_ECOSYSTEMS[normalized] || normalized.replace(/_/g, '-');
+}
+
+/**
+ * Convert an ecosystem name to the package manager name Dependabot uses in branch names
+ *
+ * @param {string} ecosystem - Ecosystem name from dependabot.yml (e.g. "npm")
+ * @returns {string|null} Package manager name (e.g. "npm_and_yarn"), or null if no name was given
+ */
+function packageManagerName(ecosystem) {
+  const canonical = canonicalEcosystem(ecosystem);
+  if (!canonical) {
+    return null;
+  }
+  const packageManager = Object.keys(PACKAGE_MANAGER_ECOSYSTEMS).find(name => PACKAGE_MANAGER_ECOSYSTEMS[name] === canonical);
+  return packageManager || canonical.replace(/-/g, '_');
+}
+
+/**
+ * Convert a dependency name to the form Dependabot uses in branch names
+ * (leading '@' of npm scopes removed, characters not allowed in refs replaced by '-')
+ *
+ * @param {string} name - Dependency name
+ * @returns {string} Branch-safe dependency name
+ */
+function branchSafeName(name) {
+  return name.replace(/^@/, '').replace(/[^A-Za-z0-9._/-]/g, '-');
+}
+
+/**
+ * Parse the ecosystem and directory from a Dependabot head ref.
+ *
+ * Dependabot branches have the form "dependabot/<package-manager>/<directory>/<dependency>-<version>",
+ * where the directory is left out for the repository root, e.g.:
+ *   dependabot/npm_and_yarn/lodash-4.17.21             → npm, /
+ *   dependabot/npm_and_yarn/frontend/lodash-4.17.21    → npm, /frontend
+ *   dependabot/maven/org.example-lib-1.2.3             → maven, /
+ *
+ * Dependency names may contain '/' themselves (e.g. "@types/node" becomes "types/node"), so the
+ * directory can only be separated reliably when the dependency names are known. Without them, the
+ * last path segment is taken to be the dependency (or group) name.
+ *
+ * @param {string} ref - The head ref of the pull request
+ * @param {Array<string>} dependencyNames - Names of the dependencies updated by the pull request
+ * @returns {{ecosystem: string, packageManager: string, directory: string}|null} Parsed branch, or null
+ *          if the ref is not a Dependabot branch
+ */
+function parseDependabotBranch(ref, dependencyNames = []) {
+  const match = /^dependabot\/([^/]+)\/(.+)$/.exec(ref || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, packageManager, rest] = match;
+  let directoryPart = null;
+
+  for (const name of dependencyNames.filter(Boolean).map(branchSafeName)) {
+    if (rest.startsWith(`${name}-`)) {
+      directoryPart = '';
+      break;
+    }
+    const index = rest.lastIndexOf(`/${name}-`);
+    if (index > 0) {
+      directoryPart = rest.substring(0, index);
+      break;
+    }
+  }
+
+  if (directoryPart === null) {
+    const lastSlash = rest.lastIndexOf('/');
+    directoryPart = lastSlash > 0 ? rest.substring(0, lastSlash) : '';
+  }
+
+  return {
+    ecosystem: canonicalEcosystem(packageManager),
+    packageManager,
+    directory: `/${directoryPart}`
+  };
+}
+
+export {
+  canonicalEcosystem,
+  packageManagerName,
+  parseDependabotBranch
+};
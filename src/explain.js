@@ -0,0 +1,154 @@
+import * as timeUtils from './timeUtils.js';
+import {
+  checkPRMergeability,
+  getRequiredAgeInDays,
+  isDependabotCommit,
+  getChecks,
+  evaluateChecks,
+  findBlockingReviews,
+  addDependencyInfo,
+  getDependencyList
+} from './pullRequests.js';
+import { shouldAlwaysAllowByLabel, validateDependency, explainDependency, findDependencyCountMismatch } from './filters.js';
+
+/**
+ * Create a trace step
+ *
+ * @param {string} check - Name of the check
+ * @param {boolean} passed - Whether the check passed
+ * @param {string} detail - Human-readable detail
+ * @returns {{check: string, status: string, detail: string}} Trace step
+ */
+function step(check, passed, detail) {
+  return { check, status: passed ? 'pass' : 'fail', detail };
+}
+
+/**
+ * Explain the auto-merge decision for a single pull request.
+ *
+ * Runs the same checks as findMergeablePRs and applyFilters, but records the result of every
+ * check instead of stopping at the first failure: state, age, mergeability, the author of every commit,
+ * every commit status and check run, reviews, and every dependency against every filter.
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - Pull request number
+ * @param {Object} filters - Filter options from buildFilterOptions
+ * @param {Object} options - Additional options
+ * @param {number} options.minimumAgeInDays - Minimum age of PR in days
+ * @param {Object} options.ecosystems - Per-ecosystem settings, keyed by ecosystem name
+ * @param {number} options.retryDelayMs - Delay in milliseconds between mergeability retries
+ * @param {Array<string>} options.semverClassification - Enabled semver classification rules
+ * @param {Array<string>} options.calverDependencies - Patterns of dependencies that use calendar versioning
+ * @returns {Promise<Object>} The pull request (with dependency information), the basic criteria `steps`,
+ *          the PR-level `filterSteps`, the `dependencies` with their filter steps, and whether the PR is
+ *          `eligible` (passes the basic criteria) and `passesFilters`
+ */
+async function explainPullRequest(octokit, owner, repo, pullNumber, filters, options = {}) {
+  const { minimumAgeInDays = 0, ecosystems = {}, retryDelayMs = 2000, semverClassification = [], calverDependencies = [] } = options;
+  const { data: pr } = await octokit.rest.pulls.get({ owner, repo, pull_number: pullNumber });
+  const steps = [];
+
+  // Only open pull requests are listed by findMergeablePRs, and a draft cannot be merged
+  const state = pr.merged_at ? 'merged' : pr.state;
+  steps.push(step('State', state === 'open' && !pr.draft, pr.draft ? `${state}, draft` : state));
+
+  steps.push(step('Author', pr.user?.login === 'dependabot[bot]', `created by ${pr.user?.login || 'unknown'}`));
+
+  const requiredAgeInDays = getRequiredAgeInDays(pr, minimumAgeInDays, ecosystems);
+  const createdAt = new Date(pr.created_at);
+  steps.push(step(
+    'Age',
+    !timeUtils.isAfter(createdAt, timeUtils.subtractDays(new Date(), requiredAgeInDays)),
+    `created ${timeUtils.fromNow(createdAt)}, needs to be at least ${requiredAgeInDays} days old`
+  ));
+
+  const prDetails = await checkPRMergeability(octokit, owner, repo, pullNumber, retryDelayMs);
+  steps.push(prDetails
+    ? step('Mergeability', prDetails.mergeable, `mergeable: ${prDetails.mergeable} (state: ${prDetails.mergeable_state || 'unknown'})`)
+    : step('Mergeability', false, 'could not determine mergeable state after retries'));
+
+  const { data: commits } = await octokit.rest.pulls.listCommits({ owner, repo, pull_number: pullNumber });
+  for (const commit of commits) {
+    steps.push(step(
+      `Commit ${(commit.sha || 'unknown').substring(0, 7)}`,
+      isDependabotCommit(commit),
+      `author: ${commit.author?.login || 'unknown'}, committer: ${commit.committer?.login || 'unknown'}`
+    ));
+  }
+
+  const { combinedStatus, checkRuns } = await getChecks(octokit, owner, repo, pr.head.sha);
+  for (const status of combinedStatus.statuses || []) {
+    steps.push(step(`Status ${status.context}`, status.state === 'success', status.state));
+  }
+  for (const run of checkRuns) {
+    const { failed, pending } = evaluateChecks({}, [run]);
+    steps.push(step(`Check run ${run.name}`, !failed && !pending, run.conclusion || run.status));
+  }
+  const { failed: checksFailed, pending: checksPending } = evaluateChecks(combinedStatus, checkRuns);
+  steps.push(step(
+    'Checks',
+    !checksFailed && !checksPending,
+    checksFailed ? 'has failing checks' : checksPending ? 'has pending checks' : 'no failing or pending checks'
+  ));
+
+  const { data: reviews } = await octokit.rest.pulls.listReviews({ owner, repo, pull_number: pullNumber });
+  for (const review of reviews) {
+    steps.push({ check: `Review by ${review.user?.login || 'unknown'}`, status: 'info', detail: review.state });
+  }
+  const blockingReviews = findBlockingReviews(reviews);
+  steps.push(step(
+    'Reviews',
+    blockingReviews.length === 0,
+    blockingReviews.length === 0
+      ? 'no blocking reviews'
+      : `changes requested by ${blockingReviews.map(review => review.user?.login || 'unknown').join(', ')}`
+  ));
+
+  // Filters
+  const prData = { ...pr, prDetails, labels: pr.labels || [] };
+  addDependencyInfo(prData, commits, { semverClassification, calverDependencies });
+
+  const filterSteps = [];
+  const { alwaysAllowLabels = [] } = filters;
+  const bypassedByLabel = shouldAlwaysAllowByLabel(prData.labels, alwaysAllowLabels);
+  filterSteps.push(bypassedByLabel
+    ? { check: 'always-allow-labels', status: 'pass', detail: `has an allowed label (bypasses all filters): ${alwaysAllowLabels.join(', ')}` }
+    : { check: 'always-allow-labels', status: 'info', detail: 'no allowed label' });
+
+  const dependencyList = getDependencyList(prData);
+  if (dependencyList.length === 0) {
+    filterSteps.push(step('dependency information', false, 'No dependency info available'));
+  }
+
+  const countMismatch = findDependencyCountMismatch(prData);
+  if (prData.expectedDependencyCount) {
+    filterSteps.push(step(
+      'dependency count',
+      !countMismatch,
+      countMismatch
+        ? `found ${countMismatch.found} of ${countMismatch.expected} dependencies stated in the title`
+        : `found all ${prData.expectedDependencyCount} dependencies stated in the title`
+    ));
+  }
+
+  const dependencies = dependencyList.map(dependency => ({
+    dependency,
+    steps: explainDependency(dependency, filters, prData.labels),
+    passed: validateDependency(pr.number, dependency, filters, prData.labels)
+  }));
+
+  return {
+    pr: prData,
+    steps,
+    filterSteps,
+    dependencies,
+    eligible: steps.every(s => s.status !== 'fail'),
+    passesFilters: bypassedByLabel || (!countMismatch && dependencies.length > 0 && dependencies.every(d => d.passed))
+  };
+}
+
+export {
+  explainPullRequest
+};
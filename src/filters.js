@@ -1,4 +1,10 @@
 import * as core from '@actions/core';
+import { matchesPattern, parseDependencySpec } from './matchers.js';
+import { satisfiesRange } from './versions.js';
+import { calverJumpMonths } from './calver.js';
+import { pseudoVersionDeltaDays } from './goModules.js';
+import { canonicalEcosystem } from './ecosystems.js';
+import { normalizeDependencyType } from './commitMetadata.js';
 
 /**
  * Store filtering data with relationships between dependencies and PRs
@@ -6,7 +12,7 @@ import * as core from '@actions/core';
  * Structure:
  * {
  *   dependencies: Map<String, Set<Number>>, // Maps dependency name to set of PR numbers
- *   prReasons: Map<Number, Array<{dependency: String, reason: String}>> // Maps PR to dependency-specific reasons
+ *   prReasons: Map<Number, Array<{dependency: String, reason: String, rule?: String, directory?: String}>> // Maps PR to dependency-specific reasons
  * }
  */
 const filteringData = {
@@ -14,14 +20,21 @@ const filteringData = {
   prReasons: new Map()
 };
 
+/**
+ * always-allow entries that a deprecation warning was logged for (see warnLegacyPrefixMatch)
+ */
+const warnedLegacyPatterns = new Set();
+
 /**
  * Record a filtering reason for a PR and specific dependency
  * 
  * @param {number} prNumber - The pull request number
  * @param {string} dependency - The dependency name
  * @param {string} reason - The reason for filtering
+ * @param {string} [rule] - Name of the policy rule that made the decision, if any
+ * @param {string} [directory] - Directory of the dependency, if known (a group can update it in several directories)
  */
-function recordFilterReason(prNumber, dependency, reason) {
+function recordFilterReason(prNumber, dependency, reason, rule, directory) {
   // Track dependency to PR relationship
   if (!filteringData.dependencies.has(dependency)) {
     filteringData.dependencies.set(dependency, new Set());
@@ -33,10 +46,14 @@ function recordFilterReason(prNumber, dependency, reason) {
     filteringData.prReasons.set(prNumber, []);
   }
   
-  filteringData.prReasons.get(prNumber).push({
-    dependency,
-    reason
-  });
+  const entry = { dependency, reason };
+  if (rule) {
+    entry.rule = rule;
+  }
+  if (directory) {
+    entry.directory = directory;
+  }
+  filteringData.prReasons.get(prNumber).push(entry);
 }
 
 /**
@@ -84,40 +101,207 @@ function shouldAlwaysAllowByLabel(prLabels, alwaysAllowLabelsList) {
 }
 
 /**
- * Check if a dependency should always be allowed based on the alwaysAllow list
+ * Check if a dependency should always be allowed based on the alwaysAllow list.
+ * Patterns use the matcher syntax from matchers.js. In 'legacy' matcher mode, patterns
+ * without an explicit form are prefix matches (e.g. "react" also matches "react-dom").
+ * This is deprecated, so a warning is logged when a dependency is only allowed by such a prefix match.
  * 
  * @param {string} name - The dependency name
  * @param {Array} alwaysAllowList - List of always allow patterns
+ * @param {string} matcherMode - Matcher mode ('strict' or 'legacy')
  * @returns {boolean} Whether the dependency should be allowed
  */
-function shouldAlwaysAllow(name, alwaysAllowList) {
-  // If the list contains a wildcard '*', always allow everything
-  if (alwaysAllowList.includes('*')) {
-    return true;
+function shouldAlwaysAllow(name, alwaysAllowList, matcherMode = 'legacy') {
+  const pattern = alwaysAllowList.find(pattern => matchesPattern(name, pattern, { mode: matcherMode, legacyType: 'prefix' }));
+  if (pattern === undefined) {
+    return false;
   }
-  
-  // Otherwise, check for pattern matches
-  return alwaysAllowList.some(pattern => {
-    // First check for exact match with the dependency name
-    if (pattern === name) {
-      return true;
+
+  if (matcherMode === 'legacy' && !alwaysAllowList.some(pattern => matchesPattern(name, pattern))) {
+    warnLegacyPrefixMatch(name, pattern);
+  }
+  return true;
+}
+
+/**
+ * Log a deprecation warning, once per pattern, for an always-allow entry without an explicit form
+ * that only allows a dependency because 'legacy' matcher mode matches it by prefix
+ * 
+ * @param {string} name - The dependency name
+ * @param {string} pattern - The always-allow entry
+ * @returns {void}
+ */
+function warnLegacyPrefixMatch(name, pattern) {
+  if (warnedLegacyPatterns.has(pattern)) {
+    return;
+  }
+  warnedLegacyPatterns.add(pattern);
+  core.warning(
+    `always-allow entry "${pattern}" allows "${name}" by prefix. Prefix matching of entries without an explicit form ` +
+    `is deprecated: use "prefix:${pattern}" to keep it, or set matcher-mode to 'strict' to match exact names only.`
+  );
+}
+
+/**
+ * Get how many months a CalVer update jumps ahead, when that exceeds the calver-max-jump-months setting
+ * 
+ * @param {Object} dependencyInfo - The dependency information
+ * @param {number} calverMaxJumpMonths - Maximum number of months (0 for no limit)
+ * @returns {number|null} The number of months, or null if the update is not CalVer or is within the limit
+ */
+function findExcessiveCalverJump(dependencyInfo, calverMaxJumpMonths = 0) {
+  if (dependencyInfo.semverChange !== 'calver' || !calverMaxJumpMonths) {
+    return null;
+  }
+  const jump = calverJumpMonths(dependencyInfo.fromVersion, dependencyInfo.toVersion);
+  return jump !== null && jump > calverMaxJumpMonths ? jump : null;
+}
+
+/**
+ * Get the range change of a requirement update (e.g. "Update rails requirement from ~> 6.1 to ~> 7.0"),
+ * when it is not in the range-filter setting
+ * 
+ * @param {Object} dependencyInfo - The dependency information
+ * @param {Array<string>} rangeFilter - Allowed range changes ('widen', 'narrow')
+ * @returns {string|null} The range change, or null if the update is not a requirement update or is allowed
+ */
+function findDisallowedRangeChange(dependencyInfo, rangeFilter) {
+  const { rangeChange } = dependencyInfo;
+  return rangeChange && rangeFilter && !rangeFilter.includes(rangeChange) ? rangeChange : null;
+}
+
+/**
+ * Get the number of dependencies extracted from a multi-dependency or group PR, when it differs from the
+ * number stated in its title ("Bump A, B and C", "Bump the npm group with 3 updates")
+ * 
+ * @param {Object} pr - Pull request with extracted dependency information
+ * @returns {{found: number, expected: number}|null} The numbers, or null if they match or the title states no number
+ */
+function findDependencyCountMismatch(pr) {
+  const expected = pr.expectedDependencyCount;
+  const found = pr.dependencyInfoList ? pr.dependencyInfoList.length : 0;
+  return expected && found !== expected ? { found, expected } : null;
+}
+
+/**
+ * Get how many days of commits a Go pseudo-version update spans, when that exceeds the pseudo-max-delta-days setting
+ * 
+ * @param {Object} dependencyInfo - The dependency information
+ * @param {number} pseudoMaxDeltaDays - Maximum number of days (0 for no limit)
+ * @returns {number|null} The number of days, or null if the update is not between pseudo-versions or is within the limit
+ */
+function findExcessivePseudoDelta(dependencyInfo, pseudoMaxDeltaDays = 0) {
+  if (dependencyInfo.semverChange !== 'pseudo' || !pseudoMaxDeltaDays) {
+    return null;
+  }
+  const delta = pseudoVersionDeltaDays(dependencyInfo.fromVersion, dependencyInfo.toVersion);
+  return delta !== null && delta > pseudoMaxDeltaDays ? delta : null;
+}
+
+/**
+ * Find the first ignored-versions entry that matches a dependency update.
+ * Entries have the form "<name pattern>[@<version or semver range>]"; a missing version or '*'
+ * ignores all versions. Ranges (e.g. ">=5.0.0", "^3", "<1.7.0 || 2.0.0-beta.x") are evaluated
+ * against the coerced target version.
+ * 
+ * @param {string} name - The dependency name
+ * @param {string} toVersion - The version being updated to
+ * @param {Array} ignoredVersions - List of ignored version entries
+ * @param {string} matcherMode - Matcher mode ('strict' or 'legacy')
+ * @returns {{entry: string, range: (string|null)}|null} The matching entry and, if it matched as a range, the range
+ */
+function findIgnoredVersion(name, toVersion, ignoredVersions, matcherMode = 'legacy') {
+  for (const entry of ignoredVersions) {
+    const { name: ignoredName, version: ignoredVer } = parseDependencySpec(entry);
+    if (!matchesPattern(name, ignoredName, { mode: matcherMode })) {
+      continue;
     }
-    
-    // If the pattern starts with 'name:', it's a string matching pattern
-    if (pattern.startsWith('name:')) {
-      const matchValue = pattern.substring(5); // length of 'name:'
-      if (matchValue && name.includes(matchValue)) {
-        return true;
-      }
+
+    if (ignoredVer === toVersion || ignoredVer === '*' || ignoredVer === undefined) {
+      return { entry, range: null };
     }
-    
-    // Also allow prefix matches (e.g., "no.nav.appsec" should match "no.nav.appsec:contracts")
-    if (name.startsWith(pattern)) {
-      return true;
+
+    if (satisfiesRange(toVersion, ignoredVer)) {
+      return { entry, range: ignoredVer };
     }
-    
+  }
+
+  return null;
+}
+
+/**
+ * Check if a policy rule matches a dependency. All criteria given in the rule must match;
+ * within a criterion, any of the listed values may match. A rule without criteria matches everything.
+ * 
+ * @param {Object} rule - Normalized policy rule
+ * @param {Object} dependencyInfo - The dependency information
+ * @param {Array} prLabels - Array of label objects from the PR
+ * @returns {boolean} Whether the rule matches
+ */
+function ruleMatches(rule, dependencyInfo, prLabels = []) {
+  const { name, semverChange, ecosystem, directory, dependencyType } = dependencyInfo;
+
+  if (rule.dependency && !rule.dependency.some(pattern => matchesPattern(name, pattern))) {
     return false;
-  });
+  }
+
+  if (rule.semver && !rule.semver.includes(semverChange)) {
+    return false;
+  }
+
+  if (rule.ecosystem && !(ecosystem && rule.ecosystem.some(e => canonicalEcosystem(e) === canonicalEcosystem(ecosystem)))) {
+    return false;
+  }
+
+  if (rule.directory && !(directory && rule.directory.some(pattern => matchesPattern(directory, pattern)))) {
+    return false;
+  }
+
+  const ruleDependencyTypes = rule['dependency-type'];
+  if (ruleDependencyTypes && !(dependencyType && ruleDependencyTypes.some(type => normalizeDependencyType(type) === dependencyType))) {
+    return false;
+  }
+
+  if (rule.label) {
+    const prLabelNames = (prLabels || []).map(label => label.name.toLowerCase());
+    if (!rule.label.some(label => prLabelNames.includes(label.toLowerCase()))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Find the first policy rule that matches a dependency
+ * 
+ * @param {Object} dependencyInfo - The dependency information
+ * @param {Array} rules - Normalized policy rules, in evaluation order
+ * @param {Array} prLabels - Array of label objects from the PR
+ * @returns {Object|null} The first matching rule, or null if no rule matches
+ */
+function findMatchingRule(dependencyInfo, rules, prLabels = []) {
+  return rules.find(rule => ruleMatches(rule, dependencyInfo, prLabels)) || null;
+}
+
+/**
+ * Get the semver filter and always-allow list that apply to a dependency's ecosystem.
+ * Settings for the ecosystem in the policy file replace the global settings.
+ * 
+ * @param {Object} filters - The filter settings
+ * @param {string} ecosystem - The ecosystem of the dependency (e.g. "npm"), if known
+ * @returns {{semverFilter: Array, alwaysAllow: Array, ecosystemOverride: (string|null)}} Effective settings,
+ *          and the ecosystem whose semver filter was used (null if the global one was used)
+ */
+function getEcosystemFilters(filters, ecosystem) {
+  const { alwaysAllow = [], semverFilter, ecosystems = {} } = filters;
+  const settings = (ecosystem && ecosystems[canonicalEcosystem(ecosystem)]) || {};
+
+  return {
+    semverFilter: settings.semverFilter || semverFilter,
+    alwaysAllow: settings.alwaysAllow || alwaysAllow,
+    ecosystemOverride: settings.semverFilter ? canonicalEcosystem(ecosystem) : null
+  };
 }
 
 /**
@@ -126,60 +310,109 @@ function shouldAlwaysAllow(name, alwaysAllowList) {
  * @param {number} prNumber - The pull request number
  * @param {Object} dependencyInfo - The dependency information
  * @param {Object} filters - The filter settings
+ * @param {Array} prLabels - Array of label objects from the PR (used by label rules)
  * @returns {boolean} Whether the dependency passes all filters
  */
-function validateDependency(prNumber, dependencyInfo, filters) {
-  const { ignoredDependencies, alwaysAllow = [], ignoredVersions, semverFilter } = filters;
-  const { name, toVersion, semverChange } = dependencyInfo || {};
+function validateDependency(prNumber, dependencyInfo, filters, prLabels = []) {
+  const { ignoredDependencies, ignoredVersions, rules = [], matcherMode = 'legacy' } = filters;
+  const { name, toVersion, semverChange, ecosystem, directory } = dependencyInfo || {};
+  const { semverFilter, alwaysAllow, ecosystemOverride } = getEcosystemFilters(filters, ecosystem);
+  const record = (reason, rule) => recordFilterReason(prNumber, name || 'general', reason, rule, directory);
   
-  // Check if dependency info is complete
-  if (!name || !toVersion || !semverChange) {
+  // Check if dependency info is complete (a removed dependency has no new version)
+  if (!name || (!dependencyInfo.removed && (!toVersion || !semverChange))) {
     const reason = 'Dependency missing required information';
-    recordFilterReason(prNumber, name || 'general', reason);
+    record(reason);
     core.debug(`PR #${prNumber}: Dependency validation failed - ${reason}`);
     return false;
   }
   
   // Check if dependency is in ignored list
-  if (ignoredDependencies.some(dep => dep === name)) {
+  if (ignoredDependencies.some(pattern => matchesPattern(name, pattern, { mode: matcherMode }))) {
     const reason = `Dependency "${name}" is in ignored list`;
-    recordFilterReason(prNumber, name, reason);
+    record(reason);
     core.debug(`PR #${prNumber}: Dependency validation failed - ${reason}`);
     return false;
   }
+
+  // A dependency the update removes has no version or change level to check
+  if (dependencyInfo.removed) {
+    core.debug(`PR #${prNumber}: Dependency "${name}" is removed by the update`);
+    return true;
+  }
   
   // Check if specific version is in ignored list
-  const versionMatches = ignoredVersions.some(ignoredVersion => {
-    // Split the ignored entry into name and version parts
-    const [ignoredName, ignoredVer] = ignoredVersion.split('@');
-    
-    // Check if the name matches and either:
-    // 1. The version matches exactly
-    // 2. The ignored version is a wildcard '*'
-    // 3. The version part is undefined meaning ignore all versions
-    return (
-      ignoredName === name && 
-      (ignoredVer === toVersion || ignoredVer === '*' || ignoredVer === undefined)
-    );
-  });
+  const ignoredEntry = findIgnoredVersion(name, toVersion, ignoredVersions, matcherMode);
+  
+  if (ignoredEntry) {
+    const reason = ignoredEntry.range
+      ? `Version "${name}@${toVersion}" matches ignored range "${ignoredEntry.range}"`
+      : `Version "${name}@${toVersion}" is in ignored list`;
+    record(reason);
+    core.debug(`PR #${prNumber}: Dependency validation failed - ${reason}`);
+    return false;
+  }
   
-  if (versionMatches) {
-    const reason = `Version "${name}@${toVersion}" is in ignored list`;
-    recordFilterReason(prNumber, name, reason);
+  // The limits apply to every update, also to those allowed by a rule or always-allow
+  // Check how far a calendar version jumps ahead
+  const calverJump = findExcessiveCalverJump(dependencyInfo, filters.calverMaxJumpMonths);
+  if (calverJump !== null) {
+    const reason = `CalVer update of "${name}" jumps ${calverJump} months ahead (maximum: ${filters.calverMaxJumpMonths})`;
+    record(reason);
+    core.debug(`PR #${prNumber}: Dependency validation failed - ${reason}`);
+    return false;
+  }
+
+  // Check if a requirement update widens or narrows the range
+  const rangeChange = findDisallowedRangeChange(dependencyInfo, filters.rangeFilter);
+  if (rangeChange) {
+    const reason = `Range change "${rangeChange}" for "${name}" is not in allowed range changes: ${filters.rangeFilter.join(', ')}`;
+    record(reason);
+    core.debug(`PR #${prNumber}: Dependency validation failed - ${reason}`);
+    return false;
+  }
+
+  // Check how many days of commits a pseudo-version update spans
+  const pseudoDelta = findExcessivePseudoDelta(dependencyInfo, filters.pseudoMaxDeltaDays);
+  if (pseudoDelta !== null) {
+    const reason = `Pseudo-version update of "${name}" spans ${pseudoDelta} days of commits (maximum: ${filters.pseudoMaxDeltaDays})`;
+    record(reason);
     core.debug(`PR #${prNumber}: Dependency validation failed - ${reason}`);
     return false;
   }
   
+  // Evaluate policy rules in order - the first matching rule decides
+  const rule = findMatchingRule(dependencyInfo, rules, prLabels);
+  if (rule) {
+    if (rule.action === 'allow') {
+      record(`Allowed by rule "${rule.name}" (${semverChange} change)`, rule.name);
+      core.debug(`PR #${prNumber}: Rule "${rule.name}" allowed "${name}"`);
+      return true;
+    }
+    
+    if (rule.action === 'deny') {
+      const reason = `Denied by rule "${rule.name}" (${semverChange} change)`;
+      record(reason, rule.name);
+      core.debug(`PR #${prNumber}: Dependency validation failed - ${reason}`);
+      return false;
+    }
+    
+    // 'defer' stops rule evaluation and hands the decision to the remaining filters
+    record(`Deferred by rule "${rule.name}" to the default filters`, rule.name);
+    core.debug(`PR #${prNumber}: Rule "${rule.name}" deferred "${name}" to the default filters`);
+  }
+  
   // Check if dependency should always be allowed
-  if (shouldAlwaysAllow(name, alwaysAllow)) {
+  if (shouldAlwaysAllow(name, alwaysAllow, matcherMode)) {
     core.debug(`PR #${prNumber}: Bypassing semver filter for "${name}" - matches always-allow pattern`);
     return true;
   }
   
   // Check semver change level
   if (!semverFilter.includes(semverChange)) {
-    const reason = `Semver change "${semverChange}" for "${name}" is not in allowed list: ${semverFilter.join(', ')}`;
-    recordFilterReason(prNumber, name, reason);
+    const allowedList = ecosystemOverride ? `allowed list for ${ecosystemOverride}` : 'allowed list';
+    const reason = `Semver change "${semverChange}" for "${name}" is not in ${allowedList}: ${semverFilter.join(', ')}`;
+    record(reason);
     core.debug(`PR #${prNumber}: Dependency validation failed - ${reason}`);
     return false;
   }
@@ -188,6 +421,109 @@ function validateDependency(prNumber, dependencyInfo, filters) {
   return true;
 }
 
+/**
+ * Evaluate every filter for a single dependency, without stopping at the first failure.
+ * Used to explain a decision; the decision itself is made by validateDependency.
+ * 
+ * @param {Object} dependencyInfo - The dependency information
+ * @param {Object} filters - The filter settings
+ * @param {Array} prLabels - Array of label objects from the PR (used by label rules)
+ * @returns {Array<{check: string, status: string, detail: string}>} Result of each filter, in evaluation
+ *          order. The status is 'pass', 'fail' or 'info' (the filter did not decide anything, or was not
+ *          evaluated because an earlier filter decided)
+ */
+function explainDependency(dependencyInfo, filters, prLabels = []) {
+  const { ignoredDependencies = [], ignoredVersions = [], rules = [], matcherMode = 'legacy' } = filters;
+  const { name = '', toVersion, semverChange } = dependencyInfo || {};
+  const { semverFilter, alwaysAllow, ecosystemOverride } = getEcosystemFilters(filters, dependencyInfo?.ecosystem);
+  const steps = [];
+
+  const required = dependencyInfo?.removed ? ['name'] : ['name', 'toVersion', 'semverChange'];
+  const missing = required.filter(field => !dependencyInfo?.[field]);
+  if (missing.length > 0) {
+    steps.push({ check: 'dependency information', status: 'fail', detail: `missing ${missing.join(', ')}` });
+  } else {
+    steps.push({ check: 'dependency information', status: 'pass', detail: dependencyInfo.removed ? 'removed by the update' : 'complete' });
+  }
+
+  const ignoredPattern = ignoredDependencies.find(pattern => matchesPattern(name, pattern, { mode: matcherMode }));
+  steps.push(ignoredPattern
+    ? { check: 'ignored-dependencies', status: 'fail', detail: `Dependency "${name}" matches ignored pattern "${ignoredPattern}"` }
+    : { check: 'ignored-dependencies', status: 'pass', detail: 'not ignored' });
+
+  if (dependencyInfo?.removed) {
+    return steps;
+  }
+
+  const ignoredEntry = toVersion ? findIgnoredVersion(name, toVersion, ignoredVersions, matcherMode) : null;
+  if (ignoredEntry) {
+    const detail = ignoredEntry.range
+      ? `Version "${name}@${toVersion}" matches ignored range "${ignoredEntry.range}"`
+      : `Version "${name}@${toVersion}" matches ignored entry "${ignoredEntry.entry}"`;
+    steps.push({ check: 'ignored-versions', status: 'fail', detail });
+  } else {
+    steps.push({ check: 'ignored-versions', status: 'pass', detail: 'version not ignored' });
+  }
+
+  if (semverChange === 'calver' && filters.calverMaxJumpMonths) {
+    const calverJump = findExcessiveCalverJump(dependencyInfo, filters.calverMaxJumpMonths);
+    steps.push(calverJump === null
+      ? { check: 'calver-max-jump-months', status: 'pass', detail: `within ${filters.calverMaxJumpMonths} months` }
+      : { check: 'calver-max-jump-months', status: 'fail', detail: `jumps ${calverJump} months ahead (maximum: ${filters.calverMaxJumpMonths})` });
+  }
+
+  if (dependencyInfo?.rangeChange && filters.rangeFilter) {
+    const allowed = filters.rangeFilter.includes(dependencyInfo.rangeChange);
+    steps.push({
+      check: 'range-filter',
+      status: allowed ? 'pass' : 'fail',
+      detail: `Range change "${dependencyInfo.rangeChange}" is ${allowed ? '' : 'not '}in allowed range changes: ${filters.rangeFilter.join(', ')}`
+    });
+  }
+
+  if (semverChange === 'pseudo' && filters.pseudoMaxDeltaDays) {
+    const pseudoDelta = findExcessivePseudoDelta(dependencyInfo, filters.pseudoMaxDeltaDays);
+    steps.push(pseudoDelta === null
+      ? { check: 'pseudo-max-delta-days', status: 'pass', detail: `within ${filters.pseudoMaxDeltaDays} days` }
+      : { check: 'pseudo-max-delta-days', status: 'fail', detail: `spans ${pseudoDelta} days of commits (maximum: ${filters.pseudoMaxDeltaDays})` });
+  }
+
+  const rule = findMatchingRule(dependencyInfo || {}, rules, prLabels);
+  if (rules.length === 0) {
+    steps.push({ check: 'rules', status: 'info', detail: 'no rules configured' });
+  } else if (!rule) {
+    steps.push({ check: 'rules', status: 'info', detail: 'no rule matched' });
+  } else if (rule.action === 'defer') {
+    steps.push({ check: 'rules', status: 'info', detail: `Deferred by rule "${rule.name}" to the default filters` });
+  } else {
+    const verb = rule.action === 'allow' ? 'Allowed' : 'Denied';
+    steps.push({ check: 'rules', status: rule.action === 'allow' ? 'pass' : 'fail', detail: `${verb} by rule "${rule.name}"` });
+  }
+
+  const allowPattern = alwaysAllow.find(pattern => matchesPattern(name, pattern, { mode: matcherMode, legacyType: 'prefix' }));
+  steps.push(allowPattern
+    ? { check: 'always-allow', status: 'pass', detail: `matches "${allowPattern}" (bypasses the semver filter)` }
+    : { check: 'always-allow', status: 'info', detail: 'no pattern matched' });
+
+  const allowedList = ecosystemOverride ? `allowed list for ${ecosystemOverride}` : 'allowed list';
+  const inFilter = semverFilter.includes(semverChange);
+  steps.push({
+    check: 'semver-filter',
+    status: inFilter ? 'pass' : 'fail',
+    detail: `Semver change "${semverChange}" is ${inFilter ? '' : 'not '}in ${allowedList}: ${semverFilter.join(', ')}`
+  });
+
+  // validateDependency stops at the first filter that decides, so the filters after it do not count
+  const decisive = steps.findIndex(s => s.status === 'fail' || (s.status === 'pass' && ['rules', 'always-allow'].includes(s.check)));
+  if (decisive === -1) {
+    return steps;
+  }
+  const decidedBy = steps[decisive].check === 'rules'
+    ? `decided by rule "${rule.name}"`
+    : steps[decisive].check === 'always-allow' ? 'bypassed by always-allow' : `rejected by ${steps[decisive].check}`;
+  return steps.map((s, index) => index > decisive ? { check: s.check, status: 'info', detail: `not evaluated (${decidedBy})` } : s);
+}
+
 /**
  * Apply filters to pull requests
  * 
@@ -196,7 +532,7 @@ function validateDependency(prNumber, dependencyInfo, filters) {
  * @returns {Array} Filtered pull requests
  */
 function applyFilters(pullRequests, filters) {
-  const { ignoredDependencies, alwaysAllow = [], alwaysAllowLabels = [], ignoredVersions, semverFilter } = filters;
+  const { ignoredDependencies, alwaysAllow = [], alwaysAllowLabels = [], ignoredVersions, semverFilter, rules = [], ecosystems = {}, matcherMode = 'legacy' } = filters;
 
   core.info(`Applying filters: ${
     [
@@ -204,7 +540,10 @@ function applyFilters(pullRequests, filters) {
       alwaysAllow.length > 0 ? `Always allow: ${alwaysAllow.join(', ')}` : null,
       alwaysAllowLabels.length > 0 ? `Always allow labels: ${alwaysAllowLabels.join(', ')}` : null,
       ignoredVersions.length > 0 ? `Ignored versions: ${ignoredVersions.join(', ')}` : null,
-      `Semver filter: ${semverFilter.join(', ')}`
+      rules.length > 0 ? `Rules: ${rules.map(rule => `${rule.name} (${rule.action})`).join(', ')}` : null,
+      Object.keys(ecosystems).length > 0 ? `Ecosystem overrides: ${Object.keys(ecosystems).join(', ')}` : null,
+      `Semver filter: ${semverFilter.join(', ')}`,
+      matcherMode !== 'legacy' ? `Matcher mode: ${matcherMode}` : null
     ].filter(Boolean).join('; ')
   }`);
   
@@ -222,12 +561,22 @@ function applyFilters(pullRequests, filters) {
       core.info(`PR #${pr.number}: Bypassing all filters - has allowed label from: ${alwaysAllowLabels.join(', ')}`);
       return true;
     }
+
+    // Every dependency the title says is updated must have been extracted, so a group PR is
+    // never merged after checking only some of its dependencies
+    const countMismatch = findDependencyCountMismatch(pr);
+    if (countMismatch) {
+      const reason = `Found ${countMismatch.found} of ${countMismatch.expected} dependencies stated in the title`;
+      recordFilterReason(pr.number, 'general', reason);
+      core.debug(`PR #${pr.number}: Skipping - ${reason}`);
+      return false;
+    }
     
     // Check if PR contains multiple dependencies or a single dependency
     if (pr.dependencyInfoList && pr.dependencyInfoList.length > 0) {
       // For PRs with multiple dependencies, ALL dependencies must pass the filters
       for (const dependencyInfo of pr.dependencyInfoList) {
-        const isValid = validateDependency(pr.number, dependencyInfo, filters);
+        const isValid = validateDependency(pr.number, dependencyInfo, filters, pr.labels);
         if (!isValid) {
           // If any dependency fails validation, filter out the entire PR
           return false;
@@ -249,7 +598,7 @@ function applyFilters(pullRequests, filters) {
         return false;
       }
       
-      const isValid = validateDependency(pr.number, dependencyInfo, filters);
+      const isValid = validateDependency(pr.number, dependencyInfo, filters, pr.labels);
       if (!isValid) {
         return false;
       }
@@ -268,5 +617,8 @@ export {
   getFilterReasons,
   getAllFilterReasons,
   recordFilterReason,
-  validateDependency
+  validateDependency,
+  explainDependency,
+  findDependencyCountMismatch,
+  findMatchingRule
 };
\ No newline at end of file
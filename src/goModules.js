@@ -0,0 +1,171 @@
+import semver from 'semver';
+
+/**
+ * Go module versions are semver versions with a leading "v" (e.g. "v1.4.2"), with two Go-specific forms:
+ *   "v0.0.0-20231012142233-abcdef123456"   pseudo-version: an untagged commit, with its commit time and revision
+ *   "v2.3.0+incompatible"                  a v2+ version of a module without a go.mod (and without "/v2" in its path)
+ *
+ * Pseudo-versions are "vX.0.0-<time>-<rev>", "vX.Y.Z-pre.0.<time>-<rev>" or "vX.Y.(Z+1)-0.<time>-<rev>".
+ * Dependabot sometimes shortens the commit time to a date ("20231012").
+ */
+const PSEUDO_VERSION = /(?:^|[-.])(\d{8}(?:\d{6})?)-([a-f0-9]{12})$/i;
+
+/**
+ * Parse a Go module version
+ *
+ * @param {string} version - The version (e.g. "v1.4.2", "v2.3.0+incompatible" or a pseudo-version)
+ * @returns {{version: semver.SemVer, incompatible: boolean, pseudo: ({time: Date, revision: string}|null)}|null}
+ *          The parsed semver version, whether it is "+incompatible", and the commit time and revision of a
+ *          pseudo-version, or null if the version is not a valid Go module version
+ */
+function parseGoVersion(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+
+  const parsed = semver.parse(version.trim().replace(/^v/i, ''));
+  if (!parsed) {
+    return null;
+  }
+
+  const incompatible = parsed.build.length === 1 && parsed.build[0] === 'incompatible';
+  const pseudoMatch = PSEUDO_VERSION.exec(parsed.prerelease.join('.'));
+  const pseudo = pseudoMatch ? { time: parsePseudoTime(pseudoMatch[1]), revision: pseudoMatch[2].toLowerCase() } : null;
+
+  return { version: parsed, incompatible, pseudo: pseudo?.time ? pseudo : null };
+}
+
+/**
+ * Parse the commit time of a pseudo-version ("yyyymmddhhmmss" or "yyyymmdd", in UTC)
+ *
+ * @param {string} value - Commit time
+ * @returns {Date|null} The commit time, or null if it is not a valid date
+ */
+function parsePseudoTime(value) {
+  const [year, month, day, hour, minute, second] = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?$/.exec(value)
+    .slice(1)
+    .map(part => Number(part ?? 0));
+  const time = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return time.getUTCMonth() === month - 1 && time.getUTCDate() === day ? time : null;
+}
+
+/**
+ * Get the major version a module path requires: "/v2" at the end of the path (or ".v2" for gopkg.in).
+ * Paths without a major version suffix can only have v0 and v1 versions, or "+incompatible" v2+ versions.
+ *
+ * @param {string} modulePath - Module path (e.g. "github.com/go-chi/chi/v5" or "gopkg.in/yaml.v3")
+ * @returns {number|null} The major version of the suffix, or null if the path has none
+ */
+function modulePathMajor(modulePath) {
+  const match = typeof modulePath === 'string' && (/\/v(\d+)$/.exec(modulePath) || /^gopkg\.in\/.*\.v(\d+)$/.exec(modulePath));
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Check if a version can be used for a module path: the major version must match the "/vN" suffix of the
+ * path, and v2+ versions of a path without a suffix must be "+incompatible"
+ *
+ * @param {string} modulePath - Module path
+ * @param {Object} parsed - Version parsed with parseGoVersion
+ * @returns {boolean} Whether the version matches the module path
+ */
+function matchesModulePath(modulePath, parsed) {
+  const pathMajor = modulePathMajor(modulePath);
+  if (pathMajor !== null) {
+    // gopkg.in paths also allow v0 and v1 for ".v1"; "+incompatible" is not used with a suffix
+    return !parsed.incompatible && (parsed.version.major === pathMajor || (pathMajor === 1 && parsed.version.major === 0));
+  }
+  return parsed.version.major < 2 || parsed.incompatible;
+}
+
+/**
+ * Determine the change level between two Go module versions.
+ *
+ * An update to a pseudo-version (an untagged commit) is a 'pseudo' change, as its version number says
+ * nothing about the changes; an update from a pseudo-version to a release is classified by the version
+ * numbers. An update to a prerelease (v1.3.0-rc.1) is 'prerelease', unless the 'prerelease-as-release'
+ * rule is enabled. "+incompatible" versions are compared as the versions they are. When the module path
+ * is given, versions that do not match its major version suffix ("/v2") are 'unknown'.
+ *
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @param {Object} options - Classification options
+ * @param {Array<string>} options.classification - Enabled semver classification rules
+ * @param {string} options.name - Module path of the dependency
+ * @returns {string} The change level ('major', 'minor', 'patch', 'prerelease', 'pseudo', 'downgrade' or 'unknown')
+ */
+function determineGoChange(fromVersion, toVersion, { classification = [], name } = {}) {
+  const from = parseGoVersion(fromVersion);
+  const to = parseGoVersion(toVersion);
+  if (!from || !to) {
+    return 'unknown';
+  }
+  if (name && (!matchesModulePath(name, from) || !matchesModulePath(name, to))) {
+    return 'unknown';
+  }
+
+  const order = semver.compare(to.version, from.version);
+  if (order < 0) {
+    return 'downgrade';
+  }
+  if (order === 0) {
+    return 'unknown';
+  }
+
+  if (to.pseudo) {
+    return 'pseudo';
+  }
+  if (!classification.includes('prerelease-as-release') && to.version.prerelease.length > 0) {
+    return 'prerelease';
+  }
+
+  if (to.version.major !== from.version.major) {
+    return 'major';
+  }
+  if (to.version.minor !== from.version.minor) {
+    return from.version.major === 0 && classification.includes('zero-minor-as-major') ? 'major' : 'minor';
+  }
+  const isZeroZero = from.version.major === 0 && from.version.minor === 0;
+  return isZeroZero && classification.includes('zero-patch-as-major') ? 'major' : 'patch';
+}
+
+/**
+ * Get the number of days between the commits of two pseudo-versions
+ *
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @returns {number|null} Number of days (rounded down), or null if either version is not a pseudo-version
+ */
+function pseudoVersionDeltaDays(fromVersion, toVersion) {
+  const from = parseGoVersion(fromVersion)?.pseudo;
+  const to = parseGoVersion(toVersion)?.pseudo;
+  if (!from || !to) {
+    return null;
+  }
+  return Math.floor((to.time - from.time) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Describe an update between two pseudo-versions (e.g. "abcdef123456 → 123456abcdef, 81 days newer")
+ *
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @returns {string|null} The commit change, or null if either version is not a pseudo-version
+ */
+function describePseudoVersionChange(fromVersion, toVersion) {
+  const days = pseudoVersionDeltaDays(fromVersion, toVersion);
+  if (days === null) {
+    return null;
+  }
+  const from = parseGoVersion(fromVersion).pseudo.revision;
+  const to = parseGoVersion(toVersion).pseudo.revision;
+  return `${from} → ${to}, ${days} days newer`;
+}
+
+export {
+  parseGoVersion,
+  modulePathMajor,
+  determineGoChange,
+  pseudoVersionDeltaDays,
+  describePseudoVersionChange
+};
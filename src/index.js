@@ -1,10 +1,14 @@
 import * as core from '@actions/core';
 import * as github from '@actions/github';
 import { fileURLToPath } from 'node:url';
-import { findMergeablePRs, approvePullRequest, checkPRMergeability, updatePRBranch, waitForChecksAfterUpdate } from './pullRequests.js';
-import { shouldRunAtCurrentTime } from './timeUtils.js';
-import { applyFilters, recordFilterReason } from './filters.js';
+import { findMergeablePRs, getDependencyList, approvePullRequest, checkPRMergeability, updatePRBranch, waitForChecksAfterUpdate, enableAutoMerge, disableAutoMerge, getActionLogin, findAutoMergesToDisable, getMergeQueue, getMergeQueueEntry, getMergeQueueRemoval, enqueuePullRequest, findRecentMerges, listPullRequestFiles } from './pullRequests.js';
+import { shouldRunAtCurrentTime, validateBlackoutPeriods } from './timeUtils.js';
+import { applyFilters, recordFilterReason, getFilterReasons } from './filters.js';
+import { buildCommitMessage } from './commitMessages.js';
+import { orderPullRequests } from './mergeOrder.js';
+import { hasDailyLimit, dayWindowStart, createMergeBudget, addPendingMerges, findExhaustedBudget, spendMergeBudget } from './mergeBudget.js';
 import { addWorkflowSummary } from './summary.js';
+import { readInputs, validateInputs, resolveConfig, buildFilterOptions, loadPolicyFile } from './config.js';
 
 async function run() {
   try {
@@ -26,14 +30,8 @@ async function run() {
       throw new Error('GitHub token not provided');
     }
     
-    const minimumAgeInDays = parseInt(core.getInput('minimum-age-of-pr'), 10);
     const blackoutPeriods = core.getInput('blackout-periods');
-    const ignoredDependencies = core.getInput('ignored-dependencies');
-    const alwaysAllow = core.getInput('always-allow');
-    const alwaysAllowLabels = core.getInput('always-allow-labels');
-    const ignoredVersions = core.getInput('ignored-versions');
-    const semverFilter = core.getInput('semver-filter');
-    const mergeMethod = core.getInput('merge-method');
+    const configFile = core.getInput('config-file');
     const parsedRetryDelay = parseInt(core.getInput('retry-delay-ms'), 10);
     const retryDelayMs = Number.isNaN(parsedRetryDelay) ? 10000 : parsedRetryDelay;
     const autoApprove = core.getInput('auto-approve') === 'true';
@@ -41,14 +39,31 @@ async function run() {
     const parsedMaxUpdateWait = parseInt(core.getInput('max-update-wait-seconds'), 10);
     const maxUpdateWaitSeconds = Number.isNaN(parsedMaxUpdateWait) ? 300 : parsedMaxUpdateWait;
     
+    // Resolve settings from inputs first. The policy file (if any) is merged in once we have
+    // verified that we are running from the default branch, since that is where it is read from.
+    const inputs = readInputs(core.getInput);
+    
+    // Report every invalid input up front. With strict-config, any invalid entry fails the run,
+    // so that e.g. a mistyped blackout period cannot silently disable a freeze.
+    const configErrors = [
+      ...validateInputs({
+        ...inputs,
+        'retry-delay-ms': core.getInput('retry-delay-ms'),
+        'max-update-wait-seconds': core.getInput('max-update-wait-seconds')
+      }),
+      ...validateBlackoutPeriods(blackoutPeriods)
+    ];
+    if (configErrors.length > 0) {
+      if (core.getInput('strict-config') === 'true') {
+        throw new Error(`Invalid configuration: ${configErrors.join('; ')}`);
+      }
+      configErrors.forEach(error => core.warning(`Invalid configuration: ${error}`));
+    }
+    
+    let config = resolveConfig(inputs);
+    
     // Prepare filter options - we'll use this regardless of whether we're in a blackout period
-    const filterOptions = {
-      ignoredDependencies: ignoredDependencies ? ignoredDependencies.split(',').map(d => d.trim()) : [],
-      alwaysAllow: alwaysAllow ? alwaysAllow.split(',').map(d => d.trim()) : [],
-      alwaysAllowLabels: alwaysAllowLabels ? alwaysAllowLabels.split(',').map(l => l.trim()) : [],
-      ignoredVersions: ignoredVersions ? ignoredVersions.split(',').map(v => v.trim()) : [],
-      semverFilter: semverFilter ? semverFilter.split(',').map(s => s.trim()) : ['patch', 'minor']
-    };
+    let filterOptions = buildFilterOptions(config);
     
     // Initialize variables for PR processing
     let pullRequests = [];
@@ -66,6 +81,7 @@ async function run() {
       const context = github.context;
       
       // Check if running from default branch for security
+      let defaultBranchName;
       try {
         const { data: repo } = await octokit.rest.repos.get({
           owner: context.repo.owner,
@@ -82,19 +98,35 @@ async function run() {
         }
         
         core.info(`Action is running from the default branch (${repo.default_branch}). Proceeding with execution.`);
+        defaultBranchName = repo.default_branch;
       } catch (error) {
         core.warning(`Failed to verify default branch: ${error.message}. Skipping execution for security reasons.`);
         core.setOutput('merged-pr-count', 0);
         return 0;
       }
       
+      // Merge the repository policy file with the action inputs. An invalid policy file fails the run.
+      if (configFile) {
+        const policy = await loadPolicyFile(octokit, context.repo.owner, context.repo.repo, configFile, defaultBranchName);
+        if (policy) {
+          config = resolveConfig(inputs, policy);
+          filterOptions = buildFilterOptions(config, configFile);
+        }
+      }
+      
       // Find potential PRs to merge
       const result = await findMergeablePRs(
         octokit, 
         context.repo.owner, 
         context.repo.repo, 
-        minimumAgeInDays,
-        retryDelayMs
+        config.minimumAgeInDays,
+        retryDelayMs,
+        {
+          ecosystems: config.ecosystems,
+          semverClassification: config.semverClassification,
+          calverDependencies: config.calverDependencies,
+          allowPendingChecks: config.mergeStrategy === 'auto-merge'
+        }
       );
       
       pullRequests = result.eligiblePRs;
@@ -108,13 +140,131 @@ async function run() {
           pullRequests, 
           filterOptions
         );
+      }
+
+      // GitHub must not merge a PR the action enabled auto-merge on that is no longer eligible (e.g. its
+      // checks fail or it has a commit from someone else) or no longer passes the filters
+      const disabledAutoMerges = new Set();
+      if (config.mergeStrategy === 'auto-merge' && initialPRs.some(pr => pr.auto_merge)) {
+        const login = await getActionLogin(octokit);
+        for (const pr of findAutoMergesToDisable(initialPRs, filteredPRs, { login, mergeabilitySkipped: result.mergeabilitySkipped })) {
+          if (await disableAutoMerge(octokit, pr)) {
+            disabledAutoMerges.add(pr.number);
+          }
+        }
+      }
+
+      if (pullRequests.length > 0) {
+        // Merge in the configured order; fewest-overlaps-first needs the changed files of each PR
+        const files = new Map();
+        if (config.mergeOrder === 'fewest-overlaps-first' && filteredPRs.length > 1) {
+          for (const pr of filteredPRs) {
+            files.set(pr.number, await listPullRequestFiles(octokit, context.repo.owner, context.repo.repo, pr.number));
+          }
+        }
+        filteredPRs = orderPullRequests(filteredPRs, config.mergeOrder, { getDependencies: getDependencyList, files });
+        if (filteredPRs.length > 1) {
+          core.info(`Merge order (${config.mergeOrder}): ${filteredPRs.map(pr => `#${pr.number}`).join(', ')}`);
+        }
+        
+        // Detect merge queues up front, per base branch. PRs for a branch with a merge queue are added
+        // to the queue instead of merged. (With native auto-merge, GitHub adds them to the queue itself.)
+        // A branch whose merge queue could not be looked up is treated as a branch without one.
+        const mergeQueues = new Map();
+        if (config.mergeStrategy === 'direct') {
+          for (const branch of new Set(filteredPRs.map(pr => pr.base?.ref || defaultBranchName))) {
+            try {
+              const mergeQueue = await getMergeQueue(octokit, context.repo.owner, context.repo.repo, branch);
+              mergeQueues.set(branch, mergeQueue);
+              if (mergeQueue?.mergeMethod && mergeQueue.mergeMethod !== config.mergeMethod) {
+                core.warning(`The merge queue of branch ${branch} merges with '${mergeQueue.mergeMethod}', not with the configured merge-method '${config.mergeMethod}'`);
+              }
+            } catch (error) {
+              core.warning(`${error.message}. PRs for this branch are merged directly.`);
+            }
+          }
+        }
         
         if (filteredPRs.length === 0) {
           core.info('No pull requests passed the filters for automerging.');
         } else {
+          // Count the recent merges for the daily limits of the merge budget. If they cannot be
+          // counted, the daily limits hold back every PR.
+          let recentMerges = { total: 0, byEcosystem: new Map() };
+          if (hasDailyLimit(config)) {
+            try {
+              const ecosystems = Object.keys(config.ecosystems).filter(ecosystem => config.ecosystems[ecosystem].maxMergesPerDay > 0);
+              recentMerges = await findRecentMerges(octokit, context.repo.owner, context.repo.repo, dayWindowStart(), { ecosystems });
+            } catch (error) {
+              core.warning(`${error.message}. PRs are not merged while a daily merge limit is set.`);
+              recentMerges = null;
+            }
+          }
+          const mergeBudget = createMergeBudget(config, recentMerges);
+          // PRs with auto-merge enabled and PRs in a merge queue merge soon, so they count against the daily limits
+          addPendingMerges(mergeBudget, [
+            ...initialPRs.filter(pr => pr.auto_merge && !disabledAutoMerges.has(pr.number)),
+            ...[...mergeQueues.values()].flatMap(mergeQueue => mergeQueue?.pullRequests || [])
+          ]);
+
           // Merge eligible PRs
           for (const pr of filteredPRs) {
 
+          // A PR added to the merge queue by an earlier run stays there; report how it is doing
+          const mergeQueue = mergeQueues.get(pr.base?.ref || defaultBranchName);
+          if (mergeQueue) {
+            const queuedEntry = await getMergeQueueEntry(octokit, context.repo.owner, context.repo.repo, pr.number);
+            if (queuedEntry) {
+              core.info(`PR #${pr.number} is already in the merge queue (position ${queuedEntry.position}, ${queuedEntry.state})`);
+              pr.mergeQueueEntry = queuedEntry;
+              addPendingMerges(mergeBudget, [pr]);
+              continue;
+            }
+
+            // A PR the queue removed without merging it (e.g. its checks failed in the merge group) is
+            // not added again until it gets a new commit
+            const removal = await getMergeQueueRemoval(octokit, context.repo.owner, context.repo.repo, pr.number);
+            if (removal && removal.commit === pr.head?.sha) {
+              const reason = `Removed from the merge queue${removal.reason ? ` (${removal.reason})` : ''}, not added again until the PR is updated`;
+              core.warning(`Skipping PR #${pr.number}: ${reason}`);
+              recordFilterReason(pr.number, 'merge', reason);
+              continue;
+            }
+          }
+
+          // A PR with auto-merge already enabled is counted against the budget as a pending merge
+          if (!pr.auto_merge) {
+            const exhausted = findExhaustedBudget(mergeBudget, pr);
+            if (exhausted) {
+              core.info(`Skipping PR #${pr.number}: ${exhausted}`);
+              recordFilterReason(pr.number, 'merge', exhausted);
+              continue;
+            }
+          }
+
+          // The commit title and message from the templates (GitHub generates them when not set)
+          const commit = buildCommitMessage(pr, getDependencyList(pr), config, getFilterReasons(pr.number) || []);
+
+          // With native auto-merge, GitHub merges the PR as soon as its required checks and reviews pass
+          if (config.mergeStrategy === 'auto-merge') {
+            const autoMerge = await enableAutoMerge(octokit, pr, config.mergeMethod, commit);
+            if (autoMerge === 'enabled') {
+              pr.autoMergeEnabled = true;
+              if (!pr.auto_merge) {
+                spendMergeBudget(mergeBudget, pr);
+              }
+              if (autoApprove) {
+                await approvePullRequest(octokit, context.repo.owner, context.repo.repo, pr.number);
+              }
+              continue;
+            }
+            if (autoMerge !== 'clean') {
+              recordFilterReason(pr.number, 'merge', 'Enabling auto-merge failed');
+              continue;
+            }
+            // A PR that already meets its merge requirements is merged directly
+          }
+
           // Re-check mergeability fresh before each merge attempt.
           // Mergeability was checked upfront during scan, but a previous merge in this run
           // may have rebased this PR, changing its mergeable state.
@@ -139,7 +289,8 @@ async function run() {
           }
 
           // Check if branch needs updating and update-branch-before-merge is enabled
-          if (updateBranchBeforeMerge && freshPRDetails.mergeable_state === 'behind') {
+          // (a merge queue tests each PR against the latest base branch itself)
+          if (updateBranchBeforeMerge && !mergeQueue && freshPRDetails.mergeable_state === 'behind') {
             core.info(`PR #${pr.number} branch is behind base branch. Updating...`);
             
             const updateSuccess = await updatePRBranch(
@@ -189,6 +340,17 @@ async function run() {
             }
           }
 
+          if (mergeQueue) {
+            const entry = await enqueuePullRequest(octokit, pr);
+            if (entry) {
+              pr.mergeQueueEntry = entry;
+              spendMergeBudget(mergeBudget, pr);
+            } else {
+              recordFilterReason(pr.number, 'merge', 'Adding to the merge queue failed');
+            }
+            continue;
+          }
+
             try {
               core.info(`Attempting to merge PR #${pr.number}: ${pr.title}`);
               
@@ -197,12 +359,14 @@ async function run() {
                   owner: context.repo.owner,
                   repo: context.repo.repo,
                   pull_number: pr.number,
-                  merge_method: mergeMethod
+                  merge_method: config.mergeMethod,
+                  ...commit
                 });
                 
                 core.info(`Successfully merged PR #${pr.number}`);
                 mergedPRCount++;
                 mergedPRNumbers.add(pr.number);
+                spendMergeBudget(mergeBudget, pr);
 
                 // Add a delay after successful merge to allow GitHub to process the changes
                 // This helps prevent race conditions with subsequent PRs
@@ -235,12 +399,14 @@ async function run() {
                     owner: context.repo.owner,
                     repo: context.repo.repo,
                     pull_number: pr.number,
-                    merge_method: mergeMethod
+                    merge_method: config.mergeMethod,
+                    ...commit
                   });
                   
                   core.info(`Successfully merged PR #${pr.number} on retry`);
                   mergedPRCount++;
                   mergedPRNumbers.add(pr.number);
+                  spendMergeBudget(mergeBudget, pr);
 
                   // Add a delay after successful merge
                   if (retryDelayMs > 0) {
@@ -248,22 +414,7 @@ async function run() {
                     await new Promise(resolve => setTimeout(resolve, retryDelayMs));
                   }
                 } else {
-                  // Check for merge queue warnings in the error message
-                  const isMergeQueueError = 
-                    (mergeError.message && (
-                      mergeError.message.toLowerCase().includes('merge queue') || 
-                      mergeError.message.toLowerCase().includes('branch protection') ||
-                      mergeError.message.toLowerCase().includes('required status check')
-                    )) ||
-                    (mergeError.status === 405 || mergeError.status === 422);
-                  
-                  // If this appears to be a merge queue error and merge method isn't 'merge'
-                  if (isMergeQueueError && mergeMethod !== 'merge') {
-                    core.warning(`PR #${pr.number} may require a merge queue, but merge method is set to '${mergeMethod}'. Only 'merge' method is supported with merge queues.`);
-                    core.warning('To use merge queues, change the \'merge-method\' input to \'merge\' in your workflow configuration.');
-                  }
-                  
-                  // Always throw the error since we're not handling other types of merge errors
+                  // Other merge errors are not retried (merge queues are detected before merging)
                   throw mergeError;
                 }
               }
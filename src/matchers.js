@@ -0,0 +1,170 @@
+import * as core from '@actions/core';
+
+const MATCHER_MODES = ['strict', 'legacy'];
+const MATCHER_TYPES = ['exact', 'prefix', 'glob', 'regex', 'name'];
+
+/**
+ * Cache of compiled matchers, keyed by mode, legacy type and pattern
+ */
+const compiledMatchers = new Map();
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * '*' matches any sequence of characters (including '/'), '?' matches a single character.
+ *
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Split a pattern into its matcher type and value.
+ *
+ * Explicit forms:
+ *   exact:<name>    - the whole name must be equal
+ *   prefix:<text>   - the name must start with the text
+ *   glob:<pattern>  - '*' and '?' wildcards
+ *   regex:<source>  - JavaScript regular expression (not anchored unless the source is)
+ *   name:<text>     - the name must contain the text
+ *
+ * Patterns without a prefix:
+ *   '*'                     - matches everything
+ *   in 'strict' mode        - glob if the pattern contains '*' or '?', otherwise exact
+ *   in 'legacy' mode        - the list-specific behaviour from before explicit forms existed
+ *                             (given by legacyType, e.g. 'prefix' for always-allow)
+ *
+ * @param {string} pattern - Raw pattern
+ * @param {string} mode - Matcher mode ('strict' or 'legacy')
+ * @param {string} legacyType - How unprefixed patterns are matched in legacy mode
+ * @returns {{type: string, value: string}} Matcher type and value
+ */
+function parseMatcher(pattern, mode = 'strict', legacyType = 'exact') {
+  const separator = pattern.indexOf(':');
+  if (separator > 0) {
+    const type = pattern.substring(0, separator);
+    if (MATCHER_TYPES.includes(type)) {
+      return { type, value: pattern.substring(separator + 1) };
+    }
+  }
+
+  if (pattern === '*') {
+    return { type: 'any', value: pattern };
+  }
+
+  if (mode === 'legacy') {
+    return { type: legacyType, value: pattern };
+  }
+
+  return { type: /[*?]/.test(pattern) ? 'glob' : 'exact', value: pattern };
+}
+
+/**
+ * Compile a pattern into a predicate function
+ *
+ * @param {string} pattern - Raw pattern
+ * @param {string} mode - Matcher mode ('strict' or 'legacy')
+ * @param {string} legacyType - How unprefixed patterns are matched in legacy mode
+ * @returns {Function} Predicate taking a name and returning whether it matches
+ * @throws {Error} If the pattern is a regex that cannot be compiled
+ */
+function compileMatcher(pattern, mode = 'strict', legacyType = 'exact') {
+  const { type, value } = parseMatcher(pattern, mode, legacyType);
+
+  if (type === 'any') {
+    return () => true;
+  }
+  if (type === 'exact') {
+    return name => name === value;
+  }
+  if (type === 'prefix') {
+    return name => value.length > 0 && name.startsWith(value);
+  }
+  if (type === 'name') {
+    return name => value.length > 0 && name.includes(value);
+  }
+  if (type === 'glob') {
+    const regex = globToRegExp(value);
+    return name => regex.test(name);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(value);
+  } catch (error) {
+    throw new Error(`Invalid regex in pattern "${pattern}": ${error.message}`, { cause: error });
+  }
+  return name => regex.test(name);
+}
+
+/**
+ * Check if a name matches a pattern.
+ * Invalid patterns never match; a warning is logged once per pattern.
+ *
+ * @param {string} name - The name to check (dependency name, directory, ...)
+ * @param {string} pattern - Raw pattern
+ * @param {Object} [options] - Matching options
+ * @param {string} [options.mode='strict'] - Matcher mode ('strict' or 'legacy')
+ * @param {string} [options.legacyType='exact'] - How unprefixed patterns are matched in legacy mode
+ * @returns {boolean} Whether the name matches
+ */
+function matchesPattern(name, pattern, { mode = 'strict', legacyType = 'exact' } = {}) {
+  if (typeof name !== 'string' || typeof pattern !== 'string') {
+    return false;
+  }
+
+  const cacheKey = `${mode}\u0000${legacyType}\u0000${pattern}`;
+  if (!compiledMatchers.has(cacheKey)) {
+    try {
+      compiledMatchers.set(cacheKey, compileMatcher(pattern, mode, legacyType));
+    } catch (error) {
+      core.warning(`${error.message}. The pattern will not match anything.`);
+      compiledMatchers.set(cacheKey, () => false);
+    }
+  }
+
+  return compiledMatchers.get(cacheKey)(name);
+}
+
+/**
+ * Split a "name@version" specification into name and version.
+ * The version separator is the last '@' that does not start the name,
+ * so scoped npm packages work: "@babel/core@7.0.0" → { name: "@babel/core", version: "7.0.0" }.
+ * An explicit matcher prefix (e.g. "glob:@types/*@1.0.0") stays part of the name.
+ *
+ * @param {string} spec - Dependency specification
+ * @returns {{name: string, version: (string|undefined)}} Name pattern and optional version
+ */
+function parseDependencySpec(spec) {
+  const typeSeparator = spec.indexOf(':');
+  const nameStart = MATCHER_TYPES.includes(spec.substring(0, typeSeparator)) ? typeSeparator + 1 : 0;
+
+  const versionSeparator = spec.lastIndexOf('@');
+  // An '@' at the start of the name (or right after a regex '^' anchor) starts a scope, not a version
+  if (versionSeparator <= nameStart || (versionSeparator === nameStart + 1 && spec[nameStart] === '^')) {
+    return { name: spec, version: undefined };
+  }
+
+  return {
+    name: spec.substring(0, versionSeparator),
+    version: spec.substring(versionSeparator + 1)
+  };
+}
+
+export {
+  MATCHER_MODES,
+  MATCHER_TYPES,
+  parseMatcher,
+  compileMatcher,
+  matchesPattern,
+  parseDependencySpec
+};
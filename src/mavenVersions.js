@@ -0,0 +1,355 @@
+/**
+ * Version ordering for the maven and gradle ecosystems, compatible with Maven's ComparableVersion.
+ *
+ * A version is split into items on '.', '-' and transitions between digits and letters:
+ *   "5.3.30.Final" → 5, 3, 30, ""       "2.0.0-M3" → 2, [milestone, [3]]       "32.1.3-jre" → 32, 1, 3, [jre]
+ * Trailing zeros and release qualifiers ("final", "ga", "release") are dropped, so 1.0, 1.0.0 and
+ * 1.0.0.Final are equal. Known qualifiers sort before the release, unknown ones after it.
+ */
+
+/**
+ * Known qualifiers in ascending order. The empty string is the release itself.
+ */
+const QUALIFIERS = ['alpha', 'beta', 'milestone', 'rc', 'snapshot', '', 'sp'];
+
+/**
+ * Qualifiers that mark a prerelease
+ */
+const PRERELEASE_QUALIFIERS = ['alpha', 'beta', 'milestone', 'rc', 'snapshot'];
+
+/**
+ * Alternative spellings of qualifiers
+ */
+const QUALIFIER_ALIASES = {
+  ga: '',
+  final: '',
+  release: '',
+  cr: 'rc'
+};
+
+/**
+ * Single-letter qualifiers, only when directly followed by a digit (e.g. "M3", "b2")
+ */
+const SHORT_QUALIFIERS = {
+  a: 'alpha',
+  b: 'beta',
+  m: 'milestone'
+};
+
+/**
+ * Create a numeric item
+ *
+ * @param {string} digits - The digits of the item
+ * @returns {{type: string, value: bigint}} Numeric item
+ */
+function intItem(digits) {
+  return { type: 'int', value: BigInt(digits) };
+}
+
+/**
+ * Create a qualifier item
+ *
+ * @param {string} text - The qualifier, in lower case
+ * @param {boolean} followedByDigit - Whether the qualifier is directly followed by a digit
+ * @returns {{type: string, value: string}} Qualifier item
+ */
+function stringItem(text, followedByDigit) {
+  const value = followedByDigit && text.length === 1 && SHORT_QUALIFIERS[text] ? SHORT_QUALIFIERS[text] : text;
+  return { type: 'string', value: QUALIFIER_ALIASES[value] ?? value };
+}
+
+/**
+ * Create a list item (the part of a version after a '-' or a digit/letter transition)
+ *
+ * @returns {{type: string, items: Array<Object>}} List item
+ */
+function listItem() {
+  return { type: 'list', items: [] };
+}
+
+/**
+ * Check if an item is equal to an absent item (0, the release qualifier or an empty list)
+ *
+ * @param {Object} item - The item
+ * @returns {boolean} Whether the item can be dropped from the end of a version
+ */
+function isNullItem(item) {
+  if (item.type === 'int') return item.value === 0n;
+  if (item.type === 'string') return item.value === '';
+  return item.items.length === 0;
+}
+
+/**
+ * Get the sort key of a qualifier: its position among the known qualifiers, after which
+ * unknown qualifiers follow in alphabetical order
+ *
+ * @param {string} qualifier - The qualifier
+ * @returns {string} Sort key
+ */
+function comparableQualifier(qualifier) {
+  const index = QUALIFIERS.indexOf(qualifier);
+  return index >= 0 ? String(index) : `${QUALIFIERS.length}-${qualifier}`;
+}
+
+/**
+ * Compare two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Negative, zero or positive
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare an item with another item, or with an absent item
+ *
+ * @param {Object} item - The item
+ * @param {Object|undefined} other - The other item, or undefined if the other version has no item here
+ * @returns {number} Negative, zero or positive
+ */
+function compareItems(item, other) {
+  if (item.type === 'int') {
+    if (!other) return item.value === 0n ? 0 : 1;
+    if (other.type === 'int') return item.value < other.value ? -1 : item.value > other.value ? 1 : 0;
+    return 1;
+  }
+
+  if (item.type === 'string') {
+    if (!other) return compareStrings(comparableQualifier(item.value), comparableQualifier(''));
+    if (other.type === 'string') return compareStrings(comparableQualifier(item.value), comparableQualifier(other.value));
+    return -1;
+  }
+
+  if (!other) return item.items.length === 0 ? 0 : compareItems(item.items[0], undefined);
+  if (other.type === 'int') return -1;
+  if (other.type === 'string') return 1;
+
+  const length = Math.max(item.items.length, other.items.length);
+  for (let i = 0; i < length; i++) {
+    const left = item.items[i];
+    const right = other.items[i];
+    const result = left ? compareItems(left, right) : -compareItems(right, left);
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+/**
+ * Drop absent items from the end of a list
+ *
+ * @param {Object} list - List item
+ */
+function normalize(list) {
+  for (let i = list.items.length - 1; i >= 0; i--) {
+    const item = list.items[i];
+    if (isNullItem(item)) {
+      list.items.splice(i, 1);
+    } else if (item.type !== 'list') {
+      break;
+    }
+  }
+}
+
+/**
+ * Parse a Maven version into its items
+ *
+ * @param {string} version - The version (e.g. "2.0.0-M3")
+ * @returns {Object} List item holding the parsed version
+ */
+function parseMavenVersion(version) {
+  const text = version.trim().toLowerCase();
+  const root = listItem();
+  const stack = [root];
+  let list = root;
+  let isDigit = false;
+  let start = 0;
+
+  const parseItem = (end) => (isDigit ? intItem(text.substring(start, end)) : stringItem(text.substring(start, end), false));
+  const pushList = () => {
+    const child = listItem();
+    list.items.push(child);
+    list = child;
+    stack.push(child);
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (c === '.') {
+      list.items.push(i === start ? intItem('0') : parseItem(i));
+      start = i + 1;
+    } else if (c === '-') {
+      list.items.push(i === start ? intItem('0') : parseItem(i));
+      start = i + 1;
+      pushList();
+    } else if (c >= '0' && c <= '9') {
+      if (!isDigit && i > start) {
+        // A qualifier directly followed by a number, e.g. "rc1"
+        list.items.push(stringItem(text.substring(start, i), true));
+        start = i;
+        pushList();
+      }
+      isDigit = true;
+    } else {
+      if (isDigit && i > start) {
+        // A number directly followed by a qualifier, e.g. "1final"
+        list.items.push(parseItem(i));
+        start = i;
+        pushList();
+      }
+      isDigit = false;
+    }
+  }
+
+  if (text.length > start) {
+    list.items.push(parseItem(text.length));
+  }
+
+  while (stack.length > 0) {
+    normalize(stack.pop());
+  }
+
+  return root;
+}
+
+/**
+ * Compare two Maven versions the way Maven's ComparableVersion does
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is lower than b, zero if they are equal, positive if a is higher
+ */
+function compareMavenVersions(a, b) {
+  return compareItems(parseMavenVersion(a), parseMavenVersion(b));
+}
+
+/**
+ * Split a version into its leading numeric segments and its qualifier
+ * (e.g. "5.3.30.Final" → [5, 3, 30] and "Final", "2.0.0-M3" → [2, 0, 0] and "M3")
+ *
+ * @param {string} version - The version
+ * @returns {{segments: Array<bigint>, qualifier: string}} Numeric segments and the remaining qualifier
+ */
+function splitMavenVersion(version) {
+  const match = /^v?(\d+(?:\.\d+)*)(?:[-.]?(.*))?$/i.exec(version.trim());
+  if (!match) {
+    return { segments: [], qualifier: version.trim() };
+  }
+  return { segments: match[1].split('.').map(BigInt), qualifier: match[2] || '' };
+}
+
+/**
+ * Get the kind of a qualifier: the first known qualifier it starts with ('alpha', 'beta', 'milestone',
+ * 'rc', 'snapshot', 'sp'), 'release' for no qualifier or a release qualifier, otherwise 'other' (e.g. "jre")
+ *
+ * @param {string} qualifier - The qualifier of a version (e.g. "M3", "RC1", "Final")
+ * @returns {string} Kind of qualifier
+ */
+function qualifierKind(qualifier) {
+  const match = /^([a-z]+)(\d)?/.exec(qualifier.toLowerCase());
+  if (!match) {
+    return 'release';
+  }
+  const item = stringItem(match[1], match[2] !== undefined);
+  if (item.value === '') {
+    return 'release';
+  }
+  return QUALIFIERS.includes(item.value) ? item.value : 'other';
+}
+
+/**
+ * Check if a Maven version is a prerelease (alpha, beta, milestone, release candidate or snapshot)
+ *
+ * @param {string} version - The version
+ * @returns {boolean} Whether the version is a prerelease
+ */
+function isMavenPrerelease(version) {
+  return PRERELEASE_QUALIFIERS.includes(qualifierKind(splitMavenVersion(version).qualifier));
+}
+
+/**
+ * Determine the change level between two Maven versions.
+ *
+ * The versions are ordered like Maven does, so downgrades and milestones are recognized, and the
+ * level is the first numeric segment that changed: major, minor, or patch for any later segment
+ * (e.g. 1.2.3.4 → 1.2.3.5). An update to a prerelease (e.g. 3.2.0 → 3.3.0-M1) is 'prerelease', unless
+ * the 'prerelease-as-release' rule is enabled; then a change of the qualifier only (e.g. 2.0.0-M3 → 2.0.0-RC1)
+ * is 'unknown'.
+ *
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @param {Object} options - Classification options
+ * @param {Array<string>} options.classification - Enabled semver classification rules
+ * @returns {string} The change level ('major', 'minor', 'patch', 'prerelease', 'downgrade' or 'unknown')
+ */
+function determineMavenChange(fromVersion, toVersion, { classification = [] } = {}) {
+  if (!fromVersion || !toVersion || typeof fromVersion !== 'string' || typeof toVersion !== 'string') {
+    return 'unknown';
+  }
+
+  const order = compareMavenVersions(fromVersion, toVersion);
+  if (order > 0) {
+    return 'downgrade';
+  }
+  if (order === 0) {
+    return 'unknown';
+  }
+
+  if (!classification.includes('prerelease-as-release') && isMavenPrerelease(toVersion)) {
+    return 'prerelease';
+  }
+
+  const from = splitMavenVersion(fromVersion).segments;
+  const to = splitMavenVersion(toVersion).segments;
+  if (from.length === 0 || to.length === 0) {
+    return 'unknown';
+  }
+
+  const length = Math.max(from.length, to.length);
+  const index = Array.from({ length }, (_, i) => i).find(i => (from[i] ?? 0n) !== (to[i] ?? 0n));
+  if (index === undefined || (to[index] ?? 0n) < (from[index] ?? 0n)) {
+    return 'unknown';
+  }
+
+  if (index === 0) {
+    return 'major';
+  }
+  if (index === 1) {
+    return from[0] === 0n && classification.includes('zero-minor-as-major') ? 'major' : 'minor';
+  }
+  const isZeroZero = from[0] === 0n && (from[1] ?? 0n) === 0n;
+  return isZeroZero && classification.includes('zero-patch-as-major') ? 'major' : 'patch';
+}
+
+/**
+ * Describe a change of qualifier between two Maven versions (e.g. "M3 → RC1", "RC1 → release").
+ * Release qualifiers ("Final", "GA", "RELEASE") are the same as no qualifier, and aliases
+ * such as "CR1" and "RC1" are the same qualifier.
+ *
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @returns {string|null} The qualifier change, or null if the qualifier did not change
+ */
+function describeMavenQualifierChange(fromVersion, toVersion) {
+  if (!fromVersion || !toVersion) {
+    return null;
+  }
+
+  const from = splitMavenVersion(fromVersion).qualifier;
+  const to = splitMavenVersion(toVersion).qualifier;
+  if (compareMavenVersions(from, to) === 0) {
+    return null;
+  }
+
+  const label = qualifier => (qualifierKind(qualifier) === 'release' ? 'release' : qualifier);
+  return `${label(from)} → ${label(to)}`;
+}
+
+export {
+  compareMavenVersions,
+  isMavenPrerelease,
+  determineMavenChange,
+  describeMavenQualifierChange
+};
@@ -0,0 +1,137 @@
+import { parseDependabotBranch } from './ecosystems.js';
+
+/**
+ * The merge budget limits how many pull requests are merged: per run (`max-merges-per-run`) and in the
+ * last 24 hours (`max-merges-per-day`), for all ecosystems together and, with the same settings under
+ * `ecosystems` in the policy file, per ecosystem. A value of 0 means no limit. Pull requests that get
+ * auto-merge enabled or are added to a merge queue count as merged, and so do pull requests that already
+ * have auto-merge enabled or are already in a merge queue, for the daily limits.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether any daily limit is set, so recently merged pull requests need to be counted
+ *
+ * @param {Object} config - Resolved configuration (maxMergesPerDay and ecosystems)
+ * @returns {boolean} True if a daily limit is set
+ */
+function hasDailyLimit({ maxMergesPerDay = 0, ecosystems = {} }) {
+  return maxMergesPerDay > 0 || Object.values(ecosystems).some(settings => settings.maxMergesPerDay > 0);
+}
+
+/**
+ * Get the start of the rolling 24 hour window of the daily limits
+ *
+ * @param {Date} now - Current time
+ * @returns {Date} The time 24 hours before now
+ */
+function dayWindowStart(now = new Date()) {
+  return new Date(now.getTime() - DAY_MS);
+}
+
+/**
+ * Create the merge budget of a run
+ *
+ * @param {Object} config - Resolved configuration (maxMergesPerRun, maxMergesPerDay and ecosystems)
+ * @param {Object|null} recentMerges - Pull requests merged in the last 24 hours: { total: number,
+ *        byEcosystem: Map<string, number> } (see findRecentMerges), or null if they could not be counted
+ * @returns {Object} The budget, to be passed to findExhaustedBudget and spendMergeBudget
+ */
+function createMergeBudget({ maxMergesPerRun = 0, maxMergesPerDay = 0, ecosystems = {} }, recentMerges = { total: 0, byEcosystem: new Map() }) {
+  return {
+    maxMergesPerRun,
+    maxMergesPerDay,
+    ecosystems,
+    recentMerges,
+    pending: new Set(),
+    pendingByEcosystem: new Map(),
+    merged: 0,
+    mergedByEcosystem: new Map()
+  };
+}
+
+/**
+ * Count the pull requests that are about to be merged against the daily limits: open pull requests with
+ * auto-merge enabled and pull requests in a merge queue. They are not merged yet, so findRecentMerges does
+ * not count them. Pull requests that are not on a Dependabot branch, or that were already counted, are
+ * left out.
+ *
+ * @param {Object} budget - Merge budget from createMergeBudget
+ * @param {Array<Object>} pullRequests - Pull requests, with number and head ref
+ * @returns {void}
+ */
+function addPendingMerges(budget, pullRequests) {
+  for (const pr of pullRequests) {
+    const branch = parseDependabotBranch(pr.head?.ref);
+    if (!branch || budget.pending.has(pr.number)) {
+      continue;
+    }
+    budget.pending.add(pr.number);
+    budget.pendingByEcosystem.set(branch.ecosystem, (budget.pendingByEcosystem.get(branch.ecosystem) || 0) + 1);
+  }
+}
+
+/**
+ * Find the limit of the merge budget that holds a pull request back
+ *
+ * @param {Object} budget - Merge budget from createMergeBudget
+ * @param {Object} pr - Pull request (with the ecosystem from addBranchInfo, if known)
+ * @returns {string|null} Reason the budget is exhausted, e.g. "Merge budget exhausted: 5 merges per run",
+ *          or null if the pull request may be merged
+ */
+function findExhaustedBudget(budget, pr) {
+  const { ecosystem } = pr;
+  const ecosystemSettings = (ecosystem && budget.ecosystems[ecosystem]) || {};
+
+  // Without the count of recent merges, a daily limit cannot be checked, so it holds back every pull request
+  if (!budget.recentMerges && (budget.maxMergesPerDay > 0 || ecosystemSettings.maxMergesPerDay > 0)) {
+    return 'Merge budget exhausted: could not count the merges in the last 24 hours';
+  }
+
+  const recentMerges = budget.recentMerges || { total: 0, byEcosystem: new Map() };
+  const mergedInEcosystem = budget.mergedByEcosystem.get(ecosystem) || 0;
+  const recentInEcosystem = recentMerges.byEcosystem.get(ecosystem) || 0;
+  const pendingInEcosystem = budget.pendingByEcosystem.get(ecosystem) || 0;
+
+  const limits = [
+    { limit: budget.maxMergesPerRun, count: budget.merged, description: 'merges per run' },
+    { limit: budget.maxMergesPerDay, count: recentMerges.total + budget.pending.size + budget.merged, description: 'merges in 24 hours' },
+    { limit: ecosystemSettings.maxMergesPerRun, count: mergedInEcosystem, description: `${ecosystem} merges per run` },
+    {
+      limit: ecosystemSettings.maxMergesPerDay,
+      count: recentInEcosystem + pendingInEcosystem + mergedInEcosystem,
+      description: `${ecosystem} merges in 24 hours`
+    }
+  ];
+
+  const exhausted = limits.find(({ limit, count }) => limit > 0 && count >= limit);
+  return exhausted ? `Merge budget exhausted: ${exhausted.limit} ${exhausted.description}` : null;
+}
+
+/**
+ * Count a merged pull request against the merge budget. A pending merge (see addPendingMerges) is
+ * counted as merged instead.
+ *
+ * @param {Object} budget - Merge budget from createMergeBudget
+ * @param {Object} pr - The merged pull request
+ * @returns {void}
+ */
+function spendMergeBudget(budget, pr) {
+  if (budget.pending.delete(pr.number)) {
+    const ecosystem = parseDependabotBranch(pr.head?.ref)?.ecosystem;
+    budget.pendingByEcosystem.set(ecosystem, budget.pendingByEcosystem.get(ecosystem) - 1);
+  }
+  budget.merged++;
+  if (pr.ecosystem) {
+    budget.mergedByEcosystem.set(pr.ecosystem, (budget.mergedByEcosystem.get(pr.ecosystem) || 0) + 1);
+  }
+}
+
+export {
+  hasDailyLimit,
+  dayWindowStart,
+  createMergeBudget,
+  addPendingMerges,
+  findExhaustedBudget,
+  spendMergeBudget
+};
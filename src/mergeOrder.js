@@ -0,0 +1,124 @@
+/**
+ * Orders in which the pull requests that pass the filters are merged (the `merge-order` setting),
+ * with the description shown in the workflow summary
+ */
+const MERGE_ORDERS = {
+  'oldest-first': 'oldest PRs first',
+  'lowest-risk-first': 'smallest changes first (patch before minor before major), and development before production dependencies',
+  'groups-first': 'group and multi-dependency PRs first, then the oldest PRs',
+  'fewest-overlaps-first': 'PRs that share the fewest changed files with the other PRs first, so they are less likely to make the rest conflict'
+};
+
+/**
+ * Risk of each change level, from lowest to highest
+ */
+const CHANGE_RISK = {
+  patch: 0, digest: 0, post: 0,
+  minor: 1, calver: 1, pseudo: 1, variant: 1, removed: 1,
+  prerelease: 2, dev: 2,
+  major: 3, unknown: 3,
+  downgrade: 4
+};
+
+/**
+ * Risk of each dependency type; dependencies without a known type count as production dependencies
+ */
+const DEPENDENCY_TYPE_RISK = { development: 0, indirect: 1, production: 2 };
+
+/**
+ * Find the riskiest change and dependency type of a pull request
+ *
+ * @param {Array<Object>} dependencies - The dependencies of the pull request (see getDependencyList)
+ * @returns {{change: string, dependencyType: string, rank: Array<number>}} The riskiest change level and
+ *          dependency type, and their risks to compare pull requests by
+ */
+function assessRisk(dependencies) {
+  const changes = dependencies.map(dependency => (dependency.removed ? 'removed' : dependency.semverChange || 'unknown'));
+  const types = dependencies.map(dependency => dependency.dependencyType || 'production');
+  const riskiest = (values, risks) => values.reduce((worst, value) => ((risks[value] ?? 3) > (risks[worst] ?? 3) ? value : worst), values[0]);
+
+  const change = changes.length > 0 ? riskiest(changes, CHANGE_RISK) : 'unknown';
+  const dependencyType = types.length > 0 ? riskiest(types, DEPENDENCY_TYPE_RISK) : 'production';
+  return { change, dependencyType, rank: [CHANGE_RISK[change] ?? 3, DEPENDENCY_TYPE_RISK[dependencyType] ?? 2] };
+}
+
+/**
+ * Count the changed files of each pull request that other pull requests change too
+ *
+ * @param {Array<Object>} prs - Pull requests
+ * @param {Map<number, Array<string>>} files - Changed files by pull request number (see listPullRequestFiles)
+ * @returns {Map<number, number>} The number of shared files by pull request number
+ */
+function countOverlappingFiles(prs, files) {
+  const changedBy = new Map();
+  for (const pr of prs) {
+    for (const file of new Set(files.get(pr.number) || [])) {
+      changedBy.set(file, (changedBy.get(file) || 0) + 1);
+    }
+  }
+  return new Map(prs.map(pr => [pr.number, [...new Set(files.get(pr.number) || [])].filter(file => changedBy.get(file) > 1).length]));
+}
+
+/**
+ * Compare two arrays of numbers element by element
+ *
+ * @param {Array<number>} a - First array
+ * @param {Array<number>} b - Second array
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if they are equal
+ */
+function compareRanks(a, b) {
+  const index = a.findIndex((value, i) => value !== b[i]);
+  return index === -1 ? 0 : a[index] - b[index];
+}
+
+/**
+ * Order the pull requests to merge, and add the reason of its place to each pull request as
+ * mergeOrderReason. Pull requests that rank the same stay oldest first.
+ *
+ * @param {Array<Object>} prs - Pull requests that passed the filters
+ * @param {string} order - Merge order (a key of MERGE_ORDERS)
+ * @param {Object} options - Additional options
+ * @param {Function} options.getDependencies - Function returning the dependencies of a pull request
+ * @param {Map<number, Array<string>>} options.files - Changed files by pull request number (for fewest-overlaps-first)
+ * @returns {Array<Object>} The pull requests in merge order
+ */
+function orderPullRequests(prs, order, { getDependencies = () => [], files = new Map() } = {}) {
+  const oldestFirst = [...prs].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  let ranked;
+
+  if (order === 'lowest-risk-first') {
+    ranked = oldestFirst.map(pr => {
+      const { change, dependencyType, rank } = assessRisk(getDependencies(pr));
+      return { pr, rank, reason: `${change} change, ${dependencyType} dependency` };
+    });
+  } else if (order === 'groups-first') {
+    ranked = oldestFirst.map(pr => {
+      const count = getDependencies(pr).length;
+      return count > 1 || (pr.dependencyInfoList && pr.dependencyInfoList.length > 0)
+        ? { pr, rank: [0], reason: `Group update of ${count} ${count === 1 ? 'dependency' : 'dependencies'}` }
+        : { pr, rank: [1], reason: 'Single dependency update' };
+    });
+  } else if (order === 'fewest-overlaps-first') {
+    const overlaps = countOverlappingFiles(oldestFirst, files);
+    ranked = oldestFirst.map(pr => {
+      const shared = overlaps.get(pr.number);
+      return { pr, rank: [shared], reason: shared > 0 ? `Shares ${shared} changed file(s) with other PRs` : 'Shares no changed files with other PRs' };
+    });
+  } else {
+    ranked = oldestFirst.map(pr => ({ pr, rank: [], reason: `Opened ${pr.created_at ? new Date(pr.created_at).toISOString().slice(0, 10) : 'at an unknown time'}` }));
+  }
+
+  return ranked
+    .sort((a, b) => compareRanks(a.rank, b.rank))
+    .map(({ pr, reason }) => {
+      pr.mergeOrderReason = reason;
+      return pr;
+    });
+}
+
+export {
+  MERGE_ORDERS,
+  assessRisk,
+  countOverlappingFiles,
+  orderPullRequests
+};
@@ -0,0 +1,223 @@
+/**
+ * Version parsing and ordering for Python packages (the pip and uv ecosystems), following PEP 440:
+ *   [N!]N(.N)*[{a|b|rc}N][.postN][.devN][+local]
+ * e.g. "2.0.0rc1", "1.4.post2", "1!2.0", "2.1.dev3". Alternative spellings ("alpha", "c", "pre",
+ * "-1" for a post-release, "_" and "-" as separators) are normalized as described in PEP 440.
+ */
+const PEP440_VERSION = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d+)?)?(?:-(\d+)|[-_.]?(post|rev|r)[-_.]?(\d+)?)?(?:[-_.]?(dev)[-_.]?(\d+)?)?(?:\+([a-z0-9]+(?:[-_.][a-z0-9]+)*))?$/i;
+
+/**
+ * Spellings of prerelease labels and their normalized form
+ */
+const PRE_LABELS = {
+  a: 'a',
+  alpha: 'a',
+  b: 'b',
+  beta: 'b',
+  c: 'rc',
+  rc: 'rc',
+  pre: 'rc',
+  preview: 'rc'
+};
+
+/**
+ * Normalized prerelease labels, in ascending order
+ */
+const PRE_ORDER = ['a', 'b', 'rc'];
+
+/**
+ * Parse a PEP 440 version
+ *
+ * @param {string} version - The version (e.g. "1!2.0.0rc1.post2.dev3+local.1")
+ * @returns {Object|null} The epoch, release segments, pre ({label, number}), post and dev numbers
+ *          (null when absent) and local segments, or null if the version is not a valid PEP 440 version
+ */
+function parsePep440(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+
+  const match = PEP440_VERSION.exec(version.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, epoch, release, preLabel, preNumber, postImplicit, postLabel, postNumber, devLabel, devNumber, local] = match;
+  return {
+    epoch: Number(epoch || 0),
+    release: release.split('.').map(Number),
+    pre: preLabel ? { label: PRE_LABELS[preLabel.toLowerCase()], number: Number(preNumber || 0) } : null,
+    post: postImplicit !== undefined ? Number(postImplicit) : postLabel ? Number(postNumber || 0) : null,
+    dev: devLabel ? Number(devNumber || 0) : null,
+    local: local ? local.toLowerCase().split(/[-_.]/) : []
+  };
+}
+
+/**
+ * Compare two numbers
+ *
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number} Negative, zero or positive
+ */
+function compareNumbers(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare the release segments of two versions, padding the shorter one with zeros
+ *
+ * @param {Array<number>} a - First release
+ * @param {Array<number>} b - Second release
+ * @returns {number} Negative, zero or positive
+ */
+function compareReleases(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const result = compareNumbers(a[i] ?? 0, b[i] ?? 0);
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+/**
+ * Get the sort key of the prerelease part of a version. A development release without a
+ * prerelease (e.g. "1.0.dev1") sorts before all prereleases, and a final release after them.
+ *
+ * @param {Object} version - Parsed version
+ * @returns {Array<number>} Sort key
+ */
+function preKey(version) {
+  if (!version.pre) {
+    return version.post === null && version.dev !== null ? [-Infinity] : [Infinity];
+  }
+  return [PRE_ORDER.indexOf(version.pre.label), version.pre.number];
+}
+
+/**
+ * Compare the local version labels of two versions. Numeric segments sort after alphanumeric ones.
+ *
+ * @param {Array<string>} a - First local version segments
+ * @param {Array<string>} b - Second local version segments
+ * @returns {number} Negative, zero or positive
+ */
+function compareLocals(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] === undefined || b[i] === undefined) {
+      return a[i] === undefined ? -1 : 1;
+    }
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    const result = aNumeric && bNumeric
+      ? compareNumbers(Number(a[i]), Number(b[i]))
+      : aNumeric !== bNumeric
+        ? (aNumeric ? 1 : -1)
+        : a[i].localeCompare(b[i]);
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+/**
+ * Compare two parsed PEP 440 versions
+ *
+ * @param {Object} a - First parsed version
+ * @param {Object} b - Second parsed version
+ * @returns {number} Negative if a is lower than b, zero if they are equal, positive if a is higher
+ */
+function compareParsed(a, b) {
+  const aPre = preKey(a);
+  const bPre = preKey(b);
+  const comparisons = [
+    () => compareNumbers(a.epoch, b.epoch),
+    () => compareReleases(a.release, b.release),
+    () => compareNumbers(aPre[0], bPre[0]) || compareNumbers(aPre[1] ?? 0, bPre[1] ?? 0),
+    () => compareNumbers(a.post ?? -Infinity, b.post ?? -Infinity),
+    () => compareNumbers(a.dev ?? Infinity, b.dev ?? Infinity),
+    () => compareLocals(a.local, b.local)
+  ];
+
+  for (const compare of comparisons) {
+    const result = compare();
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+/**
+ * Compare two PEP 440 versions
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number|null} Negative if a is lower than b, zero if they are equal, positive if a is higher,
+ *          or null if either version is not a valid PEP 440 version
+ */
+function comparePep440(a, b) {
+  const left = parsePep440(a);
+  const right = parsePep440(b);
+  return left && right ? compareParsed(left, right) : null;
+}
+
+/**
+ * Determine the change level between two PEP 440 versions.
+ *
+ * An update to a development release is 'dev' and an update to a prerelease is 'prerelease'.
+ * Otherwise the level is the first release segment that changed: major (or a changed epoch),
+ * minor, or patch for any later segment. A post-release of the same release (1.4 → 1.4.post2)
+ * is 'post'.
+ *
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @param {Object} options - Classification options
+ * @param {Array<string>} options.classification - Enabled semver classification rules
+ * @returns {string} The change level ('major', 'minor', 'patch', 'prerelease', 'post', 'dev',
+ *          'downgrade' or 'unknown')
+ */
+function determinePep440Change(fromVersion, toVersion, { classification = [] } = {}) {
+  const from = parsePep440(fromVersion);
+  const to = parsePep440(toVersion);
+  if (!from || !to) {
+    return 'unknown';
+  }
+
+  const order = compareParsed(from, to);
+  if (order > 0) {
+    return 'downgrade';
+  }
+  if (order === 0) {
+    return 'unknown';
+  }
+
+  if (to.dev !== null) {
+    return 'dev';
+  }
+  if (to.pre) {
+    return 'prerelease';
+  }
+  if (to.epoch !== from.epoch) {
+    return 'major';
+  }
+
+  const length = Math.max(from.release.length, to.release.length);
+  const index = Array.from({ length }, (_, i) => i).find(i => (from.release[i] ?? 0) !== (to.release[i] ?? 0));
+  if (index === undefined) {
+    // Same release: a post-release, or a final release after its prereleases
+    return to.post !== null && to.post !== from.post ? 'post' : 'unknown';
+  }
+
+  if (index === 0) {
+    return 'major';
+  }
+  if (index === 1) {
+    return from.release[0] === 0 && classification.includes('zero-minor-as-major') ? 'major' : 'minor';
+  }
+  const isZeroZero = from.release[0] === 0 && (from.release[1] ?? 0) === 0;
+  return isZeroZero && classification.includes('zero-patch-as-major') ? 'major' : 'patch';
+}
+
+export {
+  parsePep440,
+  comparePep440,
+  determinePep440Change
+};
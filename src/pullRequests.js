@@ -1,68 +1,12 @@
 import * as core from '@actions/core';
 import * as timeUtils from './timeUtils.js';
-import semver from 'semver';
 import { recordFilterReason } from './filters.js';
-
-/**
- * Determine semver change level between two versions
- * 
- * @param {string} fromVersion - The original version
- * @param {string} toVersion - The new version
- * @returns {string} The semver change level ('major', 'minor', 'patch', or 'unknown')
- */
-function determineSemverChange(fromVersion, toVersion) {
-  // Initialize with unknown
-  let semverChange = 'unknown';
-  
-  // If either version is not a string or is empty, return unknown
-  if (!fromVersion || !toVersion || typeof fromVersion !== 'string' || typeof toVersion !== 'string') {
-    return semverChange;
-  }
-
-   // Handle common non-semver patterns explicitly
-  // Check for commit hashes (Git SHA-like strings)
-  const isFromHash = /^[a-f0-9]{7,40}$/i.test(fromVersion);
-  const isToHash = /^[a-f0-9]{7,40}$/i.test(toVersion);
-  if (isFromHash && isToHash) {
-    return semverChange;
-  }
-  
-  // Try to use semver library to determine the change type
-  try {
-    // Use semver.coerce to handle non-standard version formats
-    const cleanedFromVersion = semver.valid(semver.coerce(fromVersion));
-    const cleanedToVersion = semver.valid(semver.coerce(toVersion));
-    
-    if (cleanedFromVersion && cleanedToVersion) {
-      const fromMajor = semver.major(cleanedFromVersion);
-      const toMajor = semver.major(cleanedToVersion);
-      const fromMinor = semver.minor(cleanedFromVersion);
-      const toMinor = semver.minor(cleanedToVersion);
-      const fromPatch = semver.patch(cleanedFromVersion);
-      const toPatch = semver.patch(cleanedToVersion);
-      
-      // Check for downgrades (when the to version is lower than the from version)
-      if (semver.lt(cleanedToVersion, cleanedFromVersion)) {
-        // For downgrades, keep the semver change as 'unknown'
-        semverChange = 'unknown';
-      }
-      // Only handle upgrades with semver labels (not downgrades)
-      else if (toMajor > fromMajor) {
-        semverChange = 'major';
-      } else if (toMinor > fromMinor) {
-        semverChange = 'minor';
-      } else if (toPatch > fromPatch) {
-        semverChange = 'patch';
-      }
-      // If versions are equal after coercion, keep as 'unknown'
-    }
-  } catch (error) {
-    // If semver parsing fails, keep as 'unknown'
-    core.debug(`Failed to determine semver change: ${error.message}`);
-  }
-  
-  return semverChange;
-}
+import { determineSemverChange, describeQualifierChange, isCommitHash } from './versions.js';
+import { parseDependabotBranch, packageManagerName } from './ecosystems.js';
+import { matchesPattern } from './matchers.js';
+import { collectCommitMetadata } from './commitMetadata.js';
+import { determineRequirementChange, determineRangeChange } from './requirementRanges.js';
+import { parseUpdateTitle, parseBodyUpdates, parseBodyTable, parseBodyDirectories } from './updateGrammar.js';
 
 /**
  * Evaluate the combined status and check runs for a given commit ref.
@@ -119,9 +63,16 @@ function evaluateChecks(combinedStatus, checkRuns) {
  * @param {string} repo - Repository name
  * @param {number} minimumAgeInDays - Minimum age of PR in days
  * @param {number} retryDelayMs - Delay in milliseconds between retries
- * @returns {Object} Object with eligiblePRs and initialPRs arrays
+ * @param {Object} options - Additional options
+ * @param {Object} options.ecosystems - Per-ecosystem settings from the policy file, keyed by ecosystem name
+ * @param {Array<string>} options.semverClassification - Enabled semver classification rules
+ * @param {Array<string>} options.calverDependencies - Patterns of dependencies that use calendar versioning
+ * @param {boolean} options.allowPendingChecks - Keep PRs with pending checks (GitHub auto-merge waits for them)
+ * @returns {Object} Object with eligiblePRs and initialPRs arrays, and mergeabilitySkipped with the numbers of
+ *          the pull requests skipped because their mergeable state was unknown or not mergeable
  */
-async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDelayMs = 2000) {
+async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDelayMs = 2000, options = {}) {
+  const { ecosystems = {}, semverClassification = [], calverDependencies = [], allowPendingChecks = false } = options;
   core.info('Finding eligible pull requests for auto-merging...');
   
   // Get open pull requests created by Dependabot
@@ -134,12 +85,11 @@ async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDel
     per_page: 100
   });
   
-  const minimumAge = timeUtils.subtractDays(new Date(), minimumAgeInDays);
-  
   core.info(`Found ${pullRequests.length} open pull requests. Filtering based on criteria...`);
   
   // Filter for Dependabot PRs that meet our criteria
   const eligiblePRs = [];
+  const mergeabilitySkipped = new Set();
   
   for (const pr of pullRequests) {
     // Skip if not from Dependabot
@@ -148,10 +98,11 @@ async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDel
       continue;
     }
     
-    // Skip if PR is not old enough
+    // Skip if PR is not old enough. The ecosystem (from the branch name) may have its own minimum age.
+    const requiredAgeInDays = getRequiredAgeInDays(pr, minimumAgeInDays, ecosystems);
     const createdAt = new Date(pr.created_at);
-    if (timeUtils.isAfter(createdAt, minimumAge)) {
-      const reason = `Too recent (${timeUtils.fromNow(createdAt)}, needs to be at least ${minimumAgeInDays} days old)`;
+    if (timeUtils.isAfter(createdAt, timeUtils.subtractDays(new Date(), requiredAgeInDays))) {
+      const reason = `Too recent (${timeUtils.fromNow(createdAt)}, needs to be at least ${requiredAgeInDays} days old)`;
       recordFilterReason(pr.number, 'general', reason);
       core.debug(`PR #${pr.number} is ${reason}`);
       continue;
@@ -161,12 +112,14 @@ async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDel
     const prDetails = await checkPRMergeability(octokit, owner, repo, pr.number, retryDelayMs);
     
     if (!prDetails) {
+      mergeabilitySkipped.add(pr.number);
       recordFilterReason(pr.number, null, 'Could not determine mergeable state after retries');
       core.debug(`PR #${pr.number} mergeable state could not be determined`);
       continue;
     }
     
     if (!prDetails.mergeable) {
+      mergeabilitySkipped.add(pr.number);
       recordFilterReason(pr.number, 'general', 'Not in mergeable state');
       core.debug(`PR #${pr.number} is not mergeable`);
       continue;
@@ -179,11 +132,7 @@ async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDel
       pull_number: pr.number
     });
     
-    const nonDependabotCommits = commits.filter(commit => {
-      const author = commit.author?.login || '';
-      const committer = commit.committer?.login || '';
-      return author !== 'dependabot[bot]' && committer !== 'dependabot[bot]';
-    });
+    const nonDependabotCommits = commits.filter(commit => !isDependabotCommit(commit));
     
     if (nonDependabotCommits.length > 0) {
       const reason = 'contains commits from authors other than Dependabot';
@@ -197,20 +146,8 @@ async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDel
     
     // Check for required checks — Status API (legacy) and Checks API (GitHub Actions / modern CI).
     // See evaluateChecks() above for documentation on both APIs.
-    const { data: combinedStatus } = await octokit.rest.repos.getCombinedStatusForRef({
-      owner,
-      repo,
-      ref: pr.head.sha
-    });
-    const { data: checkRunsData } = await octokit.rest.checks.listForRef({
-      owner,
-      repo,
-      ref: pr.head.sha
-    });
-    const { failed: checksFailed, pending: checksPending } = evaluateChecks(
-      combinedStatus,
-      checkRunsData.check_runs || []
-    );
+    const { combinedStatus, checkRuns } = await getChecks(octokit, owner, repo, pr.head.sha);
+    const { failed: checksFailed, pending: checksPending } = evaluateChecks(combinedStatus, checkRuns);
 
     if (checksFailed) {
       recordFilterReason(pr.number, 'general', 'Has failing checks');
@@ -218,7 +155,7 @@ async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDel
       continue;
     }
 
-    if (checksPending) {
+    if (checksPending && !allowPendingChecks) {
       recordFilterReason(pr.number, 'general', 'Has pending checks');
       core.debug(`PR #${pr.number} has pending checks`);
       continue;
@@ -232,15 +169,7 @@ async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDel
     });
     
     // Check if there are any blocking reviews
-    const hasBlockingReviews = reviews.some(review => 
-      review.state === 'REQUEST_CHANGES' && !reviews.some(r => 
-        r.user.id === review.user.id && 
-        r.submitted_at > review.submitted_at && 
-        r.state === 'APPROVED'
-      )
-    );
-    
-    if (hasBlockingReviews) {
+    if (findBlockingReviews(reviews).length > 0) {
       recordFilterReason(pr.number, 'general', 'Has blocking reviews');
       core.debug(`PR #${pr.number} has blocking reviews`);
       continue;
@@ -253,20 +182,7 @@ async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDel
       labels: pr.labels || [] // Ensure labels are included
     };
 
-    // Check if PR title matches multiple dependency pattern
-    const isMultipleDependencyPR = pr.title.match(/(?:B|: b)ump([s]?) ([^ ]+) and ([^ ]+)( in ([^ ]+))?/) ||
-                                  pr.title.match(/(?:B|: b)ump([s]?) the ([^ ]+)( group| across| with| in| updates|[ ]+)+/);
-
-    if (isMultipleDependencyPR) {
-      prData.dependencyInfoList = extractMultipleDependencyInfo(pr.title, pr.body);
-      // If no dependencies could be extracted, fall back to single dependency info
-      if (prData.dependencyInfoList.length === 0) {
-        prData.dependencyInfo = extractDependencyInfo(pr.title);
-      }
-    } else {
-      // Single dependency update
-      prData.dependencyInfo = extractDependencyInfo(pr.title);
-    }
+    addDependencyInfo(prData, commits, { semverClassification, calverDependencies });
 
     eligiblePRs.push(prData);
   }
@@ -274,10 +190,266 @@ async function findMergeablePRs(octokit, owner, repo, minimumAgeInDays, retryDel
   core.info(`Found ${eligiblePRs.length} eligible pull requests for auto-merging`);
   return {
     eligiblePRs,
-    initialPRs: pullRequests
+    initialPRs: pullRequests,
+    mergeabilitySkipped
   };
 }
 
+/**
+ * Get the minimum age a pull request must have. The ecosystem (from the branch name)
+ * may have its own minimum age in the policy file.
+ * 
+ * @param {Object} pr - Pull request from pulls.list or pulls.get
+ * @param {number} minimumAgeInDays - Global minimum age of PR in days
+ * @param {Object} ecosystems - Per-ecosystem settings, keyed by ecosystem name
+ * @returns {number} Minimum age in days
+ */
+function getRequiredAgeInDays(pr, minimumAgeInDays, ecosystems = {}) {
+  const branch = parseDependabotBranch(pr.head?.ref);
+  const ecosystemSettings = (branch && ecosystems[branch.ecosystem]) || {};
+  return ecosystemSettings.minimumAgeInDays ?? minimumAgeInDays;
+}
+
+/**
+ * Check if a commit was authored or committed by Dependabot
+ * 
+ * @param {Object} commit - Commit from pulls.listCommits
+ * @returns {boolean} Whether the commit is from Dependabot
+ */
+function isDependabotCommit(commit) {
+  const author = commit.author?.login || '';
+  const committer = commit.committer?.login || '';
+  return author === 'dependabot[bot]' || committer === 'dependabot[bot]';
+}
+
+/**
+ * Fetch the commit statuses (Status API) and check runs (Checks API) for a commit.
+ * See evaluateChecks() for documentation on both APIs.
+ * 
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Commit SHA
+ * @returns {{combinedStatus: Object, checkRuns: Array}} Combined status and check runs
+ */
+async function getChecks(octokit, owner, repo, ref) {
+  const { data: combinedStatus } = await octokit.rest.repos.getCombinedStatusForRef({ owner, repo, ref });
+  const { data: checkRunsData } = await octokit.rest.checks.listForRef({ owner, repo, ref });
+  return { combinedStatus, checkRuns: checkRunsData.check_runs || [] };
+}
+
+/**
+ * Find reviews that block merging: change requests not followed by an approval from the same reviewer
+ * 
+ * @param {Array} reviews - Reviews from pulls.listReviews
+ * @returns {Array} Blocking reviews
+ */
+function findBlockingReviews(reviews) {
+  return reviews.filter(review => 
+    review.state === 'REQUEST_CHANGES' && !reviews.some(r => 
+      r.user.id === review.user.id && 
+      r.submitted_at > review.submitted_at && 
+      r.state === 'APPROVED'
+    )
+  );
+}
+
+/**
+ * Extract the updated dependencies from the title and body of a pull request, and add
+ * the branch and commit metadata to them
+ * 
+ * @param {Object} prData - Pull request
+ * @param {Array} commits - Commits of the pull request from pulls.listCommits
+ * @param {Object} options - Additional options
+ * @param {Array<string>} options.semverClassification - Enabled semver classification rules
+ * @param {Array<string>} options.calverDependencies - Patterns of dependencies that use calendar versioning
+ * @returns {Object} The same pull request object, with dependencyInfo or dependencyInfoList set
+ */
+function addDependencyInfo(prData, commits, { semverClassification = [], calverDependencies = [] } = {}) {
+  const title = parseUpdateTitle(prData.title);
+
+  if (title && (title.type === 'list' || title.type === 'group')) {
+    prData.dependencyInfoList = extractMultipleDependencyInfo(prData.title, prData.body);
+    // The number of dependencies the title says are updated, so a PR where only some of them could
+    // be extracted is not merged after checking just those. A group across several directories states
+    // the number for each directory, as the same dependency can be updated in more than one of them.
+    const sections = title.type === 'group' ? parseBodyDirectories(prData.body) : [];
+    prData.expectedDependencyCount = sections.length > 0
+      ? sections.reduce((sum, section) => sum + section.count, 0)
+      : title.count;
+    // If no dependencies could be extracted, fall back to single dependency info
+    if (prData.dependencyInfoList.length === 0) {
+      prData.dependencyInfo = extractDependencyInfo(prData.title);
+    }
+  } else {
+    // Single dependency update
+    prData.dependencyInfo = extractDependencyInfo(prData.title);
+  }
+
+  addBranchInfo(prData);
+  addCommitMetadata(prData, commits);
+  addPinnedVersions(prData, commits);
+
+  // The semver change is determined during extraction, before the ecosystem is known;
+  // classify it again with the version ordering of the ecosystem, the enabled rules and
+  // whether the dependency is declared as CalVer
+  for (const dependency of getDependencyList(prData)) {
+    if (dependency.fromVersion && dependency.toVersion && dependency.requirement) {
+      const { fromVersion, toVersion, ecosystem } = dependency;
+      dependency.semverChange = determineRequirementChange(fromVersion, toVersion, { classification: semverClassification, ecosystem });
+      dependency.rangeChange = determineRangeChange(fromVersion, toVersion, { ecosystem });
+    } else if (dependency.fromVersion && dependency.toVersion) {
+      const { name, fromVersion, toVersion, ecosystem } = dependency;
+      const calver = Boolean(name) && calverDependencies.some(pattern => matchesPattern(name, pattern));
+      dependency.semverChange = determineSemverChange(fromVersion, toVersion, { classification: semverClassification, ecosystem, calver, name });
+      const qualifierChange = describeQualifierChange(fromVersion, toVersion, ecosystem);
+      if (qualifierChange) {
+        dependency.qualifierChange = qualifierChange;
+      }
+    }
+  }
+
+  return prData;
+}
+
+/**
+ * Get the dependencies updated by a pull request
+ * 
+ * @param {Object} prData - Pull request with extracted dependency information
+ * @returns {Array<Object>} The dependencyInfoList of a multi-dependency PR, otherwise its dependencyInfo (if any)
+ */
+function getDependencyList(prData) {
+  return prData.dependencyInfoList && prData.dependencyInfoList.length > 0
+    ? prData.dependencyInfoList
+    : [prData.dependencyInfo].filter(Boolean);
+}
+
+/**
+ * Add the ecosystem and directory parsed from the Dependabot branch name to a pull request
+ * and to each of its dependencies, so filters and rules can use them
+ * 
+ * @param {Object} prData - Pull request with extracted dependency information
+ * @returns {Object} The same pull request object
+ */
+function addBranchInfo(prData) {
+  const dependencies = getDependencyList(prData);
+
+  const branch = parseDependabotBranch(prData.head?.ref, dependencies.map(dep => dep.name));
+  if (!branch) {
+    core.debug(`PR #${prData.number}: Could not determine ecosystem from branch "${prData.head?.ref}"`);
+    return prData;
+  }
+
+  // A directory in the title is more reliable than one parsed from the branch name
+  prData.ecosystem = branch.ecosystem;
+  prData.directory = extractDirectoryFromTitle(prData.title || '') || branch.directory;
+  for (const dependency of dependencies) {
+    dependency.ecosystem = dependency.ecosystem || branch.ecosystem;
+    dependency.directory = dependency.directory || branch.directory;
+  }
+
+  return prData;
+}
+
+/**
+ * Add the dependency type and Dependabot's update type from the commit metadata
+ * to each dependency of a pull request
+ * 
+ * @param {Object} prData - Pull request with extracted dependency information
+ * @param {Array} commits - Commits of the pull request from pulls.listCommits
+ * @returns {Object} The same pull request object
+ */
+function addCommitMetadata(prData, commits) {
+  const metadata = collectCommitMetadata(commits);
+  if (metadata.size === 0) {
+    return prData;
+  }
+
+  const dependencies = getDependencyList(prData);
+
+  for (const dependency of dependencies) {
+    const entry = metadata.get(dependency.name);
+    if (entry) {
+      dependency.dependencyType = entry.dependencyType;
+      dependency.updateType = entry.updateType;
+    }
+  }
+
+  return prData;
+}
+
+/**
+ * Find the versions behind the commit SHAs of a SHA-pinned dependency in the body of a pull request.
+ * Dependabot mentions the tags after the dependency name, e.g. "Bumps [actions/checkout](...) from
+ * 8e5e7e5 to b4ffde6 ... from v4.1.1 to v4.1.2", or per dependency in group updates. The release notes
+ * and commits in the body mention other "from X to Y" updates too, so only the versions that lead to
+ * the version from the commit metadata are taken.
+ *
+ * @param {string} body - Pull request body
+ * @param {string} name - Dependency name
+ * @param {string} expectedToVersion - The new version from the commit metadata
+ * @returns {{fromVersion: string, toVersion: string}|null} The versions, or null if the body does not mention them
+ */
+function findPinnedVersionsInBody(body, name, expectedToVersion) {
+  if (!body || !name) {
+    return null;
+  }
+
+  const start = body.indexOf(name);
+  if (start === -1) {
+    return null;
+  }
+
+  // Only look at the part of the body about this dependency (up to the next "Updates `...`" of a group)
+  const next = body.indexOf('Updates `', start + name.length);
+  const section = body.slice(start, next === -1 ? undefined : next);
+  const version = 'v?\\d+(?:\\.\\d+)*(?:[-+][0-9A-Za-z.-]*[0-9A-Za-z])?';
+  const matches = section.matchAll(new RegExp(`from (${version}) to (${version})(?![\\w.-]*[0-9A-Za-z])`, 'g'));
+  const match = [...matches].find(([, , toVersion]) => toVersion.replace(/^v/, '') === expectedToVersion.replace(/^v/, ''));
+  return match ? { fromVersion: match[1], toVersion: match[2] } : null;
+}
+
+/**
+ * Classify SHA-pinned updates of GitHub Actions by the versions behind the SHAs. For a title like
+ * "Bump actions/checkout from 8e5e7e5 to b4ffde6", the versions are taken from the body when they
+ * match the version in the commit metadata; without that version, the update stays unresolved. The
+ * SHAs are kept in pinnedFrom and pinnedTo, so the summary still shows the pin, and updates that drop
+ * the pin are not resolved.
+ *
+ * @param {Object} prData - Pull request with extracted dependency information
+ * @param {Array} commits - Commits of the pull request from pulls.listCommits
+ * @returns {Object} The same pull request object
+ */
+function addPinnedVersions(prData, commits) {
+  const pinned = getDependencyList(prData).filter(dependency =>
+    dependency.ecosystem === 'github-actions' && isCommitHash(dependency.fromVersion) && isCommitHash(dependency.toVersion));
+  if (pinned.length === 0) {
+    return prData;
+  }
+
+  const metadata = collectCommitMetadata(commits);
+  for (const dependency of pinned) {
+    const metadataVersion = metadata.get(dependency.name)?.version;
+    if (!metadataVersion) {
+      core.debug(`PR #${prData.number}: No version in the commit metadata for SHA-pinned ${dependency.name}`);
+      continue;
+    }
+
+    const versions = findPinnedVersionsInBody(prData.body, dependency.name, metadataVersion);
+    if (!versions) {
+      core.debug(`PR #${prData.number}: No versions matching the commit metadata (${metadataVersion}) found for SHA-pinned ${dependency.name}`);
+      continue;
+    }
+
+    dependency.pinnedFrom = dependency.fromVersion;
+    dependency.pinnedTo = dependency.toVersion;
+    dependency.fromVersion = versions.fromVersion;
+    dependency.toVersion = versions.toVersion;
+  }
+
+  return prData;
+}
+
 /**
  * Check PR mergeability with retry logic for null mergeable state
  * Reason: https://docs.github.com/en/rest/guides/using-the-rest-api-to-interact-with-your-git-database?apiVersion=2022-11-28#checking-mergeability-of-pull-requests
@@ -328,6 +500,18 @@ async function checkPRMergeability(octokit, owner, repo, pullNumber, retryDelayM
   return null;
 }
 
+/**
+ * Extract the directory of the update from a PR title, e.g. "Bump X from A to B in /services/payments"
+ * or "Bumps the maven group in /app with 3 updates"
+ * 
+ * @param {string} title - Pull request title
+ * @returns {string|null} The directory, or null if the title does not contain one
+ */
+function extractDirectoryFromTitle(title) {
+  const match = title.match(/ in (\/[^ ]*)/);
+  return match ? match[1] : null;
+}
+
 /**
  * Extract dependency information from PR title
  * 
@@ -335,11 +519,47 @@ async function checkPRMergeability(octokit, owner, repo, pullNumber, retryDelayM
  * @returns {Object} Dependency information
  */
 function extractDependencyInfo(title) {
-  // Expected format: "Bump dependency-name from X.Y.Z to A.B.C", or a conventional-commit variant of this:
-  // "build(deps): bump dependency-name from X.Y.Z to A.B.C"
-  const match = title.match(/(?:B|: b)ump ([^ ]+) from ([^ ]+) to ([^ ]+)/);
+  // Expected format: "Bump dependency-name from X.Y.Z to A.B.C", or a variant of this with a commit-message
+  // prefix: "build(deps): bump dependency-name from X.Y.Z to A.B.C"
+  const parsed = parseUpdateTitle(title);
+
+  if (!parsed || parsed.type !== 'single') {
+    // Otherwise, try "Update dependency-name requirement from A to B"
+    return extractRequirementInfo(title);
+  }
+
+  const [name] = parsed.names;
+  const { fromVersion, toVersion } = parsed;
+  
+  // Determine semver change level
+  const semverChange = determineSemverChange(fromVersion, toVersion);
   
-  if (!match) {
+  const dependencyInfo = {
+    name,
+    fromVersion,
+    toVersion,
+    semverChange
+  };
+
+  if (parsed.directory) {
+    dependencyInfo.directory = parsed.directory;
+  }
+
+  return dependencyInfo;
+}
+
+/**
+ * Extract dependency information from the title of a requirement update, as used by Dependabot for
+ * libraries (`versioning-strategy: widen`) and for bundler, cargo and composer:
+ * "Update rails requirement from ~> 6.1 to ~> 7.0", or "chore(deps): update rails requirement from ..."
+ * 
+ * @param {string} title - Pull request title
+ * @returns {Object} Dependency information, with requirement set and the requirements as versions
+ */
+function extractRequirementInfo(title) {
+  const parsed = parseUpdateTitle(title);
+
+  if (!parsed || parsed.type !== 'requirement') {
     return {
       name: null,
       fromVersion: null,
@@ -347,18 +567,24 @@ function extractDependencyInfo(title) {
       semverChange: null
     };
   }
-  
-  const [, name, fromVersion, toVersion] = match;
-  
-  // Determine semver change level
-  const semverChange = determineSemverChange(fromVersion, toVersion);
-  
-  return {
+
+  const [name] = parsed.names;
+  const { fromVersion, toVersion } = parsed;
+
+  const dependencyInfo = {
     name,
     fromVersion,
     toVersion,
-    semverChange
+    semverChange: determineRequirementChange(fromVersion, toVersion),
+    rangeChange: determineRangeChange(fromVersion, toVersion),
+    requirement: true
   };
+
+  if (parsed.directory) {
+    dependencyInfo.directory = parsed.directory;
+  }
+
+  return dependencyInfo;
 }
 
 /**
@@ -369,107 +595,71 @@ function extractDependencyInfo(title) {
  * @returns {Array} List of dependency information
  */
 function extractMultipleDependencyInfo(title, body) {
-  // Look for any format that mentions bumping two dependencies
-  // Format 1: "Bump dependency-A and dependency-B in /my-group"
-  // Format 2: "Bump cookie and express" (without the "in" part)
-  // or conventional-commit variants of these, e.g.
-  // Format 1: "chore(deps-dev): bump dependency-A and dependency-B in /my-group"
-  // Format 2: "build(deps): bump cookie and express"
-  const matchTwoDeps = title.match(/(?:B|: b)ump ([^ ]+) and ([^ ]+)( in ([^ ]+))?/);
-
-  if(matchTwoDeps) {
-    // Extract dependency information in the body for each dependency
-    // Expected format: Updates dependency-A from x.y.z to x.y.z
-    // Alternative format: Updates `dependency-A` from x.y.z to x.y.z (with backticks)
-    const bodyMatches = body.match(/Updates [`']?([^`'\s]+)[`']? from ([0-9.]+) to ([0-9.]+)/g);
-    if (bodyMatches) {
-      return bodyMatches.map(match => {
-        const updateMatch = match.match(/Updates [`']?([^`'\s]+)[`']? from ([0-9.]+) to ([0-9.]+)/);
-        if (!updateMatch) return null;
-        
-        const [, name, fromVersion, toVersion] = updateMatch;
-        // Determine semver change level
-        const semverChange = determineSemverChange(fromVersion, toVersion);
-        
-        return {
-          name,
-          fromVersion,
-          toVersion,
-          semverChange
-        };
-      }).filter(item => item !== null);
-    }
+  const parsed = parseUpdateTitle(title);
+  if (!parsed || (parsed.type !== 'list' && parsed.type !== 'group')) {
     return [];
   }
 
-  // Expected format: "Bump the dependabot-group across X directory with Z updates"
-  // or "Bumps the maven group in /app with 3 updates", or conventional-commit variants of these
-  const matchDependencyGroup = title.match(/(?:B|: b)ump([s]?) the ([^ ]+)( group| across| with| in| updates|[ ]+)+/);
-  if (matchDependencyGroup) {
-    // First, try to extract dependency information from the markdown table in the PR body
-    const tableRegex = /\|\s*([^|\n]+?)\s*\|\s*`?([^`|\n]+)`?\s*\|\s*`?([^`|\n]+)`?\s*\|/g;
-    const dependencies = [];
-    
-    let tableMatch;
-    // Skip the header row with column names and the formatting row (with ---)
-    let rowCount = 0;
-    
-    while ((tableMatch = tableRegex.exec(body)) !== null) {
-      // Skip the header row and formatting row
-      if (rowCount < 2) {
-        rowCount++;
-        continue;
-      }
-      
-      // Extract package name, removing any markdown links
-      let [, packageName, fromVersion, toVersion] = tableMatch;
-      // Clean up package name (remove markdown links if present)
-      packageName = packageName.replace(/\[([^\]]+)\]\([^)]+\)/, '$1').trim();
-      
-      // Clean up versions (remove backticks if present)
-      fromVersion = fromVersion.trim().replace(/`/g, '');
-      toVersion = toVersion.trim().replace(/`/g, '');
-      
-      // Determine semver change level
-      const semverChange = determineSemverChange(fromVersion, toVersion);
-      
-      dependencies.push({
-        name: packageName,
-        fromVersion,
-        toVersion,
-        semverChange
-      });
-    }
-    
-    // If we found dependencies from the table, return them
-    if (dependencies.length > 0) {
-      return dependencies;
-    }
-    
-    // No table found, try to extract from the "Updates" format
-    const updateMatches = body.match(/Updates [`']?([^`'\s]+)[`']? from ([0-9.]+) to ([0-9.]+)/g);
-    if (updateMatches) {
-      return updateMatches.map(match => {
-        const updateMatch = match.match(/Updates [`']?([^`'\s]+)[`']? from ([0-9.]+) to ([0-9.]+)/);
-        if (!updateMatch) return null;
-        
-        const [, name, fromVersion, toVersion] = updateMatch;
-        // Determine semver change level
-        const semverChange = determineSemverChange(fromVersion, toVersion);
-        
-        return {
-          name,
-          fromVersion,
-          toVersion,
-          semverChange
-        };
-      }).filter(item => item !== null);
+  const dependencies = extractDependenciesFromBody(parsed.type, body);
+
+  if (parsed.directory) {
+    for (const dependency of dependencies) {
+      dependency.directory = parsed.directory;
     }
-    
-    return dependencies;
   }
 
-  return [];
+  return dependencies;
+}
+
+/**
+ * Create the dependency information of an update parsed from a pull request body
+ * 
+ * @param {Object} update - Update from parseBodyUpdates or parseBodyTable
+ * @returns {Object} Dependency information
+ */
+function createDependencyInfo({ name, fromVersion, toVersion, removed }) {
+  if (removed) {
+    return { name, fromVersion: null, toVersion: null, semverChange: null, removed: true };
+  }
+
+  // Determine semver change level
+  const semverChange = determineSemverChange(fromVersion, toVersion);
+
+  return {
+    name,
+    fromVersion,
+    toVersion,
+    semverChange
+  };
+}
+
+/**
+ * Extract the dependencies of a multi-dependency or group PR from its body: the sections of a group
+ * update across several directories, the table of a group update if it has one, otherwise the
+ * "Updates `x` from A to B" lines. Dependencies the update removes ("Removes `x`") are included with
+ * removed set and without versions.
+ * 
+ * @param {string} type - Type of the title, 'list' ("Bump A, B and C") or 'group' ("Bump the X group")
+ * @param {string} body - Pull request body
+ * @returns {Array} Array of dependency information objects
+ */
+function extractDependenciesFromBody(type, body) {
+  // Each directory of a group gets its own entries, so the same dependency updated to different
+  // versions in different directories is evaluated and reported separately
+  const sections = type === 'group' ? parseBodyDirectories(body) : [];
+  if (sections.length > 0) {
+    return sections.flatMap(({ directory, dependencies }) =>
+      dependencies.map(update => ({ ...createDependencyInfo(update), directory })));
+  }
+
+  const lines = parseBodyUpdates(body);
+  const removed = lines.filter(line => line.removed);
+  const table = type === 'group' ? parseBodyTable(body) : [];
+  const updates = table.length > 0
+    ? [...table, ...removed.filter(line => !table.some(row => row.name === line.name))]
+    : lines;
+
+  return updates.map(createDependencyInfo);
 }
 
 /**
@@ -497,6 +687,309 @@ async function approvePullRequest(octokit, owner, repo, pullNumber) {
   }
 }
 
+/**
+ * Enable GitHub's native auto-merge on a pull request, so GitHub merges it as soon as its
+ * requirements (required checks and reviews) are met.
+ * https://docs.github.com/en/graphql/reference/mutations#enablepullrequestautomerge
+ *
+ * GitHub refuses to enable auto-merge on a pull request that already meets its requirements
+ * ("Pull request is in clean status"); such a pull request can be merged directly.
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} pr - Pull request from pulls.list (with number and node_id)
+ * @param {string} mergeMethod - Merge method (merge, squash, rebase)
+ * @param {Object} commit - Commit title and message (commit_title and commit_message, see buildCommitMessage)
+ * @returns {string|null} 'enabled', 'clean' if the pull request can be merged directly, or null if enabling failed
+ */
+async function enableAutoMerge(octokit, pr, mergeMethod, commit = {}) {
+  try {
+    await octokit.graphql(`
+      mutation($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!, $commitHeadline: String, $commitBody: String) {
+        enablePullRequestAutoMerge(input: {
+          pullRequestId: $pullRequestId, mergeMethod: $mergeMethod, commitHeadline: $commitHeadline, commitBody: $commitBody
+        }) {
+          pullRequest { number }
+        }
+      }
+    `, { pullRequestId: pr.node_id, mergeMethod: mergeMethod.toUpperCase(), commitHeadline: commit.commit_title, commitBody: commit.commit_message });
+    core.info(`Enabled auto-merge (${mergeMethod}) for PR #${pr.number}`);
+    return 'enabled';
+  } catch (error) {
+    if (error.message && error.message.toLowerCase().includes('clean status')) {
+      core.info(`PR #${pr.number} already meets its merge requirements; auto-merge is not needed`);
+      return 'clean';
+    }
+    core.warning(`Failed to enable auto-merge for PR #${pr.number}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Disable GitHub's native auto-merge on a pull request
+ * https://docs.github.com/en/graphql/reference/mutations#disablepullrequestautomerge
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} pr - Pull request from pulls.list (with number and node_id)
+ * @returns {boolean} True if disabling succeeded, false otherwise
+ */
+async function disableAutoMerge(octokit, pr) {
+  try {
+    await octokit.graphql(`
+      mutation($pullRequestId: ID!) {
+        disablePullRequestAutoMerge(input: { pullRequestId: $pullRequestId }) {
+          pullRequest { number }
+        }
+      }
+    `, { pullRequestId: pr.node_id });
+    core.info(`Disabled auto-merge for PR #${pr.number}`);
+    return true;
+  } catch (error) {
+    core.warning(`Failed to disable auto-merge for PR #${pr.number}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get the login of the account the action acts as, to recognize the auto-merges it enabled. Installation
+ * tokens such as the GITHUB_TOKEN cannot read the authenticated user; they act as github-actions[bot].
+ *
+ * @param {Object} octokit - GitHub API client
+ * @returns {Promise<string>} The login, e.g. "github-actions[bot]"
+ */
+async function getActionLogin(octokit) {
+  try {
+    const { data } = await octokit.rest.users.getAuthenticated();
+    return data.login;
+  } catch (error) {
+    core.debug(`Could not get the authenticated user (${error.message}), assuming github-actions[bot]`);
+    return 'github-actions[bot]';
+  }
+}
+
+/**
+ * Find the Dependabot pull requests with auto-merge enabled by the action that are no longer eligible
+ * or no longer pass the filters. Auto-merge enabled by someone else is left alone, and so are pull
+ * requests skipped for their mergeable state, as that is often temporary.
+ *
+ * @param {Array<Object>} initialPRs - Open pull requests from pulls.list
+ * @param {Array<Object>} filteredPRs - Pull requests that pass the filters
+ * @param {Object} options - Additional options
+ * @param {string} options.login - Login of the account the action acts as (see getActionLogin)
+ * @param {Set<number>} options.mergeabilitySkipped - Pull requests skipped for their mergeable state (see findMergeablePRs)
+ * @returns {Array<Object>} The pull requests to disable auto-merge on
+ */
+function findAutoMergesToDisable(initialPRs, filteredPRs, { login, mergeabilitySkipped = new Set() }) {
+  const passing = new Set(filteredPRs.map(pr => pr.number));
+  return initialPRs.filter(pr => pr.user?.login === 'dependabot[bot]'
+    && pr.auto_merge?.enabled_by?.login === login
+    && !passing.has(pr.number)
+    && !mergeabilitySkipped.has(pr.number));
+}
+
+/**
+ * Get the merge queue of a branch. A merge queue can be required by branch protection or by a
+ * ruleset; the GraphQL API reports both.
+ * https://docs.github.com/en/graphql/reference/objects#mergequeue
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Base branch of the pull requests
+ * @returns {Object|null} The merge queue ({ mergeMethod, pullRequests } with the merge method the queue uses
+ *          and the first 100 pull requests in the queue, as { number, head: { ref } }), or null if the branch
+ *          has no merge queue
+ * @throws {Error} If the merge queue could not be looked up
+ */
+async function getMergeQueue(octokit, owner, repo, branch) {
+  try {
+    const result = await octokit.graphql(`
+      query($owner: String!, $repo: String!, $branch: String!) {
+        repository(owner: $owner, name: $repo) {
+          mergeQueue(branch: $branch) {
+            configuration { mergeMethod }
+            entries(first: 100) {
+              nodes { pullRequest { number headRefName } }
+            }
+          }
+        }
+      }
+    `, { owner, repo, branch });
+    const mergeQueue = result?.repository?.mergeQueue;
+    if (!mergeQueue) {
+      return null;
+    }
+    const mergeMethod = mergeQueue.configuration?.mergeMethod?.toLowerCase() || null;
+    const pullRequests = (mergeQueue.entries?.nodes || [])
+      .filter(entry => entry?.pullRequest)
+      .map(({ pullRequest }) => ({ number: pullRequest.number, head: { ref: pullRequest.headRefName } }));
+    core.info(`Branch ${branch} uses a merge queue${mergeMethod ? ` (merge method: ${mergeMethod})` : ''}`);
+    return { mergeMethod, pullRequests };
+  } catch (error) {
+    throw new Error(`Failed to look up the merge queue of branch ${branch}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Get the merge queue entry of a pull request, e.g. one added to the queue by an earlier run
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - Pull request number
+ * @returns {Object|null} The entry ({ position, state }), or null if the pull request is not in the queue
+ */
+async function getMergeQueueEntry(octokit, owner, repo, pullNumber) {
+  try {
+    const result = await octokit.graphql(`
+      query($owner: String!, $repo: String!, $number: Int!) {
+        repository(owner: $owner, name: $repo) {
+          pullRequest(number: $number) {
+            mergeQueueEntry { position state }
+          }
+        }
+      }
+    `, { owner, repo, number: pullNumber });
+    return result?.repository?.pullRequest?.mergeQueueEntry || null;
+  } catch (error) {
+    core.debug(`Could not look up the merge queue entry of PR #${pullNumber}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the last removal of a pull request from the merge queue, e.g. because its checks failed in the merge
+ * group or it conflicted with the pull requests ahead of it
+ * https://docs.github.com/en/graphql/reference/objects#removedfrommergequeueevent
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - Pull request number
+ * @returns {Object|null} The removal ({ createdAt, reason, commit } with the head commit of the pull request
+ *          when it was removed), or null if the pull request was never removed or the lookup failed
+ */
+async function getMergeQueueRemoval(octokit, owner, repo, pullNumber) {
+  try {
+    const result = await octokit.graphql(`
+      query($owner: String!, $repo: String!, $number: Int!) {
+        repository(owner: $owner, name: $repo) {
+          pullRequest(number: $number) {
+            timelineItems(itemTypes: [REMOVED_FROM_MERGE_QUEUE_EVENT], last: 1) {
+              nodes {
+                ... on RemovedFromMergeQueueEvent { createdAt reason beforeCommit { oid } }
+              }
+            }
+          }
+        }
+      }
+    `, { owner, repo, number: pullNumber });
+    const removal = result?.repository?.pullRequest?.timelineItems?.nodes?.[0];
+    if (!removal) {
+      return null;
+    }
+    return { createdAt: removal.createdAt, reason: removal.reason || null, commit: removal.beforeCommit?.oid || null };
+  } catch (error) {
+    core.debug(`Could not look up the merge queue removals of PR #${pullNumber}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Add a pull request to the merge queue of its base branch. The queue merges it with the merge
+ * method of the queue once the checks of the merge group pass.
+ * https://docs.github.com/en/graphql/reference/mutations#enqueuepullrequest
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} pr - Pull request from pulls.list (with number and node_id)
+ * @returns {Object|null} The entry ({ position, state }), or null if adding the pull request failed
+ */
+async function enqueuePullRequest(octokit, pr) {
+  try {
+    const result = await octokit.graphql(`
+      mutation($pullRequestId: ID!) {
+        enqueuePullRequest(input: { pullRequestId: $pullRequestId }) {
+          mergeQueueEntry { position state }
+        }
+      }
+    `, { pullRequestId: pr.node_id });
+    const entry = result?.enqueuePullRequest?.mergeQueueEntry || { position: null, state: 'QUEUED' };
+    core.info(`Added PR #${pr.number} to the merge queue${entry.position ? ` at position ${entry.position}` : ''}`);
+    return entry;
+  } catch (error) {
+    core.warning(`Failed to add PR #${pr.number} to the merge queue: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Count the pull requests found by a search, through all pages of results
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} query - Search query
+ * @returns {Promise<number>} The number of pull requests found
+ * @throws {Error} If the search fails
+ */
+async function countSearchResults(octokit, query) {
+  try {
+    const items = await octokit.paginate(octokit.rest.search.issuesAndPullRequests, { q: query, per_page: 100 });
+    return items.length;
+  } catch (error) {
+    throw new Error(`Failed to search for recently merged pull requests: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Find the Dependabot pull requests merged since a given time, through the search API
+ * https://docs.github.com/en/rest/search/search#search-issues-and-pull-requests
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Date} since - Start of the period
+ * @param {Object} options - Additional options
+ * @param {Array<string>} options.ecosystems - Ecosystems to also count the pull requests of, with a search
+ *        for the branches of each ecosystem ("dependabot/npm_and_yarn/...")
+ * @returns {Promise<{total: number, byEcosystem: Map<string, number>}>} The number of merged pull requests
+ * @throws {Error} If the search fails
+ */
+async function findRecentMerges(octokit, owner, repo, since, { ecosystems = [] } = {}) {
+  // The search only accepts dates without milliseconds
+  const query = `repo:${owner}/${repo} is:pr is:merged author:app/dependabot merged:>=${since.toISOString().replace(/\.\d{3}Z$/, 'Z')}`;
+  const total = await countSearchResults(octokit, query);
+
+  const counts = new Map();
+  for (const ecosystem of ecosystems) {
+    counts.set(ecosystem, await countSearchResults(octokit, `${query} head:dependabot/${packageManagerName(ecosystem)}/`));
+  }
+
+  core.info(`Found ${total} Dependabot pull request(s) merged since ${since.toISOString()}`);
+  return { total, byEcosystem: counts };
+}
+
+/**
+ * List the files changed by a pull request
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - Pull request number
+ * @returns {Promise<Array<string>>} The names of the changed files (at most 100), or an empty array if listing failed
+ */
+async function listPullRequestFiles(octokit, owner, repo, pullNumber) {
+  try {
+    const { data: files } = await octokit.rest.pulls.listFiles({
+      owner,
+      repo,
+      pull_number: pullNumber,
+      per_page: 100
+    });
+    return files.map(file => file.filename);
+  } catch (error) {
+    core.warning(`Failed to list the files of PR #${pullNumber}: ${error.message}`);
+    return [];
+  }
+}
+
 /**
  * Update a pull request branch to sync with the base branch
  *
@@ -610,11 +1103,32 @@ async function waitForChecksAfterUpdate(octokit, owner, repo, pullNumber, maxWai
 
 export {
   findMergeablePRs,
+  getRequiredAgeInDays,
+  isDependabotCommit,
+  getChecks,
+  findBlockingReviews,
+  addDependencyInfo,
+  getDependencyList,
+  addBranchInfo,
+  addCommitMetadata,
+  addPinnedVersions,
   extractDependencyInfo,
+  extractRequirementInfo,
   extractMultipleDependencyInfo,
+  extractDirectoryFromTitle,
   determineSemverChange,
   checkPRMergeability,
   approvePullRequest,
+  enableAutoMerge,
+  disableAutoMerge,
+  getActionLogin,
+  findAutoMergesToDisable,
+  getMergeQueue,
+  findRecentMerges,
+  listPullRequestFiles,
+  getMergeQueueEntry,
+  getMergeQueueRemoval,
+  enqueuePullRequest,
   updatePRBranch,
   waitForChecksAfterUpdate,
   evaluateChecks
@@ -0,0 +1,214 @@
+import semver from 'semver';
+
+/**
+ * Ways a requirement range can change (the `range-filter` setting):
+ * - widen: the range still accepts every version it accepted before (e.g. "^17.0.0" → "^17.0.0 || ^18.0.0")
+ * - narrow: the range no longer accepts some versions it accepted before (e.g. "~> 6.1" → "~> 7.0")
+ */
+const RANGE_CHANGES = ['widen', 'narrow'];
+
+/**
+ * Ecosystems where a bare version in a requirement is a caret requirement ("1.0.100" means "^1.0.100")
+ */
+const CARET_BY_DEFAULT = ['cargo'];
+
+/**
+ * Convert a pessimistic requirement ("~> 6.1" for bundler, "~= 2.2" for pip) to a semver range:
+ * the last part may increase ("~> 6.1" is ">=6.1.0 <7.0.0", "~> 6.1.2" is ">=6.1.2 <6.2.0")
+ *
+ * @param {string} version - Version after the operator
+ * @returns {string|null} Semver range, or null if the version is not numeric
+ */
+function pessimisticRange(version) {
+  if (!/^\d+(?:\.\d+)*$/.test(version)) {
+    return null;
+  }
+  const parts = version.split('.').map(Number);
+  const upper = parts.slice(0, Math.max(1, parts.length - 1));
+  upper[upper.length - 1] += 1;
+  const pad = segments => [...segments, 0, 0].slice(0, 3).join('.');
+  return `>=${pad(parts)} <${pad(upper)}`;
+}
+
+/**
+ * Convert a requirement of bundler, cargo, composer, pip or npm to a semver range
+ *
+ * @param {string} requirement - The requirement (e.g. "~> 6.1", "^5.4", ">=2.28,<2.32" or "^17.0.0 || ^18.0.0")
+ * @param {string} ecosystem - Ecosystem of the dependency
+ * @returns {semver.Range|null} The range, or null if the requirement cannot be converted
+ */
+function parseRequirement(requirement, ecosystem) {
+  if (typeof requirement !== 'string' || !requirement.trim()) {
+    return null;
+  }
+
+  const alternatives = requirement.split('||').map(alternative => {
+    const comparators = alternative
+      .replace(/(~>|~=|===?|==|>=|<=|!=|\^|~|>|<|=)\s+/g, '$1')
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    return comparators.map(comparator => {
+      const pessimistic = /^(?:~>|~=)v?(.+)$/.exec(comparator);
+      if (pessimistic) {
+        return pessimisticRange(pessimistic[1]);
+      }
+      if (comparator.startsWith('!=')) {
+        // Excluded versions do not change the bounds
+        return '';
+      }
+      const value = comparator.replace(/^===?/, '=').replace(/\.\*$/, '.x');
+      return /^v?\d/.test(value) && CARET_BY_DEFAULT.includes(ecosystem) ? `^${value}` : value;
+    });
+  });
+  if (alternatives.some(comparators => comparators.includes(null))) {
+    return null;
+  }
+
+  const range = semver.validRange(alternatives.map(comparators => comparators.join(' ')).join(' || '), { loose: true });
+  return range ? new semver.Range(range) : null;
+}
+
+/**
+ * Get the highest version below an exclusive upper bound, as segments where Infinity stands for any
+ * number ("<6.0.0" accepts up to 5.∞.∞, "<2.32.0" up to 2.31.∞)
+ *
+ * @param {Array<number>} bound - Segments of the exclusive upper bound
+ * @returns {Array<number>} Segments of the highest accepted version
+ */
+function belowBound([major, minor, patch]) {
+  if (patch > 0) {
+    return [major, minor, patch - 1];
+  }
+  return minor > 0 ? [major, minor - 1, Infinity] : [major - 1, Infinity, Infinity];
+}
+
+/**
+ * Compare two versions given as segments
+ *
+ * @param {Array<number>} a - First version
+ * @param {Array<number>} b - Second version
+ * @returns {number} The index of the first segment that differs and the order, as a signed number
+ *          (-(index + 1) if a is lower, index + 1 if a is higher), or 0 if the versions are equal
+ */
+function compareSegments(a, b) {
+  const index = a.findIndex((segment, i) => segment !== b[i]);
+  if (index === -1) {
+    return 0;
+  }
+  return a[index] < b[index] ? -(index + 1) : index + 1;
+}
+
+/**
+ * Get the bounds of a range: the lowest version it accepts and the highest version it accepts
+ *
+ * @param {semver.Range} range - The range
+ * @returns {{lower: Array<number>, upper: Array<number>|null}|null} The bounds as segments (upper may
+ *          contain Infinity, and is null if the range has no upper bound), or null if the range accepts no versions
+ */
+function rangeBounds(range) {
+  const lower = semver.minVersion(range);
+  if (!lower) {
+    return null;
+  }
+
+  let upper = null;
+  for (const comparators of range.set) {
+    const below = comparators.filter(comparator => comparator.operator === '<' || comparator.operator === '<=');
+    if (below.length === 0) {
+      return { lower: [lower.major, lower.minor, lower.patch], upper: null };
+    }
+    for (const comparator of below) {
+      const { major, minor, patch } = comparator.semver;
+      const highest = comparator.operator === '<=' ? [major, minor, patch] : belowBound([major, minor, patch]);
+      upper = upper === null || compareSegments(highest, upper) > 0 ? highest : upper;
+    }
+  }
+
+  return { lower: [lower.major, lower.minor, lower.patch], upper };
+}
+
+/**
+ * Get the bounds of two requirements
+ *
+ * @param {string} fromRequirement - The original requirement
+ * @param {string} toRequirement - The new requirement
+ * @param {string} ecosystem - Ecosystem of the dependency
+ * @returns {{from: Object, to: Object}|null} The bounds of both requirements, or null if either cannot be parsed
+ */
+function requirementBounds(fromRequirement, toRequirement, ecosystem) {
+  const fromRange = parseRequirement(fromRequirement, ecosystem);
+  const toRange = parseRequirement(toRequirement, ecosystem);
+  const from = fromRange && rangeBounds(fromRange);
+  const to = toRange && rangeBounds(toRange);
+  return from && to ? { from, to } : null;
+}
+
+/**
+ * Determine the change level of a requirement update by comparing the bounds of the ranges: the highest
+ * accepted versions when they differ ("~> 6.1" → "~> 7.0" is a major change, as the range now accepts 7.x
+ * instead of 6.x), otherwise the lowest accepted versions (">= 1.2" → ">= 1.4" is a minor change).
+ *
+ * @param {string} fromRequirement - The original requirement
+ * @param {string} toRequirement - The new requirement
+ * @param {Object} options - Classification options
+ * @param {Array<string>} options.classification - Enabled semver classification rules
+ * @param {string} options.ecosystem - Ecosystem of the dependency
+ * @returns {string} The change level ('major', 'minor', 'patch', 'downgrade' or 'unknown')
+ */
+function determineRequirementChange(fromRequirement, toRequirement, { classification = [], ecosystem } = {}) {
+  const bounds = requirementBounds(fromRequirement, toRequirement, ecosystem);
+  if (!bounds) {
+    return 'unknown';
+  }
+
+  const { from, to } = bounds;
+  const unbounded = [Infinity, Infinity, Infinity];
+  const uppers = [from.upper ?? unbounded, to.upper ?? unbounded];
+  const [fromVersion, toVersion] = compareSegments(...uppers) !== 0 ? uppers : [from.lower, to.lower];
+  const order = compareSegments(fromVersion, toVersion);
+  if (order === 0) {
+    return 'unknown';
+  }
+  if (order > 0) {
+    return 'downgrade';
+  }
+
+  const index = -order - 1;
+  if (index === 0) {
+    return 'major';
+  }
+  if (index === 1) {
+    return fromVersion[0] === 0 && classification.includes('zero-minor-as-major') ? 'major' : 'minor';
+  }
+  const isZeroZero = fromVersion[0] === 0 && fromVersion[1] === 0;
+  return isZeroZero && classification.includes('zero-patch-as-major') ? 'major' : 'patch';
+}
+
+/**
+ * Determine if a requirement update widens or narrows the range
+ *
+ * @param {string} fromRequirement - The original requirement
+ * @param {string} toRequirement - The new requirement
+ * @param {Object} options - Options
+ * @param {string} options.ecosystem - Ecosystem of the dependency
+ * @returns {string|null} 'widen' or 'narrow' (see RANGE_CHANGES), or null if the ranges cannot be compared
+ */
+function determineRangeChange(fromRequirement, toRequirement, { ecosystem } = {}) {
+  const bounds = requirementBounds(fromRequirement, toRequirement, ecosystem);
+  if (!bounds) {
+    return null;
+  }
+
+  const { from, to } = bounds;
+  const keepsLower = compareSegments(to.lower, from.lower) <= 0;
+  const keepsUpper = to.upper === null || (from.upper !== null && compareSegments(to.upper, from.upper) >= 0);
+  return keepsLower && keepsUpper ? 'widen' : 'narrow';
+}
+
+export {
+  RANGE_CHANGES,
+  parseRequirement,
+  rangeBounds,
+  determineRequirementChange,
+  determineRangeChange
+};
@@ -1,6 +1,9 @@
 import * as core from '@actions/core';
 import { getFilterReasons, shouldAlwaysAllowByLabel } from './filters.js';
 import { shouldRunAtCurrentTime } from './timeUtils.js';
+import { formatEcosystemSettings } from './config.js';
+import { formatSemverChange } from './versions.js';
+import { MERGE_ORDERS } from './mergeOrder.js';
 
 /**
  * Creates a summary section title
@@ -25,12 +28,112 @@ function createTableHeader(columns) {
   ].join('\n');
 }
 
+/**
+ * Creates a markdown table row from cell values
+ * 
+ * @param {Array<string>} cells - Cell values
+ * @returns {string} Markdown formatted table row
+ */
+function createTableRow(cells) {
+  return '| ' + cells.join(' | ') + ' |';
+}
+
+/**
+ * Returns the dependency cell, followed by the directory cell when directories are shown
+ * 
+ * @param {boolean} showDirectory - Whether the table has a directory column
+ * @param {string} dependency - Dependency cell value
+ * @param {string} directory - Directory cell value
+ * @returns {Array<string>} Cells for the dependency (and directory) columns
+ */
+function dependencyCells(showDirectory, dependency, directory) {
+  return showDirectory ? [dependency, directory || '-'] : [dependency];
+}
+
+/**
+ * Gets the dependencies of a PR that have a name
+ * 
+ * @param {Object} pr - Pull request with extracted dependency information
+ * @returns {Array<Object>} Dependency information objects
+ */
+function getDependencies(pr) {
+  if (pr.dependencyInfoList && pr.dependencyInfoList.length > 0) {
+    return pr.dependencyInfoList.filter(dep => dep.name);
+  }
+  return pr.dependencyInfo && pr.dependencyInfo.name ? [pr.dependencyInfo] : [];
+}
+
+/**
+ * Escapes pipe characters so a value can be placed in a markdown table cell
+ * (e.g. semver ranges like "<1.7.0 || 2.0.0-beta.x")
+ * 
+ * @param {string} value - The cell value
+ * @returns {string} Value safe for use in a table cell
+ */
+function escapeTableCell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * Formats the target version of a dependency, flagging downgrades so they stand out
+ * and showing a change of version qualifier (e.g. "M3 → RC1") and the commit SHA of a pinned action.
+ * Dependencies removed by a group update are shown as "removed".
+ * 
+ * @param {Object} depInfo - Dependency information
+ * @returns {string} Version for the Version column
+ */
+function versionCell(depInfo) {
+  if (depInfo.removed) {
+    return 'removed';
+  }
+  const notes = [];
+  if (depInfo.semverChange === 'downgrade') {
+    notes.push(`${formatSemverChange(depInfo.semverChange)} from ${depInfo.fromVersion}`);
+  }
+  if (depInfo.qualifierChange) {
+    notes.push(depInfo.qualifierChange);
+  }
+  if (depInfo.pinnedTo) {
+    notes.push(`pinned to ${depInfo.pinnedTo}`);
+  }
+  return notes.length > 0 ? `${depInfo.toVersion} (${notes.join(', ')})` : depInfo.toVersion;
+}
+
+/**
+ * Describe where a filter setting came from (action input, policy file or built-in default)
+ * 
+ * @param {Object} filters - Filtering rules that were applied
+ * @param {string} key - The filter setting key
+ * @returns {string} Human-readable source of the setting
+ */
+function describeSource(filters, key) {
+  const source = filters.sources && filters.sources[key];
+  if (source === 'input') return 'Action input';
+  if (source === 'policy file') return 'Policy file';
+  if (source === 'default') return 'Default';
+  return '-';
+}
+
+/**
+ * Describe the merge queue entry of a pull request, e.g. "Position 2, awaiting checks"
+ * https://docs.github.com/en/graphql/reference/enums#mergequeueentrystate
+ *
+ * @param {Object} entry - Merge queue entry ({ position, state })
+ * @returns {string} The position and state of the entry
+ */
+function describeQueueEntry({ position, state }) {
+  const stateText = (state || 'QUEUED').toLowerCase().replace(/_/g, ' ');
+  return position ? `Position ${position}, ${stateText}` : stateText.charAt(0).toUpperCase() + stateText.slice(1);
+}
+
 /**
  * Adds PR information to the workflow summary
  * 
  * @param {Array} allPRs - Array of all PRs retrieved from GitHub before filtering
  * @param {Array} prsToMerge - Array of PRs after filtering that were attempted for merge
- * @param {Set<number>} mergedPRNumbers - Set of PR numbers that were successfully merged
+ * @param {Set<number>} mergedPRNumbers - Set of PR numbers that were successfully merged (PRs with
+ *        autoMergeEnabled set had GitHub's native auto-merge enabled instead, PRs with mergeQueueEntry set
+ *        were added to the merge queue)
  * @param {Object} filters - Filtering rules that were applied
  * @param {Array} initialPRs - Array of all initial PRs found (including those filtered in basic criteria)
  * @returns {Promise<void>}
@@ -43,12 +146,29 @@ async function addWorkflowSummary(allPRs, prsToMerge, mergedPRNumbers, filters,
     
     // Add each table row separately instead of joining them to ensure proper rendering
     core.summary.addRaw('\n'); // Test to see if this helps with rendering
-    core.summary.addRaw(createTableHeader(['Filter Type', 'Value']) + '\n');
-    core.summary.addRaw(`| Always Allow | ${filters.alwaysAllow.length > 0 ? filters.alwaysAllow.join(', ') : 'None'} |\n`);
-    core.summary.addRaw(`| Always Allow Labels | ${filters.alwaysAllowLabels && filters.alwaysAllowLabels.length > 0 ? filters.alwaysAllowLabels.join(', ') : 'None'} |\n`);
-    core.summary.addRaw(`| Ignored Versions | ${filters.ignoredVersions.length > 0 ? filters.ignoredVersions.join(', ') : 'None'} |\n`);
-    core.summary.addRaw(`| Ignored Dependencies | ${filters.ignoredDependencies.length > 0 ? filters.ignoredDependencies.join(', ') : 'None'} |\n`);
-    core.summary.addRaw(`| Semver Filter | ${filters.semverFilter.join(', ')} |\n\n`);
+    core.summary.addRaw(createTableHeader(['Filter Type', 'Value', 'Source']) + '\n');
+    core.summary.addRaw(`| Always Allow | ${filters.alwaysAllow.length > 0 ? filters.alwaysAllow.join(', ') : 'None'} | ${describeSource(filters, 'alwaysAllow')} |\n`);
+    core.summary.addRaw(`| Always Allow Labels | ${filters.alwaysAllowLabels && filters.alwaysAllowLabels.length > 0 ? filters.alwaysAllowLabels.join(', ') : 'None'} | ${describeSource(filters, 'alwaysAllowLabels')} |\n`);
+    core.summary.addRaw(`| Ignored Versions | ${filters.ignoredVersions.length > 0 ? escapeTableCell(filters.ignoredVersions.join(', ')) : 'None'} | ${describeSource(filters, 'ignoredVersions')} |\n`);
+    core.summary.addRaw(`| Ignored Dependencies | ${filters.ignoredDependencies.length > 0 ? filters.ignoredDependencies.join(', ') : 'None'} | ${describeSource(filters, 'ignoredDependencies')} |\n`);
+    core.summary.addRaw(`| Semver Filter | ${filters.semverFilter.join(', ')} | ${describeSource(filters, 'semverFilter')} |\n`);
+    if (filters.rangeFilter) {
+      core.summary.addRaw(`| Range Filter | ${filters.rangeFilter.length > 0 ? filters.rangeFilter.join(', ') : 'None'} | ${describeSource(filters, 'rangeFilter')} |\n`);
+    }
+    if (filters.calverDependencies && filters.calverDependencies.length > 0) {
+      core.summary.addRaw(`| CalVer Dependencies | ${filters.calverDependencies.join(', ')} | ${describeSource(filters, 'calverDependencies')} |\n`);
+    }
+    if (filters.calverMaxJumpMonths > 0) {
+      core.summary.addRaw(`| CalVer Max Jump | ${filters.calverMaxJumpMonths} months | ${describeSource(filters, 'calverMaxJumpMonths')} |\n`);
+    }
+    if (filters.pseudoMaxDeltaDays > 0) {
+      core.summary.addRaw(`| Pseudo-version Max Delta | ${filters.pseudoMaxDeltaDays} days | ${describeSource(filters, 'pseudoMaxDeltaDays')} |\n`);
+    }
+    core.summary.addRaw(`| Matcher Mode | ${filters.matcherMode || 'legacy'} | ${describeSource(filters, 'matcherMode')} |\n`);
+    const ecosystems = Object.entries(filters.ecosystems || {});
+    core.summary.addRaw(`| Ecosystems | ${ecosystems.length > 0 ? escapeTableCell(ecosystems.map(([ecosystem, settings]) => `${ecosystem} (${formatEcosystemSettings(settings)})`).join(', ')) : 'None'} | ${describeSource(filters, 'ecosystems')} |\n`);
+    core.summary.addRaw(`| Rules | ${filters.rules && filters.rules.length > 0 ? filters.rules.map((rule, index) => `${index + 1}. ${rule.name} (${rule.action})`).join(', ') : 'None'} | ${describeSource(filters, 'rules')} |\n\n`);
+    core.summary.addRaw(`Policy file: ${filters.policyFile ? `\`${filters.policyFile}\`` : 'None'}\n\n`);
 
     /*
     * Pull Request Summary
@@ -75,28 +195,42 @@ async function addWorkflowSummary(allPRs, prsToMerge, mergedPRNumbers, filters,
         summaryMessage += ` (out of ${initialPRs.length} total open PRs)`;
       }
       const mergedCount = mergedPRNumbers ? mergedPRNumbers.size : prsToMerge.length;
-      summaryMessage += `, ${mergedCount} merged.`;
+      const autoMergeCount = prsToMerge.filter(pr => pr.autoMergeEnabled).length;
+      const queuedCount = prsToMerge.filter(pr => pr.mergeQueueEntry).length;
+      summaryMessage += `, ${mergedCount} merged`;
+      if (autoMergeCount > 0) {
+        summaryMessage += `, auto-merge enabled for ${autoMergeCount}`;
+      }
+      if (queuedCount > 0) {
+        summaryMessage += `, ${queuedCount} in the merge queue`;
+      }
+      summaryMessage += '.';
       core.summary.addRaw(summaryMessage + '\n\n');
     }
     
+    // Monorepos get a directory column when any dependency is outside the repository root
+    const showDirectory = allPRs.some(pr => getDependencies(pr).some(dep => dep.directory && dep.directory !== '/'));
+
     /*
     * PRs to be Merged — split into merged vs skipped during merge
     */
     if (prsToMerge.length > 0) {
       const hasLabelFiltering = filters.alwaysAllowLabels && filters.alwaysAllowLabels.length > 0;
+      const hasRules = filters.rules && filters.rules.length > 0;
+      const showReason = hasLabelFiltering || hasRules;
 
       const mergedPRs = prsToMerge.filter(pr => mergedPRNumbers && mergedPRNumbers.has(pr.number));
-      const skippedDuringMerge = prsToMerge.filter(pr => !mergedPRNumbers || !mergedPRNumbers.has(pr.number));
+      const autoMergePRs = prsToMerge.filter(pr => pr.autoMergeEnabled);
+      const queuedPRs = prsToMerge.filter(pr => pr.mergeQueueEntry);
+      const skippedDuringMerge = prsToMerge.filter(pr => !pr.autoMergeEnabled && !pr.mergeQueueEntry && (!mergedPRNumbers || !mergedPRNumbers.has(pr.number)));
 
-      const renderPRTable = (prs, title) => {
+      // An optional extra column ({ header, cell: pr => value }) follows the version
+      const renderPRTable = (prs, title, column = null) => {
         if (prs.length === 0) return;
         core.summary.addRaw(createSectionTitle(title) + '\n\n');
 
-        if (hasLabelFiltering) {
-          core.summary.addRaw(createTableHeader(['PR', 'Dependency', 'Version', 'Reason']) + '\n');
-        } else {
-          core.summary.addRaw(createTableHeader(['PR', 'Dependency', 'Version']) + '\n');
-        }
+        const header = ['PR', ...dependencyCells(showDirectory, 'Dependency', 'Directory'), 'Version', ...(column ? [column.header] : [])];
+        core.summary.addRaw(createTableHeader(showReason ? [...header, 'Reason'] : header) + '\n');
 
         for (const pr of prs) {
           const allowedByLabel = hasLabelFiltering && shouldAlwaysAllowByLabel(pr.labels, filters.alwaysAllowLabels);
@@ -106,37 +240,53 @@ async function addWorkflowSummary(allPRs, prsToMerge, mergedPRNumbers, filters,
               .filter(label => filters.alwaysAllowLabels.some(allowed => allowed.toLowerCase() === label.name.toLowerCase()))
               .map(label => label.name);
             reason = `Allowed by label: ${matchingLabels.join(', ')}`;
-          } else if (hasLabelFiltering) {
+          } else if (showReason) {
             reason = 'Passed filters';
           }
 
-          const deps = pr.dependencyInfoList && pr.dependencyInfoList.length > 0
-            ? pr.dependencyInfoList.filter(d => d.name)
-            : pr.dependencyInfo && pr.dependencyInfo.name ? [pr.dependencyInfo] : null;
+          // Show which policy rule decided each dependency, unless the PR was allowed by label
+          const ruleReasons = hasRules && !allowedByLabel
+            ? (getFilterReasons(pr.number) || []).filter(r => r.rule)
+            : [];
+          const reasonFor = depInfo => {
+            const ruleReason = ruleReasons.find(r => r.dependency === depInfo.name && (!r.directory || r.directory === depInfo.directory));
+            return ruleReason ? ruleReason.reason : reason;
+          };
+
+          const deps = getDependencies(pr);
 
-          if (deps) {
+          if (deps.length > 0) {
             for (const depInfo of deps) {
-              const tableRow = hasLabelFiltering
-                ? `| [#${pr.number}](${pr.html_url}) | ${depInfo.name} | ${depInfo.toVersion} | ${reason} |`
-                : `| [#${pr.number}](${pr.html_url}) | ${depInfo.name} | ${depInfo.toVersion} |`;
-              core.summary.addRaw(tableRow + '\n');
+              const cells = [`[#${pr.number}](${pr.html_url})`, ...dependencyCells(showDirectory, depInfo.name, depInfo.directory), versionCell(depInfo), ...(column ? [column.cell(pr)] : [])];
+              core.summary.addRaw(createTableRow(showReason ? [...cells, reasonFor(depInfo)] : cells) + '\n');
             }
           } else {
-            const tableRow = hasLabelFiltering
-              ? `| [#${pr.number}](${pr.html_url}) | Unknown | Unknown | ${reason} |`
-              : `| [#${pr.number}](${pr.html_url}) | Unknown | Unknown |`;
-            core.summary.addRaw(tableRow + '\n');
+            const cells = [`[#${pr.number}](${pr.html_url})`, ...dependencyCells(showDirectory, 'Unknown', pr.directory), 'Unknown', ...(column ? [column.cell(pr)] : [])];
+            core.summary.addRaw(createTableRow(showReason ? [...cells, reason] : cells) + '\n');
           }
         }
 
         core.summary.addRaw('\n');
       };
 
+      // The order the PRs were merged in, and why each PR got its place
+      if (prsToMerge.length > 1 && filters.mergeOrder) {
+        core.summary.addRaw(createSectionTitle('Merge Order') + '\n\n');
+        core.summary.addRaw(`Merge order \`${filters.mergeOrder}\` (${describeSource(filters, 'mergeOrder')}): ${MERGE_ORDERS[filters.mergeOrder]}.\n\n`);
+        core.summary.addRaw(createTableHeader(['#', 'PR', 'Reason']) + '\n');
+        prsToMerge.forEach((pr, index) => {
+          core.summary.addRaw(createTableRow([String(index + 1), `[#${pr.number}](${pr.html_url})`, escapeTableCell(pr.mergeOrderReason || '')]) + '\n');
+        });
+        core.summary.addRaw('\n');
+      }
+
       renderPRTable(mergedPRs, 'Merged Pull Requests');
+      renderPRTable(autoMergePRs, 'Auto-merge Enabled');
+      renderPRTable(queuedPRs, 'Merge Queue', { header: 'Queue', cell: pr => describeQueueEntry(pr.mergeQueueEntry) });
 
       if (skippedDuringMerge.length > 0) {
         core.summary.addRaw(createSectionTitle('Pull Requests Skipped During Merge') + '\n\n');
-        core.summary.addRaw(createTableHeader(['PR', 'Dependency', 'Version', 'Reason']) + '\n');
+        core.summary.addRaw(createTableHeader(['PR', ...dependencyCells(showDirectory, 'Dependency', 'Directory'), 'Version', 'Reason']) + '\n');
 
         for (const pr of skippedDuringMerge) {
           const mergeReasons = getFilterReasons(pr.number);
@@ -144,16 +294,14 @@ async function addWorkflowSummary(allPRs, prsToMerge, mergedPRNumbers, filters,
             ? mergeReasons.filter(r => r.dependency === 'merge').map(r => r.reason).join('; ')
             : 'Unknown reason';
 
-          const deps = pr.dependencyInfoList && pr.dependencyInfoList.length > 0
-            ? pr.dependencyInfoList.filter(d => d.name)
-            : pr.dependencyInfo && pr.dependencyInfo.name ? [pr.dependencyInfo] : null;
+          const deps = getDependencies(pr);
 
-          if (deps) {
+          if (deps.length > 0) {
             for (const depInfo of deps) {
-              core.summary.addRaw(`| [#${pr.number}](${pr.html_url}) | ${depInfo.name} | ${depInfo.toVersion} | ${mergeReason} |\n`);
+              core.summary.addRaw(createTableRow([`[#${pr.number}](${pr.html_url})`, ...dependencyCells(showDirectory, depInfo.name, depInfo.directory), versionCell(depInfo), mergeReason]) + '\n');
             }
           } else {
-            core.summary.addRaw(`| [#${pr.number}](${pr.html_url}) | Unknown | Unknown | ${mergeReason} |\n`);
+            core.summary.addRaw(createTableRow([`[#${pr.number}](${pr.html_url})`, ...dependencyCells(showDirectory, 'Unknown', pr.directory), 'Unknown', mergeReason]) + '\n');
           }
         }
 
@@ -169,7 +317,7 @@ async function addWorkflowSummary(allPRs, prsToMerge, mergedPRNumbers, filters,
       core.summary.addRaw(createSectionTitle('Filtered Out Dependencies') + '\n\n');
       
       // Add the table header first
-      core.summary.addRaw(createTableHeader(['PR', 'Dependency', 'Version', 'Reason for Filtering']) + '\n');
+      core.summary.addRaw(createTableHeader(['PR', ...dependencyCells(showDirectory, 'Dependency', 'Directory'), 'Version', 'Reason for Filtering']) + '\n');
       
       for (const pr of filteredOutPRs) {
         // Get the filter data for this PR
@@ -179,31 +327,25 @@ async function addWorkflowSummary(allPRs, prsToMerge, mergedPRNumbers, filters,
           // Show reasons for each dependency that was filtered
           for (const data of filterData) {
             const dependency = data.dependency;
-            let version = '';
             
-            // Try to find version information for this dependency
-            if (pr.dependencyInfoList) {
-              const depInfo = pr.dependencyInfoList.find(info => info.name === dependency);
-              if (depInfo && depInfo.toVersion) {
-                version = depInfo.toVersion;
-              }
-            } else if (pr.dependencyInfo && pr.dependencyInfo.name === dependency) {
-              version = pr.dependencyInfo.toVersion;
-            }
+            // Try to find version and directory information for this dependency (in the directory
+            // of the reason, as a group can update the same dependency in several directories)
+            const depInfo = getDependencies(pr).find(info => info.name === dependency && (!data.directory || info.directory === data.directory));
+            const version = depInfo && (depInfo.toVersion || depInfo.removed) ? versionCell(depInfo) : '';
             
             // Skip generic reasons if they aren't for a specific dependency
             if (dependency !== 'general') {
-              const tableRow = `| [#${pr.number}](${pr.html_url}) | ${dependency} | ${version} | ${data.reason} |`;
+              const tableRow = createTableRow([`[#${pr.number}](${pr.html_url})`, ...dependencyCells(showDirectory, dependency, depInfo?.directory), version, escapeTableCell(data.reason)]);
               core.summary.addRaw(tableRow + '\n');
             } else {
               // For general reasons, we'll just show "General" as the dependency
-              const tableRow = `| [#${pr.number}](${pr.html_url}) | General | - | ${data.reason} |`;
+              const tableRow = createTableRow([`[#${pr.number}](${pr.html_url})`, ...dependencyCells(showDirectory, 'General', pr.directory), '-', escapeTableCell(data.reason)]);
               core.summary.addRaw(tableRow + '\n');
             }
           }
         } else {
           // Fallback if no filter data is available
-          const tableRow = `| [#${pr.number}](${pr.html_url}) | Unknown | - | No specific reason recorded |`;
+          const tableRow = createTableRow([`[#${pr.number}](${pr.html_url})`, ...dependencyCells(showDirectory, 'Unknown', pr.directory), '-', 'No specific reason recorded']);
           core.summary.addRaw(tableRow + '\n');
         }
       }
@@ -211,6 +353,26 @@ async function addWorkflowSummary(allPRs, prsToMerge, mergedPRNumbers, filters,
       core.summary.addRaw('\n');
     }
     
+    /*
+    * Dependencies where Dependabot's update type disagrees with the detected semver change
+    */
+    const mismatches = allPRs.flatMap(pr => getDependencies(pr)
+      .filter(dep => dep.updateType && dep.semverChange && dep.updateType !== dep.semverChange)
+      .map(dep => ({ pr, dep })));
+
+    if (mismatches.length > 0) {
+      core.summary.addRaw(createSectionTitle('Update Type Mismatches') + '\n\n');
+      core.summary.addRaw('Dependabot reported a different update type than the one detected from the versions. Filters use the detected change.\n\n');
+      core.summary.addRaw(createTableHeader(['PR', 'Dependency', 'Versions', 'Dependabot', 'Detected']) + '\n');
+
+      for (const { pr, dep } of mismatches) {
+        const tableRow = `| [#${pr.number}](${pr.html_url}) | ${dep.name} | ${dep.fromVersion} → ${dep.toVersion} | ${dep.updateType} | ${formatSemverChange(dep.semverChange)} |`;
+        core.summary.addRaw(tableRow + '\n');
+      }
+
+      core.summary.addRaw('\n');
+    }
+
     /*
     * PRs Filtered Out During Basic Criteria
     */
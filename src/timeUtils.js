@@ -1,5 +1,10 @@
 import * as core from '@actions/core';
 
+const MONTH_NAMES = {
+  'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
+  'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
+};
+
 /**
  * Format date to ISO 8601 string
  * 
@@ -141,25 +146,20 @@ function shouldRunAtCurrentTime(blackoutPeriodsInput) {
  * @returns {Object} Object with start and end dates
  */
 function parseMonthNameDateRange(rangeStr, currentTime) {
-  const monthNames = {
-    'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
-    'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
-  };
-  
   const [startPart, endPart] = rangeStr.split('-');
   
   // Parse start date (e.g., "Dec 24")
   const startMatch = startPart.trim().match(/^(\w{3})\s+(\d{1,2})$/i);
   if (!startMatch) throw new Error(`Invalid start date format: ${startPart}`);
   
-  const startMonth = monthNames[startMatch[1].toLowerCase()];
+  const startMonth = MONTH_NAMES[startMatch[1].toLowerCase()];
   const startDay = parseInt(startMatch[2], 10);
   
   // Parse end date (e.g., "Jan 5")
   const endMatch = endPart.trim().match(/^(\w{3})\s+(\d{1,2})$/i);
   if (!endMatch) throw new Error(`Invalid end date format: ${endPart}`);
   
-  const endMonth = monthNames[endMatch[1].toLowerCase()];
+  const endMonth = MONTH_NAMES[endMatch[1].toLowerCase()];
   const endDay = parseInt(endMatch[2], 10);
   
   const currentYear = currentTime.getFullYear();
@@ -328,16 +328,11 @@ function isInBlackoutPeriod(currentTime, period) {
   // Handle single day format: "May 1", "Jul 14", etc. Must be three-character month followed by 1-2 digit day
   const singleDayMatch = period.match(/^(\w{3})\s+(\d{1,2})$/i);
   if (singleDayMatch) {
-    const monthNames = {
-      'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
-      'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
-    };
-
     const monthName = singleDayMatch[1].toLowerCase();
     const dayNumber = parseInt(singleDayMatch[2], 10);
 
-    if (Object.prototype.hasOwnProperty.call(monthNames, monthName)) {
-      const monthIndex = monthNames[monthName];
+    if (Object.prototype.hasOwnProperty.call(MONTH_NAMES, monthName)) {
+      const monthIndex = MONTH_NAMES[monthName];
       const currentMonth = currentTime.getMonth();
       const currentDay = currentTime.getDate();
 
@@ -362,8 +357,158 @@ function isInBlackoutPeriod(currentTime, period) {
   return false;
 }
 
+/**
+ * Validate a time of day (e.g. "9:00", "17:30:00")
+ *
+ * @param {string} timeStr - Time string
+ * @returns {number|null} Seconds since midnight, or null if the time is invalid
+ */
+function parseTimeOfDay(timeStr) {
+  const match = timeStr.trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = match[3] ? parseInt(match[3], 10) : 0;
+  if (hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Validate a time range within a single day (e.g. "9:00-17:00")
+ *
+ * @param {string} rangeStr - Time range string
+ * @returns {string|null} Description of the problem, or null if the range is valid
+ */
+function validateTimeRange(rangeStr) {
+  const parts = rangeStr.split('-');
+  if (parts.length !== 2) {
+    return `invalid time range "${rangeStr}" (expected e.g. 9:00-17:00)`;
+  }
+  const [start, end] = parts.map(parseTimeOfDay);
+  if (start === null || end === null) {
+    return `invalid time in range "${rangeStr}" (expected H:MM or HH:MM:SS between 0:00 and 23:59:59)`;
+  }
+  if (start > end) {
+    return `time range "${rangeStr}" ends before it starts (ranges cannot span midnight)`;
+  }
+  return null;
+}
+
+/**
+ * Validate a month and day (e.g. "Dec 24")
+ *
+ * @param {string} dayStr - Month and day string
+ * @returns {string|null} Description of the problem, or null if the day is valid
+ */
+function validateMonthDay(dayStr) {
+  const match = dayStr.trim().match(/^(\w{3})\s+(\d{1,2})$/i);
+  if (!match) {
+    return `invalid date "${dayStr.trim()}" (expected e.g. Dec 24)`;
+  }
+  const month = MONTH_NAMES[match[1].toLowerCase()];
+  if (month === undefined) {
+    return `unknown month "${match[1]}"`;
+  }
+  const day = parseInt(match[2], 10);
+  // Use a leap year, so that Feb 29 is accepted
+  const daysInMonth = new Date(2024, month + 1, 0).getDate();
+  if (day < 1 || day > daysInMonth) {
+    return `day ${day} is not valid for ${match[1]}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a single blackout period. Formats are detected in the same order as in
+ * isInBlackoutPeriod, so a period is checked against the format it will be evaluated with.
+ *
+ * @param {string} period - Blackout period string
+ * @returns {string|null} Description of the problem, or null if the period is valid
+ */
+function validateBlackoutPeriod(period) {
+  const dayTimeMatch = period.match(/^(Sun|Mon|Tue|Wed|Thu|Fri|Sat)\s+(.+)$/i);
+  if (dayTimeMatch) {
+    return validateTimeRange(dayTimeMatch[2]);
+  }
+
+  if (period.includes('/') && !period.startsWith('T')) {
+    const parts = period.split('/');
+    if (parts.length !== 2 || !parts.every(part => /^\d{4}-\d{2}-\d{2}/.test(part.trim()))) {
+      return 'invalid ISO 8601 date range (expected e.g. 2024-12-24/2025-01-05)';
+    }
+    const { start, end } = parseISODateRange(period);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return 'invalid date in ISO 8601 date range';
+    }
+    if (start > end) {
+      return 'date range ends before it starts';
+    }
+    return null;
+  }
+
+  if (period.includes('-') && /\w{3}\s+\d{1,2}-\w{3}\s+\d{1,2}/.test(period)) {
+    const parts = period.split('-');
+    if (parts.length !== 2) {
+      return 'invalid date range (expected e.g. Dec 24-Jan 5)';
+    }
+    return validateMonthDay(parts[0]) || validateMonthDay(parts[1]);
+  }
+
+  if (period.includes('-') && /^\d{1,2}:\d{2}(?::\d{2})?-\d{1,2}:\d{2}(?::\d{2})?$/.test(period)) {
+    return validateTimeRange(period);
+  }
+
+  if (period.startsWith('T') && period.includes('/')) {
+    const parts = period.split('/');
+    if (parts.length !== 2 || !parts.every(part => /^T\d{2}:\d{2}:\d{2}$/.test(part))) {
+      return 'invalid ISO 8601 time range (expected e.g. T09:00:00/T17:00:00)';
+    }
+    return validateTimeRange(parts.map(part => part.substring(1)).join('-'));
+  }
+
+  if (/^(\w{3})\s+(\d{1,2})$/i.test(period)) {
+    return validateMonthDay(period);
+  }
+
+  if (/^(Sun|Mon|Tue|Wed|Thu|Fri|Sat)$/i.test(period)) {
+    return null;
+  }
+
+  return 'unrecognized format';
+}
+
+/**
+ * Validate all blackout periods from the blackout-periods input
+ *
+ * @param {string} blackoutPeriodsInput - Comma-separated list of blackout periods
+ * @returns {Array<string>} List of problems, with the position of each invalid period
+ *          (e.g. 'blackout-periods[1] "Dec 32-Jan 5": day 32 is not valid for Dec')
+ */
+function validateBlackoutPeriods(blackoutPeriodsInput) {
+  if (!blackoutPeriodsInput) {
+    return [];
+  }
+
+  const errors = [];
+  blackoutPeriodsInput.split(',').map(p => p.trim()).forEach((period, index) => {
+    if (period.length === 0) {
+      return;
+    }
+    const problem = validateBlackoutPeriod(period);
+    if (problem) {
+      errors.push(`blackout-periods[${index}] "${period}": ${problem}`);
+    }
+  });
+  return errors;
+}
+
 export {
   shouldRunAtCurrentTime,
+  validateBlackoutPeriods,
   subtractDays,
   isAfter,
   fromNow,
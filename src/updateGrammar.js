@@ -0,0 +1,193 @@
+/**
+ * Grammar of the titles and bodies Dependabot writes for its pull requests.
+ *
+ * Titles start with an optional commit-message prefix ("build(deps): ", "chore(deps-dev): ", or a custom
+ * prefix without a colon such as "deps "), followed by the verb ("Bump", "Bumps", "Update" or "Updates") and:
+ *   "lodash from 4.17.20 to 4.17.21"                 a single dependency
+ *   "rails requirement from ~> 6.1 to ~> 7.0"        a requirement update
+ *   "cookie and express" / "a, b and c"             several dependencies updated together
+ *   "the maven group in /app with 3 updates"        a group ("across 2 directories" instead of "in /app")
+ * each optionally followed by "in /directory".
+ */
+const VERB = /(?:^|[\s:\]])(?:bump|update)s?\s+(.+)$/i;
+const DIRECTORY = '(?: in (\\/\\S*))?';
+const GROUP_TITLE = /^the (\S+)(?: group)?(?: in (\/\S*)| across (?:\d+ director(?:y|ies)|\S+))?(?: with (\d+) updates?)?/i;
+const REQUIREMENT_TITLE = new RegExp(`^(\\S+) requirement from (.+?) to (.+?)${DIRECTORY}$`, 'i');
+const SINGLE_TITLE = new RegExp(`^(\\S+) from (\\S+) to (\\S+)${DIRECTORY}`, 'i');
+const LIST_TITLE = new RegExp(`^((?:[^\\s,]+,? )+)and ([^\\s,]+)${DIRECTORY}$`, 'i');
+
+/**
+ * Lines of a pull request body that describe one dependency of a multi-dependency or group update:
+ *   "Updates `lodash` from 4.17.20 to 4.17.21" (versions may be any string, e.g. "1.2.3-jre" or "5.3.30.Final")
+ *   "Removes `left-pad`"
+ */
+const BODY_LINE = /^\s*(?:[-*]\s+)?(Updates|Removes) [`']?([^`'\s]+)[`']?(?: from `?(\S+?)`? to `?(\S+?)`?)?\.?\s*$/gim;
+
+/**
+ * Lines that start the section of one directory in the body of a group update across several directories
+ * ("Bump the npm group across 2 directories with 3 updates"), followed by the names of the updated
+ * dependencies or by a table:
+ *   "Bumps the npm group with 2 updates in the /frontend directory: [react](...) and [react-dom](...)."
+ */
+const DIRECTORY_HEADER = /^Bumps the (\S+) group with (\d+) updates? in the (\S+) directory:?(.*)$/gim;
+
+/**
+ * Parse the title of a Dependabot pull request
+ *
+ * @param {string} title - Pull request title
+ * @returns {Object|null} The parsed title, or null if it is not a Dependabot update title:
+ *          { type: 'single' | 'requirement' | 'list' | 'group', names: Array<string>, group: string|null,
+ *            fromVersion: string|null, toVersion: string|null, directory: string|null, count: number|null }
+ *          where count is the number of dependencies the title says are updated (null if it does not say)
+ */
+function parseUpdateTitle(title) {
+  const verb = typeof title === 'string' ? VERB.exec(title.trim()) : null;
+  if (!verb) {
+    return null;
+  }
+  const rest = verb[1];
+  const parsed = { names: [], group: null, fromVersion: null, toVersion: null, directory: null, count: null };
+
+  const group = GROUP_TITLE.exec(rest);
+  if (group) {
+    return {
+      ...parsed,
+      type: 'group',
+      group: group[1],
+      directory: group[2] || null,
+      count: group[3] ? Number(group[3]) : null
+    };
+  }
+
+  const requirement = REQUIREMENT_TITLE.exec(rest);
+  if (requirement) {
+    const [, name, fromVersion, toVersion, directory] = requirement;
+    return { ...parsed, type: 'requirement', names: [name], fromVersion, toVersion, directory: directory || null, count: 1 };
+  }
+
+  const single = SINGLE_TITLE.exec(rest);
+  if (single) {
+    const [, name, fromVersion, toVersion, directory] = single;
+    return { ...parsed, type: 'single', names: [name], fromVersion, toVersion, directory: directory || null, count: 1 };
+  }
+
+  const list = LIST_TITLE.exec(rest);
+  if (list) {
+    const names = [...list[1].split(/[\s,]+/).filter(Boolean), list[2]];
+    return { ...parsed, type: 'list', names, directory: list[3] || null, count: names.length };
+  }
+
+  return null;
+}
+
+/**
+ * Parse the "Updates `x` from A to B" and "Removes `x`" lines of a pull request body
+ *
+ * @param {string} body - Pull request body
+ * @returns {Array<Object>} The dependencies in order of the body: { name, fromVersion, toVersion } for
+ *          updates, and { name, removed: true } for removed dependencies
+ */
+function parseBodyUpdates(body) {
+  if (typeof body !== 'string') {
+    return [];
+  }
+
+  const dependencies = [];
+  for (const [, verb, name, fromVersion, toVersion] of body.matchAll(BODY_LINE)) {
+    if (verb.toLowerCase() === 'removes') {
+      dependencies.push({ name, removed: true });
+    } else if (fromVersion && toVersion) {
+      dependencies.push({ name, fromVersion, toVersion });
+    }
+  }
+  return dependencies;
+}
+
+/**
+ * Parse the "| Package | From | To |" table in the body of a group update
+ *
+ * @param {string} body - Pull request body
+ * @returns {Array<{name: string, fromVersion: string, toVersion: string}>} The rows of the table
+ */
+function parseBodyTable(body) {
+  if (typeof body !== 'string') {
+    return [];
+  }
+
+  const tableRegex = /\|\s*([^|\n]+?)\s*\|\s*`?([^`|\n]+)`?\s*\|\s*`?([^`|\n]+)`?\s*\|/g;
+  // Skip the header row with column names and the formatting row (with ---)
+  return [...body.matchAll(tableRegex)].slice(2).map(([, packageName, fromVersion, toVersion]) => ({
+    // Remove markdown links from the package name, and backticks from the versions
+    name: packageName.replace(/\[([^\]]+)\]\([^)]+\)/, '$1').trim(),
+    fromVersion: fromVersion.trim().replace(/`/g, ''),
+    toVersion: toVersion.trim().replace(/`/g, '')
+  }));
+}
+
+/**
+ * Parse the list of dependency names in a directory header ("[react](...), [react-dom](...) and jest.")
+ *
+ * @param {string} list - The names after "directory:"
+ * @returns {Array<string>} The dependency names
+ */
+function parseNameList(list) {
+  return list
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/\.\s*$/, '')
+    .split(/,\s*|\s+and\s+/)
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse the directory sections in the body of a group update across several directories. The
+ * "Updates `x` from A to B" lines follow all sections, in the same order, so each section takes the
+ * first line of each of its dependencies that an earlier section has not taken; a section with a
+ * table uses the rows of its table.
+ *
+ * @param {string} body - Pull request body
+ * @returns {Array<{directory: string, count: number, dependencies: Array<Object>}>} The sections in order of
+ *          the body, with the number of updates the section states and its dependencies (as returned by
+ *          parseBodyUpdates), or an empty array if the body has no directory sections
+ */
+function parseBodyDirectories(body) {
+  if (typeof body !== 'string') {
+    return [];
+  }
+
+  const headers = [...body.matchAll(DIRECTORY_HEADER)];
+  const updates = parseBodyUpdates(body);
+  const taken = new Set();
+  const take = name => {
+    const index = updates.findIndex((update, i) => update.name === name && !taken.has(i));
+    if (index === -1) {
+      return null;
+    }
+    taken.add(index);
+    return updates[index];
+  };
+
+  return headers.map((header, i) => {
+    const [, , count, directory, list] = header;
+    const end = i + 1 < headers.length ? headers[i + 1].index : body.length;
+    // The table of a section comes before the "Updates" lines and release notes
+    const section = body.slice(header.index + header[0].length, end).split(/\nUpdates |<details>/)[0];
+    const table = parseBodyTable(section);
+
+    const dependencies = table.length > 0
+      ? table.map(row => {
+        take(row.name);
+        return row;
+      })
+      : parseNameList(list).map(name => take(name)).filter(Boolean);
+
+    return { directory, count: Number(count), dependencies };
+  });
+}
+
+export {
+  parseUpdateTitle,
+  parseBodyUpdates,
+  parseBodyTable,
+  parseBodyDirectories
+};
@@ -0,0 +1,264 @@
+import * as core from '@actions/core';
+import semver from 'semver';
+import { determineMavenChange, describeMavenQualifierChange } from './mavenVersions.js';
+import { determinePep440Change } from './pep440.js';
+import { isCalendarVersion, determineCalverChange } from './calver.js';
+import { determineDockerChange, describeDockerVariantChange } from './dockerTags.js';
+import { determineGoChange, describePseudoVersionChange } from './goModules.js';
+
+/**
+ * Optional classification rules for determineSemverChange (the `semver-classification` setting):
+ * - zero-minor-as-major: a minor bump of a 0.x version (0.3.0 → 0.4.0) is a major change, as under
+ *   the caret semantics of semver
+ * - zero-patch-as-major: a patch bump of a 0.0.x version (0.0.3 → 0.0.4) is a major change
+ * - prerelease-as-release: an update to a prerelease is classified by its version numbers, like a
+ *   release (1.9.0 → 2.0.0-rc.1 is 'major'). Without it, an update to a prerelease (e.g. 2.0.0-rc.1,
+ *   5.0.0-M1) is a 'prerelease' change, so prereleases are not merged unless 'prerelease' is allowed.
+ * - prerelease: the default since prereleases are always classified; accepted for existing configurations
+ */
+const SEMVER_CLASSIFICATIONS = ['zero-minor-as-major', 'zero-patch-as-major', 'prerelease-as-release', 'prerelease'];
+
+/**
+ * Prerelease qualifiers recognized in target versions, after a '-' or '.' following the version
+ * number (e.g. "2.0.0-rc.1", "5.0.0-M1", "1.0.0.Beta2"). Other suffixes such as "-jre" are not prereleases.
+ */
+const PRERELEASE_QUALIFIER = /^v?\d+(?:\.\d+)*[-.](?:alpha|beta|rc|cr|pre|preview|snapshot|ea|dev|canary|next|milestone|m(?=\d))(?=$|[-.\d])[-.0-9A-Za-z]*$/i;
+
+/**
+ * A comparator with a wildcard prerelease, e.g. "2.0.0-beta.x" or "2.0.0-rc.*".
+ * The captured prefix ("2.0.0-beta.") is matched against the start of the raw version.
+ */
+const PRERELEASE_WILDCARD = /^=?v?(\d+\.\d+\.\d+-(?:[0-9A-Za-z-]+\.)*)[xX*]$/;
+
+/**
+ * Ecosystems whose versions are not compared as semver, with their own function to determine
+ * the change level and, optionally, to describe a change of qualifier
+ */
+const VERSION_SCHEMES = {
+  maven: { determineChange: determineMavenChange, describeQualifierChange: describeMavenQualifierChange },
+  gradle: { determineChange: determineMavenChange, describeQualifierChange: describeMavenQualifierChange },
+  pip: { determineChange: determinePep440Change },
+  uv: { determineChange: determinePep440Change },
+  docker: { determineChange: determineDockerChange, describeQualifierChange: describeDockerVariantChange },
+  'docker-compose': { determineChange: determineDockerChange, describeQualifierChange: describeDockerVariantChange },
+  gomod: { determineChange: determineGoChange, describeQualifierChange: describePseudoVersionChange }
+};
+
+/**
+ * Labels for change levels that need to stand out in the summary and CLI output
+ */
+const CHANGE_LABELS = {
+  downgrade: '⬇️ downgrade'
+};
+
+/**
+ * Check if a version is a (possibly abbreviated) Git commit SHA, e.g. "8e5e7e5" for a SHA-pinned action
+ *
+ * @param {string} version - The version
+ * @returns {boolean} Whether the version is a commit SHA
+ */
+function isCommitHash(version) {
+  return typeof version === 'string' && /^[a-f0-9]{7,40}$/i.test(version);
+}
+
+/**
+ * Coerce a version string into a valid semver version.
+ * Handles non-standard formats like "v1.2", "3.2.1.RELEASE" or "1.2.3-jre" by taking the
+ * first major.minor.patch found in the string. Prerelease and build metadata are dropped.
+ *
+ * @param {string} version - The version to coerce
+ * @returns {string|null} The coerced version, or null if the string contains no version
+ */
+function coerceVersion(version) {
+  if (!version || typeof version !== 'string') {
+    return null;
+  }
+  return semver.valid(semver.coerce(version));
+}
+
+/**
+ * Check if a range expression is a valid semver range
+ *
+ * @param {string} range - Range expression (e.g. ">=5.0.0", "^3", "<1.7.0 || 2.0.0-beta.x")
+ * @returns {boolean} Whether the range can be evaluated
+ */
+function isValidRange(range) {
+  if (typeof range !== 'string' || range.trim().length === 0) {
+    return false;
+  }
+  return range.split('||').every(comparatorSet =>
+    PRERELEASE_WILDCARD.test(comparatorSet.trim()) || semver.validRange(comparatorSet) !== null
+  );
+}
+
+/**
+ * Check if a version satisfies a semver range.
+ *
+ * The version is coerced the same way as when determining the semver change level.
+ * A comparator with a wildcard prerelease (e.g. "2.0.0-beta.x") matches every prerelease
+ * starting with that prefix (e.g. "2.0.0-beta.3"); it is compared against the raw version,
+ * since coercion drops prerelease identifiers.
+ *
+ * @param {string} version - The version to check
+ * @param {string} range - Range expression
+ * @returns {boolean} Whether the version satisfies the range
+ */
+function satisfiesRange(version, range) {
+  if (!version || !isValidRange(range)) {
+    return false;
+  }
+
+  const coerced = coerceVersion(version);
+
+  return range.split('||').some(comparatorSet => {
+    const set = comparatorSet.trim();
+
+    const prereleaseWildcard = set.match(PRERELEASE_WILDCARD);
+    if (prereleaseWildcard) {
+      return version.replace(/^v/, '').startsWith(prereleaseWildcard[1]);
+    }
+
+    return coerced !== null && semver.satisfies(coerced, set);
+  });
+}
+
+/**
+ * Check if a version is a prerelease (e.g. "2.0.0-rc.1", "5.0.0-M1", "1.0.0-beta")
+ *
+ * @param {string} version - The version to check
+ * @returns {boolean} Whether the version has a prerelease qualifier
+ */
+function isPrerelease(version) {
+  return typeof version === 'string' && PRERELEASE_QUALIFIER.test(version.trim());
+}
+
+/**
+ * Determine semver change level between two versions
+ * 
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @param {Object} options - Classification options
+ * @param {Array<string>} options.classification - Enabled rules from SEMVER_CLASSIFICATIONS
+ * @param {string} options.ecosystem - Ecosystem of the dependency; versions of ecosystems in VERSION_SCHEMES
+ *        (e.g. maven) are compared with the ordering of that ecosystem instead of as semver
+ * @param {boolean} options.calver - Whether the dependency is declared as using calendar versioning
+ * @param {string} options.name - Name of the dependency, for ecosystems whose versions depend on it (e.g. the
+ *        "/v2" suffix of a Go module path)
+ * @returns {string} The semver change level ('major', 'minor', 'patch', 'prerelease', 'downgrade' or 'unknown',
+ *          'calver' for calendar versions, and the levels of ecosystems in VERSION_SCHEMES)
+ */
+function determineSemverChange(fromVersion, toVersion, { classification = [], ecosystem, calver = false, name } = {}) {
+  // Calendar versions change their first part every year, which is not a major change
+  if (calver || (isCalendarVersion(fromVersion) && isCalendarVersion(toVersion))) {
+    const calverChange = determineCalverChange(fromVersion, toVersion, { declared: calver });
+    if (calverChange) {
+      return calverChange;
+    }
+  }
+
+  const scheme = VERSION_SCHEMES[ecosystem];
+  if (scheme) {
+    return scheme.determineChange(fromVersion, toVersion, { classification, name });
+  }
+
+  // Initialize with unknown
+  let semverChange = 'unknown';
+  
+  // If either version is not a string or is empty, return unknown
+  if (!fromVersion || !toVersion || typeof fromVersion !== 'string' || typeof toVersion !== 'string') {
+    return semverChange;
+  }
+
+  // Handle common non-semver patterns explicitly
+  // Check for commit hashes (Git SHA-like strings)
+  if (isCommitHash(fromVersion) && isCommitHash(toVersion)) {
+    return semverChange;
+  }
+
+  // Coerce to handle non-standard version formats
+  const cleanedFromVersion = coerceVersion(fromVersion);
+  const cleanedToVersion = coerceVersion(toVersion);
+
+  // Downgrades get their own level, so allowing 'unknown' does not also allow them
+  if (cleanedFromVersion && cleanedToVersion && semver.lt(cleanedToVersion, cleanedFromVersion)) {
+    return 'downgrade';
+  }
+
+  // Coercion drops prerelease identifiers, so prerelease targets are recognized on the raw version.
+  // A prerelease of the same version (2.0.0 → 2.0.0-rc.1) has a lower precedence than the release.
+  if (isPrerelease(toVersion)) {
+    const rawFromVersion = semver.valid(fromVersion, { loose: true });
+    const rawToVersion = semver.valid(toVersion, { loose: true });
+    if (rawFromVersion && rawToVersion && semver.lt(rawToVersion, rawFromVersion)) {
+      return 'downgrade';
+    }
+    if (!classification.includes('prerelease-as-release')) {
+      return 'prerelease';
+    }
+  }
+  
+  // Try to use semver library to determine the change type
+  try {
+    if (cleanedFromVersion && cleanedToVersion) {
+      const fromMajor = semver.major(cleanedFromVersion);
+      const toMajor = semver.major(cleanedToVersion);
+      const fromMinor = semver.minor(cleanedFromVersion);
+      const toMinor = semver.minor(cleanedToVersion);
+      const fromPatch = semver.patch(cleanedFromVersion);
+      const toPatch = semver.patch(cleanedToVersion);
+      
+      if (toMajor > fromMajor) {
+        semverChange = 'major';
+      } else if (toMinor > fromMinor) {
+        // Under caret semantics, the minor version is the breaking one for 0.x versions
+        semverChange = fromMajor === 0 && classification.includes('zero-minor-as-major') ? 'major' : 'minor';
+      } else if (toPatch > fromPatch) {
+        // ...and the patch version for 0.0.x versions
+        const isZeroZero = fromMajor === 0 && fromMinor === 0;
+        semverChange = isZeroZero && classification.includes('zero-patch-as-major') ? 'major' : 'patch';
+      }
+      // If versions are equal after coercion, keep as 'unknown'
+    }
+  } catch (error) {
+    // If semver parsing fails, keep as 'unknown'
+    core.debug(`Failed to determine semver change: ${error.message}`);
+  }
+  
+  return semverChange;
+}
+
+/**
+ * Describe a change of version qualifier (e.g. "M3 → RC1") for ecosystems that use qualifiers
+ *
+ * @param {string} fromVersion - The original version
+ * @param {string} toVersion - The new version
+ * @param {string} ecosystem - Ecosystem of the dependency
+ * @returns {string|null} The qualifier change, or null if the qualifier did not change or the
+ *          ecosystem has no qualifiers
+ */
+function describeQualifierChange(fromVersion, toVersion, ecosystem) {
+  const scheme = VERSION_SCHEMES[ecosystem];
+  return scheme?.describeQualifierChange ? scheme.describeQualifierChange(fromVersion, toVersion) : null;
+}
+
+/**
+ * Format a semver change level for display, marking levels that need attention (e.g. "⬇️ downgrade")
+ *
+ * @param {string} semverChange - The semver change level
+ * @returns {string} The change level as shown in the summary and CLI output
+ */
+function formatSemverChange(semverChange) {
+  return CHANGE_LABELS[semverChange] || semverChange;
+}
+
+export {
+  SEMVER_CLASSIFICATIONS,
+  isPrerelease,
+  isCommitHash,
+  determineSemverChange,
+  describeQualifierChange,
+  formatSemverChange,
+  coerceVersion,
+  isValidRange,
+  satisfiesRange
+};